@@ -0,0 +1,208 @@
+// Offline evaluation of the speech segmentation engine (src/utils/speechSegmenter.js) against labelled recordings.
+// A fixtures directory holds WAV files (16-bit PCM or 32-bit float, any sample rate, mono or stereo), each with its
+// ground truth next to it: <name>.txt in Audacity's label format, one speech region per line ("<start s>\t<end s>\t<label>").
+// In Audacity: select each utterance, add a label (Ctrl+B), then File > Export > Export Labels.
+//   npm run eval:segmentation -- <fixtures dir> [--set silenceAfterSpeechMs=700 ...] [--json]
+// Every recording is resampled to 24 kHz and fed to the engine in 0.1s chunks, as in a live session; the speech
+// boundaries of the segments it cuts are then compared with the labels.
+const fs = require('fs');
+const path = require('path');
+const { segmentPcm, normalizeSegmentationSettings, DEFAULT_SEGMENTATION_SETTINGS } = require('../src/utils/speechSegmenter');
+const { parseWav, toCapturePcm } = require('../src/utils/wavFile');
+
+/**
+ * Audacity labels to speech regions in ms: [{ startMs, endMs, label }]
+ */
+function parseLabels(text) {
+    return String(text)
+        .split(/\r?\n/)
+        // Lines starting with "\" carry the frequency range of spectral labels
+        .filter(line => line.trim() && !line.startsWith('\\'))
+        .map(line => {
+            const [start, end, ...label] = line.split('\t');
+            return { startMs: Math.round(parseFloat(start) * 1000), endMs: Math.round(parseFloat(end) * 1000), label: label.join('\t').trim() };
+        })
+        .filter(region => Number.isFinite(region.startMs) && Number.isFinite(region.endMs) && region.endMs > region.startMs)
+        .sort((a, b) => a.startMs - b.startMs);
+}
+
+/**
+ * Run a recording through the engine like a live session; returns the segments without their audio
+ */
+function segmentRecording(samples, sampleRate, settings = {}) {
+    return segmentPcm(toCapturePcm(samples, sampleRate), settings).map(({ pcm, ...boundaries }) => boundaries);
+}
+
+function overlapMs(a, b) {
+    return Math.max(0, Math.min(a.endMs, b.endMs) - Math.max(a.startMs, b.startMs));
+}
+
+/**
+ * Compare detected speech with the labelled regions. Segments and labels are paired one-to-one by largest overlap;
+ * boundary errors are detected minus labelled time, averaged as absolute values over the pairs.
+ */
+function compareSegments(segments, labels) {
+    const detected = segments.map(segment => ({ startMs: segment.speechStartMs, endMs: segment.speechEndMs }));
+    const pairs = [];
+    detected.forEach((segment, d) =>
+        labels.forEach((label, l) => {
+            const overlap = overlapMs(segment, label);
+            if (overlap > 0) pairs.push({ d, l, overlap });
+        })
+    );
+
+    const matchedDetected = new Set();
+    const matchedLabels = new Set();
+    const matches = [];
+    pairs
+        .sort((a, b) => b.overlap - a.overlap)
+        .forEach(({ d, l }) => {
+            if (matchedDetected.has(d) || matchedLabels.has(l)) return;
+            matchedDetected.add(d);
+            matchedLabels.add(l);
+            matches.push({ startErrorMs: detected[d].startMs - labels[l].startMs, endErrorMs: detected[d].endMs - labels[l].endMs });
+        });
+
+    const countOverlapping = (items, others) => items.filter(item => others.filter(other => overlapMs(item, other) > 0).length > 1).length;
+    const meanAbs = values => (values.length > 0 ? Math.round(values.reduce((sum, value) => sum + Math.abs(value), 0) / values.length) : null);
+
+    return {
+        labelled: labels.length,
+        detected: detected.length,
+        matched: matches.length,
+        missed: labels.length - matches.length,
+        falseAlarms: detected.length - matches.length,
+        // A labelled utterance cut into several segments, or one segment spanning several utterances
+        splits: countOverlapping(labels, detected),
+        merges: countOverlapping(detected, labels),
+        meanStartErrorMs: meanAbs(matches.map(match => match.startErrorMs)),
+        meanEndErrorMs: meanAbs(matches.map(match => match.endErrorMs)),
+        matches,
+    };
+}
+
+function withRates(result) {
+    const { matched, detected, labelled } = result;
+    const precision = detected > 0 ? matched / detected : null;
+    const recall = labelled > 0 ? matched / labelled : null;
+    const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : precision === null || recall === null ? null : 0;
+    return { ...result, precision, recall, f1 };
+}
+
+/**
+ * Evaluate every WAV in a directory that has a label file. Returns { settings, files: [...], total }
+ */
+function evaluateFixtures(dir, settings = {}) {
+    const normalized = normalizeSegmentationSettings(settings);
+    const files = fs
+        .readdirSync(dir)
+        .filter(name => name.toLowerCase().endsWith('.wav'))
+        .sort()
+        .map(name => {
+            const labelPath = path.join(dir, name.replace(/\.wav$/i, '.txt'));
+            if (!fs.existsSync(labelPath)) {
+                return null;
+            }
+            const { sampleRate, samples } = parseWav(fs.readFileSync(path.join(dir, name)));
+            const labels = parseLabels(fs.readFileSync(labelPath, 'utf8'));
+            const segments = segmentRecording(samples, sampleRate, normalized);
+            return { name, ...withRates(compareSegments(segments, labels)), segments, labels };
+        })
+        .filter(Boolean);
+
+    const sum = key => files.reduce((total, file) => total + file[key], 0);
+    // Boundary errors of all files, weighted by their matched pairs
+    const allMatches = files.flatMap(file => file.matches);
+    const meanAbs = key => (allMatches.length > 0 ? Math.round(allMatches.reduce((total, match) => total + Math.abs(match[key]), 0) / allMatches.length) : null);
+    const total = withRates({
+        labelled: sum('labelled'),
+        detected: sum('detected'),
+        matched: sum('matched'),
+        missed: sum('missed'),
+        falseAlarms: sum('falseAlarms'),
+        splits: sum('splits'),
+        merges: sum('merges'),
+        meanStartErrorMs: meanAbs('startErrorMs'),
+        meanEndErrorMs: meanAbs('endErrorMs'),
+    });
+    return { settings: normalized, files, total };
+}
+
+function formatReport({ settings, files, total }) {
+    const percent = value => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+    const ms = value => (value === null ? '—' : `${value}`);
+    const row = (name, result) =>
+        [
+            name.padEnd(28),
+            `${result.matched}/${result.labelled}`.padStart(8),
+            String(result.falseAlarms).padStart(6),
+            String(result.splits).padStart(6),
+            String(result.merges).padStart(6),
+            percent(result.precision).padStart(9),
+            percent(result.recall).padStart(8),
+            ms(result.meanStartErrorMs).padStart(10),
+            ms(result.meanEndErrorMs).padStart(8),
+        ].join(' ');
+
+    const changed = Object.entries(settings)
+        .filter(([key, value]) => value !== DEFAULT_SEGMENTATION_SETTINGS[key])
+        .map(([key, value]) => `${key}=${value}`);
+    return [
+        `Settings: ${changed.length > 0 ? changed.join(', ') : 'defaults'}`,
+        '',
+        [
+            'Recording'.padEnd(28),
+            'Matched'.padStart(8),
+            'False'.padStart(6),
+            'Splits'.padStart(6),
+            'Merges'.padStart(6),
+            'Precision'.padStart(9),
+            'Recall'.padStart(8),
+            'Start err'.padStart(10),
+            'End err'.padStart(8),
+        ].join(' '),
+        ...files.map(file => row(file.name, file)),
+        row('TOTAL', total),
+        '',
+        'Errors are mean absolute boundary offsets in ms over the matched utterances.',
+    ].join('\n');
+}
+
+function parseArgs(argv) {
+    const options = { dir: null, settings: {}, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--json') {
+            options.json = true;
+        } else if (argv[i] === '--set') {
+            const [key, value] = String(argv[++i] || '').split('=');
+            if (!(key in DEFAULT_SEGMENTATION_SETTINGS)) {
+                throw new Error(`Unknown setting "${key}" (expected ${Object.keys(DEFAULT_SEGMENTATION_SETTINGS).join(', ')})`);
+            }
+            options.settings[key] = Number(value);
+        } else {
+            options.dir = argv[i];
+        }
+    }
+    return options;
+}
+
+if (require.main === module) {
+    try {
+        const { dir, settings, json } = parseArgs(process.argv.slice(2));
+        if (!dir) {
+            console.error('Usage: npm run eval:segmentation -- <fixtures dir> [--set key=value ...] [--json]');
+            process.exit(1);
+        }
+        const result = evaluateFixtures(dir, settings);
+        if (result.files.length === 0) {
+            console.error(`No WAV files with labels found in ${dir}`);
+            process.exit(1);
+        }
+        console.log(json ? JSON.stringify(result, null, 2) : formatReport(result));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { parseWav, parseLabels, segmentRecording, compareSegments, evaluateFixtures, formatReport, parseArgs };
@@ -0,0 +1,135 @@
+// Offline stand-in for the Groq and Gemini HTTP APIs.
+// Used by the contract tests, and runnable on its own so the app can be exercised without network:
+//   npm run mock:providers
+//   GROQ_API_BASE=http://127.0.0.1:8787/openai/v1 GEMINI_API_BASE=http://127.0.0.1:8787 npm start
+const http = require('http');
+
+const PORT = Number(process.env.MOCK_PROVIDER_PORT) || 8787;
+
+// Responses used when no scenario is queued for a route
+const DEFAULT_SCENARIOS = {
+    'groq-chat': { stream: ['This is a ', 'mock answer.'] },
+    'groq-completion': { body: { choices: [{ index: 0, message: { role: 'assistant', content: 'This is a mock answer.' } }] } },
+    'groq-transcription': { body: { text: 'What is a closure in JavaScript?' } },
+    'gemini-stream': { stream: ['This is a ', 'mock Gemini answer.'] },
+    'gemini-generate': { body: { candidates: [{ content: { role: 'model', parts: [{ text: 'This is a mock Gemini answer.' }] }, index: 0 }] } },
+};
+
+// Non-streaming chat requests ("stream": false) get a plain JSON completion
+function getRoute(req, body) {
+    const path = req.url.split('?')[0];
+    if (path.endsWith('/chat/completions')) return body.includes('"stream":false') ? 'groq-completion' : 'groq-chat';
+    if (path.endsWith('/audio/transcriptions')) return 'groq-transcription';
+    if (path.includes(':streamGenerateContent')) return 'gemini-stream';
+    if (path.includes(':generateContent')) return 'gemini-generate';
+    return null;
+}
+
+// One SSE event in the wire format of the route's provider
+function toSseEvent(route, text) {
+    const payload =
+        route === 'gemini-stream'
+            ? { candidates: [{ content: { role: 'model', parts: [{ text }] }, index: 0 }] }
+            : { choices: [{ index: 0, delta: { content: text } }] };
+    return `data: ${JSON.stringify(payload)}\n\n`;
+}
+
+/**
+ * Create a mock provider server. Scenarios are queued per route and consumed in order:
+ *   { status, body }          - plain response (objects are sent as JSON)
+ *   { stream: [...] }         - SSE stream, one event per entry
+ *   { raw, contentType }      - send the raw string as-is (malformed payloads)
+ *   { hang: true }            - never finish (combine with stream to stall mid-response)
+ */
+function createMockProviderServer() {
+    const queues = {};
+    const requests = [];
+    const openResponses = new Set();
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const route = getRoute(req, body.toString('latin1'));
+            requests.push({ route, method: req.method, url: req.url, headers: req.headers, body: body.toString('latin1') });
+
+            if (!route) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: `No mock route for ${req.url}` } }));
+                return;
+            }
+
+            const scenario = (queues[route] && queues[route].shift()) || DEFAULT_SCENARIOS[route];
+            play(route, scenario, res);
+        });
+    });
+
+    function play(route, scenario, res) {
+        openResponses.add(res);
+        res.on('close', () => openResponses.delete(res));
+
+        const status = scenario.status || 200;
+
+        if (scenario.raw !== undefined) {
+            res.writeHead(status, { 'Content-Type': scenario.contentType || 'application/json' });
+            res.write(scenario.raw);
+        } else if (scenario.stream) {
+            res.writeHead(status, { 'Content-Type': 'text/event-stream' });
+            for (const text of scenario.stream) {
+                res.write(toSseEvent(route, text));
+            }
+            if (!scenario.hang && route !== 'gemini-stream') {
+                res.write('data: [DONE]\n\n');
+            }
+        } else if (scenario.body !== undefined || !scenario.hang) {
+            const payload = typeof scenario.body === 'string' ? scenario.body : JSON.stringify(scenario.body || {});
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.write(payload);
+        }
+
+        if (!scenario.hang) {
+            res.end();
+        }
+    }
+
+    return {
+        requests,
+
+        /** Queue a scenario for the next request on a route ('groq-chat' | 'groq-completion' | 'groq-transcription' | 'gemini-stream' | 'gemini-generate') */
+        enqueue(route, scenario) {
+            if (!queues[route]) queues[route] = [];
+            queues[route].push(scenario);
+        },
+
+        reset() {
+            requests.length = 0;
+            Object.keys(queues).forEach(route => delete queues[route]);
+        },
+
+        start(port = 0) {
+            return new Promise(resolve => {
+                server.listen(port, '127.0.0.1', () => {
+                    const origin = `http://127.0.0.1:${server.address().port}`;
+                    resolve({ origin, groqBaseUrl: `${origin}/openai/v1`, geminiBaseUrl: origin });
+                });
+            });
+        },
+
+        stop() {
+            openResponses.forEach(res => res.destroy());
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+    };
+}
+
+if (require.main === module) {
+    const mock = createMockProviderServer();
+    mock.start(PORT).then(({ groqBaseUrl, geminiBaseUrl }) => {
+        console.log(`Mock provider server running on ${geminiBaseUrl}`);
+        console.log(`  GROQ_API_BASE=${groqBaseUrl}`);
+        console.log(`  GEMINI_API_BASE=${geminiBaseUrl}`);
+    });
+}
+
+module.exports = { createMockProviderServer };
@@ -6,6 +6,11 @@ const ROOT = path.resolve(__dirname, '..', 'src');
 const PORT = Number(process.env.PORT) || 5173;
 const MAX_PORT_ATTEMPTS = 20;
 
+// CommonJS modules shared with the Electron renderer. The browser build loads them with <script src="shared/<name>.js">,
+// which registers their exports on window.sharedModules.
+const SHARED_PREFIX = '/shared/';
+const SHARED_MODULES = ['modelRegistry', 'promptTemplates', 'speechSegmenter', 'speakingMetrics', 'audioDevices'];
+
 const MIME_TYPES = {
     '.html': 'text/html; charset=utf-8',
     '.js': 'application/javascript; charset=utf-8',
@@ -48,7 +53,37 @@ function serveFile(filePath, res) {
     });
 }
 
+function serveSharedModule(name, res) {
+    fs.readFile(path.join(ROOT, 'utils', `${name}.js`), 'utf8', (readErr, source) => {
+        if (readErr) {
+            send(res, 500, { 'Content-Type': 'text/plain; charset=utf-8' }, 'Internal Server Error');
+            return;
+        }
+
+        const script = [
+            '(function () {',
+            'const module = { exports: {} };',
+            source,
+            'window.sharedModules = window.sharedModules || {};',
+            `window.sharedModules.${name} = module.exports;`,
+            '})();',
+        ].join('\n');
+        send(res, 200, { 'Content-Type': MIME_TYPES['.js'] }, script);
+    });
+}
+
 function handleRequest(req, res) {
+    const urlPath = (req.url || '/').split('?')[0];
+    if (urlPath.startsWith(SHARED_PREFIX)) {
+        const name = path.basename(urlPath.slice(SHARED_PREFIX.length), '.js');
+        if (!SHARED_MODULES.includes(name)) {
+            send(res, 404, { 'Content-Type': 'text/plain; charset=utf-8' }, 'Not Found');
+            return;
+        }
+        serveSharedModule(name, res);
+        return;
+    }
+
     const targetPath = resolvePath(req.url || '/');
     if (!targetPath) {
         send(res, 403, { 'Content-Type': 'text/plain; charset=utf-8' }, 'Forbidden');
@@ -0,0 +1,12 @@
+// Route CommonJS require('electron') to the shared mock.
+// The resolve.alias in vitest.config.js only applies to ESM imports, not to require() inside src/utils.
+const Module = require('module');
+const electronMock = require('./electron');
+
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+    if (request === 'electron') {
+        return electronMock;
+    }
+    return originalLoad.call(this, request, parent, isMain);
+};
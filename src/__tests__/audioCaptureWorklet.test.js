@@ -0,0 +1,75 @@
+const { floatToInt16, PcmChunker } = require('../utils/audioCaptureWorklet');
+
+// One render quantum of the Web Audio API
+const QUANTUM = 128;
+
+const sine = (length, offset = 0) => Float32Array.from({ length }, (_, i) => Math.sin((i + offset) / 10));
+
+describe('audio capture worklet', () => {
+    it('converts float samples to clipped 16-bit PCM', () => {
+        expect(Array.from(floatToInt16(Float32Array.of(0, 1, -1, 0.5, 2, -3)))).toEqual([0, 32767, -32768, 16383, 32767, -32768]);
+    });
+
+    it('cuts render quanta into fixed-size chunks without resampling at the target rate', () => {
+        const chunker = new PcmChunker({ inputSampleRate: 24000, outputSampleRate: 24000, chunkSize: 2400 });
+        const input = sine(QUANTUM * 40);
+        const chunks = [];
+        for (let offset = 0; offset < input.length; offset += QUANTUM) {
+            chunks.push(...chunker.push(input.subarray(offset, offset + QUANTUM)));
+        }
+
+        expect(chunks).toHaveLength(2);
+        expect(chunks[0]).toBeInstanceOf(Float32Array);
+        expect(chunks[0]).not.toBe(chunks[1]);
+        expect(Array.from(chunks[1])).toEqual(Array.from(input.subarray(2400, 4800)));
+    });
+
+    it('resamples the device rate down to the target rate across block boundaries', () => {
+        const chunker = new PcmChunker({ inputSampleRate: 48000, outputSampleRate: 24000, chunkSize: 2400 });
+        // 0.1 s at 48 kHz in render quanta (the last block is partial)
+        const input = Float32Array.from({ length: 4800 }, (_, i) => i / 4800);
+        const chunks = [];
+        for (let offset = 0; offset < input.length; offset += QUANTUM) {
+            chunks.push(...chunker.push(input.subarray(offset, offset + QUANTUM)));
+        }
+        chunks.push(...chunker.push(Float32Array.of(1, 1, 1, 1)));
+
+        expect(chunks).toHaveLength(1);
+        // Every second input sample, including those at the edges of a quantum
+        chunks[0].forEach((sample, i) => expect(sample).toBeCloseTo((i * 2) / 4800, 6));
+    });
+
+    it('posts each chunk with its PCM as transferable buffers', () => {
+        const registered = {};
+        globalThis.sampleRate = 48000;
+        globalThis.AudioWorkletProcessor = class {
+            constructor() {
+                this.port = { postMessage: vi.fn() };
+            }
+        };
+        globalThis.registerProcessor = (name, processor) => {
+            registered[name] = processor;
+        };
+        try {
+            // Load a fresh copy, now inside the (stubbed) worklet scope
+            delete require.cache[require.resolve('../utils/audioCaptureWorklet')];
+            require('../utils/audioCaptureWorklet');
+            const processor = new registered['pcm-capture']({ processorOptions: { outputSampleRate: 24000, chunkDuration: 0.1 } });
+
+            for (let i = 0; i < 38; i++) {
+                expect(processor.process([[sine(QUANTUM, i * QUANTUM)]])).toBe(true);
+            }
+            expect(processor.port.postMessage).toHaveBeenCalledTimes(1);
+            const [message, transfer] = processor.port.postMessage.mock.calls[0];
+            expect(message.samples).toHaveLength(2400);
+            expect(Array.from(message.pcm)).toEqual(Array.from(floatToInt16(message.samples)));
+            expect(transfer).toEqual([message.samples.buffer, message.pcm.buffer]);
+            // An input without channels (stream ended) is ignored
+            expect(processor.process([[]])).toBe(true);
+        } finally {
+            delete globalThis.sampleRate;
+            delete globalThis.AudioWorkletProcessor;
+            delete globalThis.registerProcessor;
+        }
+    });
+});
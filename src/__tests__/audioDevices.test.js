@@ -0,0 +1,83 @@
+const audioDevices = require('../utils/audioDevices');
+
+// Same getItem/setItem surface as the renderer's localStorage
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+}
+
+// enumerateDevices() on a Linux laptop with a USB headset and a dock (PipeWire)
+const devices = [
+    { kind: 'audioinput', deviceId: 'default', label: 'Default' },
+    { kind: 'audioinput', deviceId: 'a1', label: 'Built-in Audio Analog Stereo' },
+    { kind: 'audioinput', deviceId: 'a2', label: 'Jabra Evolve2 65 Mono' },
+    { kind: 'audioinput', deviceId: 'a3', label: 'Monitor of Dock Audio Digital Stereo (HDMI)' },
+    { kind: 'audioinput', deviceId: 'a4', label: 'Monitor of Built-in Audio Analog Stereo' },
+    { kind: 'audiooutput', deviceId: 'o1', label: 'Dock Audio Digital Stereo (HDMI)' },
+    { kind: 'videoinput', deviceId: 'v1', label: 'Integrated Camera' },
+];
+
+describe('audio devices', () => {
+    it('offers loopback sources for system audio only', () => {
+        const { microphones, systemSources } = audioDevices.listAudioSources(devices);
+
+        expect(microphones.map(device => device.deviceId)).toEqual(['a1', 'a2']);
+        // Monitor sources first, then the other inputs
+        expect(systemSources.map(device => device.deviceId)).toEqual(['a3', 'a4', 'a1', 'a2']);
+        expect(systemSources[0]).toEqual({ deviceId: 'a3', label: 'Monitor of Dock Audio Digital Stereo (HDMI)', loopback: true });
+    });
+
+    it('recognizes loopback devices on Windows and macOS and names unlabelled inputs', () => {
+        expect(audioDevices.isLoopbackDevice({ label: 'Stereo Mix (Realtek(R) Audio)' })).toBe(true);
+        expect(audioDevices.isLoopbackDevice({ label: 'CABLE Output (VB-Audio Virtual Cable)' })).toBe(true);
+        expect(audioDevices.isLoopbackDevice({ label: 'BlackHole 2ch' })).toBe(true);
+        expect(audioDevices.isLoopbackDevice({ label: 'MacBook Pro Microphone' })).toBe(false);
+
+        const { microphones } = audioDevices.listAudioSources([
+            { kind: 'audioinput', deviceId: 'communications', label: '' },
+            { kind: 'audioinput', deviceId: 'x', label: '' },
+        ]);
+        expect(microphones).toEqual([{ deviceId: 'x', label: 'Audio input 1', loopback: false }]);
+    });
+
+    it('keeps the choices of each profile apart', () => {
+        const storage = createStorage();
+        audioDevices.saveDeviceChoice(storage, 'sales', 'mic', { deviceId: 'a2', label: 'Jabra Evolve2 65 Mono', loopback: false });
+        audioDevices.saveDeviceChoice(storage, 'sales', 'system', { deviceId: 'a3', label: 'Monitor of Dock Audio Digital Stereo (HDMI)' });
+        audioDevices.saveDeviceChoice(storage, 'meeting', 'mic', { deviceId: 'a1', label: 'Built-in Audio Analog Stereo' });
+
+        expect(audioDevices.getDeviceChoices(storage, 'sales')).toEqual({
+            mic: { deviceId: 'a2', label: 'Jabra Evolve2 65 Mono' },
+            system: { deviceId: 'a3', label: 'Monitor of Dock Audio Digital Stereo (HDMI)' },
+        });
+        expect(audioDevices.getDeviceChoices(storage, 'meeting')).toEqual({ mic: { deviceId: 'a1', label: 'Built-in Audio Analog Stereo' }, system: null });
+
+        // Back to the default
+        audioDevices.saveDeviceChoice(storage, 'sales', 'system', null);
+        expect(audioDevices.getDeviceChoices(storage, 'sales').system).toBeNull();
+        expect(audioDevices.getDeviceChoices(createStorage({ audioDevices_exam: 'not json' }), 'exam')).toEqual({ mic: null, system: null });
+        expect(() => audioDevices.saveDeviceChoice(storage, 'sales', 'speakers', null)).toThrow('Unknown audio device kind');
+    });
+
+    it('finds a saved device by id, then by label, and falls back to the default', () => {
+        const choice = { deviceId: 'a2', label: 'Jabra Evolve2 65 Mono' };
+
+        expect(audioDevices.resolveDeviceId(choice, devices)).toBe('a2');
+        // Plugged in again with a new id
+        const replugged = devices.map(device => (device.deviceId === 'a2' ? { ...device, deviceId: 'a9' } : device));
+        expect(audioDevices.resolveDeviceId(choice, replugged)).toBe('a9');
+        // Unplugged
+        expect(audioDevices.resolveDeviceId(choice, devices.filter(device => device.deviceId !== 'a2'))).toBe('');
+        expect(audioDevices.resolveDeviceId(null, devices)).toBe('');
+    });
+
+    it('builds getUserMedia constraints for the device', () => {
+        const constraints = { channelCount: 1, echoCancellation: false };
+
+        expect(audioDevices.buildAudioConstraints('a3', constraints)).toEqual({ channelCount: 1, echoCancellation: false, deviceId: { exact: 'a3' } });
+        expect(audioDevices.buildAudioConstraints('', constraints)).toEqual(constraints);
+    });
+});
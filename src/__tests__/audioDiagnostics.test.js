@@ -0,0 +1,70 @@
+const { measureAudioLevels, levelToMeter, DiagnosticsMonitor } = require('../utils/audioDiagnostics');
+const { DEFAULT_SEGMENTATION_SETTINGS } = require('../utils/speechSegmenter');
+
+// One 0.1 s chunk at 24 kHz at a constant level
+const chunk = level => new Int16Array(2400).fill(level);
+
+describe('audio diagnostics', () => {
+    it('measures levels, clipping and silence', () => {
+        const samples = new Int16Array([0, 50, -32768, 32767, 1000, -1000, 0, 20]);
+        const levels = measureAudioLevels(samples);
+
+        expect(levels).toMatchObject({ sampleCount: 8, minValue: -32768, maxValue: 32767, peak: 32768, clippedSamples: 2, silentSamples: 4 });
+        expect(levels.clippingPercentage).toBe(25);
+        expect(levels.silencePercentage).toBe(50);
+        expect(measureAudioLevels(new Int16Array(0))).toMatchObject({ rmsValue: 0, peak: 0, silencePercentage: 100 });
+    });
+
+    it('maps RMS to a -60..0 dBFS meter', () => {
+        expect(levelToMeter(0)).toBe(0);
+        expect(levelToMeter(32768)).toBe(1);
+        expect(levelToMeter(32.768)).toBe(0);
+        expect(levelToMeter(3276.8)).toBeCloseTo(2 / 3);
+    });
+
+    it('warns about clipping right away and about silence once two seconds are heard', () => {
+        const monitor = new DiagnosticsMonitor({ speechThreshold: 500 });
+        const start = 1000000;
+
+        monitor.addLevels('system', measureAudioLevels(chunk(32767)), start);
+        expect(monitor.getWarnings('system').map(warning => warning.type)).toEqual(['clipping']);
+
+        for (let i = 0; i < 19; i++) {
+            monitor.addLevels('mic', measureAudioLevels(chunk(0)), start + i * 100);
+        }
+        // Not enough audio to judge yet
+        expect(monitor.getWarnings('mic')).toEqual([]);
+        monitor.addLevels('mic', measureAudioLevels(chunk(0)), start + 1900);
+        expect(monitor.getWarnings('mic').map(warning => warning.type)).toEqual(['silence']);
+
+        // A signal that never reaches the speech level
+        const quiet = new DiagnosticsMonitor({ speechThreshold: 500 });
+        for (let i = 0; i < 20; i++) {
+            quiet.addLevels('mic', measureAudioLevels(chunk(200)), start + i * 100);
+        }
+        expect(quiet.getWarnings('mic')).toEqual([{ type: 'quiet', message: 'Too quiet to count as speech (speech level 500)' }]);
+
+        // Without a setting it uses the segmentation engine's speech level
+        expect(new DiagnosticsMonitor().speechThreshold).toBe(DEFAULT_SEGMENTATION_SETTINGS.speechThreshold);
+    });
+
+    it('keeps the last few seconds of levels and the last segments', () => {
+        const monitor = new DiagnosticsMonitor({ historyMs: 3000, maxSegments: 3 });
+        const start = 1000000;
+        monitor.addLevels('mic', measureAudioLevels(chunk(32767)), start);
+        for (let i = 1; i <= 30; i++) {
+            monitor.addLevels('mic', measureAudioLevels(chunk(1000)), start + 100 + i * 100);
+        }
+        monitor.setVadState('mic', 'RECORDING');
+        [1200, 800, 2500, 4000].forEach((durationMs, i) => monitor.addSegment(i % 2 ? 'system' : 'mic', durationMs, start + i));
+
+        const snapshot = monitor.getSnapshot();
+        // The clipped chunk has left the history
+        expect(snapshot.sources.mic).toMatchObject({ rmsValue: 1000, peak: 1000, vadState: 'RECORDING', warnings: [] });
+        expect(snapshot.segments).toEqual([
+            { source: 'system', durationMs: 4000, at: start + 3 },
+            { source: 'mic', durationMs: 2500, at: start + 2 },
+            { source: 'system', durationMs: 800, at: start + 1 },
+        ]);
+    });
+});
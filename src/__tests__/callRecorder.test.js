@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BrowserWindow, ipcMain } = require('electron');
+const { getSessionsDir, startSession, endSession } = require('../utils/sessionArchive');
+const recorder = require('../utils/callRecorder');
+
+// 24 kHz 16-bit PCM at a constant level
+const pcm = (ms, level) => {
+    const buffer = Buffer.alloc(ms * 48);
+    for (let i = 0; i < buffer.length / 2; i++) buffer.writeInt16LE(level, i * 2);
+    return buffer;
+};
+
+const samplesOf = filePath => {
+    const data = fs.readFileSync(filePath).subarray(44);
+    return Array.from({ length: data.length / 2 }, (_, i) => data.readInt16LE(i * 2));
+};
+
+describe('call recorder', () => {
+    let home;
+    const handler = channel => ipcMain.handle.mock.calls.filter(call => call[0] === channel).at(-1)[1];
+    const start = Date.parse('2026-10-19T10:00:00Z');
+
+    beforeEach(() => {
+        // getConfigDir() is derived from the home directory
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-recorder-'));
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+        recorder.setupCallRecorderIpcHandlers();
+    });
+
+    afterEach(() => {
+        recorder.stopCallRecording();
+        endSession();
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('records nothing unless a session is recorded', () => {
+        expect(recorder.addRecordingAudio(pcm(100, 1000), 'system')).toBe(false);
+        expect(() => recorder.startCallRecording({ mode: 'mixed' })).toThrow('No session is being archived');
+
+        startSession({ profile: 'meeting' });
+        expect(() => recorder.startCallRecording({ mode: 'stereo' })).toThrow('Unknown recording mode');
+        expect(recorder.getCallRecordingState()).toEqual({ recording: false });
+    });
+
+    it('saves one track per source beside the transcript, padded to the call timeline', () => {
+        const sessionId = startSession({ profile: 'sales' });
+        const state = recorder.startCallRecording({ mode: 'separate' }, start);
+        expect(state).toEqual({ recording: true, sessionId, mode: 'separate', startedAt: start });
+        expect(BrowserWindow.getAllWindows()[0].webContents.send).toHaveBeenCalledWith('call-recording-state', state);
+
+        recorder.addRecordingAudio(pcm(100, 1000), 'system', start + 100);
+        recorder.addRecordingAudio(pcm(100, 1000), 'system', start + 230);
+        // The microphone only opened after 2 seconds
+        recorder.addRecordingAudio(pcm(100, -2000), 'mic', start + 2100);
+
+        // Nothing to play while the session is still being recorded
+        expect(recorder.listCallRecordings(sessionId)).toEqual([]);
+        const recordings = recorder.stopCallRecording();
+
+        expect(recordings.map(recording => recording.track)).toEqual(['system', 'mic']);
+        expect(recordings[0]).toMatchObject({ filePath: path.join(getSessionsDir(), `${sessionId}.system.wav`), durationMs: 200 });
+        // Jitter below half a second is not padded, a late start is
+        expect(recordings[1].durationMs).toBe(2100);
+        const mic = samplesOf(recordings[1].filePath);
+        expect(mic[0]).toBe(0);
+        expect(mic[mic.length - 1]).toBe(-2000);
+
+        // A valid WAV header
+        const header = fs.readFileSync(recordings[0].filePath).subarray(0, 44);
+        expect(header.toString('ascii', 0, 4)).toBe('RIFF');
+        expect(header.readUInt32LE(24)).toBe(24000);
+        expect(header.readUInt32LE(40)).toBe(200 * 48);
+        expect(recorder.getCallRecordingState()).toEqual({ recording: false });
+    });
+
+    it('mixes both sources into one track', () => {
+        const sessionId = startSession({ profile: 'meeting' });
+        recorder.startCallRecording({ mode: 'mixed' }, start);
+        recorder.addRecordingAudio(pcm(100, 1000), 'system', start + 100);
+        recorder.addRecordingAudio(pcm(100, 30000), 'system', start + 200);
+        recorder.addRecordingAudio(pcm(100, 500), 'mic', start + 100);
+        recorder.addRecordingAudio(pcm(100, 30000), 'mic', start + 200);
+
+        const [recording, ...others] = recorder.stopCallRecording();
+
+        expect(others).toEqual([]);
+        expect(recording).toMatchObject({ track: 'mixed', durationMs: 200 });
+        const samples = samplesOf(recording.filePath);
+        expect(samples[0]).toBe(1500);
+        // Clipped instead of wrapping around
+        expect(samples[samples.length - 1]).toBe(32767);
+        expect(fs.existsSync(path.join(getSessionsDir(), `${sessionId}.system.wav`))).toBe(false);
+    });
+
+    it('deletes recordings past the retention period and serves the rest over IPC', async () => {
+        const oldId = startSession({ profile: 'meeting' });
+        recorder.startCallRecording({ mode: 'mixed' }, start);
+        recorder.addRecordingAudio(pcm(100, 1000), 'mic', start + 100);
+        const [oldRecording] = recorder.stopCallRecording();
+        const tenDaysAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+        fs.utimesSync(oldRecording.filePath, tenDaysAgo, tenDaysAgo);
+
+        const newId = startSession({ profile: 'meeting' });
+        expect(await handler('start-call-recording')({}, { mode: 'separate', retentionDays: 30 })).toMatchObject({ success: true, sessionId: newId });
+        expect(await handler('add-recording-audio')({}, { source: 'mic', pcm: new Int16Array(2400).fill(700) })).toEqual({ success: true });
+        await handler('stop-call-recording')({});
+
+        expect(await handler('delete-expired-recordings')({}, 0)).toEqual({ success: true, deleted: 0 });
+        expect(await handler('delete-expired-recordings')({}, 7)).toEqual({ success: true, deleted: 1 });
+        expect(fs.existsSync(oldRecording.filePath)).toBe(false);
+        // The transcript stays
+        expect(fs.existsSync(path.join(getSessionsDir(), `${oldId}.jsonl`))).toBe(true);
+
+        const listed = await handler('list-call-recordings')({}, newId);
+        expect(listed.recordings).toHaveLength(1);
+        expect(listed.recordings[0]).toMatchObject({ track: 'mic', durationMs: 100 });
+        expect(listed.recordings[0].url).toMatch(/^file:\/\/.*\.mic\.wav$/);
+        expect((await handler('list-call-recordings')({}, '../config')).recordings).toEqual([]);
+
+        expect(await handler('delete-call-recordings')({}, newId)).toEqual({ success: true, deleted: 1 });
+        expect(recorder.listCallRecordings(newId)).toEqual([]);
+    });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BrowserWindow } = require('electron');
+const { createMockProviderServer } = require('../../scripts/mock-provider-server');
+
+describe('live captions', () => {
+    let mock;
+    let groq;
+    let archive;
+    let sessionExport;
+    let configureSttBackend;
+    let send;
+    let home;
+
+    const at = time => Date.parse(`2026-10-19T${time}Z`);
+
+    beforeAll(async () => {
+        mock = createMockProviderServer();
+        const { groqBaseUrl, geminiBaseUrl } = await mock.start();
+        // Base URLs are read when the modules load
+        process.env.GROQ_API_BASE = groqBaseUrl;
+        process.env.GEMINI_API_BASE = geminiBaseUrl;
+        groq = require('../utils/groq');
+        archive = require('../utils/sessionArchive');
+        sessionExport = require('../utils/sessionExport');
+        ({ configureSttBackend } = require('../utils/sttBackends'));
+        send = BrowserWindow.getAllWindows()[0].webContents.send;
+    });
+
+    afterAll(async () => {
+        delete process.env.GROQ_API_BASE;
+        delete process.env.GEMINI_API_BASE;
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        send.mockClear();
+        configureSttBackend({});
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-captions-'));
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+    });
+
+    afterEach(() => {
+        groq.clearAudioBuffer();
+        archive.endSession();
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    function recordCaptions() {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(at('14:00:00'));
+        const id = archive.startSession({ profile: 'meeting', mode: 'captions', language: 'en-US' });
+        vi.useRealTimers();
+        archive.recordSessionEvent(
+            'transcript',
+            { text: 'Welcome, everyone.', speaker: 'Other participants', startedAt: '2026-10-19T14:00:02.500Z', endedAt: '2026-10-19T14:00:04.250Z' },
+            at('14:00:05')
+        );
+        archive.recordSessionEvent(
+            'transcript',
+            { text: 'Thanks <all>!', speaker: 'You', startedAt: '2026-10-19T14:00:05.000Z', endedAt: '2026-10-19T14:00:06.000Z' },
+            at('14:00:07')
+        );
+        // Archived before caption timing existed: only the time it was transcribed
+        archive.recordSessionEvent('transcript', { text: 'Let us begin.' }, at('14:01:10'));
+        archive.endSession();
+        return id;
+    }
+
+    it('transcribes every line without asking a chat model', async () => {
+        groq.initializeGroq('gsk_test', '', 'meeting', 'en-US', 'llama-4-maverick', { captionsOnly: true });
+        const id = archive.startSession({ profile: 'meeting', mode: 'captions' });
+        const pcm = Buffer.alloc(24000, 0x40); // 0.5s, loud enough to count as speech
+
+        groq.addAudioChunk(pcm, 'system');
+        const result = await groq.flushAudioBuffer(null, 'system');
+
+        expect(result).toBeNull();
+        expect(mock.requests.map(request => request.route)).toEqual(['groq-transcription']);
+        const caption = send.mock.calls.find(([channel]) => channel === 'groq-transcription')[1];
+        expect(caption).toMatchObject({ text: 'What is a closure in JavaScript?', speaker: 'Other participants' });
+        expect(caption.endedAt - caption.startedAt).toBe(500);
+        const transcript = archive.readSession(id).events.find(event => event.type === 'transcript');
+        expect(Date.parse(transcript.endedAt) - Date.parse(transcript.startedAt)).toBe(500);
+    });
+
+    it('times cues from the session start', () => {
+        const cues = sessionExport.getCaptionCues(archive.readSession(recordCaptions()));
+
+        expect(cues.map(cue => [cue.start, cue.end])).toEqual([
+            [2500, 4250],
+            [5000, 6000],
+            [67000, 70000],
+        ]);
+    });
+
+    it('builds SRT with speakers', () => {
+        const srt = sessionExport.buildSrtExport(archive.readSession(recordCaptions()));
+
+        expect(srt).toBe(
+            [
+                '1',
+                '00:00:02,500 --> 00:00:04,250',
+                'Other participants: Welcome, everyone.',
+                '',
+                '2',
+                '00:00:05,000 --> 00:00:06,000',
+                'You: Thanks <all>!',
+                '',
+                '3',
+                '00:01:07,000 --> 00:01:10,000',
+                'Let us begin.',
+                '',
+            ].join('\n')
+        );
+    });
+
+    it('builds WebVTT with voice spans and escaped text', () => {
+        const vtt = sessionExport.buildVttExport(archive.readSession(recordCaptions()));
+
+        expect(vtt.startsWith('WEBVTT\n\n00:00:02.500 --> 00:00:04.250\n<v Other participants>Welcome, everyone.\n')).toBe(true);
+        expect(vtt).toContain('00:00:05.000 --> 00:00:06.000\n<v You>Thanks &lt;all&gt;!\n');
+    });
+
+    it('exports both subtitle formats', () => {
+        const id = recordCaptions();
+
+        const srt = sessionExport.exportSession({ id, format: 'srt' });
+        const vtt = sessionExport.exportSession({ id, format: 'vtt' });
+
+        expect(path.basename(srt.filePath)).toBe(`${id}.srt`);
+        expect(fs.readFileSync(vtt.filePath, 'utf8')).toMatch(/^WEBVTT/);
+    });
+});
@@ -0,0 +1,136 @@
+const http = require('http');
+const { BrowserWindow } = require('electron');
+const { configureProviders } = require('../utils/llmProviders');
+const { chatWithOpenAICompatible, cancelActiveGeneration, clearConversationHistory, getConversationHistory } = require('../utils/groq');
+
+const sse = content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+// Streams SSE events in awkward TCP chunks, or holds the stream open for the cancel test
+function startFakeServer() {
+    const held = [];
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+
+            if (req.url === '/split/chat/completions') {
+                const payload = sse('Use a ') + sse('`Map`') + sse(' here.') + 'data: [DONE]\n\n';
+                // Cut the stream mid-line so events straddle chunk boundaries
+                const cuts = [7, 31, 58, payload.length];
+                let start = 0;
+                const writeNext = () => {
+                    const end = cuts.shift();
+                    res.write(payload.slice(start, end));
+                    start = end;
+                    if (cuts.length > 0) {
+                        setTimeout(writeNext, 5);
+                    } else {
+                        res.end();
+                    }
+                };
+                writeNext();
+                return;
+            }
+
+            if (req.url === '/drop/chat/completions') {
+                // The connection breaks after the first event
+                res.write(sse('Half an '));
+                setTimeout(() => res.socket.destroy(), 20);
+                return;
+            }
+
+            if (req.url === '/hold/chat/completions') {
+                res.write(sse('Partial answer'));
+                held.push(res);
+                return;
+            }
+
+            res.end('data: [DONE]\n\n');
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, held, origin: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+describe('chat response streaming', () => {
+    let fake;
+    let send;
+
+    beforeAll(async () => {
+        fake = await startFakeServer();
+        send = BrowserWindow.getAllWindows()[0].webContents.send;
+    });
+
+    afterAll(() => {
+        fake.held.forEach(res => res.end());
+        fake.server.close();
+    });
+
+    beforeEach(() => {
+        send.mockClear();
+        clearConversationHistory();
+    });
+
+    const callsFor = channel => send.mock.calls.filter(([name]) => name === channel).map(([, payload]) => payload);
+
+    it('forwards each delta once, even when events are split across chunks', async () => {
+        configureProviders({ openAICompatible: { baseUrl: `${fake.origin}/split` } });
+
+        const response = await chatWithOpenAICompatible('Which collection?', 'openai:local');
+
+        expect(response).toBe('Use a `Map` here.');
+        const deltas = callsFor('response-delta');
+        expect(deltas.map(d => d.delta)).toEqual(['Use a ', '`Map`', ' here.']);
+        expect(new Set(deltas.map(d => d.id)).size).toBe(1);
+        // The full text is sent once at the end so the renderer can settle the final markdown
+        expect(callsFor('update-response')).toEqual(['Use a `Map` here.']);
+        expect(getConversationHistory()).toHaveLength(1);
+    });
+
+    it('uses a new generation id for every request', async () => {
+        configureProviders({ openAICompatible: { baseUrl: `${fake.origin}/split` } });
+
+        await chatWithOpenAICompatible('First', 'openai:local');
+        await chatWithOpenAICompatible('Second', 'openai:local');
+
+        const ids = new Set(callsFor('response-delta').map(d => d.id));
+        expect(ids.size).toBe(2);
+    });
+
+    it('cancels the in-flight generation and keeps the partial text', async () => {
+        configureProviders({ openAICompatible: { baseUrl: `${fake.origin}/hold` } });
+
+        const pending = chatWithOpenAICompatible('Long question', 'openai:local');
+        await vi.waitFor(() => expect(callsFor('response-delta')).toHaveLength(1));
+
+        expect(cancelActiveGeneration()).toBe(true);
+        const response = await pending;
+
+        expect(response).toBe('Partial answer');
+        expect(callsFor('update-response')).toEqual(['Partial answer']);
+        expect(callsFor('update-status')).toContain('Response cancelled');
+        // Cancelled answers are not fed back as conversation context
+        expect(getConversationHistory()).toHaveLength(0);
+    });
+
+    it('fails a stream whose connection drops, without retrying the partial answer', async () => {
+        configureProviders({ openAICompatible: { baseUrl: `${fake.origin}/drop` } });
+
+        const error = await chatWithOpenAICompatible('Dropped question', 'openai:local').catch(e => e);
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error).toMatchObject({ message: 'Connection lost', retryable: false });
+        expect(callsFor('response-delta').map(d => d.delta)).toEqual(['Half an ']);
+        // Nothing left for the cancel keybind to stop
+        expect(cancelActiveGeneration()).toBe(false);
+        expect(getConversationHistory()).toHaveLength(0);
+    });
+
+    it('returns false when nothing is being generated', () => {
+        expect(cancelActiveGeneration()).toBe(false);
+    });
+});
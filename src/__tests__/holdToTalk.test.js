@@ -0,0 +1,61 @@
+const { createHoldToTalk } = require('../utils/holdToTalk');
+
+describe('hold to talk', () => {
+    let events;
+    let holdToTalk;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        events = [];
+        holdToTalk = createHoldToTalk({
+            onPress: () => events.push('press'),
+            onRelease: () => events.push('release'),
+            repeatDelayMs: 600,
+            repeatGapMs: 200,
+        });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('stays pressed while the OS repeats the shortcut and releases once the repeats stop', () => {
+        holdToTalk.trigger();
+        expect(events).toEqual(['press']);
+
+        // First repeat after the keyboard delay, then every 33 ms
+        vi.advanceTimersByTime(500);
+        for (let i = 0; i < 30; i++) {
+            holdToTalk.trigger();
+            vi.advanceTimersByTime(33);
+        }
+        expect(events).toEqual(['press']);
+        expect(holdToTalk.isHeld()).toBe(true);
+
+        vi.advanceTimersByTime(200);
+        expect(events).toEqual(['press', 'release']);
+        expect(holdToTalk.isHeld()).toBe(false);
+    });
+
+    it('latches on a press without repeats until the next press', () => {
+        holdToTalk.trigger();
+        vi.advanceTimersByTime(5000);
+        expect(events).toEqual(['press']);
+
+        holdToTalk.trigger();
+        expect(events).toEqual(['press', 'release']);
+
+        // The next press starts a new hold
+        holdToTalk.trigger();
+        expect(events).toEqual(['press', 'release', 'press']);
+    });
+
+    it('releases a held shortcut on demand exactly once', () => {
+        holdToTalk.trigger();
+        holdToTalk.release();
+        holdToTalk.release();
+        vi.advanceTimersByTime(1000);
+
+        expect(events).toEqual(['press', 'release']);
+    });
+});
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { createMockProviderServer } = require('../../scripts/mock-provider-server');
+
+// A one-page PDF whose content stream is compressed, as word processors write them
+function buildPdf(contentStream) {
+    const stream = zlib.deflateSync(Buffer.from(contentStream, 'latin1'));
+    return Buffer.concat([
+        Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\n4 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1'),
+    ]);
+}
+
+describe('knowledge base', () => {
+    let mock;
+    let groq;
+    let knowledge;
+    let configureSttBackend;
+    let home;
+    let docsDir;
+
+    const writeDoc = (name, content) => {
+        const filePath = path.join(docsDir, name);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    beforeAll(async () => {
+        mock = createMockProviderServer();
+        const { groqBaseUrl, geminiBaseUrl } = await mock.start();
+        // Base URLs are read when the modules load
+        process.env.GROQ_API_BASE = groqBaseUrl;
+        process.env.GEMINI_API_BASE = geminiBaseUrl;
+        groq = require('../utils/groq');
+        knowledge = require('../utils/knowledgeBase');
+        ({ configureSttBackend } = require('../utils/sttBackends'));
+    });
+
+    afterAll(async () => {
+        delete process.env.GROQ_API_BASE;
+        delete process.env.GEMINI_API_BASE;
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        configureSttBackend({});
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-knowledge-'));
+        docsDir = path.join(home, 'docs');
+        fs.mkdirSync(docsDir);
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+    });
+
+    afterEach(() => {
+        groq.clearAudioBuffer();
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('keeps paragraphs together and splits long ones with overlap', () => {
+        const long = Array.from({ length: 10 }, (_, i) => `w${i}`).join(' ');
+
+        expect(knowledge.chunkText('one two\n\nthree four\n\nfive six', 4, 1)).toEqual(['one two three four', 'five six']);
+        expect(knowledge.chunkText(long, 4, 1)).toEqual(['w0 w1 w2 w3', 'w3 w4 w5 w6', 'w6 w7 w8 w9']);
+    });
+
+    it('labels CSV values with their column', () => {
+        const text = knowledge.csvToText('Plan,Price,Notes\nTeam,$20,"per seat, monthly"\r\nEnterprise,$40,"ask for ""volume"" pricing"\n');
+
+        expect(text).toBe('Plan: Team. Price: $20. Notes: per seat, monthly\n\nPlan: Enterprise. Price: $40. Notes: ask for "volume" pricing');
+    });
+
+    it('extracts the text of compressed PDF pages', () => {
+        const pdf = buildPdf('BT /F1 12 Tf 72 712 Td (Enterprise plan costs $40 per seat \\(billed yearly\\)) Tj 0 -14 Td [(Disc) 20 (ounts) -250 (need approval)] TJ ET');
+
+        expect(knowledge.extractPdfText(pdf)).toBe('Enterprise plan costs $40 per seat (billed yearly)\nDiscounts need approval');
+        expect(() => knowledge.extractPdfText(buildPdf('q 100 0 0 100 0 0 cm /Im1 Do Q'))).toThrow('No readable text');
+    });
+
+    it('reads hex strings with an odd number of digits', () => {
+        // UTF-16BE with half a character at the end, and <4F6B3> ("Ok" and 0x30 with its implied 0)
+        const utf16 = `FEFF${Buffer.from('Enterprise discount', 'utf16le').swap16().toString('hex')}0`;
+        const pdf = buildPdf(`BT /F1 12 Tf 72 712 Td <${utf16}> Tj 0 -14 Td <4F6B3> Tj ET`);
+
+        expect(knowledge.extractPdfText(pdf)).toBe('Enterprise discount\nOk0');
+    });
+
+    it('ranks passages with BM25 and keeps profiles apart', () => {
+        knowledge.addDocument('sales', writeDoc('pricing.md', '# Pricing\n\nThe enterprise plan costs $40 per seat per month.\n\nThe team plan costs $20 per seat.'));
+        knowledge.addDocument('sales', writeDoc('security.txt', 'All customer data is encrypted at rest and SOC 2 audited every year.'));
+        knowledge.addDocument('meeting', writeDoc('agenda.txt', 'Enterprise roadmap review on Friday.'));
+
+        const passages = knowledge.searchKnowledge('sales', 'How much does the enterprise plan cost?');
+
+        expect(passages.map(passage => passage.documentName)).toEqual(['pricing.md']);
+        expect(passages[0].text).toContain('$40 per seat');
+        expect(knowledge.searchKnowledge('sales', 'Is our data encrypted?')[0].documentName).toBe('security.txt');
+        expect(knowledge.searchKnowledge('interview', 'enterprise plan')).toEqual([]);
+    });
+
+    it('replaces a re-added file and removes documents', () => {
+        knowledge.addDocument('sales', writeDoc('pricing.md', 'The enterprise plan costs $40 per seat.'));
+        const updated = knowledge.addDocument('sales', writeDoc('pricing.md', 'The enterprise plan costs $45 per seat.'));
+
+        expect(knowledge.listDocuments('sales')).toHaveLength(1);
+        expect(knowledge.searchKnowledge('sales', 'enterprise plan')[0].text).toContain('$45');
+
+        knowledge.removeDocument('sales', updated.id);
+        expect(knowledge.searchKnowledge('sales', 'enterprise plan')).toEqual([]);
+        expect(() => knowledge.addDocument('sales', writeDoc('deck.pptx', 'slides'))).toThrow('Unsupported file type');
+    });
+
+    it('adds matching passages to voice questions with their source', async () => {
+        knowledge.addDocument('sales', writeDoc('pricing.csv', 'Plan,Price\nEnterprise,$40 per seat\nTeam,$20 per seat\n'));
+        groq.initializeGroq('gsk_test', '', 'sales');
+        mock.enqueue('groq-transcription', { body: { text: 'What does the enterprise plan cost?' } });
+
+        groq.addAudioChunk(Buffer.alloc(24000, 0x40), 'system');
+        await groq.flushAudioBuffer('llama-4-maverick', 'system');
+
+        const chat = JSON.parse(mock.requests.find(request => request.route === 'groq-chat').body);
+        const prompt = chat.messages.at(-1).content;
+        expect(prompt).toContain('[source: pricing.csv]\nPlan: Enterprise. Price: $40 per seat');
+        expect(prompt.endsWith('What does the enterprise plan cost?')).toBe(true);
+    });
+
+    it('leaves questions without a match untouched', async () => {
+        knowledge.addDocument('sales', writeDoc('pricing.md', 'The enterprise plan costs $40 per seat.'));
+        groq.initializeGroq('gsk_test', '', 'sales');
+
+        groq.addAudioChunk(Buffer.alloc(24000, 0x40), 'system');
+        await groq.flushAudioBuffer('llama-4-maverick', 'system');
+
+        const chat = JSON.parse(mock.requests.find(request => request.route === 'groq-chat').body);
+        expect(chat.messages.at(-1).content).toBe('What is a closure in JavaScript?');
+    });
+});
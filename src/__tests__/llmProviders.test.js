@@ -0,0 +1,176 @@
+const http = require('http');
+const { BrowserWindow } = require('electron');
+const {
+    configureProviders,
+    getProviderForModel,
+    getOpenAICompatibleModelId,
+    fetchOpenAICompatibleModels,
+    listAvailableModels,
+    chatWithModel,
+} = require('../utils/llmProviders');
+const { configureRequestPolicy, resetRequestExecutor } = require('../utils/requestExecutor');
+
+// Minimal OpenAI-compatible server (same shape as llama.cpp / Ollama /v1 endpoints)
+function startFakeServer() {
+    const requests = [];
+    const closed = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+            if (req.method === 'GET' && req.url === '/v1/models') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ object: 'list', data: [{ id: 'llama3.1:8b' }, { id: 'qwen2.5:7b' }] }));
+                return;
+            }
+
+            if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                for (const content of ['Hello', ' from', ' local']) {
+                    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+                }
+                res.end('data: [DONE]\n\n');
+                return;
+            }
+
+            // Accepts the request and never answers
+            if (req.method === 'POST' && req.url === '/stall/chat/completions') {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.on('close', () => closed.push(req.url));
+                return;
+            }
+
+            res.writeHead(404);
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const origin = `http://127.0.0.1:${server.address().port}`;
+            resolve({ server, requests, closed, origin, baseUrl: `${origin}/v1` });
+        });
+    });
+}
+
+describe('LLM provider layer', () => {
+    let fake;
+
+    beforeAll(async () => {
+        fake = await startFakeServer();
+    });
+
+    afterAll(() => {
+        fake.server.close();
+    });
+
+    beforeEach(() => {
+        fake.requests.length = 0;
+        configureProviders({});
+    });
+
+    describe('model routing', () => {
+        it('routes models to the provider that owns them', () => {
+            expect(getProviderForModel('llama-4-maverick').id).toBe('groq');
+            expect(getProviderForModel('llama-4-scout').id).toBe('groq');
+            expect(getProviderForModel('gemini-2.5-flash-lite').id).toBe('gemini');
+            expect(getProviderForModel('gemini-3-pro-preview').id).toBe('gemini');
+            expect(getProviderForModel('openai:llama3.1:8b').id).toBe('openai-compatible');
+        });
+
+        it('falls back to Groq for unknown models', () => {
+            expect(getProviderForModel('unknown-model').id).toBe('groq');
+        });
+
+        it('strips the namespace from OpenAI-compatible model ids', () => {
+            expect(getOpenAICompatibleModelId('openai:llama3.1:8b')).toBe('llama3.1:8b');
+            expect(getOpenAICompatibleModelId('llama-4-scout')).toBe('llama-4-scout');
+        });
+    });
+
+    describe('configureProviders', () => {
+        it('normalizes base URL and parses the manual model list', () => {
+            const settings = configureProviders({
+                openAICompatible: { baseUrl: ' http://localhost:8080/v1/ ', models: 'a, b,\nb,  ' },
+            });
+            expect(settings.openAICompatible.baseUrl).toBe('http://localhost:8080/v1');
+            expect(settings.openAICompatible.models).toEqual(['a', 'b']);
+        });
+    });
+
+    describe('model discovery', () => {
+        it('fetches models from an OpenAI-compatible /models endpoint', async () => {
+            const models = await fetchOpenAICompatibleModels(fake.baseUrl);
+            expect(models).toEqual(['llama3.1:8b', 'qwen2.5:7b']);
+        });
+
+        it('returns an empty list when the endpoint is unreachable', async () => {
+            const models = await fetchOpenAICompatibleModels('http://127.0.0.1:1/v1');
+            expect(models).toEqual([]);
+        });
+
+        it('lists only models from configured providers', async () => {
+            configureProviders({ groqApiKey: 'gsk_test' });
+            const models = await listAvailableModels('interview');
+            expect(models.map(m => m.value)).toEqual(['llama-4-maverick', 'llama-4-scout']);
+        });
+
+        it('merges advertised and manual models from the OpenAI-compatible endpoint', async () => {
+            configureProviders({ openAICompatible: { baseUrl: fake.baseUrl, models: 'custom-model' } });
+            const models = await listAvailableModels('interview');
+            expect(models.map(m => m.value)).toEqual(['openai:custom-model', 'openai:llama3.1:8b', 'openai:qwen2.5:7b']);
+            expect(models.every(m => m.provider === 'openai-compatible')).toBe(true);
+        });
+
+        it('filters models by mode', async () => {
+            configureProviders({ geminiApiKey: 'AIza_test' });
+            const coding = await listAvailableModels('coding');
+            expect(coding.map(m => m.value)).not.toContain('gemini-2.5-flash-lite');
+            expect(coding.map(m => m.value)).toContain('gemini-3-pro-preview');
+        });
+    });
+
+    describe('chat through an OpenAI-compatible endpoint', () => {
+        it('streams the response and sends it to the renderer', async () => {
+            configureProviders({ openAICompatible: { baseUrl: fake.baseUrl, apiKey: 'local-key' } });
+            const send = BrowserWindow.getAllWindows()[0].webContents.send;
+            send.mockClear();
+
+            const response = await chatWithModel('What is a closure?', 'openai:llama3.1:8b');
+
+            expect(response).toBe('Hello from local');
+            expect(send).toHaveBeenCalledWith('update-response', 'Hello from local');
+
+            const chatRequest = fake.requests.find(r => r.url === '/v1/chat/completions');
+            const body = JSON.parse(chatRequest.body);
+            expect(body.model).toBe('llama3.1:8b');
+            expect(body.stream).toBe(true);
+            expect(body.messages[body.messages.length - 1]).toEqual({ role: 'user', content: 'What is a closure?' });
+            expect(chatRequest.headers.authorization).toBe('Bearer local-key');
+        });
+
+        it('omits the Authorization header when no API key is set', async () => {
+            configureProviders({ openAICompatible: { baseUrl: fake.baseUrl } });
+            await chatWithModel('Hi', 'openai:qwen2.5:7b');
+            const chatRequest = fake.requests.find(r => r.url === '/v1/chat/completions');
+            expect(chatRequest.headers.authorization).toBeUndefined();
+        });
+
+        it('rejects when the endpoint is not configured', async () => {
+            await expect(chatWithModel('Hi', 'openai:qwen2.5:7b')).rejects.toThrow('OpenAI-compatible endpoint not configured');
+        });
+
+        it('aborts the request when it outlives the executor deadline', async () => {
+            configureRequestPolicy({ taskTimeoutMs: 50 });
+            configureProviders({ openAICompatible: { baseUrl: `${fake.origin}/stall` } });
+            try {
+                await expect(chatWithModel('Hi', 'openai:qwen2.5:7b')).rejects.toMatchObject({ message: 'Request timeout', retryable: false });
+                await vi.waitFor(() => expect(fake.closed).toEqual(['/stall/chat/completions']));
+            } finally {
+                resetRequestExecutor();
+            }
+        });
+    });
+});
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ipcMain } = require('electron');
+const { createMockProviderServer } = require('../../scripts/mock-provider-server');
+
+const MINUTES_REPLY = {
+    summary: 'The team reviewed the Q3 launch plan.',
+    decisions: ['Launch moves to October 14'],
+    actionItems: [{ task: 'Update the pricing page', owner: 'Sarah', due: 'Friday' }, { task: 'Book the venue' }],
+    openQuestions: ['Who signs off on the budget?'],
+};
+
+describe('meeting minutes', () => {
+    let mock;
+    let home;
+    let archive;
+    let minutes;
+    let configureProviders;
+    let resetRequestExecutor;
+    let configureRequestPolicy;
+
+    const at = time => Date.parse(`2026-10-19T${time}Z`);
+
+    function recordMeeting(meta = { profile: 'meeting', model: 'llama-4-maverick', language: 'de-DE' }) {
+        const id = archive.startSession(meta);
+        archive.recordSessionEvent('transcript', { text: "Let's move the launch to October 14." }, at('09:00:10'));
+        archive.recordSessionEvent('prompt', { text: "Let's move the launch to October 14.", image: false }, at('09:00:11'));
+        archive.recordSessionEvent('response', { text: 'Sounds good.' }, at('09:00:12'));
+        archive.recordSessionEvent('transcript', { text: 'Sarah, can you update the pricing page by Friday?' }, at('09:01:00'));
+        archive.endSession();
+        return id;
+    }
+
+    beforeAll(async () => {
+        mock = createMockProviderServer();
+        const { groqBaseUrl, geminiBaseUrl } = await mock.start();
+        // Base URLs are read when the modules load
+        process.env.GROQ_API_BASE = groqBaseUrl;
+        process.env.GEMINI_API_BASE = geminiBaseUrl;
+        archive = require('../utils/sessionArchive');
+        minutes = require('../utils/meetingMinutes');
+        ({ configureProviders } = require('../utils/llmProviders'));
+        ({ resetRequestExecutor, configureRequestPolicy } = require('../utils/requestExecutor'));
+    });
+
+    afterAll(async () => {
+        delete process.env.GROQ_API_BASE;
+        delete process.env.GEMINI_API_BASE;
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        resetRequestExecutor();
+        configureRequestPolicy({ baseDelayMs: 1, maxDelayMs: 5 });
+        configureProviders({ groqApiKey: 'gsk_test', geminiApiKey: 'gemini_test' });
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-minutes-'));
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+    });
+
+    afterEach(() => {
+        archive.endSession();
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('sends only the timestamped transcript', () => {
+        const session = archive.readSession(recordMeeting());
+
+        expect(minutes.buildMinutesTranscript(session)).toBe(
+            "[09:00:10] Let's move the launch to October 14.\n[09:01:00] Sarah, can you update the pricing page by Friday?"
+        );
+    });
+
+    it('labels lines with their speaker when the channels were separate', () => {
+        const id = archive.startSession({ profile: 'meeting' });
+        archive.recordSessionEvent('transcript', { text: 'I can take the pricing page.', speaker: 'You', source: 'mic' }, at('09:02:00'));
+        archive.endSession();
+
+        expect(minutes.buildMinutesTranscript(archive.readSession(id))).toBe('[09:02:00] You: I can take the pricing page.');
+    });
+
+    it('parses fenced JSON replies and fills in missing fields', () => {
+        const parsed = minutes.parseMinutesResponse('Here you go:\n```json\n' + JSON.stringify(MINUTES_REPLY) + '\n```');
+
+        expect(parsed.actionItems).toEqual([
+            { task: 'Update the pricing page', owner: 'Sarah', due: 'Friday' },
+            { task: 'Book the venue', owner: '', due: '' },
+        ]);
+        expect(() => minutes.parseMinutesResponse('I could not find any decisions.')).toThrow('expected format');
+    });
+
+    it('generates minutes with the session model and stores them', async () => {
+        const id = recordMeeting();
+        mock.enqueue('groq-completion', { body: { choices: [{ message: { content: JSON.stringify(MINUTES_REPLY) } }] } });
+
+        const result = await minutes.generateMinutes();
+
+        expect(result).toMatchObject({ sessionId: id, model: 'llama-4-maverick', decisions: ['Launch moves to October 14'] });
+        const request = JSON.parse(mock.requests[0].body);
+        expect(request.stream).toBe(false);
+        expect(request.model).toBe('meta-llama/llama-4-maverick-17b-128e-instruct');
+        expect(request.messages[0].content).toContain('Write the minutes in German');
+        expect(request.messages[1].content).toContain('[09:01:00] Sarah, can you update the pricing page by Friday?');
+        expect(minutes.readMinutes(id)).toEqual(result);
+    });
+
+    it('works with Gemini models', async () => {
+        const id = recordMeeting({ profile: 'meeting', model: 'gemini-2.5-flash', language: 'en-US' });
+        mock.enqueue('gemini-generate', { body: { candidates: [{ content: { role: 'model', parts: [{ text: JSON.stringify(MINUTES_REPLY) }] } }] } });
+
+        const result = await minutes.generateMinutes({ id });
+
+        expect(result.summary).toBe('The team reviewed the Q3 launch plan.');
+        expect(mock.requests[0].url).toContain('gemini-2.5-flash:generateContent');
+    });
+
+    it('refuses sessions without a transcript', async () => {
+        archive.startSession({ profile: 'meeting' });
+        archive.endSession();
+
+        await expect(minutes.generateMinutes()).rejects.toThrow('no transcript');
+        expect(mock.requests).toHaveLength(0);
+    });
+
+    it('saves edits and exports them as Markdown', () => {
+        const id = recordMeeting();
+        minutes.saveMinutes(id, { ...MINUTES_REPLY, summary: 'Edited summary', model: 'llama-4-maverick' });
+
+        const { filePath } = minutes.exportMinutes(id, 'markdown', path.join(home, 'exports'));
+        const markdown = fs.readFileSync(filePath, 'utf8');
+
+        expect(markdown).toContain('## Summary\n\nEdited summary');
+        expect(markdown).toContain('| Update the pricing page | Sarah | Friday |');
+        expect(markdown).toContain('| Book the venue | — | — |');
+        expect(markdown).toContain('- Who signs off on the budget?');
+    });
+
+    it('serves minutes over IPC', async () => {
+        const handlers = {};
+        const handleSpy = vi.spyOn(ipcMain, 'handle').mockImplementation((channel, handler) => {
+            handlers[channel] = handler;
+        });
+        minutes.setupMeetingMinutesIpcHandlers();
+        handleSpy.mockRestore();
+
+        const id = recordMeeting();
+        expect(await handlers['get-meeting-minutes']({})).toEqual({ success: true, sessionId: id, minutes: null });
+
+        mock.enqueue('groq-completion', { body: { choices: [{ message: { content: JSON.stringify(MINUTES_REPLY) } }] } });
+        const generated = await handlers['generate-meeting-minutes']({}, { id, providerSettings: { groqApiKey: 'gsk_other' } });
+        expect(generated.success).toBe(true);
+        expect(mock.requests[0].headers.authorization).toBe('Bearer gsk_other');
+
+        const saved = await handlers['save-meeting-minutes']({}, { id, minutes: { ...generated.minutes, decisions: [] } });
+        expect(saved.minutes.decisions).toEqual([]);
+        expect((await handlers['get-meeting-minutes']({}, id)).minutes.decisions).toEqual([]);
+    });
+});
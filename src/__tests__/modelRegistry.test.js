@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    registerModels,
+    loadUserModels,
+    getModel,
+    getModelProvider,
+    listModels,
+    getModelOptions,
+    getModelDisplayName,
+    getProviderModelId,
+    getMaxOutputTokens,
+    supportsVision,
+    getModelDefaults,
+    resetModelRegistry,
+} = require('../utils/modelRegistry');
+const { getProviderForModel } = require('../utils/llmProviders');
+
+describe('model registry', () => {
+    afterEach(() => {
+        resetModelRegistry();
+    });
+
+    describe('built-in models', () => {
+        it('lists models per mode', () => {
+            expect(listModels({ mode: 'interview' }).map(m => m.id)).toEqual(['gemini-2.5-flash-lite', 'llama-4-maverick', 'llama-4-scout']);
+            expect(listModels({ mode: 'coding' }).map(m => m.id)).toEqual(['gemini-2.5-flash', 'gemini-3-flash-preview', 'gemini-3-pro-preview']);
+        });
+
+        it('records provider ids, limits and names', () => {
+            expect(getProviderModelId('llama-4-scout')).toBe('meta-llama/llama-4-scout-17b-16e-instruct');
+            expect(getMaxOutputTokens('gemini-3-pro-preview')).toBe(65536);
+            expect(getMaxOutputTokens('llama-4-maverick')).toBe(8192);
+            expect(getModelDisplayName('gemini-3-pro-preview')).toBe('Gemini 3.0 Pro');
+            expect(getModelDisplayName('gemini-3-pro-preview', { short: true })).toBe('3.0 Pro Preview');
+            expect(supportsVision('llama-4-maverick')).toBe(true);
+        });
+
+        it('returns per-mode generation defaults', () => {
+            expect(getModelDefaults('gemini-2.5-flash-lite', 'interview')).toEqual({ temperature: 0.7, topP: 0.9, maxOutputTokens: 768 });
+            expect(getModelDefaults('gemini-2.5-flash-lite', 'coding')).toBeNull();
+            expect(getModelDefaults('unknown-model', 'interview')).toBeNull();
+        });
+
+        it('builds dropdown options with labels and icons', () => {
+            const [maverick] = getModelOptions({ provider: 'groq' });
+            expect(maverick).toEqual({
+                value: 'llama-4-maverick',
+                label: 'Llama 4 Maverick 17B',
+                icon: './assets/models/metalogo.dcf881ba.svg',
+                modes: ['interview'],
+            });
+        });
+    });
+
+    describe('unregistered models', () => {
+        it('resolves providers from the id conventions', () => {
+            expect(getModelProvider('openai:llama3.1:8b')).toBe('openai-compatible');
+            expect(getModelProvider('gemini-9-ultra')).toBe('gemini');
+            expect(getModelProvider('mystery')).toBeNull();
+        });
+
+        it('falls back to provider defaults', () => {
+            expect(getModelDisplayName('openai:llama3.1:8b')).toBe('llama3.1:8b');
+            expect(getMaxOutputTokens('openai:llama3.1:8b')).toBe(65536);
+            expect(getMaxOutputTokens('mystery')).toBe(8192);
+            expect(supportsVision('mystery')).toBe(false);
+        });
+    });
+
+    describe('registerModels', () => {
+        it('adds a model with derived fields', () => {
+            const result = registerModels({ models: [{ id: 'llama-3.3-70b', provider: 'groq', providerModelId: 'llama-3.3-70b-versatile', maxOutputTokens: 32768 }] });
+
+            expect(result).toEqual({ added: ['llama-3.3-70b'], errors: [] });
+            expect(getModel('llama-3.3-70b')).toMatchObject({
+                displayName: 'llama-3.3-70b',
+                label: 'llama-3.3-70b',
+                modes: ['interview'],
+                vision: true,
+                icon: './assets/models/metalogo.dcf881ba.svg',
+            });
+            expect(getProviderModelId('llama-3.3-70b')).toBe('llama-3.3-70b-versatile');
+            expect(listModels({ provider: 'groq' })).toHaveLength(3);
+        });
+
+        it('overrides a built-in model by id', () => {
+            registerModels([{ id: 'llama-4-scout', provider: 'groq', providerModelId: 'meta-llama/llama-4-scout-next', displayName: 'Scout Next' }]);
+
+            expect(getModelDisplayName('llama-4-scout')).toBe('Scout Next');
+            expect(getProviderModelId('llama-4-scout')).toBe('meta-llama/llama-4-scout-next');
+        });
+
+        it('describes OpenAI-compatible models without a provider field', () => {
+            registerModels([{ id: 'openai:qwen2.5:14b', displayName: 'Qwen 2.5 14B', vision: false, maxOutputTokens: 4096 }]);
+
+            expect(getModelProvider('openai:qwen2.5:14b')).toBe('openai-compatible');
+            expect(getProviderModelId('openai:qwen2.5:14b')).toBe('qwen2.5:14b');
+            expect(supportsVision('openai:qwen2.5:14b')).toBe(false);
+            expect(getMaxOutputTokens('openai:qwen2.5:14b')).toBe(4096);
+        });
+
+        it('skips invalid entries and reports why', () => {
+            const result = registerModels([
+                { provider: 'groq' },
+                { id: 'claude', provider: 'anthropic' },
+                { id: 'tiny', provider: 'groq', maxOutputTokens: -1 },
+                { id: 'gemini-custom', provider: 'gemini', modes: ['coding', 'karaoke'] },
+            ]);
+
+            expect(result.added).toEqual(['gemini-custom']);
+            expect(result.errors).toEqual([
+                'Model entry is missing an id',
+                'claude: unknown provider "anthropic" (expected gemini or groq, or an "openai:" id)',
+                'tiny: maxOutputTokens must be a positive number',
+            ]);
+            expect(getModel('gemini-custom').modes).toEqual(['coding']);
+        });
+
+        it('routes registered models to their provider', () => {
+            registerModels([{ id: 'llama-3.3-70b', provider: 'groq' }]);
+            expect(getProviderForModel('llama-3.3-70b').id).toBe('groq');
+            expect(getProviderForModel('gemini-2.5-flash').id).toBe('gemini');
+        });
+    });
+
+    describe('loadUserModels', () => {
+        let configDir;
+
+        beforeEach(() => {
+            configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-models-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(configDir, { recursive: true, force: true });
+        });
+
+        it('registers models from models.json in the config dir', () => {
+            fs.writeFileSync(
+                path.join(configDir, 'models.json'),
+                JSON.stringify({
+                    models: [
+                        {
+                            id: 'gemini-2.5-pro',
+                            provider: 'gemini',
+                            displayName: 'Gemini 2.5 Pro',
+                            modes: ['coding'],
+                            defaults: { coding: { temperature: 0.3, topP: 0.9, maxOutputTokens: 12000 } },
+                        },
+                    ],
+                })
+            );
+
+            expect(loadUserModels(configDir)).toEqual({ added: ['gemini-2.5-pro'], errors: [] });
+            expect(listModels({ mode: 'coding' }).map(m => m.id)).toContain('gemini-2.5-pro');
+            expect(getModelDefaults('gemini-2.5-pro', 'coding')).toEqual({ temperature: 0.3, topP: 0.9, maxOutputTokens: 12000 });
+        });
+
+        it('ignores a missing file', () => {
+            expect(loadUserModels(configDir)).toEqual({ added: [], errors: [] });
+        });
+
+        it('reports malformed JSON without touching the built-ins', () => {
+            fs.writeFileSync(path.join(configDir, 'models.json'), '{ "models": [');
+
+            const result = loadUserModels(configDir);
+
+            expect(result.added).toEqual([]);
+            expect(result.errors).toHaveLength(1);
+            expect(listModels()).toHaveLength(6);
+        });
+    });
+});
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BrowserWindow, ipcMain } = require('electron');
+const { createMockProviderServer } = require('../../scripts/mock-provider-server');
+
+const completionReply = content => ({ body: { choices: [{ message: { content } }] } });
+const offersReply = offers => completionReply(JSON.stringify({ offers }));
+
+describe('negotiation offers', () => {
+    let mock;
+    let home;
+    let negotiation;
+    let sessionArchive;
+    let configureProviders;
+    let resetRequestExecutor;
+    let configureRequestPolicy;
+    let getCircuitState;
+    const handler = channel => ipcMain.handle.mock.calls.filter(call => call[0] === channel).at(-1)[1];
+
+    beforeAll(async () => {
+        mock = createMockProviderServer();
+        const { groqBaseUrl, geminiBaseUrl } = await mock.start();
+        // Base URLs are read when the modules load
+        process.env.GROQ_API_BASE = groqBaseUrl;
+        process.env.GEMINI_API_BASE = geminiBaseUrl;
+        negotiation = require('../utils/negotiationOffers');
+        sessionArchive = require('../utils/sessionArchive');
+        ({ configureProviders } = require('../utils/llmProviders'));
+        ({ resetRequestExecutor, configureRequestPolicy, getCircuitState } = require('../utils/requestExecutor'));
+    });
+
+    afterAll(async () => {
+        delete process.env.GROQ_API_BASE;
+        delete process.env.GEMINI_API_BASE;
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        resetRequestExecutor();
+        configureProviders({ groqApiKey: 'gsk_test', geminiApiKey: 'gemini_test' });
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-negotiation-'));
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+        negotiation.setupNegotiationIpcHandlers();
+    });
+
+    afterEach(async () => {
+        await negotiation.finishNegotiation();
+        sessionArchive.endSession();
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('parses offers from the model reply and compares them to the user position', () => {
+        const reply = '```json\n{"offers":[{"line":2,"amount":"$120,000","currency":"usd","terms":" net 30 ","date":""},{"amount":"n/a"}]}\n```';
+        expect(negotiation.parseOffersResponse(reply)).toEqual([{ line: 2, amount: 120000, currency: 'USD', terms: 'net 30', date: '' }]);
+        expect(() => negotiation.parseOffersResponse('No offers here')).toThrow('The model did not return offers in the expected format');
+
+        // Selling: target above walk-away
+        expect(negotiation.comparePosition(120000, 130000, 110000)).toEqual({ gapToTarget: -10000, withinWalkAway: true });
+        expect(negotiation.comparePosition(100000, 130000, 110000)).toEqual({ gapToTarget: -30000, withinWalkAway: false });
+        // Buying: target below walk-away
+        expect(negotiation.comparePosition(95, 80, 100)).toEqual({ gapToTarget: 15, withinWalkAway: true });
+        expect(negotiation.comparePosition(95, null, null)).toEqual({ gapToTarget: null, withinWalkAway: null });
+    });
+
+    it('builds the offer timeline from the live transcript', async () => {
+        const sessionId = sessionArchive.startSession({ profile: 'negotiation' });
+        expect(await handler('start-negotiation-tracker')({}, { target: '130000', walkAway: '110,000', batchDelayMs: 10 })).toMatchObject({
+            success: true,
+            record: { sessionId, target: 130000, walkAway: 110000, offers: [] },
+        });
+
+        mock.enqueue('groq-completion', offersReply([{ line: 1, amount: 100000, currency: 'USD', terms: 'annual license', date: '' }]));
+        mock.enqueue(
+            'groq-completion',
+            offersReply([
+                { line: 1, amount: 125000, currency: 'USD', terms: '', date: 'start on March 1' },
+                { line: 2, amount: 120000, currency: 'USD', terms: '', date: '' },
+            ])
+        );
+
+        const lines = [
+            { source: 'system', speaker: 'Other participants', text: 'We could do 100k for the annual license.' },
+            { source: 'mic', speaker: 'You', text: 'That sounds low for what you get.' },
+            { source: 'mic', speaker: 'You', text: 'I can meet you at 125 thousand if we start March 1.' },
+            { source: 'mic', speaker: 'You', text: 'Actually, 120k and we have a deal.' },
+        ];
+        const record = line => negotiation.recordNegotiationUtterance({ ...line, ts: Date.parse('2026-10-19T10:00:00Z') + lines.indexOf(line) * 10000 });
+        await record(lines[0]);
+        await record(lines[1]);
+        // Said in quick succession: one request for both
+        record(lines[2]);
+        await record(lines[3]);
+
+        // The line without a number is not sent, but it is context for the next one
+        expect(mock.requests).toHaveLength(2);
+        const request = JSON.parse(mock.requests[1].body);
+        expect(request.messages[0].content).toContain('"offers"');
+        expect(request.messages[1].content).toBe(
+            'Earlier lines:\nOther participants: We could do 100k for the annual license.\nYou: That sounds low for what you get.\n\n' +
+                'NEW LINES:\n1. You: I can meet you at 125 thousand if we start March 1.\n2. You: Actually, 120k and we have a deal.'
+        );
+
+        expect(negotiation.readOffers(sessionId).offers).toMatchObject([
+            { side: 'them', kind: 'offer', amount: 100000, terms: 'annual license', gapToTarget: -30000, withinWalkAway: false, ts: '2026-10-19T10:00:00.000Z' },
+            { side: 'you', kind: 'counteroffer', amount: 125000, date: 'start on March 1', gapToTarget: -5000, withinWalkAway: true },
+            { side: 'you', kind: 'revised', amount: 120000, quote: 'Actually, 120k and we have a deal.', ts: '2026-10-19T10:00:30.000Z' },
+        ]);
+        const send = BrowserWindow.getAllWindows()[0].webContents.send;
+        expect(send).toHaveBeenCalledWith('negotiation-offers-update', expect.objectContaining({ sessionId }));
+
+        await negotiation.finishNegotiation();
+        sessionArchive.endSession();
+        expect(fs.existsSync(path.join(sessionArchive.getSessionsDir(), `${sessionId}.offers.json`))).toBe(true);
+        expect(await handler('get-negotiation-offers')({})).toMatchObject({ success: true, sessionId, record: { offers: expect.any(Array) } });
+        expect(await handler('get-negotiation-offers')({}, 'missing-session')).toEqual({ success: false, error: 'Session not found' });
+    });
+
+    it('saves the offers of lines still waiting when the negotiation finishes', async () => {
+        const sessionId = sessionArchive.startSession({ profile: 'negotiation' });
+        negotiation.startNegotiation({ target: 50, batchDelayMs: 60000 });
+        mock.enqueue('groq-completion', offersReply([{ line: 1, amount: 45, currency: 'USD', terms: 'per seat', date: '' }]));
+        negotiation.recordNegotiationUtterance({ source: 'system', speaker: 'Other participants', text: 'We can do 45 per seat.' });
+
+        const record = await negotiation.finishNegotiation();
+
+        expect(record.offers).toHaveLength(1);
+        expect(negotiation.readOffers(sessionId).offers).toMatchObject([{ amount: 45, quote: 'We can do 45 per seat.' }]);
+    });
+
+    it('keeps the session going when extraction fails', async () => {
+        sessionArchive.startSession({ profile: 'negotiation' });
+        negotiation.startNegotiation({ target: 50, batchDelayMs: 0 });
+        mock.enqueue('groq-completion', completionReply('I could not find any offers.'));
+
+        await negotiation.recordNegotiationUtterance({ source: 'system', speaker: 'Other participants', text: 'Maybe 40 per seat?' });
+
+        expect(negotiation.readOffers(sessionArchive.getActiveSessionId()).offers).toEqual([]);
+    });
+
+    it('keeps failed extractions away from the live answers', async () => {
+        configureRequestPolicy({ maxRetries: 0, breakerThreshold: 1, breakerCooldownMs: 60000 });
+        sessionArchive.startSession({ profile: 'negotiation' });
+        negotiation.startNegotiation({ batchDelayMs: 0 });
+        mock.enqueue('groq-completion', { status: 503, body: { error: { message: 'Service unavailable' } } });
+
+        await negotiation.recordNegotiationUtterance({ source: 'system', speaker: 'Other participants', text: 'Say 45 per seat?' });
+
+        expect(getCircuitState('negotiation:groq')).toBe('open');
+        expect(getCircuitState('groq')).toBe('closed');
+    });
+
+    it('exports a clean negotiation record', async () => {
+        const sessionId = sessionArchive.startSession({ profile: 'negotiation' });
+        negotiation.startNegotiation({ target: 80, walkAway: 100, batchDelayMs: 0 });
+        mock.enqueue('groq-completion', offersReply([{ amount: 95, currency: 'EUR', terms: 'per seat | monthly', date: '' }]));
+        await negotiation.recordNegotiationUtterance({
+            source: 'system',
+            speaker: 'Other participants',
+            text: 'Best we can do is 95 euros per seat.',
+            ts: Date.parse('2026-10-19T09:30:15Z'),
+        });
+        await negotiation.finishNegotiation();
+
+        const markdown = await handler('export-negotiation-record')({}, { id: sessionId, format: 'markdown' });
+        expect(markdown).toMatchObject({ success: true, filePath: expect.stringMatching(/-negotiation\.md$/) });
+        const content = fs.readFileSync(markdown.filePath, 'utf8');
+        expect(content).toContain('- Target: 80');
+        expect(content).toContain('- Offers: 1 (0 from you, 1 from the other side)');
+        expect(content).toContain('| 1 | 09:30:15 | Other side | offer | 95 EUR | per seat \\| monthly | — | +15 | yes |');
+
+        const json = await handler('export-negotiation-record')({}, { id: sessionId, format: 'json' });
+        expect(JSON.parse(fs.readFileSync(json.filePath, 'utf8'))).toMatchObject({ target: 80, walkAway: 100, offers: [{ amount: 95 }] });
+        expect(await handler('export-negotiation-record')({}, { id: sessionId, format: 'pdf' })).toEqual({
+            success: false,
+            error: 'Unknown export format "pdf" (expected markdown, json)',
+        });
+    });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ipcMain } = require('electron');
+const { createMockProviderServer } = require('../../scripts/mock-provider-server');
+
+const FEEDBACK_REPLY = {
+    structure: { score: 8, feedback: 'Clear situation and result.' },
+    clarity: { score: 12, feedback: 'Easy to follow.' },
+    suggestions: ['Quantify the impact', ''],
+};
+
+const completionReply = content => ({ body: { choices: [{ message: { content } }] } });
+
+describe('practice interview', () => {
+    let mock;
+    let home;
+    let practice;
+    let configureProviders;
+    let resetRequestExecutor;
+
+    beforeAll(async () => {
+        mock = createMockProviderServer();
+        const { groqBaseUrl, geminiBaseUrl } = await mock.start();
+        // Base URLs are read when the modules load
+        process.env.GROQ_API_BASE = groqBaseUrl;
+        process.env.GEMINI_API_BASE = geminiBaseUrl;
+        practice = require('../utils/practiceInterview');
+        ({ configureProviders } = require('../utils/llmProviders'));
+        ({ resetRequestExecutor } = require('../utils/requestExecutor'));
+    });
+
+    afterAll(async () => {
+        delete process.env.GROQ_API_BASE;
+        delete process.env.GEMINI_API_BASE;
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        resetRequestExecutor();
+        configureProviders({ groqApiKey: 'gsk_test', geminiApiKey: 'gemini_test' });
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-practice-'));
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('counts words, pace and filler words', () => {
+        const metrics = practice.analyzeAnswer('Um, so I, like, basically led the migration. I like Go, you know, and um it worked.', 30000);
+
+        expect(metrics).toEqual({ wordCount: 17, wordsPerMinute: 34, fillerCount: 5, fillerWords: { um: 2, like: 1, 'you know': 1, basically: 1 } });
+        expect(practice.analyzeAnswer('Typed answer', 0).wordsPerMinute).toBeNull();
+    });
+
+    it('scores length and filler words locally', () => {
+        expect(practice.scoreLength({ wordCount: 40, wordsPerMinute: null }).score).toBe(5);
+        expect(practice.scoreLength({ wordCount: 150, wordsPerMinute: 140 })).toEqual({ score: 10, feedback: '150 words is a good length for a spoken answer.' });
+        expect(practice.scoreLength({ wordCount: 560, wordsPerMinute: 200 }).feedback).toContain('slow down');
+        expect(practice.scoreFillerWords({ wordCount: 100, fillerCount: 0, fillerWords: {} }).score).toBe(10);
+        expect(practice.scoreFillerWords({ wordCount: 100, fillerCount: 3, fillerWords: { um: 2, like: 1 } })).toMatchObject({
+            score: 4,
+            feedback: expect.stringContaining('"um" ×2, "like" ×1'),
+        });
+    });
+
+    it('asks the coach for a question for the role', async () => {
+        mock.enqueue('groq-completion', completionReply('"Tell me about a time you disagreed with a teammate."'));
+
+        const question = await practice.generateQuestion({ role: 'Engineering manager', language: 'fr-FR' });
+
+        expect(question).toBe('Tell me about a time you disagreed with a teammate.');
+        const request = JSON.parse(mock.requests[0].body);
+        expect(request.messages[0].content).toContain('You are an interview coach running a mock interview');
+        expect(request.messages[0].content).toContain('Role being practiced: Engineering manager');
+        expect(request.messages[0].content).toContain('next interview question in French');
+        expect(request.messages[1].content).toBe('Ask the first question.');
+        await expect(practice.generateQuestion({ role: ' ' })).rejects.toThrow('Enter the role');
+    });
+
+    it('scores an answer, keeps the round and avoids repeating its question', async () => {
+        mock.enqueue('groq-completion', completionReply('```json\n' + JSON.stringify(FEEDBACK_REPLY) + '\n```'));
+        const answer = Array.from({ length: 100 }, () => 'word').join(' ');
+
+        const round = await practice.scoreAnswer({ role: 'Engineering manager', question: 'Why this team?', answer, durationMs: 40000 });
+
+        expect(round.scores.structure).toEqual({ score: 8, feedback: 'Clear situation and result.' });
+        expect(round.scores.clarity.score).toBe(10);
+        expect(round.scores.length.score).toBe(10);
+        expect(round.overall).toBe(9.5);
+        expect(round.suggestions).toEqual(['Quantify the impact']);
+        expect(round.metrics.wordsPerMinute).toBe(150);
+        expect(JSON.parse(mock.requests[0].body).messages[1].content).toBe(`Question: Why this team?\n\nAnswer: ${answer}`);
+        expect(practice.listRounds()).toEqual([round]);
+
+        mock.enqueue('groq-completion', completionReply('What would you do in your first 90 days?'));
+        await practice.generateQuestion({ role: 'engineering manager' });
+        expect(JSON.parse(mock.requests[1].body).messages[1].content).toContain('- Why this team?');
+    });
+
+    it('rejects replies without feedback', () => {
+        expect(() => practice.parseFeedbackResponse('Great answer!')).toThrow('expected format');
+        expect(() => practice.parseFeedbackResponse('{"structure": {"score": 5}}')).toThrow('expected format');
+    });
+
+    it('serves practice rounds over IPC', async () => {
+        practice.setupPracticeIpcHandlers();
+        const handler = channel => ipcMain.handle.mock.calls.filter(call => call[0] === channel).at(-1)[1];
+        mock.enqueue('groq-completion', completionReply(JSON.stringify(FEEDBACK_REPLY)));
+
+        const scored = await handler('practice-score-answer')({}, { role: 'Designer', question: 'Walk me through a project.', answer: 'I redesigned checkout.' });
+        const empty = await handler('practice-score-answer')({}, { role: 'Designer', question: 'Walk me through a project.', answer: '' });
+
+        expect(scored.success).toBe(true);
+        expect(empty).toEqual({ success: false, error: 'Answer the question before scoring it' });
+        expect((await handler('list-practice-rounds')()).rounds).toHaveLength(1);
+        await handler('clear-practice-rounds')();
+        expect((await handler('list-practice-rounds')()).rounds).toEqual([]);
+    });
+});
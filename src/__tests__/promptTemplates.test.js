@@ -0,0 +1,75 @@
+const templates = require('../utils/promptTemplates');
+
+// Same getItem/setItem surface as the renderer's localStorage
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+}
+
+describe('prompt templates', () => {
+    const template = 'We are meeting {{ company }} about {{product}}.\nAttendees: {{attendees}}\nMention {{product}} early.';
+
+    it('lists each variable once in order of appearance', () => {
+        expect(templates.extractVariables(template)).toEqual(['company', 'product', 'attendees']);
+        expect(templates.extractVariables('No placeholders, just {braces}')).toEqual([]);
+    });
+
+    it('fills variables and drops the ones without a value', () => {
+        const filled = templates.fillTemplate(template, { company: 'Acme', product: ' CRM ' });
+
+        expect(filled).toBe('We are meeting Acme about CRM.\nAttendees: \nMention CRM early.');
+    });
+
+    it('builds the session prompt from the profile values', () => {
+        const storage = createStorage({ customPrompt: 'Pitch {{product}} to {{company}}' });
+        templates.setVariableValue(storage, 'sales', 'product', 'Acme CRM');
+        templates.setVariableValue(storage, 'sales', 'company', 'Globex');
+        templates.setVariableValue(storage, 'meeting', 'company', 'Initech');
+
+        expect(templates.getSessionPrompt(storage, 'sales')).toBe('Pitch Acme CRM to Globex');
+        expect(templates.getSessionPrompt(storage, 'meeting')).toBe('Pitch  to Initech');
+    });
+
+    it('keeps changed revisions only, up to the limit', () => {
+        const storage = createStorage();
+
+        templates.saveRevision(storage, 'sales', 'v1', new Date('2026-01-01T10:00:00Z'));
+        templates.saveRevision(storage, 'sales', 'v1');
+        templates.saveRevision(storage, 'sales', 'v2', new Date('2026-01-01T11:00:00Z'));
+
+        expect(templates.getRevisions(storage, 'sales')).toEqual([
+            { text: 'v1', savedAt: '2026-01-01T10:00:00.000Z' },
+            { text: 'v2', savedAt: '2026-01-01T11:00:00.000Z' },
+        ]);
+        expect(templates.getRevisions(storage, 'meeting')).toEqual([]);
+
+        for (let i = 3; i <= templates.MAX_REVISIONS + 5; i++) {
+            templates.saveRevision(storage, 'sales', `v${i}`);
+        }
+        const revisions = templates.getRevisions(storage, 'sales');
+        expect(revisions).toHaveLength(templates.MAX_REVISIONS);
+        expect(revisions.at(-1).text).toBe(`v${templates.MAX_REVISIONS + 5}`);
+    });
+
+    it('ignores unreadable stored data', () => {
+        const storage = createStorage({ promptRevisions_sales: 'not json', promptVariables_sales: '"text"' });
+
+        expect(templates.getRevisions(storage, 'sales')).toEqual([]);
+        expect(templates.getVariableValues(storage, 'sales')).toEqual({});
+    });
+
+    it('diffs two revisions line by line', () => {
+        const diff = templates.diffLines('Be brief.\nUse bullet points.\nCite sources.', 'Be brief.\nUse numbered lists.\nCite sources.\nAsk follow-ups.');
+
+        expect(diff).toEqual([
+            { type: 'same', text: 'Be brief.' },
+            { type: 'removed', text: 'Use bullet points.' },
+            { type: 'added', text: 'Use numbered lists.' },
+            { type: 'same', text: 'Cite sources.' },
+            { type: 'added', text: 'Ask follow-ups.' },
+        ]);
+    });
+});
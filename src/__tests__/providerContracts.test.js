@@ -0,0 +1,297 @@
+const { BrowserWindow } = require('electron');
+const { createMockProviderServer } = require('../../scripts/mock-provider-server');
+
+// Contract tests for the Groq/Gemini error paths, driven over real HTTP against the offline mock server
+describe('provider API contracts', () => {
+    let mock;
+    let groq;
+    let gemini;
+    let configureSttBackend;
+    let send;
+
+    const wav = Buffer.alloc(64);
+    const statuses = () => send.mock.calls.filter(([channel]) => channel === 'update-status').map(([, status]) => status);
+    const lastStatus = () => statuses().at(-1);
+    const groqError = message => ({ error: { message, type: 'tokens', code: 'rate_limit_exceeded' } });
+
+    beforeAll(async () => {
+        mock = createMockProviderServer();
+        const { groqBaseUrl, geminiBaseUrl } = await mock.start();
+        // Base URLs are read when the modules load
+        process.env.GROQ_API_BASE = groqBaseUrl;
+        process.env.GEMINI_API_BASE = geminiBaseUrl;
+        groq = require('../utils/groq');
+        gemini = require('../utils/gemini');
+        ({ configureSttBackend } = require('../utils/sttBackends'));
+        send = BrowserWindow.getAllWindows()[0].webContents.send;
+    });
+
+    afterAll(async () => {
+        delete process.env.GROQ_API_BASE;
+        delete process.env.GEMINI_API_BASE;
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        send.mockClear();
+        groq.initializeGroq('gsk_test');
+        configureSttBackend({});
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('transcribeWithGroq', () => {
+        it('returns the transcription on success', async () => {
+            const text = await groq.transcribeWithGroq(wav);
+
+            expect(text).toBe('What is a closure in JavaScript?');
+            const request = mock.requests[0];
+            expect(request.route).toBe('groq-transcription');
+            expect(request.headers.authorization).toBe('Bearer gsk_test');
+            expect(request.body).toContain('whisper-large-v3-turbo');
+        });
+
+        it('rejects on a malformed JSON body', async () => {
+            mock.enqueue('groq-transcription', { raw: '{"text": "cut off' });
+            await expect(groq.transcribeWithGroq(wav)).rejects.toThrow(SyntaxError);
+        });
+
+        it.each([
+            [401, 'Invalid API Key (Groq)'],
+            [413, 'Audio too long'],
+            [400, 'Invalid request'],
+            [500, 'Server error'],
+            [503, 'Server error'],
+            [404, 'Connection error'],
+        ])('maps HTTP %i to "%s"', async (status, message) => {
+            mock.enqueue('groq-transcription', { status, body: { error: { message: 'nope' } } });
+
+            await expect(groq.transcribeWithGroq(wav)).rejects.toThrow(message);
+            expect(lastStatus()).toBe(message);
+        });
+
+        it('counts down the rate limit and recovers to Listening...', async () => {
+            vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+            mock.enqueue('groq-transcription', {
+                status: 429,
+                body: groqError('Rate limit reached on tokens per minute (TPM). Please try again in 7.5s.'),
+            });
+
+            await expect(groq.transcribeWithGroq(wav)).rejects.toThrow('Rate Limit: Tokens/min exceeded');
+            expect(lastStatus()).toBe('Rate Limit: Tokens/min exceeded (10s)');
+
+            vi.advanceTimersByTime(1000);
+            expect(lastStatus()).toBe('Rate Limit: Tokens/min exceeded (9s)');
+
+            vi.advanceTimersByTime(9000);
+            expect(lastStatus()).toBe('Listening...');
+        });
+
+        it('times out when the server never answers', async () => {
+            configureSttBackend({ backends: { groq: { timeoutMs: 1000 } } });
+            mock.enqueue('groq-transcription', { hang: true });
+
+            await expect(groq.transcribeWithGroq(wav)).rejects.toThrow('Transcription timeout');
+            expect(lastStatus()).toBe('Transcription timeout');
+        });
+    });
+
+    describe('chatWithLlama', () => {
+        it('streams deltas and stores the turn in history', async () => {
+            groq.clearConversationHistory();
+
+            const response = await groq.chatWithLlama('Explain closures', 'llama-4-scout');
+
+            expect(response).toBe('This is a mock answer.');
+            const deltas = send.mock.calls.filter(([channel]) => channel === 'response-delta').map(([, d]) => d.delta);
+            expect(deltas).toEqual(['This is a ', 'mock answer.']);
+            expect(send).toHaveBeenCalledWith('update-response', 'This is a mock answer.');
+            expect(lastStatus()).toBe('Listening...');
+            expect(groq.getConversationHistory()).toHaveLength(1);
+
+            const body = JSON.parse(mock.requests[0].body);
+            expect(body.model).toBe('meta-llama/llama-4-scout-17b-16e-instruct');
+            expect(body.stream).toBe(true);
+        });
+
+        it('rejects a model the registry does not know instead of answering with another one', async () => {
+            await expect(groq.chatWithLlama('Hi', 'llama-9-unknown')).rejects.toMatchObject({ message: 'Unknown model "llama-9-unknown"', retryable: false });
+            expect(lastStatus()).toBe('Unknown model: llama-9-unknown');
+            expect(mock.requests).toHaveLength(0);
+        });
+
+        it('skips malformed SSE events and keeps the valid ones', async () => {
+            mock.enqueue('groq-chat', {
+                raw: 'data: {"choices": [\n\ndata: {"choices":[{"delta":{"content":"Still works"}}]}\n\ndata: [DONE]\n\n',
+                contentType: 'text/event-stream',
+            });
+
+            await expect(groq.chatWithLlama('Hi', 'llama-4-scout')).resolves.toBe('Still works');
+        });
+
+        it('resolves empty without touching the response when every event is malformed', async () => {
+            mock.enqueue('groq-chat', { raw: 'data: not-json\n\n', contentType: 'text/event-stream' });
+
+            await expect(groq.chatWithLlama('Hi', 'llama-4-scout')).resolves.toBe('');
+            expect(send).not.toHaveBeenCalledWith('update-response', expect.anything());
+        });
+
+        it.each([
+            [401, 'Invalid API Key (Groq)'],
+            [413, 'Request too large'],
+            [400, 'Invalid request'],
+            [500, 'Server error'],
+            [502, 'Server error'],
+            [418, 'Connection error'],
+        ])('maps HTTP %i to "%s"', async (status, message) => {
+            mock.enqueue('groq-chat', { status, body: { error: { message: 'nope' } } });
+
+            await expect(groq.chatWithLlama('Hi', 'llama-4-scout')).rejects.toThrow(message);
+            expect(lastStatus()).toBe(message);
+        });
+
+        it('uses the retry time from the 429 body for the recovery countdown', async () => {
+            vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+            mock.enqueue('groq-chat', {
+                status: 429,
+                body: groqError('Rate limit reached on requests per day (RPD). Please try again in 1.2s.'),
+            });
+
+            await expect(groq.chatWithLlama('Hi', 'llama-4-scout')).rejects.toThrow('Rate Limit: Daily request limit reached');
+            expect(lastStatus()).toBe('Rate Limit: Daily request limit reached (4s)');
+
+            vi.advanceTimersByTime(4000);
+            expect(lastStatus()).toBe('Listening...');
+        });
+
+        it('falls back to a 30s countdown when the 429 body is not JSON', async () => {
+            vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+            mock.enqueue('groq-chat', { status: 429, raw: 'Too Many Requests', contentType: 'text/plain' });
+
+            await expect(groq.chatWithLlama('Hi', 'llama-4-scout')).rejects.toThrow('API Quota Exceeded');
+            expect(lastStatus()).toBe('API Quota Exceeded (30s)');
+
+            vi.advanceTimersByTime(29000);
+            expect(lastStatus()).toBe('API Quota Exceeded (1s)');
+            vi.advanceTimersByTime(1000);
+            expect(lastStatus()).toBe('Listening...');
+        });
+
+        it('times out when no response arrives', async () => {
+            mock.enqueue('groq-chat', { hang: true });
+
+            await expect(groq.chatWithLlama('Hi', 'llama-4-scout', null, { timeoutMs: 300 })).rejects.toThrow('Request timeout');
+            expect(lastStatus()).toBe('Request timeout');
+        });
+
+        it('times out when the stream stalls mid-response', async () => {
+            mock.enqueue('groq-chat', { stream: ['Half an'], hang: true });
+
+            await expect(groq.chatWithLlama('Hi', 'llama-4-scout', null, { timeoutMs: 300 })).rejects.toThrow('Request timeout');
+            expect(lastStatus()).toBe('Request timeout');
+        });
+    });
+
+    describe('parseRateLimitError', () => {
+        it.each([
+            ['tokens per minute (TPM)', 'Rate Limit: Tokens/min exceeded'],
+            ['tokens per day (TPD)', 'Rate Limit: Daily token limit reached'],
+            ['requests per minute (RPM)', 'Rate Limit: Requests/min exceeded'],
+            ['requests per day (RPD)', 'Rate Limit: Daily request limit reached'],
+            ['tokens per hour (TPH)', 'Rate Limit: Tokens/hour exceeded'],
+            ['requests per hour (RPH)', 'Rate Limit: Requests/hour exceeded'],
+        ])('classifies "%s"', (limit, statusMessage) => {
+            const result = groq.parseRateLimitError(JSON.stringify(groqError(`Rate limit reached on ${limit}. Please try again in 3s.`)));
+            expect(result).toEqual({ statusMessage, recoveryMs: 5000 });
+        });
+
+        it('rounds fractional retry times up and adds a 2s buffer', () => {
+            const result = groq.parseRateLimitError(JSON.stringify(groqError('Please try again in 12.345s.')));
+            expect(result.recoveryMs).toBe(14345);
+        });
+
+        it('falls back to defaults for unparseable bodies', () => {
+            expect(groq.parseRateLimitError('<html>429</html>')).toEqual({ statusMessage: 'API Quota Exceeded', recoveryMs: 30000 });
+        });
+    });
+
+    describe('parseGeminiRateLimitError', () => {
+        it('reads the escaped retryDelay from SDK error messages', () => {
+            const message = 'got status: 429 . {\\"error\\": {\\"status\\": \\"RESOURCE_EXHAUSTED\\", \\"retryDelay\\": \\"26s\\"}}';
+            expect(gemini.parseGeminiRateLimitError(message)).toEqual({ statusMessage: 'Rate Limit (Gemini): Quota exhausted', recoveryMs: 28000 });
+        });
+
+        it('reads "retry in" wording when no retryDelay is present', () => {
+            const result = gemini.parseGeminiRateLimitError('Quota exceeded for input tokens. Please retry in 4.5s.');
+            expect(result).toEqual({ statusMessage: 'Rate Limit (Gemini): Tokens exceeded', recoveryMs: 6500 });
+        });
+
+        it('falls back to a 60s wait', () => {
+            expect(gemini.parseGeminiRateLimitError('429 Too many requests')).toEqual({
+                statusMessage: 'Rate Limit (Gemini): Requests exceeded',
+                recoveryMs: 60000,
+            });
+            expect(gemini.parseGeminiRateLimitError('')).toEqual({ statusMessage: 'Rate Limit (Gemini)', recoveryMs: 60000 });
+        });
+    });
+
+    describe('Gemini session', () => {
+        let session;
+
+        const geminiError = (code, status, message, details = []) => ({ status: code, body: { error: { code, message, status, details } } });
+
+        beforeAll(async () => {
+            session = await gemini.initializeGeminiSession('AIza_test', '', 'interview', 'en-US', false, 'interview', 'gemini-2.5-flash-lite');
+        });
+
+        it('streams the response from the API', async () => {
+            const response = await session.sendRealtimeInput({ text: 'Explain closures' });
+
+            expect(response).toBe('This is a mock Gemini answer.');
+            expect(send).toHaveBeenCalledWith('update-response', 'This is a mock Gemini answer.');
+            expect(lastStatus()).toBe('Listening...');
+            expect(mock.requests[0].url).toContain('gemini-2.5-flash-lite:streamGenerateContent');
+        });
+
+        it('counts down a 429 using the retryDelay and recovers to Ready', async () => {
+            vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+            mock.enqueue(
+                'gemini-stream',
+                geminiError(429, 'RESOURCE_EXHAUSTED', 'Resource has been exhausted (e.g. check quota).', [
+                    { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '3s' },
+                ])
+            );
+
+            await expect(session.sendRealtimeInput({ text: 'Hi' })).resolves.toBeNull();
+            expect(lastStatus()).toBe('Rate Limit (Gemini): Quota exhausted (5s)');
+
+            vi.advanceTimersByTime(5000);
+            expect(lastStatus()).toBe('Ready');
+        });
+
+        it('backs off for 15s when the model is overloaded', async () => {
+            vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+            mock.enqueue('gemini-stream', geminiError(503, 'UNAVAILABLE', 'The model is overloaded. Please try again later.'));
+
+            await expect(session.sendRealtimeInput({ text: 'Hi' })).resolves.toBeNull();
+            expect(lastStatus()).toBe('Server Overloaded (Gemini) (15s)');
+
+            vi.advanceTimersByTime(15000);
+            expect(lastStatus()).toBe('Ready');
+        });
+
+        it.each([
+            [geminiError(400, 'INVALID_ARGUMENT', 'API key not valid. Please pass a valid API key.'), 'Invalid API Key (Gemini)'],
+            [geminiError(404, 'NOT_FOUND', 'models/gemini-2.5-flash-lite is not found for API version v1beta'), 'Model Unavailable (Gemini)'],
+            [geminiError(500, 'INTERNAL', 'Internal error encountered.'), 'Error'],
+        ])('maps error responses to a short status (%#)', async (scenario, message) => {
+            mock.enqueue('gemini-stream', scenario);
+
+            await expect(session.sendRealtimeInput({ text: 'Hi' })).resolves.toBeNull();
+            expect(lastStatus()).toBe(message);
+        });
+    });
+});
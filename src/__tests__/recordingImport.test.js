@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ipcMain } = require('electron');
+const { createMockProviderServer } = require('../../scripts/mock-provider-server');
+
+// A 16 kHz stereo WAV with 440 Hz tone bursts as stand-ins for speech; regions are [startSeconds, endSeconds]
+function makeRecording(totalSeconds, regions) {
+    const sampleRate = 16000;
+    const frames = totalSeconds * sampleRate;
+    const data = Buffer.alloc(frames * 4);
+    for (let i = 0; i < frames; i++) {
+        const t = i / sampleRate;
+        const sample = regions.some(([start, end]) => t >= start && t < end) ? Math.round(0.3 * Math.sin(2 * Math.PI * 440 * t) * 0x7fff) : 0;
+        data.writeInt16LE(sample, i * 4);
+        data.writeInt16LE(sample, i * 4 + 2);
+    }
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(2, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 4, 28);
+    header.writeUInt16LE(4, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(data.length, 40);
+    return Buffer.concat([header, data]);
+}
+
+describe('recording import', () => {
+    let mock;
+    let home;
+    let archive;
+    let recordingImport;
+    let configureSttBackend;
+    let configureProviders;
+    let resetRequestExecutor;
+    let configureRequestPolicy;
+
+    const recordedAt = Date.parse('2026-10-19T09:00:00Z');
+
+    function writeRecording(name, totalSeconds, regions) {
+        const filePath = path.join(home, name);
+        fs.writeFileSync(filePath, makeRecording(totalSeconds, regions));
+        return filePath;
+    }
+
+    beforeAll(async () => {
+        mock = createMockProviderServer();
+        const { groqBaseUrl } = await mock.start();
+        // Base URLs are read when the modules load
+        process.env.GROQ_API_BASE = groqBaseUrl;
+        archive = require('../utils/sessionArchive');
+        recordingImport = require('../utils/recordingImport');
+        ({ configureSttBackend } = require('../utils/sttBackends'));
+        ({ configureProviders } = require('../utils/llmProviders'));
+        ({ resetRequestExecutor, configureRequestPolicy } = require('../utils/requestExecutor'));
+    });
+
+    afterAll(async () => {
+        delete process.env.GROQ_API_BASE;
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        resetRequestExecutor();
+        configureRequestPolicy({ baseDelayMs: 1, maxDelayMs: 5 });
+        configureSttBackend({});
+        // The summary goes through the chat providers; transcription uses the key passed to the import
+        configureProviders({ groqApiKey: 'gsk_test' });
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-import-'));
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('transcribes each utterance of a WAV file and archives it with a profile-aware summary', async () => {
+        const filePath = writeRecording('call.wav', 8, [
+            [1, 2.5],
+            [4.5, 6.5],
+        ]);
+        mock.enqueue('groq-transcription', { body: { text: 'We need single sign-on.' } });
+        mock.enqueue('groq-transcription', { body: { text: 'Acme quoted us 40k.' } });
+        mock.enqueue('groq-completion', { body: { choices: [{ index: 0, message: { role: 'assistant', content: '**Customer needs**\n- SSO' } }] } });
+        const progress = [];
+
+        const result = await recordingImport.importRecordingFile(
+            filePath,
+            { profile: 'sales', language: 'de-DE', model: 'llama-4-maverick', apiKey: 'gsk_import', recordedAt },
+            update => progress.push(update)
+        );
+
+        expect(result).toMatchObject({ durationMs: 8000, segments: 2, transcribed: 2, failedSegments: 0, summary: '**Customer needs**\n- SSO' });
+        expect(progress[0]).toEqual({ stage: 'transcribing', done: 0, total: 2 });
+        expect(progress[progress.length - 1]).toEqual({ stage: 'summarizing' });
+
+        const [firstAudio] = mock.requests.filter(request => request.route === 'groq-transcription');
+        expect(firstAudio.headers.authorization).toBe('Bearer gsk_import');
+        const summaryRequest = JSON.parse(mock.requests.find(request => request.route === 'groq-completion').body);
+        expect(summaryRequest.messages[0].content).toContain('This is a sales call');
+        expect(summaryRequest.messages[0].content).toContain('in German');
+        expect(summaryRequest.messages[1].content).toBe('Transcript of call.wav:\n\n[0:01] We need single sign-on.\n[0:04] Acme quoted us 40k.');
+
+        const session = archive.readSession(result.sessionId);
+        expect(session).toMatchObject({ profile: 'sales', mode: 'import', fileName: 'call.wav', transcriptCount: 2 });
+        expect(session.startedAt).toBe('2026-10-19T09:00:00.000Z');
+        expect(session.endedAt).toBe('2026-10-19T09:00:08.000Z');
+        const transcripts = session.events.filter(event => event.type === 'transcript');
+        expect(transcripts[0]).toMatchObject({ text: 'We need single sign-on.', startedAt: '2026-10-19T09:00:01.000Z', endedAt: '2026-10-19T09:00:02.500Z' });
+        expect(session.events.find(event => event.type === 'summary')).toMatchObject({ text: '**Customer needs**\n- SSO', model: 'llama-4-maverick' });
+        // The live session is not touched
+        expect(archive.getActiveSessionId()).toBeNull();
+    });
+
+    it('keeps the transcript when an utterance or the summary fails', async () => {
+        const filePath = writeRecording('meeting.wav', 8, [
+            [1, 2.5],
+            [4.5, 6.5],
+        ]);
+        mock.enqueue('groq-transcription', { status: 401, body: { error: { message: 'Invalid API key' } } });
+        mock.enqueue('groq-transcription', { body: { text: 'Ship it on Friday.' } });
+        mock.enqueue('groq-completion', { status: 400, body: { error: { message: 'Context too long' } } });
+
+        const result = await recordingImport.importRecordingFile(filePath, { apiKey: 'gsk_import' });
+
+        expect(result).toMatchObject({ transcribed: 1, failedSegments: 1, summary: '' });
+        expect(result.summaryError).toBeTruthy();
+        const session = archive.readSession(result.sessionId);
+        expect(session.events.filter(event => event.type === 'transcript').map(event => event.text)).toEqual(['Ship it on Friday.']);
+        expect(session.events.some(event => event.type === 'summary')).toBe(false);
+    });
+
+    it('rejects recordings without speech and files it cannot decode', async () => {
+        await expect(recordingImport.importRecordingFile(writeRecording('silence.wav', 3, []), { apiKey: 'gsk_import' })).rejects.toThrow(
+            'No speech found'
+        );
+        await expect(recordingImport.importRecordingFile(path.join(home, 'call.mp3'))).rejects.toThrow('Only WAV files');
+        expect(mock.requests).toHaveLength(0);
+    });
+
+    it('imports PCM decoded by the renderer over IPC', async () => {
+        const handlers = {};
+        const handleSpy = vi.spyOn(ipcMain, 'handle').mockImplementation((channel, handler) => {
+            handlers[channel] = handler;
+        });
+        recordingImport.setupRecordingImportIpcHandlers();
+        handleSpy.mockRestore();
+
+        // 3 seconds of 24 kHz PCM with a tone in the middle second, as decodeRecording() sends it
+        const pcm = Int16Array.from({ length: 72000 }, (_, i) => (i >= 24000 && i < 48000 ? Math.round(8000 * Math.sin(i / 5)) : 0));
+        const event = { sender: { send: vi.fn() } };
+        const result = await handlers['import-recording'](event, {
+            pcm,
+            fileName: 'standup.opus',
+            profile: 'meeting',
+            providerSettings: { groqApiKey: 'gsk_settings' },
+        });
+
+        expect(result).toMatchObject({ success: true, durationMs: 3000, transcribed: 1 });
+        expect(event.sender.send).toHaveBeenCalledWith('recording-import-progress', { stage: 'summarizing' });
+        expect(mock.requests[0].headers.authorization).toBe('Bearer gsk_settings');
+        expect(archive.readSession(result.sessionId).fileName).toBe('standup.opus');
+
+        expect(await handlers['import-recording'](event, { pcm: new Int16Array(24000), providerSettings: { groqApiKey: 'gsk_settings' } })).toEqual({
+            success: false,
+            error: 'No speech found in this recording',
+        });
+    });
+});
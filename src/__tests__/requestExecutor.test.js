@@ -0,0 +1,312 @@
+const { BrowserWindow } = require('electron');
+const {
+    createProviderError,
+    parseRetryAfter,
+    isRetryableError,
+    computeBackoffDelay,
+    getCircuitState,
+    executeWithRetry,
+    executeWithFailover,
+    startRecoveryCountdown,
+    configureRequestPolicy,
+    resetRequestExecutor,
+} = require('../utils/requestExecutor');
+
+const rateLimited = (retryAfterMs = 5) => createProviderError('Rate Limit: Tokens/min exceeded', { status: 429, retryAfterMs });
+const serverError = () => createProviderError('Server error', { status: 503 });
+
+// Task that fails with the given errors in order, then succeeds
+function flakyTask(errors, result = 'ok') {
+    const task = vi.fn(async () => {
+        const error = errors.shift();
+        if (error) throw error;
+        return result;
+    });
+    return task;
+}
+
+describe('request executor', () => {
+    let send;
+
+    beforeAll(() => {
+        send = BrowserWindow.getAllWindows()[0].webContents.send;
+    });
+
+    beforeEach(() => {
+        resetRequestExecutor();
+        // Keep real backoff shapes but tiny, so the suite stays fast
+        configureRequestPolicy({ baseDelayMs: 2, maxDelayMs: 10, breakerCooldownMs: 20 });
+        send.mockClear();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('parseRetryAfter', () => {
+        it('parses delta-seconds', () => {
+            expect(parseRetryAfter('3')).toBe(3000);
+            expect(parseRetryAfter('0.5')).toBe(500);
+        });
+
+        it('parses HTTP dates relative to now', () => {
+            const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+            expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:10 GMT', now)).toBe(10000);
+        });
+
+        it('returns null for missing or invalid values', () => {
+            expect(parseRetryAfter(undefined)).toBeNull();
+            expect(parseRetryAfter('soon')).toBeNull();
+        });
+    });
+
+    describe('isRetryableError', () => {
+        it('retries rate limits, server errors and dropped connections', () => {
+            expect(isRetryableError(rateLimited())).toBe(true);
+            expect(isRetryableError(serverError())).toBe(true);
+            expect(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+        });
+
+        it('does not retry client errors unless told to', () => {
+            expect(isRetryableError(createProviderError('Invalid API Key (Groq)', { status: 401 }))).toBe(false);
+            expect(isRetryableError(new Error('boom'))).toBe(false);
+            expect(isRetryableError(createProviderError('Server error', { status: 500, retryable: false }))).toBe(false);
+        });
+    });
+
+    describe('computeBackoffDelay', () => {
+        it('grows exponentially with equal jitter', () => {
+            configureRequestPolicy({ baseDelayMs: 100, maxDelayMs: 1000 });
+            expect(computeBackoffDelay(0, null, () => 0)).toBe(50);
+            expect(computeBackoffDelay(0, null, () => 1)).toBe(100);
+            expect(computeBackoffDelay(2, null, () => 0)).toBe(200);
+            expect(computeBackoffDelay(2, null, () => 1)).toBe(400);
+        });
+
+        it('caps the delay', () => {
+            configureRequestPolicy({ baseDelayMs: 100, maxDelayMs: 1000 });
+            expect(computeBackoffDelay(10, null, () => 1)).toBe(1000);
+        });
+
+        it('honors the server retry-after', () => {
+            expect(computeBackoffDelay(0, rateLimited(3000), () => 0)).toBe(3000);
+            expect(computeBackoffDelay(0, rateLimited(3000), () => 1)).toBe(3250);
+        });
+    });
+
+    describe('executeWithRetry', () => {
+        it('retries retryable failures until the request succeeds', async () => {
+            const task = flakyTask([serverError(), rateLimited()]);
+
+            await expect(executeWithRetry('groq', task)).resolves.toBe('ok');
+            expect(task).toHaveBeenCalledTimes(3);
+            expect(send).toHaveBeenCalledWith('update-status', 'Retrying (1/2)...');
+            expect(send).toHaveBeenCalledWith('update-status', 'Retrying (2/2)...');
+        });
+
+        it('does not retry non-retryable errors', async () => {
+            const task = flakyTask([createProviderError('Invalid API Key (Groq)', { status: 401 })]);
+
+            await expect(executeWithRetry('groq', task)).rejects.toThrow('Invalid API Key (Groq)');
+            expect(task).toHaveBeenCalledTimes(1);
+        });
+
+        it('gives up after maxRetries', async () => {
+            const task = flakyTask([serverError(), serverError(), serverError(), serverError()]);
+
+            await expect(executeWithRetry('groq', task)).rejects.toThrow('Server error');
+            expect(task).toHaveBeenCalledTimes(3);
+        });
+
+        it('waits for the server retry-after before retrying', async () => {
+            const task = flakyTask([rateLimited(40)]);
+            const started = Date.now();
+
+            await executeWithRetry('groq', task);
+            expect(Date.now() - started).toBeGreaterThanOrEqual(40);
+        });
+
+        it('does not block on retry-after values longer than the limit', async () => {
+            configureRequestPolicy({ maxRetryAfterMs: 1000 });
+            const task = flakyTask([rateLimited(60000)]);
+
+            await expect(executeWithRetry('groq', task)).rejects.toThrow('Rate Limit');
+            expect(task).toHaveBeenCalledTimes(1);
+        });
+
+        it('runs queued requests in order with limited concurrency', async () => {
+            configureRequestPolicy({ maxConcurrent: 1 });
+            const order = [];
+            const slow = (name, ms) => () => new Promise(resolve => setTimeout(() => resolve(order.push(name)), ms));
+
+            await Promise.all([executeWithRetry('groq', slow('first', 20)), executeWithRetry('groq', slow('second', 1)), executeWithRetry('groq', slow('third', 1))]);
+            expect(order).toEqual(['first', 'second', 'third']);
+        });
+
+        it('aborts a call that outlives its deadline and only then starts the next one', async () => {
+            configureRequestPolicy({ maxConcurrent: 1, taskTimeoutMs: 30 });
+            const order = [];
+            // Settles only when aborted, like a request given the signal
+            const stuck = vi.fn(
+                signal =>
+                    new Promise((resolve, reject) => {
+                        signal.addEventListener('abort', () => {
+                            order.push('aborted');
+                            setTimeout(() => reject(new Error('aborted')), 10);
+                        });
+                    })
+            );
+            const next = vi.fn(async () => {
+                order.push('next');
+                return 'ok';
+            });
+
+            const results = await Promise.allSettled([executeWithRetry('groq', stuck), executeWithRetry('groq', next)]);
+
+            expect(results[0]).toMatchObject({ status: 'rejected', reason: { message: 'Request timeout', retryable: false } });
+            expect(results[1]).toEqual({ status: 'fulfilled', value: 'ok' });
+            expect(order).toEqual(['aborted', 'next']);
+            // Not retried
+            expect(stuck).toHaveBeenCalledTimes(1);
+        });
+
+        it('rejects the requests still waiting for a slot when it is reset', async () => {
+            configureRequestPolicy({ maxConcurrent: 1 });
+            let finishRunning;
+            const running = executeWithRetry('groq', () => new Promise(resolve => (finishRunning = resolve)));
+            const waiting = flakyTask([]);
+            const queued = executeWithRetry('groq', waiting);
+
+            resetRequestExecutor();
+            finishRunning('done');
+
+            await expect(queued).rejects.toMatchObject({ code: 'CANCELLED', retryable: false });
+            await expect(running).resolves.toBe('done');
+            expect(waiting).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('circuit breaker', () => {
+        it('opens after repeated failures and fails fast while open', async () => {
+            configureRequestPolicy({ maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 60000 });
+
+            await expect(executeWithRetry('groq', flakyTask([serverError()]))).rejects.toThrow('Server error');
+            await expect(executeWithRetry('groq', flakyTask([serverError()]))).rejects.toThrow('Server error');
+            expect(getCircuitState('groq')).toBe('open');
+
+            const task = flakyTask([]);
+            await expect(executeWithRetry('groq', task, { label: 'Groq' })).rejects.toMatchObject({ code: 'CIRCUIT_OPEN', message: 'Groq temporarily unavailable' });
+            expect(task).not.toHaveBeenCalled();
+            // Other providers are unaffected
+            expect(getCircuitState('gemini')).toBe('closed');
+        });
+
+        it('counts a request that used up its retries as one failure', async () => {
+            configureRequestPolicy({ maxRetries: 2, breakerThreshold: 3, breakerCooldownMs: 60000 });
+            const failing = flakyTask([serverError(), serverError(), serverError()]);
+
+            await expect(executeWithRetry('groq', failing)).rejects.toThrow('Server error');
+            expect(failing).toHaveBeenCalledTimes(3);
+            expect(getCircuitState('groq')).toBe('closed');
+
+            // The next request (e.g. the fallback model on the same provider) still gets through
+            await expect(executeWithRetry('groq', flakyTask([]))).resolves.toBe('ok');
+        });
+
+        it('lets a trial request through after the cooldown and closes on success', async () => {
+            configureRequestPolicy({ maxRetries: 0, breakerThreshold: 1, breakerCooldownMs: 20 });
+            await expect(executeWithRetry('groq', flakyTask([serverError()]))).rejects.toThrow();
+            expect(getCircuitState('groq')).toBe('open');
+
+            await new Promise(resolve => setTimeout(resolve, 30));
+            expect(getCircuitState('groq')).toBe('half-open');
+
+            await expect(executeWithRetry('groq', flakyTask([]))).resolves.toBe('ok');
+            expect(getCircuitState('groq')).toBe('closed');
+        });
+
+        it('reopens when the trial request fails', async () => {
+            configureRequestPolicy({ maxRetries: 0, breakerThreshold: 1, breakerCooldownMs: 20 });
+            await expect(executeWithRetry('groq', flakyTask([serverError()]))).rejects.toThrow();
+            await new Promise(resolve => setTimeout(resolve, 30));
+
+            await expect(executeWithRetry('groq', flakyTask([serverError()]))).rejects.toThrow('Server error');
+            expect(getCircuitState('groq')).toBe('open');
+        });
+    });
+
+    describe('executeWithFailover', () => {
+        it('switches to the fallback as soon as the primary is rate-limited', async () => {
+            const primary = flakyTask([rateLimited()]);
+            const fallback = flakyTask([], 'fallback answer');
+
+            const result = await executeWithFailover([
+                { key: 'groq', label: 'Groq', task: primary },
+                { key: 'openai-compatible', label: 'OpenAI-compatible (llama3.1:8b)', task: fallback },
+            ]);
+
+            expect(result).toBe('fallback answer');
+            expect(primary).toHaveBeenCalledTimes(1);
+            expect(send).toHaveBeenCalledWith('update-status', 'Switching to OpenAI-compatible (llama3.1:8b)...');
+        });
+
+        it('skips a provider whose circuit is open', async () => {
+            configureRequestPolicy({ maxRetries: 0, breakerThreshold: 1, breakerCooldownMs: 60000 });
+            await expect(executeWithRetry('groq', flakyTask([serverError()]))).rejects.toThrow();
+
+            const primary = flakyTask([]);
+            const result = await executeWithFailover([
+                { key: 'groq', label: 'Groq', task: primary },
+                { key: 'gemini', label: 'Gemini', task: flakyTask([], 'from gemini') },
+            ]);
+
+            expect(result).toBe('from gemini');
+            expect(primary).not.toHaveBeenCalled();
+        });
+
+        it('does not fail over on non-retryable errors', async () => {
+            const fallback = flakyTask([]);
+
+            await expect(
+                executeWithFailover([
+                    { key: 'groq', label: 'Groq', task: flakyTask([createProviderError('Invalid API Key (Groq)', { status: 401 })]) },
+                    { key: 'gemini', label: 'Gemini', task: fallback },
+                ])
+            ).rejects.toThrow('Invalid API Key (Groq)');
+            expect(fallback).not.toHaveBeenCalled();
+        });
+
+        it('reports an open circuit when there is nothing to fail over to', async () => {
+            configureRequestPolicy({ maxRetries: 0, breakerThreshold: 1, breakerCooldownMs: 60000 });
+            await expect(executeWithRetry('groq', flakyTask([serverError()]))).rejects.toThrow();
+
+            await expect(executeWithFailover([{ key: 'groq', label: 'Groq', task: flakyTask([]) }])).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+            expect(send).toHaveBeenLastCalledWith('update-status', 'Groq temporarily unavailable');
+        });
+    });
+
+    describe('startRecoveryCountdown', () => {
+        it('counts down once per second and ends on the ready status', () => {
+            vi.useFakeTimers();
+            startRecoveryCountdown('Rate Limit (Gemini)', 2000, 'Ready');
+            expect(send).toHaveBeenLastCalledWith('update-status', 'Rate Limit (Gemini) (2s)');
+
+            vi.advanceTimersByTime(1000);
+            expect(send).toHaveBeenLastCalledWith('update-status', 'Rate Limit (Gemini) (1s)');
+
+            vi.advanceTimersByTime(1000);
+            expect(send).toHaveBeenLastCalledWith('update-status', 'Ready');
+        });
+
+        it('replaces a countdown that is already running', () => {
+            vi.useFakeTimers();
+            startRecoveryCountdown('First', 5000);
+            startRecoveryCountdown('Second', 1000);
+
+            vi.advanceTimersByTime(5000);
+            const statuses = send.mock.calls.map(([, status]) => status);
+            expect(statuses).not.toContain('First (4s)');
+            expect(statuses.at(-1)).toBe('Listening...');
+        });
+    });
+});
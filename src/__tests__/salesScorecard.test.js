@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BrowserWindow, ipcMain } = require('electron');
+const { getSessionsDir, startSession, endSession } = require('../utils/sessionArchive');
+const scorecards = require('../utils/salesScorecard');
+
+describe('sales scorecard', () => {
+    let home;
+    const handler = channel => ipcMain.handle.mock.calls.filter(call => call[0] === channel).at(-1)[1];
+
+    beforeEach(() => {
+        // getConfigDir() is derived from the home directory
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-scorecard-'));
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+        scorecards.setupSalesScorecardIpcHandlers();
+    });
+
+    afterEach(() => {
+        scorecards.finishSalesCall();
+        endSession();
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('detects questions, objections and competitors in a line', () => {
+        expect(scorecards.countQuestions('What is your timeline? We can start Monday. How many seats do you need')).toBe(2);
+        expect(scorecards.countQuestions('I will send it over.')).toBe(0);
+        expect(scorecards.detectObjections("Honestly it's too expensive and I need to check with my CFO.")).toEqual(['price', 'authority']);
+        expect(scorecards.detectObjections('Sounds great, send the contract.')).toEqual([]);
+        expect(scorecards.findCompetitorMentions('We looked at acme.io and Globex last year', ['Acme', 'Globex', 'Initech'])).toEqual(['Acme', 'Globex']);
+        expect(scorecards.findCompetitorMentions('Acmeville is a town', ['Acme'])).toEqual([]);
+    });
+
+    it('tracks a call live and saves the scorecard with its session', async () => {
+        const sessionId = startSession({ profile: 'sales' });
+        expect(await handler('start-sales-scorecard')({}, { competitors: [' Acme', 'Globex', ''] })).toMatchObject({
+            success: true,
+            scorecard: { sessionId, competitors: ['Acme', 'Globex'], talkRatio: null },
+        });
+
+        scorecards.recordAudioActivity('mic', 3000);
+        scorecards.recordAudioActivity('system', 7000);
+        scorecards.recordCallUtterance({ source: 'mic', speaker: 'You', text: 'What is your timeline? Who else is involved?', ts: Date.parse('2026-10-19T10:00:05Z') });
+        scorecards.recordCallUtterance({
+            source: 'system',
+            speaker: 'Other participants',
+            text: 'To be honest it is over our budget, and Acme quoted less. Can you match that?',
+            ts: Date.parse('2026-10-19T10:00:20Z'),
+        });
+
+        const send = BrowserWindow.getAllWindows()[0].webContents.send;
+        expect(send).toHaveBeenCalledWith('sales-scorecard-update', expect.objectContaining({ questionsAsked: 2 }));
+        expect(scorecards.readScorecard(sessionId)).toMatchObject({
+            talkMs: 3000,
+            listenMs: 7000,
+            talkRatio: 30,
+            questionsAsked: 2,
+            prospectQuestions: 1,
+            objections: [{ ts: '2026-10-19T10:00:20.000Z', category: 'price', text: expect.stringContaining('over our budget') }],
+            competitorMentions: [{ competitor: 'Acme', speaker: 'Other participants', ts: '2026-10-19T10:00:20.000Z' }],
+        });
+
+        scorecards.finishSalesCall();
+        endSession();
+        scorecards.recordAudioActivity('mic', 5000);
+
+        expect(fs.existsSync(path.join(getSessionsDir(), `${sessionId}.scorecard.json`))).toBe(true);
+        const result = await handler('get-sales-scorecard')({});
+        expect(result).toMatchObject({ success: true, sessionId, scorecard: { talkMs: 3000, talkRatio: 30 } });
+        expect(await handler('get-sales-scorecard')({}, 'missing-session')).toEqual({ success: false, error: 'Session not found' });
+    });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ipcMain } = require('electron');
+const {
+    getSessionsDir,
+    startSession,
+    recordSessionEvent,
+    endSession,
+    getActiveSessionId,
+    listSessions,
+    readSession,
+    setupSessionArchiveIpcHandlers,
+} = require('../utils/sessionArchive');
+
+function readLines(id) {
+    return fs
+        .readFileSync(path.join(getSessionsDir(), `${id}.jsonl`), 'utf8')
+        .trim()
+        .split('\n')
+        .map(line => JSON.parse(line));
+}
+
+describe('session archive', () => {
+    let home;
+
+    beforeEach(() => {
+        // getConfigDir() is derived from the home directory
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-sessions-'));
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+    });
+
+    afterEach(() => {
+        endSession();
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('stores sessions under the config dir', () => {
+        expect(getSessionsDir().startsWith(home)).toBe(true);
+        expect(path.basename(getSessionsDir())).toBe('sessions');
+    });
+
+    it('writes timestamped JSONL events for a session', () => {
+        const id = startSession({ profile: 'interview', mode: 'interview', model: 'llama-4-maverick', language: 'en-US' });
+        recordSessionEvent('transcript', { text: 'Tell me about yourself' });
+        recordSessionEvent('prompt', { text: 'Tell me about yourself', image: false }, Date.parse('2026-10-19T10:00:00Z'));
+        recordSessionEvent('response', { text: 'I am a backend engineer...' });
+        endSession();
+
+        const events = readLines(id);
+        expect(events.map(event => event.type)).toEqual(['session-start', 'transcript', 'prompt', 'response', 'session-end']);
+        expect(events[0]).toMatchObject({ profile: 'interview', model: 'llama-4-maverick', language: 'en-US' });
+        expect(events[2].ts).toBe('2026-10-19T10:00:00.000Z');
+        events.forEach(event => expect(Number.isNaN(Date.parse(event.ts))).toBe(false));
+        expect(getActiveSessionId()).toBeNull();
+    });
+
+    it('ignores events when no session is running', () => {
+        expect(recordSessionEvent('transcript', { text: 'lost' })).toBe(false);
+        expect(fs.existsSync(getSessionsDir())).toBe(false);
+    });
+
+    it('closes the previous session when a new one starts', () => {
+        const first = startSession({ profile: 'interview' });
+        const second = startSession({ profile: 'exam' });
+
+        expect(second).not.toBe(first);
+        expect(readLines(first).at(-1).type).toBe('session-end');
+        expect(getActiveSessionId()).toBe(second);
+    });
+
+    it('lists sessions newest first with a preview and counts', () => {
+        const older = startSession({ profile: 'interview', model: 'llama-4-scout' });
+        recordSessionEvent('transcript', { text: 'What is a closure?' });
+        recordSessionEvent('response', { text: 'A closure is...' });
+        endSession();
+
+        const newer = startSession({ profile: 'exam', model: 'gemini-3-pro-preview' });
+        recordSessionEvent('prompt', { text: 'x'.repeat(200), image: true });
+
+        const sessions = listSessions();
+        expect(sessions.map(session => session.id)).toEqual([newer, older]);
+        expect(sessions[0]).toMatchObject({ profile: 'exam', active: true, transcriptCount: 0, responseCount: 0 });
+        expect(sessions[0].preview).toHaveLength(121);
+        expect(sessions[1]).toMatchObject({ preview: 'What is a closure?', transcriptCount: 1, responseCount: 1, active: false });
+    });
+
+    it('skips unreadable lines left by a crash', () => {
+        const id = startSession({ profile: 'interview' });
+        recordSessionEvent('transcript', { text: 'first question' });
+        fs.appendFileSync(path.join(getSessionsDir(), `${id}.jsonl`), '{"type":"respo');
+
+        const session = readSession(id);
+        expect(session.events.map(event => event.type)).toEqual(['session-start', 'transcript']);
+        expect(session.endedAt).toBe(session.events[1].ts);
+    });
+
+    it('refuses ids outside the sessions dir', () => {
+        expect(readSession('../config')).toBeNull();
+        expect(readSession('missing')).toBeNull();
+    });
+
+    it('serves sessions over IPC', async () => {
+        const handlers = {};
+        const handleSpy = vi.spyOn(ipcMain, 'handle').mockImplementation((channel, handler) => {
+            handlers[channel] = handler;
+        });
+        setupSessionArchiveIpcHandlers();
+        handleSpy.mockRestore();
+
+        const started = await handlers['start-session-archive']({}, { profile: 'sales' });
+        expect(started.success).toBe(true);
+        recordSessionEvent('transcript', { text: 'What does pricing look like?' });
+
+        const listed = await handlers['list-sessions']({});
+        expect(listed.sessions).toHaveLength(1);
+
+        const opened = await handlers['get-session']({}, started.id);
+        expect(opened.success).toBe(true);
+        expect(opened.session.events[1].text).toBe('What does pricing look like?');
+
+        expect(await handlers['get-session']({}, 'nope')).toEqual({ success: false, error: 'Session not found' });
+    });
+});
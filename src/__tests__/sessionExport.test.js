@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ipcMain } = require('electron');
+const { startSession, recordSessionEvent, endSession, readSession } = require('../utils/sessionArchive');
+const {
+    getExportsDir,
+    getExportEntries,
+    buildMarkdownExport,
+    buildHtmlExport,
+    buildJsonExport,
+    exportSession,
+    setupSessionExportIpcHandlers,
+} = require('../utils/sessionExport');
+
+const at = time => Date.parse(`2026-10-19T${time}Z`);
+
+function recordInterview() {
+    const id = startSession({ profile: 'interview', mode: 'interview', model: 'llama-4-maverick', language: 'en-US' });
+    recordSessionEvent('transcript', { text: 'How do you reverse a list in <Python>?' }, at('10:00:05'));
+    recordSessionEvent('prompt', { text: 'How do you reverse a list in Python?', image: false }, at('10:00:06'));
+    recordSessionEvent('response', { text: 'Use slicing:\n\n```python\nitems[::-1]\n```' }, at('10:00:08'));
+    recordSessionEvent('prompt', { text: 'Solve the problem on screen', image: true }, at('10:01:00'));
+    recordSessionEvent('response', { text: 'Partial <answer>', cancelled: true }, at('10:01:03'));
+    endSession();
+    return id;
+}
+
+describe('session export', () => {
+    let home;
+
+    beforeEach(() => {
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-export-'));
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+    });
+
+    afterEach(() => {
+        endSession();
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('keeps typed and screenshot questions but drops prompts that repeat the transcript', () => {
+        const id = recordInterview();
+
+        const entries = getExportEntries(readSession(id));
+
+        expect(entries.map(entry => entry.label)).toEqual(['Heard', 'Response', 'Question + screenshot', 'Response (cancelled)']);
+    });
+
+    it('builds Markdown with timestamps and the original code blocks', () => {
+        const markdown = buildMarkdownExport(readSession(recordInterview()));
+
+        expect(markdown).toContain('# Interview session');
+        expect(markdown).toContain('- **Model:** Llama 4 Maverick');
+        expect(markdown).toContain('## 10:00:05 · Heard\n\n> How do you reverse a list in <Python>?');
+        expect(markdown).toContain('## 10:00:08 · Response\n\nUse slicing:\n\n```python\nitems[::-1]\n```');
+        expect(markdown).toContain('## 10:01:03 · Response (cancelled)');
+    });
+
+    it('builds standalone HTML with highlighted code and inlined styles', () => {
+        const htmlExport = buildHtmlExport(readSession(recordInterview()));
+
+        expect(htmlExport).toMatch(/^<!DOCTYPE html>/);
+        expect(htmlExport).toContain('<span class="hljs-number">1</span>');
+        expect(htmlExport).toContain('.hljs-keyword');
+        expect(htmlExport).not.toMatch(/<script|<link/);
+        expect(htmlExport).toContain('How do you reverse a list in &lt;Python&gt;?');
+    });
+
+    it('builds JSON with the summary and every event', () => {
+        const id = recordInterview();
+        const exported = JSON.parse(buildJsonExport(readSession(id)));
+
+        expect(exported.session).toMatchObject({ id, profile: 'interview', transcriptCount: 1, responseCount: 2 });
+        expect(exported.events.map(event => event.type)).toEqual([
+            'session-start',
+            'transcript',
+            'prompt',
+            'response',
+            'prompt',
+            'response',
+            'session-end',
+        ]);
+    });
+
+    it('writes the latest session when no id is given', () => {
+        recordInterview();
+        const latest = startSession({ profile: 'sales' });
+        recordSessionEvent('transcript', { text: 'What does onboarding cost?' });
+
+        const result = exportSession({ format: 'markdown' });
+
+        expect(result).toMatchObject({ sessionId: latest, format: 'markdown' });
+        expect(result.filePath).toBe(path.join(getExportsDir(), `${latest}.md`));
+        expect(fs.readFileSync(result.filePath, 'utf8')).toContain('What does onboarding cost?');
+    });
+
+    it('rejects unknown formats and missing sessions', () => {
+        expect(() => exportSession({ format: 'pdf' })).toThrow('Unknown export format "pdf"');
+        expect(() => exportSession({ format: 'json' })).toThrow('No session to export yet');
+        expect(() => exportSession({ id: 'missing', format: 'json' })).toThrow('Session not found');
+    });
+
+    it('exports over IPC', async () => {
+        const handlers = {};
+        const handleSpy = vi.spyOn(ipcMain, 'handle').mockImplementation((channel, handler) => {
+            handlers[channel] = handler;
+        });
+        setupSessionExportIpcHandlers();
+        handleSpy.mockRestore();
+
+        const id = recordInterview();
+        const result = await handlers['export-session']({}, { id, format: 'html' });
+
+        expect(result.success).toBe(true);
+        expect(path.extname(result.filePath)).toBe('.html');
+        expect(await handlers['export-session']({}, { id: 'nope', format: 'html' })).toEqual({ success: false, error: 'Session not found' });
+    });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BrowserWindow } = require('electron');
+const { createMockProviderServer } = require('../../scripts/mock-provider-server');
+
+// Microphone ("You") and system audio ("Other participants") are detected, transcribed and labelled separately
+describe('speaker channels', () => {
+    let mock;
+    let groq;
+    let archive;
+    let configureSttBackend;
+    let send;
+    let home;
+
+    // 0.1s of loud 24kHz 16-bit PCM - well above the speech RMS threshold
+    const speechChunk = () => {
+        const pcm = Buffer.alloc(4800);
+        for (let i = 0; i < pcm.length; i += 2) {
+            pcm.writeInt16LE(i % 4 === 0 ? 8000 : -8000, i);
+        }
+        return pcm;
+    };
+    const speak = (source, seconds = 0.6) => {
+        for (let i = 0; i < seconds * 10; i++) {
+            groq.addAudioChunk(speechChunk(), source);
+        }
+    };
+    const transcriptions = () => send.mock.calls.filter(([channel]) => channel === 'groq-transcription').map(([, data]) => data);
+
+    beforeAll(async () => {
+        mock = createMockProviderServer();
+        const { groqBaseUrl, geminiBaseUrl } = await mock.start();
+        // Base URLs are read when the modules load
+        process.env.GROQ_API_BASE = groqBaseUrl;
+        process.env.GEMINI_API_BASE = geminiBaseUrl;
+        groq = require('../utils/groq');
+        archive = require('../utils/sessionArchive');
+        ({ configureSttBackend } = require('../utils/sttBackends'));
+        send = BrowserWindow.getAllWindows()[0].webContents.send;
+    });
+
+    afterAll(async () => {
+        delete process.env.GROQ_API_BASE;
+        delete process.env.GEMINI_API_BASE;
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset();
+        send.mockClear();
+        groq.initializeGroq('gsk_test', '', 'sales');
+        groq.clearAudioBuffer();
+        configureSttBackend({});
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-channels-'));
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+    });
+
+    afterEach(() => {
+        groq.clearAudioBuffer();
+        archive.endSession();
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('buffers each source on its own', () => {
+        speak('mic', 0.5);
+        speak('system', 0.3);
+
+        expect(groq.getBufferDuration('mic')).toBeCloseTo(0.5);
+        expect(groq.getBufferDuration('system')).toBeCloseTo(0.3);
+    });
+
+    it('labels and archives the user but does not answer their own questions', async () => {
+        const id = archive.startSession({ profile: 'sales' });
+        mock.enqueue('groq-transcription', { body: { text: 'What if we start with the team plan?' } });
+        speak('mic');
+
+        expect(await groq.flushAudioBuffer('llama-4-maverick', 'mic')).toBeNull();
+
+        expect(mock.requests.map(request => request.route)).toEqual(['groq-transcription']);
+        expect(transcriptions()).toHaveLength(1);
+        expect(transcriptions()[0]).toMatchObject({ text: 'What if we start with the team plan?', speaker: 'You', source: 'mic' });
+        const transcript = archive.readSession(id).events.find(event => event.type === 'transcript');
+        expect(transcript).toMatchObject({ speaker: 'You', source: 'mic' });
+    });
+
+    it("answers the other participants' questions with who said what", async () => {
+        mock.enqueue('groq-transcription', { body: { text: 'We could start with the team plan.' } });
+        speak('mic');
+        await groq.flushAudioBuffer('llama-4-maverick', 'mic');
+
+        mock.enqueue('groq-transcription', { body: { text: 'How much is the team plan per seat?' } });
+        speak('system');
+        const result = await groq.flushAudioBuffer('llama-4-maverick', 'system');
+
+        expect(result.response).toBe('This is a mock answer.');
+        expect(transcriptions().at(-1)).toMatchObject({ text: 'How much is the team plan per seat?', speaker: 'Other participants', source: 'system' });
+        const chat = JSON.parse(mock.requests.find(request => request.route === 'groq-chat').body);
+        expect(chat.messages.at(-1).content).toContain(
+            'You: We could start with the team plan.\n\nOther participants: How much is the team plan per seat?'
+        );
+    });
+
+    it('keeps the plain question prompt without microphone capture', async () => {
+        speak('system');
+        await groq.flushAudioBuffer('llama-4-maverick');
+
+        const chat = JSON.parse(mock.requests.find(request => request.route === 'groq-chat').body);
+        expect(chat.messages.at(-1).content).toBe('What is a closure in JavaScript?');
+    });
+
+    // Releasing hold-to-talk commits the recording as one buffer (groq-add-audio) and flushes it (groq-flush-audio)
+    it.each([3, 0.8])('transcribes a %ss hold-to-talk recording as soon as it is released', async seconds => {
+        mock.enqueue('groq-transcription', { body: { text: 'Can we keep the annual price?' } });
+        groq.addAudioChunk(Buffer.concat(Array.from({ length: seconds * 10 }, speechChunk)), 'mic');
+        expect(mock.requests).toHaveLength(0);
+
+        await groq.flushAudioBuffer('llama-4-maverick', 'mic');
+
+        expect(mock.requests.map(request => request.route)).toEqual(['groq-transcription']);
+        expect(transcriptions()).toEqual([expect.objectContaining({ text: 'Can we keep the annual price?', source: 'mic' })]);
+        expect(groq.getBufferDuration('mic')).toBe(0);
+    });
+});
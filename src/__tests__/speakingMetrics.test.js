@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ipcMain } = require('electron');
+const { countFillerWords, formatDuration, computeSpeakingMetrics } = require('../utils/speakingMetrics');
+const { startSession, recordSessionEvent, endSession, setupSessionArchiveIpcHandlers } = require('../utils/sessionArchive');
+const { setupRehearsalReportIpcHandlers } = require('../utils/rehearsalReport');
+
+const t0 = Date.parse('2026-10-19T10:00:00Z');
+const at = seconds => t0 + seconds * 1000;
+
+describe('speaking metrics', () => {
+    it('counts filler words and formats durations', () => {
+        expect(countFillerWords('Um, so I, like, basically led it. I like Go.')).toEqual({ fillerCount: 3, fillerWords: { um: 1, like: 1, basically: 1 } });
+        expect(formatDuration(84000)).toBe('1:24');
+        expect(formatDuration(5400)).toBe('0:05');
+    });
+
+    it('measures the presenter from VAD segments, with other speakers ending monologues', () => {
+        const metrics = computeSpeakingMetrics({
+            startedAt: at(-30),
+            transcripts: [
+                { text: 'Um, welcome to the talk about our roadmap', source: 'mic', startedAt: at(0), endedAt: at(40) },
+                { text: 'Basically we ship every week', source: 'mic', startedAt: at(45), endedAt: at(60) },
+                { text: 'Can you repeat that?', source: 'system', startedAt: at(62), endedAt: at(70) },
+                { text: 'So, you know, we will grow', source: 'mic', startedAt: at(71), endedAt: at(100) },
+            ],
+            speech: [
+                { source: 'mic', startedAt: at(0), endedAt: at(20) },
+                { source: 'mic', startedAt: at(21), endedAt: at(40) },
+                { source: 'mic', startedAt: at(45), endedAt: at(60) },
+                { source: 'system', startedAt: at(62), endedAt: at(70) },
+                { source: 'mic', startedAt: at(71), endedAt: at(100) },
+            ],
+        });
+
+        expect(metrics).toMatchObject({
+            wordCount: 19,
+            // 19 words over 84 s of presenting (the 5 s pause and the question are left out)
+            wordsPerMinute: 14,
+            fillerCount: 3,
+            fillerWords: { um: 1, basically: 1, 'you know': 1 },
+            speakingMs: 83000,
+            longPauses: [{ startedAt: at(40), durationMs: 5000 }],
+            longestPauseMs: 5000,
+            longestMonologue: { startedAt: at(0), durationMs: 40000 },
+        });
+        expect(metrics.perMinute).toEqual([
+            { minute: 0, words: 6, fillers: 1 },
+            { minute: 1, words: 11, fillers: 2 },
+            { minute: 2, words: 2, fillers: 0 },
+        ]);
+    });
+
+    it('falls back to transcript timing and measures everyone without a microphone channel', () => {
+        const metrics = computeSpeakingMetrics({
+            transcripts: [
+                { text: 'One two three', source: 'system', startedAt: at(0), endedAt: at(2) },
+                { text: 'four five', source: 'system', startedAt: at(6), endedAt: at(8) },
+            ],
+        });
+
+        expect(metrics.wordsPerMinute).toBe(75);
+        expect(metrics.longPauses).toEqual([{ startedAt: at(2), durationMs: 4000 }]);
+        expect(metrics.longestMonologue).toEqual({ startedAt: at(0), durationMs: 2000 });
+        expect(metrics.perMinute).toEqual([{ minute: 0, words: 5, fillers: 0 }]);
+        expect(computeSpeakingMetrics()).toMatchObject({ wordCount: 0, wordsPerMinute: null, longestMonologue: null, perMinute: [] });
+    });
+
+    describe('rehearsal report', () => {
+        let home;
+        const handler = channel => ipcMain.handle.mock.calls.filter(call => call[0] === channel).at(-1)[1];
+
+        beforeEach(() => {
+            // getConfigDir() is derived from the home directory
+            home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-rehearsal-'));
+            vi.spyOn(os, 'homedir').mockReturnValue(home);
+            setupSessionArchiveIpcHandlers();
+            setupRehearsalReportIpcHandlers();
+        });
+
+        afterEach(() => {
+            endSession();
+            vi.restoreAllMocks();
+            fs.rmSync(home, { recursive: true, force: true });
+        });
+
+        it('archives speech segments and builds the report of the latest session', async () => {
+            const start = Date.now();
+            const iso = offset => new Date(start + offset).toISOString();
+            const id = startSession({ profile: 'presentation', mode: 'interview' });
+            expect(await handler('record-speech-segment')({}, { source: 'mic', startedAt: start, endedAt: start + 30000 })).toEqual({ success: true });
+            expect(await handler('record-speech-segment')({}, { source: 'mic', startedAt: start + 34000, endedAt: start + 60000 })).toEqual({ success: true });
+            expect(await handler('record-speech-segment')({}, { source: 'mic' })).toEqual({ success: false, error: 'Invalid speech segment' });
+            recordSessionEvent('transcript', { text: 'Welcome, um, everyone', speaker: 'You', source: 'mic', startedAt: iso(0), endedAt: iso(30000) });
+            recordSessionEvent('transcript', { text: 'Here is the plan', speaker: 'You', source: 'mic', startedAt: iso(34000), endedAt: iso(60000) });
+            endSession();
+
+            const { success, report } = await handler('get-rehearsal-report')({});
+
+            expect(success).toBe(true);
+            expect(report).toMatchObject({ sessionId: id, profile: 'presentation', timing: 'vad' });
+            expect(report.metrics).toMatchObject({
+                wordCount: 7,
+                fillerCount: 1,
+                speakingMs: 56000,
+                longPauses: [{ startedAt: start + 30000, durationMs: 4000 }],
+                longestMonologue: { startedAt: start, durationMs: 30000 },
+            });
+            expect(await handler('get-rehearsal-report')({}, 'missing-session')).toEqual({ success: false, error: 'Session not found' });
+        });
+    });
+});
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SpeechSegmenter, normalizeSegmentationSettings, DEFAULT_SEGMENTATION_SETTINGS } = require('../utils/speechSegmenter');
+const { parseWav, parseLabels, evaluateFixtures, formatReport, parseArgs } = require('../../scripts/evaluate-segmentation');
+
+// 0.1s of 24 kHz 16-bit PCM at a constant level (its RMS)
+const chunk = level => {
+    const pcm = Buffer.alloc(4800);
+    for (let i = 0; i < 2400; i++) pcm.writeInt16LE(level, i * 2);
+    return pcm;
+};
+
+function pushAll(segmenter, levels) {
+    return levels.flatMap(level => segmenter.push(chunk(level)).segments);
+}
+
+const repeat = (level, count) => Array(count).fill(level);
+
+/**
+ * A WAV file from float samples per channel
+ */
+function makeWav(channels, sampleRate, { float = false } = {}) {
+    const bytesPerSample = float ? 4 : 2;
+    const frames = channels[0].length;
+    const data = Buffer.alloc(frames * channels.length * bytesPerSample);
+    for (let i = 0; i < frames; i++) {
+        channels.forEach((samples, channel) => {
+            const offset = (i * channels.length + channel) * bytesPerSample;
+            if (float) data.writeFloatLE(samples[i], offset);
+            else data.writeInt16LE(Math.round(samples[i] * 0x7fff), offset);
+        });
+    }
+    const fmt = Buffer.alloc(24);
+    fmt.write('fmt ', 0, 'ascii');
+    fmt.writeUInt32LE(16, 4);
+    fmt.writeUInt16LE(float ? 3 : 1, 8);
+    fmt.writeUInt16LE(channels.length, 10);
+    fmt.writeUInt32LE(sampleRate, 12);
+    fmt.writeUInt32LE(sampleRate * channels.length * bytesPerSample, 16);
+    fmt.writeUInt16LE(channels.length * bytesPerSample, 20);
+    fmt.writeUInt16LE(bytesPerSample * 8, 22);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(4 + fmt.length + 8 + data.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    const dataHeader = Buffer.alloc(8);
+    dataHeader.write('data', 0, 'ascii');
+    dataHeader.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, fmt, dataHeader, data]);
+}
+
+// Tone bursts in silence at 16 kHz; regions are [startSeconds, endSeconds]
+function recording(totalSeconds, regions) {
+    const sampleRate = 16000;
+    return Float32Array.from({ length: totalSeconds * sampleRate }, (_, i) => {
+        const t = i / sampleRate;
+        return regions.some(([start, end]) => t >= start && t < end) ? 0.3 * Math.sin(2 * Math.PI * 440 * t) : 0;
+    });
+}
+
+describe('speech segmentation engine', () => {
+    it('cuts an utterance with the audio before it and a short tail of silence', () => {
+        const segmenter = new SpeechSegmenter();
+        const segments = pushAll(segmenter, [...repeat(0, 5), ...repeat(2000, 15), ...repeat(0, 10)]);
+
+        expect(segments).toHaveLength(1);
+        expect(segments[0]).toMatchObject({ startMs: 0, endMs: 2300, speechStartMs: 500, speechEndMs: 2000, durationMs: 2300 });
+        expect(segments[0].pcm).toHaveLength(23 * 4800);
+        expect(segmenter.hasSegment()).toBe(false);
+    });
+
+    it('holds a short utterance until the next speech', () => {
+        const segmenter = new SpeechSegmenter();
+        expect(pushAll(segmenter, [...repeat(2000, 3), ...repeat(0, 20)])).toEqual([]);
+        expect(segmenter.hasSegment()).toBe(true);
+
+        const segments = pushAll(segmenter, [...repeat(2000, 10), ...repeat(0, 10)]);
+        expect(segments).toHaveLength(1);
+        expect(segments[0]).toMatchObject({ startMs: 0, speechStartMs: 0, speechEndMs: 3300 });
+        // The silence in between is capped at preSpeechMs
+        expect(segments[0].durationMs).toBe(600 + 1000 + 1300);
+    });
+
+    it('cuts long speech at the maximum segment length', () => {
+        const segmenter = new SpeechSegmenter({ maxSegmentMs: 5000 });
+        const segments = pushAll(segmenter, repeat(2000, 60));
+
+        expect(segments).toHaveLength(1);
+        expect(segments[0].durationMs).toBe(5000);
+        expect(segmenter.getBufferedMs()).toBe(1000);
+    });
+
+    it('drops segments that are quiet overall', () => {
+        const segmenter = new SpeechSegmenter({ speechThreshold: 100, silenceThreshold: 1000 });
+        expect(pushAll(segmenter, [...repeat(200, 15), ...repeat(0, 10)])).toEqual([]);
+        expect(segmenter.hasSegment()).toBe(false);
+    });
+
+    it('finishes and flushes buffered speech on demand', () => {
+        const segmenter = new SpeechSegmenter();
+        pushAll(segmenter, repeat(2000, 15));
+        expect(segmenter.finish()).toMatchObject({ speechStartMs: 0, speechEndMs: 1500 });
+
+        // finish() keeps short speech for later, flush() hands it over unless it is very short
+        pushAll(segmenter, repeat(2000, 6));
+        expect(segmenter.finish()).toBeNull();
+        expect(segmenter.flush()).toMatchObject({ durationMs: 600 });
+        pushAll(segmenter, repeat(2000, 3));
+        expect(segmenter.flush()).toBeNull();
+        expect(segmenter.hasSegment()).toBe(false);
+    });
+
+    it('fills in defaults and clamps settings to their ranges', () => {
+        const settings = normalizeSegmentationSettings({ speechThreshold: 10, maxSegmentMs: 'abc', silenceAfterSpeechMs: '700', unknown: 1 });
+        expect(settings).toEqual({ ...DEFAULT_SEGMENTATION_SETTINGS, speechThreshold: 50, silenceAfterSpeechMs: 700 });
+
+        const segmenter = new SpeechSegmenter();
+        segmenter.updateSettings({ silenceAfterSpeechMs: 60000 });
+        expect(segmenter.settings.silenceAfterSpeechMs).toBe(5000);
+    });
+});
+
+describe('segmentation evaluation harness', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'segmentation-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('decodes 16-bit and float WAV files to mono', () => {
+        const left = Float32Array.of(0.5, -0.5, 0.25);
+        const right = Float32Array.of(0.5, 0.5, 0.25);
+
+        const pcm = parseWav(makeWav([left], 16000));
+        expect(pcm.sampleRate).toBe(16000);
+        expect(pcm.samples[0]).toBeCloseTo(0.5, 3);
+
+        const float = parseWav(makeWav([left, right], 48000, { float: true }));
+        expect(float.sampleRate).toBe(48000);
+        expect(Array.from(float.samples)).toEqual([0.5, 0, 0.25]);
+
+        expect(() => parseWav(Buffer.from('not a wav file'))).toThrow('Not a WAV file');
+    });
+
+    it('reads Audacity label files', () => {
+        const labels = parseLabels('4.5\t6.5\tsecond\n\\\t100.0\t3000.0\n1.000000\t2.500000\tfirst\n\nbroken line\n');
+        expect(labels).toEqual([
+            { startMs: 1000, endMs: 2500, label: 'first' },
+            { startMs: 4500, endMs: 6500, label: 'second' },
+        ]);
+    });
+
+    it('reports detected segments against the labels', () => {
+        fs.writeFileSync(path.join(dir, 'a.wav'), makeWav([recording(8, [[1, 2.5], [4.5, 6.5]])], 16000));
+        fs.writeFileSync(path.join(dir, 'a.txt'), '1.0\t2.5\tfirst\n4.5\t6.5\tsecond\n');
+        // A burst nobody labelled as speech
+        fs.writeFileSync(path.join(dir, 'b.wav'), makeWav([recording(3, [[0.5, 1.7]])], 16000));
+        fs.writeFileSync(path.join(dir, 'b.txt'), '');
+        // No labels - skipped
+        fs.writeFileSync(path.join(dir, 'c.wav'), makeWav([recording(1, [])], 16000));
+
+        const result = evaluateFixtures(dir);
+        expect(result.files.map(file => file.name)).toEqual(['a.wav', 'b.wav']);
+
+        const [a, b] = result.files;
+        expect(a).toMatchObject({ labelled: 2, detected: 2, matched: 2, missed: 0, falseAlarms: 0, splits: 0, merges: 0, recall: 1 });
+        expect(a.meanStartErrorMs).toBeLessThanOrEqual(100);
+        expect(a.meanEndErrorMs).toBeLessThanOrEqual(100);
+        expect(b).toMatchObject({ labelled: 0, detected: 1, falseAlarms: 1, precision: 0, recall: null });
+        expect(result.total).toMatchObject({ labelled: 2, detected: 3, matched: 2, falseAlarms: 1 });
+        expect(result.total.precision).toBeCloseTo(2 / 3);
+        expect(result.total.f1).toBeCloseTo(0.8);
+
+        const report = formatReport(result);
+        expect(report).toContain('Settings: defaults');
+        expect(report).toContain('TOTAL');
+
+        // A long enough silence setting merges the two utterances of a.wav
+        const merged = evaluateFixtures(dir, { silenceAfterSpeechMs: 2500 });
+        expect(merged.files[0]).toMatchObject({ detected: 1, matched: 1, merges: 1 });
+        expect(formatReport(merged)).toContain('silenceAfterSpeechMs=2500');
+    });
+
+    it('parses command line settings', () => {
+        expect(parseArgs(['fixtures', '--set', 'speechThreshold=800', '--json'])).toEqual({
+            dir: 'fixtures',
+            settings: { speechThreshold: 800 },
+            json: true,
+        });
+        expect(() => parseArgs(['--set', 'loudness=1'])).toThrow('Unknown setting "loudness"');
+    });
+});
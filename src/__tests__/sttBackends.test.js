@@ -0,0 +1,179 @@
+const http = require('http');
+const { configureSttBackend, getSttSettings, getActiveSttBackendId, normalizeLanguageHint, transcribeAudio } = require('../utils/sttBackends');
+const { initializeGroq } = require('../utils/groq');
+const { configureRequestPolicy, resetRequestExecutor } = require('../utils/requestExecutor');
+
+// Minimal /audio/transcriptions server (same shape as faster-whisper-server / whisper.cpp server)
+function startFakeServer() {
+    const requests = [];
+    const pending = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk.toString('latin1')));
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+            if (req.url === '/v1/audio/transcriptions') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ text: 'Tell me about yourself' }));
+            } else if (req.url === '/unauthorized/audio/transcriptions') {
+                res.writeHead(401);
+                res.end('{"error":{"message":"bad key"}}');
+            } else if (req.url === '/broken/audio/transcriptions') {
+                res.writeHead(503);
+                res.end('unavailable');
+            } else if (req.url === '/slow/audio/transcriptions') {
+                // Never answer - the client timeout has to kick in
+                pending.push(res);
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, pending, origin: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+// Multipart form fields sent alongside the audio file
+function getFormField(body, name) {
+    const match = body.match(new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`));
+    return match ? match[1] : undefined;
+}
+
+const wav = Buffer.alloc(64);
+
+describe('speech-to-text backends', () => {
+    let fake;
+
+    beforeAll(async () => {
+        fake = await startFakeServer();
+    });
+
+    afterAll(() => {
+        fake.pending.forEach(res => res.end());
+        fake.server.close();
+    });
+
+    beforeEach(() => {
+        fake.requests.length = 0;
+        configureSttBackend({});
+        resetRequestExecutor();
+        configureRequestPolicy({ baseDelayMs: 1, maxDelayMs: 5 });
+    });
+
+    describe('normalizeLanguageHint', () => {
+        it('maps app language tags to Whisper language codes', () => {
+            expect(normalizeLanguageHint('en-US')).toBe('en');
+            expect(normalizeLanguageHint('pt_BR')).toBe('pt');
+            expect(normalizeLanguageHint('cmn-CN')).toBe('zh');
+        });
+
+        it('treats empty and auto as auto-detect', () => {
+            expect(normalizeLanguageHint('')).toBe('');
+            expect(normalizeLanguageHint('auto')).toBe('');
+            expect(normalizeLanguageHint(undefined)).toBe('');
+        });
+    });
+
+    describe('configureSttBackend', () => {
+        it('defaults to Groq Whisper', () => {
+            expect(getActiveSttBackendId()).toBe('groq');
+            expect(getSttSettings().model).toBe('whisper-large-v3-turbo');
+            expect(getSttSettings().baseUrl).toBe('https://api.groq.com/openai/v1');
+        });
+
+        it('applies per-backend overrides and keeps defaults for empty fields', () => {
+            configureSttBackend({
+                backend: 'openai-compatible',
+                backends: {
+                    'openai-compatible': { baseUrl: 'http://localhost:9000/v1/', model: '', language: 'de-DE', timeoutMs: '15000' },
+                },
+            });
+            const settings = getSttSettings();
+            expect(getActiveSttBackendId()).toBe('openai-compatible');
+            expect(settings.baseUrl).toBe('http://localhost:9000/v1');
+            expect(settings.model).toBe('whisper-1');
+            expect(settings.language).toBe('de');
+            expect(settings.timeoutMs).toBe(15000);
+        });
+
+        it('falls back to Groq for unknown backends and invalid timeouts', () => {
+            configureSttBackend({ backend: 'nope', backends: { groq: { timeoutMs: 'soon' } } });
+            expect(getActiveSttBackendId()).toBe('groq');
+            expect(getSttSettings().timeoutMs).toBe(30000);
+        });
+    });
+
+    describe('OpenAI-compatible backend', () => {
+        it('posts the audio with model and language fields', async () => {
+            configureSttBackend({
+                backend: 'openai-compatible',
+                backends: { 'openai-compatible': { baseUrl: `${fake.origin}/v1`, model: 'large-v3', language: 'en-US' } },
+            });
+
+            const text = await transcribeAudio(wav);
+
+            expect(text).toBe('Tell me about yourself');
+            const request = fake.requests[0];
+            expect(request.method).toBe('POST');
+            expect(request.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+            expect(request.headers.authorization).toBeUndefined();
+            expect(getFormField(request.body, 'model')).toBe('large-v3');
+            expect(getFormField(request.body, 'language')).toBe('en');
+            expect(request.body).toContain('filename="audio.wav"');
+        });
+
+        it('omits the language field when auto-detecting', async () => {
+            configureSttBackend({ backend: 'openai-compatible', backends: { 'openai-compatible': { baseUrl: `${fake.origin}/v1`, apiKey: 'local' } } });
+
+            await transcribeAudio(wav);
+
+            const request = fake.requests[0];
+            expect(getFormField(request.body, 'language')).toBeUndefined();
+            expect(request.headers.authorization).toBe('Bearer local');
+        });
+
+        it('rejects with a friendly error on 401', async () => {
+            configureSttBackend({ backend: 'openai-compatible', backends: { 'openai-compatible': { baseUrl: `${fake.origin}/unauthorized` } } });
+            await expect(transcribeAudio(wav)).rejects.toThrow('Invalid API Key (Local STT)');
+        });
+
+        it('retries 5xx responses before giving up with a server error', async () => {
+            configureSttBackend({ backend: 'openai-compatible', backends: { 'openai-compatible': { baseUrl: `${fake.origin}/broken` } } });
+            await expect(transcribeAudio(wav)).rejects.toThrow('Server error');
+            expect(fake.requests).toHaveLength(3);
+        });
+
+        it('gives up after the configured timeout', async () => {
+            configureSttBackend({
+                backend: 'openai-compatible',
+                backends: { 'openai-compatible': { baseUrl: `${fake.origin}/slow`, timeoutMs: 1000 } },
+            });
+            await expect(transcribeAudio(wav)).rejects.toThrow('Transcription timeout');
+        });
+    });
+
+    describe('Groq backend', () => {
+        it('uses the configured base URL and model with the Groq key', async () => {
+            initializeGroq('gsk_test');
+            configureSttBackend({ backend: 'groq', backends: { groq: { baseUrl: `${fake.origin}/v1`, model: 'whisper-large-v3' } } });
+
+            const text = await transcribeAudio(wav);
+
+            expect(text).toBe('Tell me about yourself');
+            const request = fake.requests[0];
+            expect(request.headers.authorization).toBe('Bearer gsk_test');
+            expect(getFormField(request.body, 'model')).toBe('whisper-large-v3');
+        });
+
+        it('requires a Groq API key', async () => {
+            initializeGroq('');
+            await expect(transcribeAudio(wav)).rejects.toThrow('Groq API key not initialized');
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSystemPrompt, getCondensedSystemPrompt, getGeminiMessageHint, profilePrompts } = require('../utils/prompts');
+const userProfiles = require('../utils/userProfiles');
+const knowledge = require('../utils/knowledgeBase');
+
+const SUPPORT_PROFILE = {
+    name: 'Customer Support',
+    description: 'Tier 1 support calls',
+    intro: 'You help a support agent resolve customer issues on live calls.',
+    formatRequirements: 'Answer in at most 3 short sentences.',
+    searchUsage: 'Search the status page for ongoing incidents.',
+    content: 'Acknowledge the problem first, then give the fix.',
+    outputInstructions: 'Plain text only.',
+    messageHints: { text: '[INSTRUCTIONS:] Lead with the fix.', image: '' },
+};
+
+describe('user profiles', () => {
+    let home;
+
+    beforeEach(() => {
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'cheddar-profiles-'));
+        vi.spyOn(os, 'homedir').mockReturnValue(home);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    it('creates ids from the name without taking a built-in or existing id', () => {
+        expect(userProfiles.saveUserProfile(SUPPORT_PROFILE).id).toBe('customer-support');
+        expect(userProfiles.saveUserProfile(SUPPORT_PROFILE).id).toBe('customer-support-2');
+        expect(userProfiles.saveUserProfile({ ...SUPPORT_PROFILE, name: 'Sales' }).id).toBe('sales-2');
+        expect(userProfiles.listUserProfiles().map(profile => profile.name)).toEqual(['Customer Support', 'Customer Support', 'Sales']);
+    });
+
+    it('updates a profile in place', () => {
+        const created = userProfiles.saveUserProfile(SUPPORT_PROFILE);
+
+        const updated = userProfiles.saveUserProfile({ ...created, name: 'Support Desk', content: 'Escalate billing issues.' });
+
+        expect(updated).toMatchObject({ id: 'customer-support', name: 'Support Desk', createdAt: created.createdAt });
+        expect(userProfiles.listUserProfiles()).toHaveLength(1);
+        expect(userProfiles.readUserProfile('customer-support').content).toBe('Escalate billing issues.');
+    });
+
+    it('rejects incomplete profiles', () => {
+        expect(() => userProfiles.saveUserProfile({ ...SUPPORT_PROFILE, name: '  ' })).toThrow('needs a name');
+        expect(() => userProfiles.saveUserProfile({ name: 'Empty' })).toThrow('intro or content');
+        expect(() => userProfiles.saveUserProfile({ ...SUPPORT_PROFILE, content: 42 })).toThrow('content must be text');
+    });
+
+    it('builds the system prompt from its sections', () => {
+        const { id } = userProfiles.saveUserProfile(SUPPORT_PROFILE);
+
+        const prompt = getSystemPrompt(id, 'Our product is Acme CRM.', true);
+
+        expect(prompt.startsWith(SUPPORT_PROFILE.intro)).toBe(true);
+        expect(prompt).toContain(SUPPORT_PROFILE.searchUsage);
+        expect(prompt).toContain('User-provided context\n-----\nOur product is Acme CRM.\n-----');
+        expect(getSystemPrompt(id, '', false)).not.toContain(SUPPORT_PROFILE.searchUsage);
+        expect(getCondensedSystemPrompt(id, '')).not.toContain(SUPPORT_PROFILE.searchUsage);
+        expect(getCondensedSystemPrompt(id, '')).toContain(SUPPORT_PROFILE.content);
+    });
+
+    it('uses its own message hints and the generic one otherwise', () => {
+        const { id } = userProfiles.saveUserProfile(SUPPORT_PROFILE);
+
+        expect(getGeminiMessageHint(false, id)).toBe('\n\n[INSTRUCTIONS:] Lead with the fix.');
+        expect(getGeminiMessageHint(true, id)).toContain('Keep response concise');
+    });
+
+    it('clones built-in profiles with their hints', () => {
+        const template = userProfiles.getProfileTemplate('sales');
+
+        expect(template.intro).toBe(profilePrompts.sales.intro);
+        expect(template.messageHints.text).toBe(getGeminiMessageHint(false, 'sales').trim());
+        expect(() => userProfiles.getProfileTemplate('missing')).toThrow('Profile not found');
+    });
+
+    it('shares profiles as JSON files and imports them as new profiles', () => {
+        const { id } = userProfiles.saveUserProfile(SUPPORT_PROFILE);
+
+        const { filePath } = userProfiles.exportUserProfile(id);
+        const shared = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const imported = userProfiles.importUserProfile(filePath);
+
+        expect(path.basename(filePath)).toBe('profile-customer-support.json');
+        expect(shared).toEqual({ cheatingDaddyProfile: 1, profile: SUPPORT_PROFILE });
+        expect(imported).toMatchObject({ ...SUPPORT_PROFILE, id: 'customer-support-2' });
+        expect(userProfiles.listUserProfiles()).toHaveLength(2);
+    });
+
+    it('refuses files from a newer version', () => {
+        const filePath = path.join(home, 'future.json');
+        fs.writeFileSync(filePath, JSON.stringify({ cheatingDaddyProfile: 2, profile: SUPPORT_PROFILE }));
+
+        expect(() => userProfiles.importUserProfile(filePath)).toThrow('newer version');
+    });
+
+    it('deletes the profile together with its knowledge base', () => {
+        const { id } = userProfiles.saveUserProfile(SUPPORT_PROFILE);
+        const doc = path.join(home, 'faq.txt');
+        fs.writeFileSync(doc, 'Password resets are done from the login page.');
+        knowledge.addDocument(id, doc);
+
+        userProfiles.deleteUserProfile(id);
+
+        expect(userProfiles.readUserProfile(id)).toBeNull();
+        expect(knowledge.searchKnowledge(id, 'password reset')).toEqual([]);
+        expect(() => userProfiles.deleteUserProfile('interview')).toThrow('Profile not found');
+    });
+});
@@ -1,11 +1,11 @@
 const fs = require('fs');
 const path = require('path');
+const { measureAudioLevels } = require('./utils/audioDiagnostics');
 
-// Convert raw PCM to WAV format for easier playback and verification
-function pcmToWav(pcmBuffer, outputPath, sampleRate = 24000, channels = 1, bitDepth = 16) {
+// 44-byte header of a PCM WAV file holding dataSize bytes of samples
+function createWavHeader(dataSize, sampleRate = 24000, channels = 1, bitDepth = 16) {
     const byteRate = sampleRate * channels * (bitDepth / 8);
     const blockAlign = channels * (bitDepth / 8);
-    const dataSize = pcmBuffer.length;
 
     // Create WAV header
     const header = Buffer.alloc(44);
@@ -29,8 +29,13 @@ function pcmToWav(pcmBuffer, outputPath, sampleRate = 24000, channels = 1, bitDe
     header.write('data', 36);
     header.writeUInt32LE(dataSize, 40); // Subchunk2Size
 
+    return header;
+}
+
+// Convert raw PCM to WAV format for easier playback and verification
+function pcmToWav(pcmBuffer, outputPath, sampleRate = 24000, channels = 1, bitDepth = 16) {
     // Combine header and PCM data
-    const wavBuffer = Buffer.concat([header, pcmBuffer]);
+    const wavBuffer = Buffer.concat([createWavHeader(pcmBuffer.length, sampleRate, channels, bitDepth), pcmBuffer]);
 
     // Write to file
     fs.writeFileSync(outputPath, wavBuffer);
@@ -38,32 +43,11 @@ function pcmToWav(pcmBuffer, outputPath, sampleRate = 24000, channels = 1, bitDe
     return outputPath;
 }
 
-// Analyze audio buffer for debugging
+// Analyze audio buffer for debugging (the same measurements feed the diagnostics panel in AdvancedView)
 function analyzeAudioBuffer(buffer, label = 'Audio') {
     const int16Array = new Int16Array(buffer.buffer, buffer.byteOffset, buffer.length / 2);
-
-    let minValue = 32767;
-    let maxValue = -32768;
-    let avgValue = 0;
-    let rmsValue = 0;
-    let silentSamples = 0;
-
-    for (let i = 0; i < int16Array.length; i++) {
-        const sample = int16Array[i];
-        minValue = Math.min(minValue, sample);
-        maxValue = Math.max(maxValue, sample);
-        avgValue += sample;
-        rmsValue += sample * sample;
-
-        if (Math.abs(sample) < 100) {
-            silentSamples++;
-        }
-    }
-
-    avgValue /= int16Array.length;
-    rmsValue = Math.sqrt(rmsValue / int16Array.length);
-
-    const silencePercentage = (silentSamples / int16Array.length) * 100;
+    const levels = measureAudioLevels(int16Array);
+    const { minValue, maxValue, avgValue, rmsValue, silencePercentage } = levels;
 
     console.log(`${label} Analysis:`);
     console.log(`  Samples: ${int16Array.length}`);
@@ -71,16 +55,10 @@ function analyzeAudioBuffer(buffer, label = 'Audio') {
     console.log(`  Average: ${avgValue.toFixed(2)}`);
     console.log(`  RMS: ${rmsValue.toFixed(2)}`);
     console.log(`  Silence: ${silencePercentage.toFixed(1)}%`);
+    console.log(`  Clipping: ${levels.clippingPercentage.toFixed(1)}%`);
     console.log(`  Dynamic Range: ${20 * Math.log10(maxValue / (rmsValue || 1))} dB`);
 
-    return {
-        minValue,
-        maxValue,
-        avgValue,
-        rmsValue,
-        silencePercentage,
-        sampleCount: int16Array.length,
-    };
+    return levels;
 }
 
 // Save audio buffer with metadata for debugging
@@ -129,6 +107,7 @@ function saveDebugAudio(buffer, type, timestamp = Date.now()) {
 }
 
 module.exports = {
+    createWavHeader,
     pcmToWav,
     analyzeAudioBuffer,
     saveDebugAudio,
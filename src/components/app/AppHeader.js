@@ -98,6 +98,36 @@ export class AppHeader extends LitElement {
             opacity: 1;
         }
 
+        .recording-indicator {
+            display: inline-flex;
+            align-items: center;
+            gap: 5px;
+            font-size: 10px;
+            font-weight: 700;
+            padding: 3px 8px;
+            border-radius: 4px;
+            background: rgba(239, 68, 68, 0.15);
+            color: #ef4444;
+            border: 1px solid rgba(239, 68, 68, 0.4);
+            letter-spacing: 0.5px;
+            white-space: nowrap;
+        }
+
+        .recording-indicator::before {
+            content: '';
+            width: 7px;
+            height: 7px;
+            border-radius: 50%;
+            background: #ef4444;
+            animation: recording-pulse 1.2s ease-in-out infinite;
+        }
+
+        @keyframes recording-pulse {
+            50% {
+                opacity: 0.3;
+            }
+        }
+
         .update-button-wrapper {
             position: relative;
             display: inline-flex;
@@ -140,6 +170,7 @@ export class AppHeader extends LitElement {
         currentModel: { type: String },
         onCustomizeClick: { type: Function },
         onHelpClick: { type: Function },
+        onSessionsClick: { type: Function },
         onCloseClick: { type: Function },
         onBackClick: { type: Function },
         onHideToggleClick: { type: Function },
@@ -149,6 +180,7 @@ export class AppHeader extends LitElement {
         onAdvancedClick: { type: Function },
         onUpdateCheckClick: { type: Function },
         updateAvailable: { type: Boolean },
+        isRecording: { type: Boolean },
     };
 
     constructor() {
@@ -160,6 +192,7 @@ export class AppHeader extends LitElement {
         this.currentModel = '';
         this.onCustomizeClick = () => {};
         this.onHelpClick = () => {};
+        this.onSessionsClick = () => {};
         this.onCloseClick = () => {};
         this.onBackClick = () => {};
         this.onHideToggleClick = () => {};
@@ -169,6 +202,8 @@ export class AppHeader extends LitElement {
         this.onAdvancedClick = () => {};
         this.onUpdateCheckClick = () => {};
         this.updateAvailable = false;
+        // The session's audio is being recorded to disk - shown in every view
+        this.isRecording = false;
         this._timerInterval = null;
     }
 
@@ -187,7 +222,7 @@ export class AppHeader extends LitElement {
 
         // Start/stop timer based on view change
         if (changedProperties.has('currentView')) {
-            if (this.currentView === 'assistant' && this.startTime) {
+            if (this.isSessionView() && this.startTime) {
                 this._startTimer();
             } else {
                 this._stopTimer();
@@ -196,7 +231,7 @@ export class AppHeader extends LitElement {
 
         // Start timer when startTime is set
         if (changedProperties.has('startTime')) {
-            if (this.startTime && this.currentView === 'assistant') {
+            if (this.startTime && this.isSessionView()) {
                 this._startTimer();
             } else if (!this.startTime) {
                 this._stopTimer();
@@ -208,8 +243,8 @@ export class AppHeader extends LitElement {
         // Clear any existing timer
         this._stopTimer();
 
-        // Only start timer if we're in assistant view and have a start time
-        if (this.currentView === 'assistant' && this.startTime) {
+        // Only start timer if we're in a live session view and have a start time
+        if (this.isSessionView() && this.startTime) {
             this._timerInterval = setInterval(() => {
                 // Trigger a re-render by requesting an update
                 this.requestUpdate();
@@ -231,6 +266,14 @@ export class AppHeader extends LitElement {
             customize: 'Customize',
             help: 'Help & Shortcuts',
             history: 'Conversation History',
+            sessions: 'Sessions',
+            minutes: 'Meeting Minutes',
+            rehearsal: 'Rehearsal Report',
+            scorecard: 'Call Scorecard',
+            negotiation: 'Negotiation Record',
+            profiles: 'Profiles',
+            captions: 'Live Captions',
+            practice: 'Interview Practice',
             advanced: 'Advanced Tools',
             assistant: 'Cheating Daddy Pro',
         };
@@ -238,7 +281,7 @@ export class AppHeader extends LitElement {
     }
 
     getElapsedTime() {
-        if (this.currentView === 'assistant' && this.startTime) {
+        if (this.isSessionView() && this.startTime) {
             const totalSeconds = Math.floor((Date.now() - this.startTime) / 1000);
 
             const hours = Math.floor(totalSeconds / 3600);
@@ -261,23 +304,13 @@ export class AppHeader extends LitElement {
 
     getModelDisplayName() {
         if (!this.currentModel) return '';
-
-        // Format model names for display
-        const modelMap = {
-            'gemini-2.5-flash': '2.5 Flash',
-            'gemini-2.5-flash-lite': '2.5 Flash Lite',
-            'gemini-3-flash-preview': '3.0 Flash',
-            'gemini-3-pro-preview': '3.0 Pro Preview',
-            'llama-4-maverick': 'Llama 4 Maverick',
-            'llama-4-scout': 'Llama 4 Scout',
-        };
-
-        return modelMap[this.currentModel] || this.currentModel;
+        // Short names ("2.5 Flash") come from the model registry; OpenAI-compatible ids show without the "openai:" prefix
+        return window.cheddar.modelRegistry.getModelDisplayName(this.currentModel, { short: true });
     }
 
     // Check if model is Groq/Llama model
     isGroqModel() {
-        return this.currentModel && (this.currentModel.includes('llama') || this.currentModel.includes('groq'));
+        return window.cheddar.modelRegistry.getModelProvider(this.currentModel) === 'groq';
     }
 
     // Check if status is an error message (hide Hide button during errors)
@@ -290,8 +323,13 @@ export class AppHeader extends LitElement {
         return this.currentMode === 'interview' ? 'interview' : 'coding';
     }
 
+    // Views that show a live session (timer and status in the header)
+    isSessionView() {
+        return this.currentView === 'assistant' || this.currentView === 'captions';
+    }
+
     isNavigationView() {
-        const navigationViews = ['customize', 'help', 'advanced'];
+        const navigationViews = ['customize', 'help', 'advanced', 'sessions', 'minutes', 'rehearsal', 'scorecard', 'negotiation', 'profiles', 'practice'];
         return navigationViews.includes(this.currentView);
     }
 
@@ -306,7 +344,8 @@ export class AppHeader extends LitElement {
                     ${modelName && this.currentView === 'assistant'
                         ? html`<span class="model-badge ${this.getModelBadgeClass()}">${modelName}</span>`
                         : ''}
-                    ${this.currentView === 'assistant'
+                    ${this.isRecording ? html`<span class="recording-indicator" title="This session's audio is being recorded">REC</span>` : ''}
+                    ${this.isSessionView()
                         ? html`
                               <span style="font-size: var(--header-font-size-small); color: var(--header-actions-color); margin-left: 8px;">${elapsedTime}</span>
                               <span style="font-size: var(--header-font-size-small); color: var(--header-actions-color);">${this.statusText}</span>
@@ -423,6 +462,34 @@ export class AppHeader extends LitElement {
                                       ></path>
                                   </svg>
                               </button>
+                              <button class="icon-button" @click=${this.onSessionsClick}>
+                                  <svg
+                                      width="24px"
+                                      height="24px"
+                                      stroke-width="1.7"
+                                      viewBox="0 0 24 24"
+                                      fill="none"
+                                      xmlns="http://www.w3.org/2000/svg"
+                                      color="currentColor"
+                                  >
+                                      <path
+                                          d="M4 19V5C4 3.89543 4.89543 3 6 3H19.4C19.7314 3 20 3.26863 20 3.6V16.7143"
+                                          stroke="currentColor"
+                                          stroke-width="1.7"
+                                          stroke-linecap="round"
+                                      ></path>
+                                      <path d="M8 3V11L10.5 9.4L13 11V3" stroke="currentColor" stroke-width="1.7" stroke-linecap="round" stroke-linejoin="round"></path>
+                                      <path d="M6 17L20 17" stroke="currentColor" stroke-width="1.7" stroke-linecap="round"></path>
+                                      <path d="M6 21L20 21" stroke="currentColor" stroke-width="1.7" stroke-linecap="round"></path>
+                                      <path
+                                          d="M6 21C4.89543 21 4 20.1046 4 19C4 17.8954 4.89543 17 6 17"
+                                          stroke="currentColor"
+                                          stroke-width="1.7"
+                                          stroke-linecap="round"
+                                          stroke-linejoin="round"
+                                      ></path>
+                                  </svg>
+                              </button>
                               <button class="icon-button" @click=${this.onHelpClick}>
                                   <?xml version="1.0" encoding="UTF-8"?><svg
                                       width="24px"
@@ -6,6 +6,14 @@ import { HelpView } from '../views/HelpView.js';
 import { AssistantView } from '../views/AssistantView.js';
 import { OnboardingView } from '../views/OnboardingView.js';
 import { AdvancedView } from '../views/AdvancedView.js';
+import { SessionsView } from '../views/SessionsView.js';
+import { MinutesView } from '../views/MinutesView.js';
+import { RehearsalView } from '../views/RehearsalView.js';
+import { ScorecardView } from '../views/ScorecardView.js';
+import { NegotiationView } from '../views/NegotiationView.js';
+import { ProfilesView } from '../views/ProfilesView.js';
+import { CaptionsView } from '../views/CaptionsView.js';
+import { PracticeView } from '../views/PracticeView.js';
 
 export class CheatingDaddyApp extends LitElement {
     static styles = css`
@@ -111,9 +119,16 @@ export class CheatingDaddyApp extends LitElement {
         advancedMode: { type: Boolean },
         currentMode: { type: String },
         currentModel: { type: String },
+        _minutesSessionId: { state: true },
+        _rehearsalSessionId: { state: true },
+        _scorecardSessionId: { state: true },
+        _negotiationSessionId: { state: true },
+        _openSessionId: { state: true },
+        _sessionsMessage: { state: true },
         _viewInstances: { type: Object, state: true },
         _isClickThrough: { state: true },
         _awaitingNewResponse: { state: true },
+        _streamingResponseId: { state: true },
         shouldAnimateResponse: { type: Boolean },
         updateAvailable: { type: Boolean },
     };
@@ -138,6 +153,7 @@ export class CheatingDaddyApp extends LitElement {
         this._viewInstances = new Map();
         this._isClickThrough = false;
         this._awaitingNewResponse = false;
+        this._streamingResponseId = null; // Id of the generation currently streaming deltas, if any
         this._currentResponseIsComplete = true;
         this.shouldAnimateResponse = false;
         this.updateAvailable = false;
@@ -155,6 +171,9 @@ export class CheatingDaddyApp extends LitElement {
             ipcRenderer.on('update-response', (_, response) => {
                 this.setResponse(response);
             });
+            ipcRenderer.on('response-delta', (_, delta) => {
+                this.appendResponseDelta(delta);
+            });
             ipcRenderer.on('update-status', (_, status) => {
                 this.setStatus(status);
             });
@@ -164,6 +183,10 @@ export class CheatingDaddyApp extends LitElement {
             ipcRenderer.on('update-available', (_, available) => {
                 this.updateAvailable = available;
             });
+            // Opt-in call recording started or stopped (utils/callRecorder.js)
+            ipcRenderer.on('call-recording-state', (_, state) => {
+                this.isRecording = state.recording;
+            });
         }
 
         // Add global keyboard event listener for Ctrl+G
@@ -176,9 +199,11 @@ export class CheatingDaddyApp extends LitElement {
         if (window.require) {
             const { ipcRenderer } = window.require('electron');
             ipcRenderer.removeAllListeners('update-response');
+            ipcRenderer.removeAllListeners('response-delta');
             ipcRenderer.removeAllListeners('update-status');
             ipcRenderer.removeAllListeners('click-through-toggled');
             ipcRenderer.removeAllListeners('update-available');
+            ipcRenderer.removeAllListeners('call-recording-state');
         }
         
         // Remove global keyboard event listener
@@ -198,7 +223,32 @@ export class CheatingDaddyApp extends LitElement {
         }
     }
 
+    appendResponseDelta({ id, delta }) {
+        if (this._streamingResponseId !== id || this.responses.length === 0) {
+            // First tokens of a new generation always start a new response
+            this._streamingResponseId = id;
+            this.responses = [...this.responses, delta];
+            this.currentResponseIndex = this.responses.length - 1;
+            this._awaitingNewResponse = false;
+            this._currentResponseIsComplete = false;
+        } else {
+            const lastIndex = this.responses.length - 1;
+            this.responses = [...this.responses.slice(0, lastIndex), this.responses[lastIndex] + delta];
+        }
+        this.shouldAnimateResponse = true;
+    }
+
     setResponse(response) {
+        if (this._streamingResponseId !== null && this.responses.length > 0) {
+            // Final text of a streamed generation replaces the accumulated deltas
+            this._streamingResponseId = null;
+            this.responses = [...this.responses.slice(0, this.responses.length - 1), response];
+            this.shouldAnimateResponse = true;
+            this.requestUpdate();
+            return;
+        }
+        this._streamingResponseId = null;
+
         // Check if this looks like a filler response (very short responses to hmm, ok, etc)
         const isFillerResponse =
             response.length < 30 &&
@@ -245,6 +295,45 @@ export class CheatingDaddyApp extends LitElement {
         this.requestUpdate();
     }
 
+    handleSessionsClick() {
+        this._openSessionId = null;
+        this._sessionsMessage = '';
+        this.currentView = 'sessions';
+        this.requestUpdate();
+    }
+
+    openProfiles() {
+        this.currentView = 'profiles';
+    }
+
+    openPractice() {
+        this.currentView = 'practice';
+    }
+
+    // sessionId null = the latest session
+    openMinutes(sessionId = null) {
+        this._minutesSessionId = sessionId;
+        this.currentView = 'minutes';
+    }
+
+    // sessionId null = the latest session
+    openRehearsalReport(sessionId = null) {
+        this._rehearsalSessionId = sessionId;
+        this.currentView = 'rehearsal';
+    }
+
+    // sessionId null = the latest session
+    openScorecard(sessionId = null) {
+        this._scorecardSessionId = sessionId;
+        this.currentView = 'scorecard';
+    }
+
+    // sessionId null = the latest session
+    openNegotiationRecord(sessionId = null) {
+        this._negotiationSessionId = sessionId;
+        this.currentView = 'negotiation';
+    }
+
     async handleUpdateCheckClick() {
         if (window.require) {
             const { ipcRenderer } = window.require('electron');
@@ -260,8 +349,21 @@ export class CheatingDaddyApp extends LitElement {
     }
 
     async handleClose() {
-        if (this.currentView === 'customize' || this.currentView === 'help' || this.currentView === 'advanced') {
+        if (this.currentView === 'profiles') {
+            this.currentView = 'customize';
+        } else if (['customize', 'help', 'advanced', 'sessions', 'minutes', 'rehearsal', 'scorecard', 'negotiation', 'practice'].includes(this.currentView)) {
             this.currentView = 'main';
+        } else if (this.currentView === 'captions') {
+            cheddar.stopCapture();
+            this.sessionActive = false;
+            if (window.require) {
+                const { ipcRenderer } = window.require('electron');
+                await ipcRenderer.invoke('close-session');
+                await this.saveCaptions();
+            } else {
+                this.currentView = 'main';
+            }
+            console.log('Captions closed');
         } else if (this.currentView === 'assistant') {
             cheddar.stopCapture();
 
@@ -271,7 +373,21 @@ export class CheatingDaddyApp extends LitElement {
                 await ipcRenderer.invoke('close-session');
             }
             this.sessionActive = false;
-            this.currentView = 'main';
+            // Meetings end on their minutes so they can be reviewed and exported
+            if (this.selectedProfile === 'meeting' && window.require) {
+                this.openMinutes();
+            } else if (this.selectedProfile === 'presentation' && window.require) {
+                // Rehearsals end on their delivery report
+                this.openRehearsalReport();
+            } else if (this.selectedProfile === 'sales' && window.require) {
+                // Sales calls end on their scorecard
+                this.openScorecard();
+            } else if (this.selectedProfile === 'negotiation' && window.require) {
+                // Negotiations end on their offer timeline
+                this.openNegotiationRecord();
+            } else {
+                this.currentView = 'main';
+            }
             console.log('Session closed');
         } else {
             // Quit the entire application
@@ -282,6 +398,21 @@ export class CheatingDaddyApp extends LitElement {
         }
     }
 
+    // Write the captions session as SRT and WebVTT, then show it in the Sessions view
+    async saveCaptions() {
+        const { ipcRenderer } = window.require('electron');
+        const results = [];
+        for (const format of ['srt', 'vtt']) {
+            results.push(await ipcRenderer.invoke('export-session', { format }));
+        }
+        const failed = results.find(result => !result.success);
+        this._openSessionId = results[0].sessionId || null;
+        this._sessionsMessage = failed
+            ? `Could not save captions: ${failed.error}`
+            : `Captions saved to ${results.map(result => result.filePath).join(' and ')}`;
+        this.currentView = 'sessions';
+    }
+
     async handleHideToggle() {
         if (window.require) {
             const { ipcRenderer } = window.require('electron');
@@ -289,11 +420,34 @@ export class CheatingDaddyApp extends LitElement {
         }
     }
 
+    // Captions only need speech-to-text: a Groq key for Groq Whisper, nothing with a local backend
+    async handleStartCaptions() {
+        const usesGroqStt = (localStorage.getItem('sttBackend') || 'groq') === 'groq';
+        if (usesGroqStt && !localStorage.getItem('groqApiKey')?.trim()) {
+            const mainView = this.shadowRoot.querySelector('main-view');
+            if (mainView?.triggerCaptionsKeyError) mainView.triggerCaptionsKeyError();
+            return;
+        }
+
+        await cheddar.initializeGemini(this.selectedProfile, this.selectedLanguage, 'captions');
+        this.currentMode = 'captions';
+        this.currentModel = '';
+        cheddar.startCapture('manual', this.selectedImageQuality);
+        this.responses = [];
+        this.currentResponseIndex = -1;
+        this.startTime = Date.now();
+        this.currentView = 'captions';
+    }
+
     // Main view event handlers
     async handleStart() {
         const selectedModel = localStorage.getItem('selectedModel') || 'llama-4-maverick';
-        const isGroqModel = selectedModel && (selectedModel.includes('llama') || selectedModel.includes('groq'));
-        const needsBothKeys = selectedModel === 'gemini-2.5-flash-lite' && this.selectedProfile !== 'exam';
+        // OpenAI-compatible models only need the Groq key when Groq Whisper does the speech-to-text
+        const usesGroqStt = (localStorage.getItem('sttBackend') || 'groq') === 'groq';
+        const isGroqModel =
+            window.cheddar.modelRegistry.getModelProvider(selectedModel) === 'groq' || (selectedModel.startsWith('openai:') && usesGroqStt);
+        const isLocalModel = selectedModel.startsWith('openai:') && !usesGroqStt;
+        const needsBothKeys = window.cheddar.modelRegistry.getModelProvider(selectedModel) === 'gemini' && this.selectedProfile !== 'exam';
         const mainView = this.shadowRoot.querySelector('main-view');
 
         // Validate the right API key(s) based on model
@@ -305,11 +459,13 @@ export class CheatingDaddyApp extends LitElement {
                 if (mainView?.triggerApiKeyError) mainView.triggerApiKeyError();
                 hasError = true;
             }
-            if (!groqKey) {
+            if (!groqKey && usesGroqStt) {
                 if (mainView?.triggerGroqApiKeyError) mainView.triggerGroqApiKeyError();
                 hasError = true;
             }
             if (hasError) return;
+        } else if (isLocalModel) {
+            // Local chat model + local speech-to-text: no cloud key required
         } else if (isGroqModel) {
             const groqKey = localStorage.getItem('groqApiKey')?.trim();
             if (!groqKey) {
@@ -324,6 +480,10 @@ export class CheatingDaddyApp extends LitElement {
             }
         }
 
+        if (mainView?.validatePromptVariables && !mainView.validatePromptVariables()) {
+            return;
+        }
+
         // Auto-set mode based on profile
         let selectedMode;
         if (this.selectedProfile === 'exam') {
@@ -353,6 +513,7 @@ export class CheatingDaddyApp extends LitElement {
         cheddar.startCapture(screenshotMode, this.selectedImageQuality);
         this.responses = [];
         this.currentResponseIndex = -1;
+        this._streamingResponseId = null;
         this.startTime = Date.now();
         this.currentView = 'assistant';
     }
@@ -361,9 +522,10 @@ export class CheatingDaddyApp extends LitElement {
         if (window.require) {
             const { ipcRenderer } = window.require('electron');
             const selectedModel = localStorage.getItem('selectedModel') || 'llama-4-maverick';
-            const isGroqModel = selectedModel && (selectedModel.includes('llama') || selectedModel.includes('groq'));
+            const isGroqModel = window.cheddar.modelRegistry.getModelProvider(selectedModel) === 'groq';
+            const isGeminiModel = window.cheddar.modelRegistry.getModelProvider(selectedModel) === 'gemini';
 
-            if (selectedModel === 'gemini-2.5-flash-lite' && this.selectedProfile !== 'exam') {
+            if (isGeminiModel && this.selectedProfile !== 'exam') {
                 // Dual key mode (interview): open both API key pages
                 await ipcRenderer.invoke('open-external', 'https://aistudio.google.com/');
                 await ipcRenderer.invoke('open-external', 'https://groq.com/');
@@ -375,8 +537,9 @@ export class CheatingDaddyApp extends LitElement {
         }
 
         const selectedModel = localStorage.getItem('selectedModel') || 'llama-4-maverick';
-        const isGroqModel = selectedModel && (selectedModel.includes('llama') || selectedModel.includes('groq'));
-        if (selectedModel === 'gemini-2.5-flash-lite' && this.selectedProfile !== 'exam') {
+        const isGroqModel = window.cheddar.modelRegistry.getModelProvider(selectedModel) === 'groq';
+        const isGeminiModel = window.cheddar.modelRegistry.getModelProvider(selectedModel) === 'gemini';
+        if (isGeminiModel && this.selectedProfile !== 'exam') {
             window.open('https://aistudio.google.com/', '_blank', 'noopener,noreferrer');
             window.open('https://groq.com/', '_blank', 'noopener,noreferrer');
         } else {
@@ -389,10 +552,12 @@ export class CheatingDaddyApp extends LitElement {
         // Clear the current session and responses
         this.responses = [];
         this.currentResponseIndex = -1;
+        this._streamingResponseId = null;
         this.startTime = null;
 
-        // Stop any ongoing capture if in assistant view
-        if (this.currentView === 'assistant' && window.cheddar) {
+        // Stop any ongoing capture if in a live session view
+        const restartCaptions = this.currentView === 'captions';
+        if ((this.currentView === 'assistant' || restartCaptions) && window.cheddar) {
             window.cheddar.stopCapture();
         }
 
@@ -405,7 +570,11 @@ export class CheatingDaddyApp extends LitElement {
 
         // Automatically start a new session after a brief delay
         setTimeout(() => {
-            this.handleStart();
+            if (restartCaptions) {
+                this.handleStartCaptions();
+            } else {
+                this.handleStart();
+            }
         }, 100);
     }
 
@@ -539,6 +708,8 @@ export class CheatingDaddyApp extends LitElement {
                 return html`
                     <main-view
                         .onStart=${() => this.handleStart()}
+                        .onStartCaptions=${() => this.handleStartCaptions()}
+                        .onStartPractice=${() => this.openPractice()}
                         .onAPIKeyHelp=${() => this.handleAPIKeyHelp()}
                         .onLayoutModeChange=${layoutMode => this.handleLayoutModeChange(layoutMode)}
                         .onClearAndRestart=${() => this.handleClearAndRestart()}
@@ -560,15 +731,51 @@ export class CheatingDaddyApp extends LitElement {
                         .onImageQualityChange=${quality => this.handleImageQualityChange(quality)}
                         .onLayoutModeChange=${layoutMode => this.handleLayoutModeChange(layoutMode)}
                         .onAdvancedModeChange=${advancedMode => this.handleAdvancedModeChange(advancedMode)}
+                        .onManageProfiles=${() => this.openProfiles()}
                     ></customize-view>
                 `;
 
+            case 'profiles':
+                return html`
+                    <profiles-view .selectedProfile=${this.selectedProfile} .onProfileChange=${profile => this.handleProfileChange(profile)}></profiles-view>
+                `;
+
             case 'help':
                 return html` <help-view .onExternalLinkClick=${url => this.handleExternalLinkClick(url)}></help-view> `;
 
             case 'advanced':
                 return html` <advanced-view></advanced-view> `;
 
+            case 'sessions':
+                return html`
+                    <sessions-view
+                        .initialSessionId=${this._openSessionId}
+                        .initialMessage=${this._sessionsMessage}
+                        .onOpenMinutes=${sessionId => this.openMinutes(sessionId)}
+                        .onOpenRehearsalReport=${sessionId => this.openRehearsalReport(sessionId)}
+                        .onOpenScorecard=${sessionId => this.openScorecard(sessionId)}
+                        .onOpenNegotiationRecord=${sessionId => this.openNegotiationRecord(sessionId)}
+                    ></sessions-view>
+                `;
+
+            case 'minutes':
+                return html` <minutes-view .sessionId=${this._minutesSessionId}></minutes-view> `;
+
+            case 'rehearsal':
+                return html` <rehearsal-view .sessionId=${this._rehearsalSessionId}></rehearsal-view> `;
+
+            case 'scorecard':
+                return html` <scorecard-view .sessionId=${this._scorecardSessionId}></scorecard-view> `;
+
+            case 'negotiation':
+                return html` <negotiation-view .sessionId=${this._negotiationSessionId}></negotiation-view> `;
+
+            case 'captions':
+                return html` <captions-view .startTime=${this.startTime}></captions-view> `;
+
+            case 'practice':
+                return html` <practice-view></practice-view> `;
+
             case 'assistant':
                 return html`
                     <assistant-view
@@ -578,6 +785,7 @@ export class CheatingDaddyApp extends LitElement {
                         .selectedLanguage=${this.selectedLanguage}
                         .onSendText=${message => this.handleSendText(message)}
                         .shouldAnimateResponse=${this.shouldAnimateResponse}
+                        .isStreaming=${this._streamingResponseId !== null}
                         @response-index-changed=${this.handleResponseIndexChanged}
                         @response-animation-complete=${() => {
                             this.shouldAnimateResponse = false;
@@ -595,7 +803,7 @@ export class CheatingDaddyApp extends LitElement {
 
     render() {
         const mainContentClass = `main-content ${
-            this.currentView === 'assistant' ? 'assistant-view' : this.currentView === 'onboarding' ? 'onboarding-view' : 'with-border'
+            this.currentView === 'assistant' || this.currentView === 'captions' ? 'assistant-view' : this.currentView === 'onboarding' ? 'onboarding-view' : 'with-border'
         }`;
 
         return html`
@@ -609,8 +817,10 @@ export class CheatingDaddyApp extends LitElement {
                         .currentModel=${this.currentModel}
                         .advancedMode=${this.advancedMode}
                         .updateAvailable=${this.updateAvailable}
+                        .isRecording=${this.isRecording}
                         .onCustomizeClick=${() => this.handleCustomizeClick()}
                         .onHelpClick=${() => this.handleHelpClick()}
+                        .onSessionsClick=${() => this.handleSessionsClick()}
                         .onAdvancedClick=${() => this.handleAdvancedClick()}
                         .onUpdateCheckClick=${() => this.handleUpdateCheckClick()}
                         .onCloseClick=${() => this.handleClose()}
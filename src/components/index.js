@@ -9,3 +9,11 @@ export { HelpView } from './views/HelpView.js';
 export { AssistantView } from './views/AssistantView.js';
 export { OnboardingView } from './views/OnboardingView.js';
 export { AdvancedView } from './views/AdvancedView.js';
+export { SessionsView } from './views/SessionsView.js';
+export { MinutesView } from './views/MinutesView.js';
+export { RehearsalView } from './views/RehearsalView.js';
+export { ScorecardView } from './views/ScorecardView.js';
+export { NegotiationView } from './views/NegotiationView.js';
+export { ProfilesView } from './views/ProfilesView.js';
+export { CaptionsView } from './views/CaptionsView.js';
+export { PracticeView } from './views/PracticeView.js';
@@ -445,6 +445,12 @@ export class AdvancedView extends LitElement {
             background: var(--input-hover-background, rgba(0, 0, 0, 0.35));
         }
 
+        .segmentation-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+            gap: 0 16px;
+        }
+
         .model-badge {
             font-size: 11px;
             padding: 3px 10px;
@@ -469,6 +475,87 @@ export class AdvancedView extends LitElement {
             color: var(--text-color, #ffffff);
         }
 
+        .diagnostics-actions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-bottom: 12px;
+        }
+
+        .diagnostics-source {
+            display: grid;
+            gap: 6px;
+            margin-bottom: 12px;
+        }
+
+        .diagnostics-source-header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            font-size: 12px;
+            color: var(--label-color, rgba(255, 255, 255, 0.9));
+        }
+
+        .vad-state {
+            font-size: 10px;
+            font-weight: 600;
+            padding: 2px 6px;
+            border-radius: 4px;
+            background: var(--button-background, rgba(255, 255, 255, 0.1));
+            color: var(--description-color, rgba(255, 255, 255, 0.7));
+            letter-spacing: 0.5px;
+        }
+
+        .vad-state.RECORDING,
+        .vad-state.LISTENING {
+            background: var(--success-background, rgba(34, 197, 94, 0.1));
+            color: var(--success-color, #22c55e);
+        }
+
+        .level-meter {
+            height: 8px;
+            border-radius: 4px;
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+            overflow: hidden;
+        }
+
+        .level-meter-fill {
+            height: 100%;
+            background: var(--success-color, #22c55e);
+            transition: width 0.08s linear;
+        }
+
+        .level-meter-fill.clipping {
+            background: var(--danger-color, #ef4444);
+        }
+
+        .level-values {
+            font-size: 11px;
+            color: var(--description-color, rgba(255, 255, 255, 0.5));
+        }
+
+        .diagnostics-warning {
+            font-size: 11px;
+            color: var(--warning-color, #fbbf24);
+        }
+
+        .diagnostics-warning.clipping {
+            color: var(--danger-color, #ef4444);
+        }
+
+        .test-clip {
+            display: grid;
+            gap: 4px;
+            margin-top: 8px;
+            font-size: 11px;
+            color: var(--label-color, rgba(255, 255, 255, 0.9));
+        }
+
+        .test-clip audio {
+            width: 100%;
+            height: 32px;
+        }
+
     `;
 
     static properties = {
@@ -481,63 +568,33 @@ export class AdvancedView extends LitElement {
         topP: { type: Number },
         maxOutputTokens: { type: Number },
         selectedModel: { type: String },
+        // Speech segmentation engine settings (utils/speechSegmenter.js)
+        segmentationSettings: { type: Object },
+        // Audio diagnostics panel (utils/audioDiagnostics.js)
+        diagnosticsRunning: { type: Boolean },
+        diagnosticsSnapshot: { type: Object },
+        diagnosticsNotes: { type: Array },
+        diagnosticsTalking: { type: Boolean },
+        testClips: { type: Array },
+        recordingTestClip: { type: Boolean },
     };
 
-    // Model-specific max output token limits (maximum allowed)
-    static MODEL_MAX_TOKENS = {
-        // Gemini models
-        'gemini-2.5-flash': 65536,
-        'gemini-2.5-flash-lite': 65536,
-        'gemini-3-flash-preview': 65536,
-        'gemini-3-pro-preview': 65536,
-        // Groq Llama models
-        'llama-4-maverick': 8192,
-        'llama-4-scout': 8192,
-    };
+    static DIAGNOSTICS_SOURCE_LABELS = { mic: 'Microphone (You)', system: 'System audio (Other participants)' };
 
-    // Model-specific default settings based on 2025/2026 documentation
-    // Keys use "model_mode" format for models that work in multiple modes
-    // Interview: concise answers, lower tokens | Exam/Coding: detailed code, higher tokens
-    static MODEL_DEFAULTS = {
-        // Gemini 2.5 Flash - Exam/Coding mode only
-        'gemini-2.5-flash_coding': {
-            temperature: 0.5,
-            topP: 0.95,
-            maxOutputTokens: 8192,
-        },
-        // Gemini 2.5 Flash Lite - Interview mode (fastest, no thinking by default)
-        'gemini-2.5-flash-lite_interview': {
-            temperature: 0.7,
-            topP: 0.9,
-            maxOutputTokens: 768,
-        },
-        // Gemini 3 Flash - Exam/Coding mode (detailed code solutions)
-        'gemini-3-flash-preview_coding': {
-            temperature: 1.0,
-            topP: 0.95,
-            maxOutputTokens: 8192,
-        },
-        // Gemini 3 Pro - Exam/Coding mode (very detailed, most accurate)
-        'gemini-3-pro-preview_coding': {
-            temperature: 0.4,
-            topP: 0.95,
-            maxOutputTokens: 16384,
-        },
-        // Groq Llama 4 Maverick - Interview mode (balanced, enough for code + explanation)
-        'llama-4-maverick_interview': {
-            temperature: 0.7,
-            topP: 0.95,
-            maxOutputTokens: 1024,
-        },
-        // Groq Llama 4 Scout - Interview mode (balanced, enough for code + explanation)
-        'llama-4-scout_interview': {
-            temperature: 0.7,
-            topP: 0.95,
-            maxOutputTokens: 1024,
-        },
-    };
+    // Labels and help for the segmentation settings, in display order
+    static SEGMENTATION_FIELDS = [
+        { key: 'speechThreshold', label: 'Speech Level (RMS)', description: 'Audio chunks at least this loud count as speech.' },
+        { key: 'silenceThreshold', label: 'Noise Floor (RMS)', description: 'Whole utterances quieter than this are dropped as noise.' },
+        { key: 'silenceAfterSpeechMs', label: 'End of Speech (ms)', description: 'Silence that ends an utterance. Lower answers sooner, higher cuts fewer sentences.' },
+        { key: 'preSpeechMs', label: 'Lead-in (ms)', description: 'Audio kept from before the speech started.' },
+        { key: 'postSpeechMs', label: 'Tail (ms)', description: 'Silence kept after the last word.' },
+        { key: 'minSegmentMs', label: 'Shortest Utterance (ms)', description: 'Shorter speech waits for more before it is transcribed.' },
+        { key: 'maxSegmentMs', label: 'Longest Utterance (ms)', description: 'Longer speech (and push-to-talk recordings) is cut here.' },
+    ];
 
-    // Fallback defaults
+    // Model limits and per-mode defaults come from the model registry (utils/modelRegistry.js)
+
+    // Fallback defaults for models without registry defaults
     static DEFAULT_TEMPERATURE = 0.7;
     static DEFAULT_TOP_P = 0.95;
     static DEFAULT_MAX_TOKENS = 1024;
@@ -557,8 +614,18 @@ export class AdvancedView extends LitElement {
         this.topP = this.getDefaultTopP();
         this.maxOutputTokens = this.getDefaultMaxTokens();
 
+        this.segmentationSettings = window.cheddar.speechSegmenter.normalizeSegmentationSettings();
+
+        this.diagnosticsRunning = false;
+        this.diagnosticsSnapshot = null;
+        this.diagnosticsNotes = [];
+        this.diagnosticsTalking = false;
+        this.testClips = [];
+        this.recordingTestClip = false;
+
         this.loadContentProtectionSetting();
         this.loadModelSettings();
+        this.loadSegmentationSettings();
     }
 
     // Get current mode from localStorage
@@ -569,8 +636,7 @@ export class AdvancedView extends LitElement {
     // Get defaults for current model + mode combination
     getModelModeDefaults() {
         const mode = this.getCurrentMode();
-        // Try model_mode key first, then model-only fallback
-        return AdvancedView.MODEL_DEFAULTS[`${this.selectedModel}_${mode}`] || null;
+        return window.cheddar.modelRegistry.getModelDefaults(this.selectedModel, mode);
     }
 
     // Get default max tokens based on selected model + mode
@@ -593,21 +659,13 @@ export class AdvancedView extends LitElement {
 
     // Get max allowed tokens for current model
     getMaxAllowedTokens() {
-        return AdvancedView.MODEL_MAX_TOKENS[this.selectedModel] || 65536;
+        return window.cheddar.modelRegistry.getMaxOutputTokens(this.selectedModel);
     }
 
 
     // Get display name for the current model
     getModelDisplayName() {
-        const modelNames = {
-            'gemini-2.5-flash': 'Gemini 2.5 Flash',
-            'gemini-2.5-flash-lite': 'Gemini 2.5 Flash Lite',
-            'gemini-3-flash-preview': 'Gemini 3.0 Flash',
-            'gemini-3-pro-preview': 'Gemini 3.0 Pro',
-            'llama-4-maverick': 'Llama 4 Maverick',
-            'llama-4-scout': 'Llama 4 Scout',
-        };
-        return modelNames[this.selectedModel] || this.selectedModel;
+        return window.cheddar.modelRegistry.getModelDisplayName(this.selectedModel);
     }
 
     // Check if currently in exam/coding mode (for badge color)
@@ -617,11 +675,14 @@ export class AdvancedView extends LitElement {
 
     // Check if current model is a Groq Llama model
     isGroqModel() {
-        return this.selectedModel === 'llama-4-maverick' || this.selectedModel === 'llama-4-scout';
+        return window.cheddar.modelRegistry.getModelProvider(this.selectedModel) === 'groq';
     }
 
     // Get provider name for display
     getProviderName() {
+        if (this.selectedModel.startsWith('openai:')) {
+            return 'OpenAI-compatible';
+        }
         return this.isGroqModel() ? 'Groq Llama' : 'Gemini';
     }
 
@@ -679,6 +740,9 @@ export class AdvancedView extends LitElement {
         if (this.storageHandler) {
             window.removeEventListener('storage', this.storageHandler);
         }
+        // The devices are only held open while the panel is on screen
+        this.stopDiagnostics();
+        this.clearTestClips();
     }
 
     async clearLocalData() {
@@ -898,6 +962,203 @@ export class AdvancedView extends LitElement {
         }
     }
 
+    loadSegmentationSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('segmentationSettings') || '{}');
+            this.segmentationSettings = window.cheddar.speechSegmenter.normalizeSegmentationSettings(stored);
+        } catch (error) {
+            console.warn('Ignoring invalid segmentation settings:', error);
+        }
+    }
+
+    async saveSegmentationSettings(settings) {
+        this.segmentationSettings = window.cheddar.speechSegmenter.normalizeSegmentationSettings(settings);
+        localStorage.setItem('segmentationSettings', JSON.stringify(this.segmentationSettings));
+        // Applies to the running session too
+        if (window.require) {
+            try {
+                const { ipcRenderer } = window.require('electron');
+                await ipcRenderer.invoke('groq-update-segmentation-settings', this.segmentationSettings);
+            } catch (error) {
+                console.error('Failed to sync segmentation settings:', error);
+            }
+        }
+    }
+
+    async handleSegmentationChange(key, e) {
+        const value = parseFloat(e.target.value);
+        if (isNaN(value)) return;
+        await this.saveSegmentationSettings({ ...this.segmentationSettings, [key]: value });
+    }
+
+    async resetSegmentationSettings() {
+        await this.saveSegmentationSettings({});
+    }
+
+    renderSegmentationSettings() {
+        const { SEGMENTATION_SETTING_LIMITS, DEFAULT_SEGMENTATION_SETTINGS } = window.cheddar.speechSegmenter;
+        return html`
+            <div class="advanced-section">
+                <div class="section-title">
+                    <span>Speech Segmentation</span>
+                </div>
+                <div class="advanced-description">
+                    How spoken audio is cut into utterances before it is transcribed (Groq pipeline, both speakers). Measure a change against
+                    labelled recordings with <code>npm run eval:segmentation</code> before relying on it.
+                </div>
+
+                <div class="segmentation-grid">
+                    ${AdvancedView.SEGMENTATION_FIELDS.map(({ key, label, description }) => {
+                        const { min, max, step } = SEGMENTATION_SETTING_LIMITS[key];
+                        return html`
+                            <div class="number-input-container">
+                                <span class="number-input-label">${label}</span>
+                                <input
+                                    type="number"
+                                    class="number-input"
+                                    min=${min}
+                                    max=${max}
+                                    step=${step}
+                                    .value=${String(this.segmentationSettings[key])}
+                                    @change=${e => this.handleSegmentationChange(key, e)}
+                                />
+                                <div class="slider-description">${description}</div>
+                            </div>
+                        `;
+                    })}
+                </div>
+
+                <div class="reset-button">
+                    <button class="action-button" @click=${this.resetSegmentationSettings}>Reset to Defaults</button>
+                    <div class="form-description" style="margin-top: 8px;">
+                        <span class="defaults-label">Default:</span>
+                        <span class="defaults-values">
+                            ${AdvancedView.SEGMENTATION_FIELDS.map(({ key, label }) => `${label} ${DEFAULT_SEGMENTATION_SETTINGS[key]}`).join(', ')}
+                        </span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    async startDiagnostics() {
+        if (!window.cheddar?.startAudioDiagnostics) return;
+        this.diagnosticsRunning = true;
+        this.diagnosticsNotes = [];
+        const result = await cheddar.startAudioDiagnostics(snapshot => {
+            this.diagnosticsSnapshot = snapshot;
+        });
+        this.diagnosticsNotes = result.notes || (result.error ? [result.error] : []);
+        if (!result.success) {
+            this.diagnosticsRunning = false;
+            cheddar.stopAudioDiagnostics();
+        }
+    }
+
+    stopDiagnostics() {
+        if (!this.diagnosticsRunning) return;
+        cheddar.stopAudioDiagnostics();
+        this.diagnosticsRunning = false;
+        this.diagnosticsTalking = false;
+        this.recordingTestClip = false;
+        this.diagnosticsSnapshot = null;
+    }
+
+    toggleDiagnosticsTalking() {
+        this.diagnosticsTalking = !this.diagnosticsTalking;
+        cheddar.toggleDiagnosticsMicrophone(this.diagnosticsTalking);
+    }
+
+    async recordTestClip() {
+        this.clearTestClips();
+        this.recordingTestClip = true;
+        const clips = await cheddar.recordTestClip();
+        this.recordingTestClip = false;
+        if (this.isConnected) {
+            this.testClips = clips;
+        } else {
+            clips.forEach(clip => URL.revokeObjectURL(clip.url));
+        }
+    }
+
+    clearTestClips() {
+        this.testClips.forEach(clip => URL.revokeObjectURL(clip.url));
+        this.testClips = [];
+    }
+
+    renderDiagnosticsSource(source, state) {
+        const clipping = state.warnings.some(warning => warning.type === 'clipping');
+        return html`
+            <div class="diagnostics-source">
+                <div class="diagnostics-source-header">
+                    <span>${AdvancedView.DIAGNOSTICS_SOURCE_LABELS[source] || source}</span>
+                    ${state.vadState ? html`<span class="vad-state ${state.vadState}" title="Voice activity detection state">${state.vadState}</span>` : ''}
+                </div>
+                <div class="level-meter">
+                    <div class="level-meter-fill ${clipping ? 'clipping' : ''}" style="width: ${Math.round(state.meter * 100)}%"></div>
+                </div>
+                <div class="level-values">
+                    RMS ${Math.round(state.rmsValue)} · Peak ${state.peak} · Speech level ${this.segmentationSettings.speechThreshold}
+                </div>
+                ${state.warnings.map(warning => html`<div class="diagnostics-warning ${warning.type}">⚠️ ${warning.message}</div>`)}
+            </div>
+        `;
+    }
+
+    renderAudioDiagnostics() {
+        const snapshot = this.diagnosticsSnapshot;
+        const manualMode = (localStorage.getItem('vadMode') || 'automatic') === 'manual';
+        return html`
+            <div class="advanced-section">
+                <div class="section-title">
+                    <span>Audio Diagnostics</span>
+                </div>
+                <div class="advanced-description">
+                    Check what the app hears before a session: live levels of the microphone and system audio chosen in Settings, what voice
+                    activity detection and the segmentation settings above make of them, and a short test clip. Nothing is transcribed or
+                    sent, and the test clip is only played back here.
+                </div>
+
+                <div class="diagnostics-actions">
+                    ${this.diagnosticsRunning
+                        ? html`<button class="action-button" @click=${this.stopDiagnostics}>Stop Listening</button>`
+                        : html`<button class="action-button" @click=${this.startDiagnostics}>Start Listening</button>`}
+                    ${this.diagnosticsRunning && manualMode
+                        ? html`
+                              <button class="action-button" @click=${this.toggleDiagnosticsTalking}>
+                                  ${this.diagnosticsTalking ? 'Mic Off (send segment)' : 'Mic On (manual VAD)'}
+                              </button>
+                          `
+                        : ''}
+                    <button class="action-button" @click=${this.recordTestClip} ?disabled=${!this.diagnosticsRunning || this.recordingTestClip}>
+                        ${this.recordingTestClip ? 'Recording 10 s...' : 'Record 10 s Test Clip'}
+                    </button>
+                </div>
+
+                ${this.diagnosticsNotes.map(note => html`<div class="warning-box"><span class="warning-icon">⚠️</span><span>${note}</span></div>`)}
+                ${snapshot ? Object.entries(snapshot.sources).map(([source, state]) => this.renderDiagnosticsSource(source, state)) : ''}
+                ${snapshot && snapshot.segments.length > 0
+                    ? html`
+                          <div class="form-description">
+                              Last segments:
+                              ${snapshot.segments
+                                  .map(segment => `${segment.source === 'mic' ? 'You' : 'Others'} ${(segment.durationMs / 1000).toFixed(1)} s`)
+                                  .join(', ')}
+                          </div>
+                      `
+                    : ''}
+                ${this.testClips.map(
+                    clip => html`
+                        <div class="test-clip">
+                            <span>${AdvancedView.DIAGNOSTICS_SOURCE_LABELS[clip.source] || clip.source}</span>
+                            <audio controls src=${clip.url}></audio>
+                        </div>
+                    `
+                )}
+            </div>
+        `;
+    }
+
     render() {
         return html`
             <div class="advanced-container">
@@ -1026,6 +1287,12 @@ export class AdvancedView extends LitElement {
                     </div>
                 </div>
 
+                <!-- Speech Segmentation Section -->
+                ${this.renderSegmentationSettings()}
+
+                <!-- Audio Diagnostics Section -->
+                ${this.renderAudioDiagnostics()}
+
                 <!-- Data Management Section -->
                 <div class="advanced-section danger-section">
                     <div class="section-title danger">
@@ -26,6 +26,29 @@ export class AssistantView extends LitElement {
             cursor: text;
         }
 
+        /* Room for the live metrics bar (presentation rehearsals, sales calls) */
+        .response-container.with-metrics {
+            height: calc(100% - 98px);
+        }
+
+        .response-container.with-timeline {
+            height: calc(100% - 210px);
+        }
+
+        /* Blinking caret after the last block while tokens are still streaming in */
+        .response-container.streaming > :last-child::after {
+            content: '▍';
+            margin-left: 2px;
+            opacity: 0.7;
+            animation: caret-blink 1s steps(2, start) infinite;
+        }
+
+        @keyframes caret-blink {
+            to {
+                visibility: hidden;
+            }
+        }
+
         /* Allow text selection for all content within the response container */
         .response-container * {
             user-select: text;
@@ -334,6 +357,17 @@ export class AssistantView extends LitElement {
             text-decoration: underline;
         }
 
+        /* [source: file] citations from the knowledge base */
+        .response-container .source-citation {
+            display: inline-block;
+            font-size: 0.75em;
+            padding: 0 0.4em;
+            border-radius: 4px;
+            background: rgba(0, 122, 255, 0.2);
+            color: var(--text-color);
+            white-space: nowrap;
+        }
+
         .response-container strong,
         .response-container b {
             font-weight: 600;
@@ -500,6 +534,54 @@ export class AssistantView extends LitElement {
             stroke: currentColor !important;
         }
 
+        .export-wrapper {
+            position: relative;
+        }
+
+        .export-menu {
+            position: absolute;
+            bottom: 42px;
+            left: 0;
+            background: var(--main-content-background, rgba(0, 0, 0, 0.9));
+            border: 1px solid var(--button-border);
+            border-radius: 6px;
+            padding: 4px;
+            display: grid;
+            min-width: 110px;
+            z-index: 10;
+        }
+
+        .export-menu button {
+            background: transparent;
+            color: var(--text-color);
+            border: none;
+            border-radius: 4px;
+            padding: 6px 10px;
+            font-size: 12px;
+            text-align: left;
+        }
+
+        .export-menu button:hover {
+            background: rgba(255, 255, 255, 0.1);
+        }
+
+        .export-menu.device-menu {
+            min-width: 220px;
+            max-height: 260px;
+            overflow-y: auto;
+        }
+
+        .device-menu .menu-heading {
+            padding: 6px 10px 2px;
+            font-size: 10px;
+            text-transform: uppercase;
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+        }
+
+        .device-menu button.selected {
+            color: var(--focus-border-color, #007aff);
+        }
+
         .mic-toggle-button {
             background: transparent;
             border: 2px solid var(--button-border);
@@ -535,6 +617,27 @@ export class AssistantView extends LitElement {
             background: rgba(255, 59, 48, 0.25);
         }
 
+        /* Hold-to-talk shortcut held down */
+        .mic-toggle-button.holding {
+            background: rgba(52, 199, 89, 0.35);
+            border-color: #34c759;
+            animation: hold-to-talk-pulse 1s ease-in-out infinite;
+        }
+
+        .mic-toggle-button.holding svg {
+            stroke: white !important;
+        }
+
+        @keyframes hold-to-talk-pulse {
+            0%,
+            100% {
+                box-shadow: 0 0 0 0 rgba(52, 199, 89, 0.6);
+            }
+            50% {
+                box-shadow: 0 0 0 6px rgba(52, 199, 89, 0);
+            }
+        }
+
         .mic-toggle-button svg {
             width: 20px;
             height: 20px;
@@ -547,6 +650,61 @@ export class AssistantView extends LitElement {
         .mic-toggle-button.inactive svg {
             stroke: #ff3b30 !important;
         }
+
+        .live-metrics {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 12px;
+            margin-top: 8px;
+            padding: 6px 10px;
+            border-radius: 6px;
+            background: var(--input-background);
+            font-size: 12px;
+            color: var(--description-color);
+        }
+
+        .live-metrics strong {
+            color: var(--text-color);
+        }
+
+        .live-metrics .off-pace {
+            color: #f59e0b;
+        }
+
+        .offer-timeline {
+            margin-top: 8px;
+            padding: 6px 10px;
+            border-radius: 6px;
+            background: var(--input-background);
+            font-size: 12px;
+            color: var(--description-color);
+        }
+
+        .offer-timeline-header {
+            margin-bottom: 4px;
+            color: var(--text-color);
+            font-weight: 600;
+        }
+
+        .offer-rows {
+            max-height: 110px;
+            overflow-y: auto;
+        }
+
+        .offer-row {
+            display: grid;
+            grid-template-columns: 60px 50px 90px 1fr auto;
+            gap: 8px;
+            padding: 2px 0;
+        }
+
+        .offer-row strong {
+            color: var(--text-color);
+        }
+
+        .offer-row .past-walk-away {
+            color: #ff3b30;
+        }
     `;
 
     static properties = {
@@ -556,10 +714,20 @@ export class AssistantView extends LitElement {
         selectedLanguage: { type: String },
         onSendText: { type: Function },
         shouldAnimateResponse: { type: Boolean },
+        isStreaming: { type: Boolean },
         savedResponses: { type: Array },
         copiedFeedback: { type: Boolean },
+        exportMenuOpen: { type: Boolean },
+        exportedFeedback: { type: Boolean },
+        deviceMenuOpen: { type: Boolean },
+        audioSources: { type: Object },
+        deviceChoices: { type: Object },
         micEnabled: { type: Boolean },
+        holdingToTalk: { type: Boolean },
         vadMode: { type: String },
+        speakingMetrics: { type: Object },
+        salesScorecard: { type: Object },
+        negotiationOffers: { type: Object },
     };
 
     constructor() {
@@ -570,11 +738,28 @@ export class AssistantView extends LitElement {
         this.selectedLanguage = 'en-US';
         this.onSendText = () => {};
         this._lastAnimatedWordCount = 0;
+        this.isStreaming = false;
+        this._pendingRenderFrame = null;
         this.copiedFeedback = false;
+        this.exportMenuOpen = false;
+        this.exportedFeedback = false;
+        // Device picker: inputs and the devices saved for this profile (utils/audioDevices.js)
+        this.deviceMenuOpen = false;
+        this.audioSources = { microphones: [], systemSources: [] };
+        this.deviceChoices = { mic: null, system: null };
         // Microphone starts as OFF by default (for manual mode)
         this.micEnabled = false;
+        // True while the hold-to-talk shortcut is held down
+        this.holdingToTalk = false;
         // Load VAD mode from localStorage
         this.vadMode = localStorage.getItem('vadMode') || 'automatic';
+        // Presentation rehearsals: delivery metrics of the running session
+        this.speakingMetrics = null;
+        this._rehearsal = { startedAt: Date.now(), transcripts: [], speech: [] };
+        // Sales calls: live scorecard pushed by the main process
+        this.salesScorecard = null;
+        // Negotiations: offer timeline pushed by the main process
+        this.negotiationOffers = null;
         // Load saved responses from localStorage
         try {
             this.savedResponses = JSON.parse(localStorage.getItem('savedResponses') || '[]');
@@ -714,6 +899,7 @@ export class AssistantView extends LitElement {
                 });
                 let rendered = window.marked.parse(content);
                 rendered = this.renderLaTeX(rendered);
+                rendered = this.renderSourceCitations(rendered);
                 rendered = this.wrapWordsInSpans(rendered);
                 rendered = this.enhanceCodeBlocks(rendered);
                 return rendered;
@@ -726,6 +912,11 @@ export class AssistantView extends LitElement {
         return content; // Fallback if marked is not available
     }
 
+    // Knowledge base answers cite documents as [source: pricing.md]; show them as small labels
+    renderSourceCitations(html) {
+        return html.replace(/\[source:\s*([^\]<]+?)\s*\]/gi, (match, name) => `<span class="source-citation" title="From your knowledge base">${name}</span>`);
+    }
+
     renderLaTeX(html) {
         // Check if KaTeX is available
         if (typeof window === 'undefined' || !window.katex) {
@@ -979,13 +1170,55 @@ export class AssistantView extends LitElement {
             ipcRenderer.on('navigate-next-response', this.handleNextResponse);
             ipcRenderer.on('scroll-response-up', this.handleScrollUp);
             ipcRenderer.on('scroll-response-down', this.handleScrollDown);
+            this.handleExportSession = () => {
+                console.log('Received export-current-session message');
+                this.exportSession();
+            };
+
             ipcRenderer.on('copy-code-blocks', this.handleCopyCodeBlocks);
+            ipcRenderer.on('export-current-session', this.handleExportSession);
+
+            this.handleRehearsalTranscript = (event, line) => {
+                this._rehearsal.transcripts.push(line);
+                this.updateSpeakingMetrics();
+            };
+            this.handleSpeechSegment = event => {
+                this._rehearsal.speech.push(event.detail);
+                this.updateSpeakingMetrics();
+            };
+            ipcRenderer.on('groq-transcription', this.handleRehearsalTranscript);
+            window.addEventListener('speech-segment', this.handleSpeechSegment);
+
+            this.handleSalesScorecard = (event, scorecard) => {
+                this.salesScorecard = scorecard;
+            };
+            ipcRenderer.on('sales-scorecard-update', this.handleSalesScorecard);
+
+            this.handleNegotiationOffers = (event, record) => {
+                this.negotiationOffers = record;
+            };
+            ipcRenderer.on('negotiation-offers-update', this.handleNegotiationOffers);
+
+            this.handleHoldToTalk = (event, { pressed }) => {
+                this.holdToTalk(pressed);
+            };
+            ipcRenderer.on('hold-to-talk', this.handleHoldToTalk);
         }
     }
 
+    updateSpeakingMetrics() {
+        if (this.selectedProfile !== 'presentation' || !window.cheddar?.speakingMetrics) return;
+        this.speakingMetrics = window.cheddar.speakingMetrics.computeSpeakingMetrics(this._rehearsal);
+    }
+
     disconnectedCallback() {
         super.disconnectedCallback();
 
+        if (this._pendingRenderFrame) {
+            cancelAnimationFrame(this._pendingRenderFrame);
+            this._pendingRenderFrame = null;
+        }
+
         // Clean up IPC listeners
         if (window.require) {
             const { ipcRenderer } = window.require('electron');
@@ -1004,6 +1237,22 @@ export class AssistantView extends LitElement {
             if (this.handleCopyCodeBlocks) {
                 ipcRenderer.removeListener('copy-code-blocks', this.handleCopyCodeBlocks);
             }
+            if (this.handleExportSession) {
+                ipcRenderer.removeListener('export-current-session', this.handleExportSession);
+            }
+            if (this.handleRehearsalTranscript) {
+                ipcRenderer.removeListener('groq-transcription', this.handleRehearsalTranscript);
+                window.removeEventListener('speech-segment', this.handleSpeechSegment);
+            }
+            if (this.handleSalesScorecard) {
+                ipcRenderer.removeListener('sales-scorecard-update', this.handleSalesScorecard);
+            }
+            if (this.handleNegotiationOffers) {
+                ipcRenderer.removeListener('negotiation-offers-update', this.handleNegotiationOffers);
+            }
+            if (this.handleHoldToTalk) {
+                ipcRenderer.removeListener('hold-to-talk', this.handleHoldToTalk);
+            }
         }
     }
 
@@ -1122,17 +1371,36 @@ export class AssistantView extends LitElement {
 
     updated(changedProperties) {
         super.updated(changedProperties);
-        if (changedProperties.has('responses') || changedProperties.has('currentResponseIndex')) {
+        if (changedProperties.has('responses') || changedProperties.has('currentResponseIndex') || changedProperties.has('isStreaming')) {
             if (changedProperties.has('currentResponseIndex')) {
                 this._lastAnimatedWordCount = 0;
             }
-            this.updateResponseContent();
+            if (this.isStreaming && !changedProperties.has('currentResponseIndex')) {
+                this.scheduleResponseContentUpdate();
+            } else {
+                this.updateResponseContent();
+            }
         }
     }
 
+    // Deltas can arrive faster than the screen refreshes - re-render markdown at most once per frame
+    scheduleResponseContentUpdate() {
+        if (this._pendingRenderFrame) return;
+        this._pendingRenderFrame = requestAnimationFrame(() => {
+            this._pendingRenderFrame = null;
+            this.updateResponseContent();
+        });
+    }
+
     updateResponseContent() {
+        if (this._pendingRenderFrame) {
+            cancelAnimationFrame(this._pendingRenderFrame);
+            this._pendingRenderFrame = null;
+        }
         const container = this.shadowRoot.querySelector('#responseContainer');
         if (container) {
+            const isStreamingCurrent = this.isStreaming && this.currentResponseIndex === this.responses.length - 1;
+            container.classList.toggle('streaming', isStreamingCurrent);
             const currentResponse = this.getCurrentResponse();
 
             // Skip animation entirely - just render the final markdown
@@ -1152,8 +1420,73 @@ export class AssistantView extends LitElement {
         }
     }
 
+    toggleExportMenu() {
+        this.exportMenuOpen = !this.exportMenuOpen;
+    }
+
+    /**
+     * Export the running session (or the latest one) to a file. Without a format, the last one used is reused.
+     */
+    async exportSession(format) {
+        this.exportMenuOpen = false;
+        if (!window.require) {
+            window.cheddar?.setStatus('Session export is only available in the desktop app');
+            return;
+        }
+        const exportFormat = format || localStorage.getItem('exportFormat') || 'markdown';
+        localStorage.setItem('exportFormat', exportFormat);
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('export-session', { format: exportFormat });
+            if (result.success) {
+                window.cheddar?.setStatus(`Exported to ${result.filePath}`);
+                this.exportedFeedback = true;
+                setTimeout(() => {
+                    this.exportedFeedback = false;
+                }, 1000);
+            } else {
+                window.cheddar?.setStatus(`Export failed: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('Error exporting session:', error);
+            window.cheddar?.setStatus(`Export failed: ${error.message}`);
+        }
+    }
+
+    async toggleDeviceMenu() {
+        this.deviceMenuOpen = !this.deviceMenuOpen;
+        if (this.deviceMenuOpen) {
+            this.deviceChoices = window.cheddar.audioDevices.getDeviceChoices(localStorage, this.selectedProfile);
+            this.audioSources = await window.cheddar.listAudioDevices();
+        }
+    }
+
+    async selectAudioDevice(kind, device) {
+        this.deviceMenuOpen = false;
+        // The running capture moves to the device right away
+        await window.cheddar.switchAudioDevice(kind, device);
+        this.deviceChoices = window.cheddar.audioDevices.getDeviceChoices(localStorage, this.selectedProfile);
+        window.cheddar.setStatus(`${kind === 'mic' ? 'Microphone' : 'System audio'}: ${device ? device.label : 'default device'}`);
+    }
+
+    renderDeviceOptions(kind, devices) {
+        const chosen = this.deviceChoices[kind]?.deviceId || '';
+        return html`
+            <button class=${chosen === '' ? 'selected' : ''} @click=${() => this.selectAudioDevice(kind, null)}>Default</button>
+            ${devices.map(
+                device => html`
+                    <button class=${chosen === device.deviceId ? 'selected' : ''} @click=${() => this.selectAudioDevice(kind, device)}>
+                        ${device.label}
+                    </button>
+                `
+            )}
+        `;
+    }
+
     handleMicToggle() {
         this.micEnabled = !this.micEnabled;
+        // A click takes over from a held hold-to-talk shortcut; its release is then ignored
+        this.holdingToTalk = false;
 
         // Notify the renderer process about mic state change
         if (window.cheddar && window.cheddar.toggleMicrophone) {
@@ -1164,12 +1497,101 @@ export class AssistantView extends LitElement {
         this.requestUpdate();
     }
 
+    // Hold-to-talk shortcut: record while held, commit the segment on release without waiting for silence
+    holdToTalk(pressed) {
+        if (this.selectedProfile === 'exam' || this.vadMode !== 'manual') {
+            return;
+        }
+        if (pressed === this.holdingToTalk) {
+            return;
+        }
+        this.holdingToTalk = pressed;
+        this.micEnabled = pressed;
+
+        // In manual mode turning the mic off commits what was recorded (renderer.js toggleVADProcessor)
+        if (window.cheddar && window.cheddar.toggleMicrophone) {
+            window.cheddar.toggleMicrophone(pressed);
+        }
+
+        console.log(`Hold to talk: ${pressed ? 'recording' : 'released, segment sent'}`);
+    }
+
+    renderSpeakingMetrics() {
+        const metrics = this.speakingMetrics;
+        if (this.selectedProfile !== 'presentation' || !metrics) return '';
+        const { IDEAL_WORDS_PER_MINUTE, formatDuration } = window.cheddar.speakingMetrics;
+        const offPace = metrics.wordsPerMinute !== null && (metrics.wordsPerMinute < IDEAL_WORDS_PER_MINUTE.min || metrics.wordsPerMinute > IDEAL_WORDS_PER_MINUTE.max);
+
+        return html`
+            <div class="live-metrics">
+                <span class=${offPace ? 'off-pace' : ''}><strong>${metrics.wordsPerMinute ?? '–'}</strong> wpm</span>
+                <span><strong>${metrics.fillerCount}</strong> filler${metrics.fillerCount === 1 ? '' : 's'}</span>
+                <span><strong>${metrics.longPauses.length}</strong> long pause${metrics.longPauses.length === 1 ? '' : 's'}</span>
+                <span>longest monologue <strong>${metrics.longestMonologue ? formatDuration(metrics.longestMonologue.durationMs) : '–'}</strong></span>
+            </div>
+        `;
+    }
+
+    renderSalesScorecard() {
+        const scorecard = this.salesScorecard;
+        if (this.selectedProfile !== 'sales' || !scorecard) return '';
+        const plural = (count, word) => `${word}${count === 1 ? '' : 's'}`;
+
+        return html`
+            <div class="live-metrics">
+                <span>talk/listen <strong>${scorecard.talkRatio === null ? '–' : `${scorecard.talkRatio}/${100 - scorecard.talkRatio}`}</strong></span>
+                <span><strong>${scorecard.questionsAsked}</strong> ${plural(scorecard.questionsAsked, 'question')} asked</span>
+                <span><strong>${scorecard.objections.length}</strong> ${plural(scorecard.objections.length, 'objection')}</span>
+                <span><strong>${scorecard.competitorMentions.length}</strong> competitor ${plural(scorecard.competitorMentions.length, 'mention')}</span>
+            </div>
+        `;
+    }
+
+    renderOfferTimeline() {
+        const record = this.negotiationOffers;
+        if (this.selectedProfile !== 'negotiation' || !record) return '';
+        const formatAmount = (amount, currency = '') => (amount === null ? '–' : `${amount.toLocaleString()}${currency ? ` ${currency}` : ''}`);
+
+        return html`
+            <div class="offer-timeline">
+                <div class="offer-timeline-header">
+                    Offers (${record.offers.length}) · target ${formatAmount(record.target)} · walk-away ${formatAmount(record.walkAway)}
+                </div>
+                <div class="offer-rows">
+                    ${record.offers.map(
+                        offer => html`
+                            <div class="offer-row" title=${offer.quote}>
+                                <span>${new Date(offer.ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                                <span>${offer.side === 'you' ? 'You' : 'Them'}</span>
+                                <strong>${formatAmount(offer.amount, offer.currency)}</strong>
+                                <span>${offer.kind}${offer.terms ? ` · ${offer.terms}` : ''}${offer.date ? ` · ${offer.date}` : ''}</span>
+                                <span class=${offer.withinWalkAway === false ? 'past-walk-away' : ''}>
+                                    ${offer.gapToTarget === null ? '' : `${offer.gapToTarget > 0 ? '+' : ''}${offer.gapToTarget.toLocaleString()} vs target`}
+                                    ${offer.withinWalkAway === false ? ' · past walk-away' : ''}
+                                </span>
+                            </div>
+                        `
+                    )}
+                </div>
+            </div>
+        `;
+    }
+
     render() {
         const currentResponse = this.getCurrentResponse();
         const responseCounter = this.getResponseCounter();
 
         return html`
-            <div class="response-container" id="responseContainer"></div>
+            <div
+                class="response-container ${(this.selectedProfile === 'presentation' && this.speakingMetrics) || (this.selectedProfile === 'sales' && this.salesScorecard)
+                    ? 'with-metrics'
+                    : this.selectedProfile === 'negotiation' && this.negotiationOffers
+                      ? 'with-timeline'
+                      : ''}"
+                id="responseContainer"
+            ></div>
+
+            ${this.renderSpeakingMetrics()} ${this.renderSalesScorecard()} ${this.renderOfferTimeline()}
 
             <div class="text-input-container">
                 <button class="nav-button" @click=${this.navigateToPreviousResponse} ?disabled=${this.currentResponseIndex <= 0}>
@@ -1211,9 +1633,67 @@ export class AssistantView extends LitElement {
                     </svg>
                 </button>
 
+                <div class="export-wrapper">
+                    <button
+                        class="save-button ${this.exportedFeedback ? 'copied' : ''}"
+                        @click=${this.toggleExportMenu}
+                        title="${this.exportedFeedback ? 'Session exported!' : 'Export this session'}"
+                    >
+                        <svg width="24px" height="24px" stroke-width="1.7" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <path d="M6 20L18 20" stroke="currentColor" stroke-width="1.7" stroke-linecap="round" stroke-linejoin="round"></path>
+                            <path d="M12 4V16M12 16L15.5 12.5M12 16L8.5 12.5" stroke="currentColor" stroke-width="1.7" stroke-linecap="round" stroke-linejoin="round"></path>
+                        </svg>
+                    </button>
+                    ${this.exportMenuOpen
+                        ? html`
+                              <div class="export-menu">
+                                  <button @click=${() => this.exportSession('markdown')}>Markdown</button>
+                                  <button @click=${() => this.exportSession('html')}>HTML</button>
+                                  <button @click=${() => this.exportSession('json')}>JSON</button>
+                              </div>
+                          `
+                        : ''}
+                </div>
+
+                ${window.cheddar?.listAudioDevices
+                    ? html`
+                          <div class="export-wrapper">
+                              <button class="save-button" @click=${this.toggleDeviceMenu} title="Choose audio devices">
+                                  <svg width="24px" height="24px" stroke-width="1.7" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                      <path
+                                          d="M4 13V12C4 7.58172 7.58172 4 12 4C16.4183 4 20 7.58172 20 12V13"
+                                          stroke="currentColor"
+                                          stroke-width="1.7"
+                                          stroke-linecap="round"
+                                          stroke-linejoin="round"
+                                      ></path>
+                                      <path
+                                          d="M4 13H7V19H5C4.44772 19 4 18.5523 4 18V13ZM20 13H17V19H19C19.5523 19 20 18.5523 20 18V13Z"
+                                          stroke="currentColor"
+                                          stroke-width="1.7"
+                                          stroke-linecap="round"
+                                          stroke-linejoin="round"
+                                      ></path>
+                                  </svg>
+                              </button>
+                              ${this.deviceMenuOpen
+                                  ? html`
+                                        <div class="export-menu device-menu">
+                                            <div class="menu-heading">Microphone</div>
+                                            ${this.renderDeviceOptions('mic', this.audioSources.microphones)}
+                                            <div class="menu-heading">System audio</div>
+                                            ${this.renderDeviceOptions('system', this.audioSources.systemSources)}
+                                        </div>
+                                    `
+                                  : ''}
+                          </div>
+                      `
+                    : ''}
+
                 ${this.selectedProfile !== 'exam' && this.vadMode === 'manual' ? html`
                     <button
-                        class="mic-toggle-button ${this.micEnabled ? 'active' : 'inactive'}"
+                        class="mic-toggle-button ${this.micEnabled ? 'active' : 'inactive'} ${this.holdingToTalk ? 'holding' : ''}"
+                        title=${this.holdingToTalk ? 'Recording - release the hold-to-talk keys to send' : 'Toggle microphone'}
                         @click=${this.handleMicToggle}
                     >
                         ${this.micEnabled ? html`
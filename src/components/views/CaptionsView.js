@@ -0,0 +1,214 @@
+import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
+
+const FONT_SIZE_RANGE = { min: 12, max: 40, step: 2, default: 20 };
+const LINE_COUNT_RANGE = { min: 1, max: 12, default: 4 };
+const MAX_KEPT_LINES = 500; // The full transcript is in the session archive; this is only what can be scrolled back to
+
+export class CaptionsView extends LitElement {
+    static styles = css`
+        :host {
+            height: 100%;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+
+        * {
+            font-family: 'Inter', sans-serif;
+            cursor: default;
+        }
+
+        .captions-container {
+            flex: 1;
+            overflow-y: auto;
+            border-radius: 10px;
+            background: var(--main-content-background);
+            padding: 16px;
+            display: flex;
+            flex-direction: column;
+            justify-content: flex-end;
+            gap: 0.4em;
+            user-select: text;
+        }
+
+        .caption-line {
+            color: var(--text-color);
+            line-height: 1.4;
+            word-break: break-word;
+            user-select: text;
+            cursor: text;
+        }
+
+        .caption-time {
+            font-size: 0.6em;
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+            font-variant-numeric: tabular-nums;
+            margin-right: 0.5em;
+        }
+
+        .caption-speaker {
+            font-weight: 600;
+            margin-right: 0.3em;
+        }
+
+        .caption-line.mic .caption-speaker {
+            color: var(--accent-color, #007aff);
+        }
+
+        .placeholder {
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+            font-size: 14px;
+        }
+
+        .controls {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+            font-size: 12px;
+        }
+
+        .control-group {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+        }
+
+        .control-button {
+            background: var(--button-background, rgba(0, 0, 0, 0.5));
+            color: var(--text-color);
+            border: 1px solid var(--button-border, rgba(255, 255, 255, 0.1));
+            border-radius: 6px;
+            padding: 4px 8px;
+            font-size: 12px;
+            min-width: 28px;
+        }
+
+        .control-button:hover:not(:disabled) {
+            background: var(--hover-background, rgba(255, 255, 255, 0.1));
+        }
+
+        .control-button:disabled {
+            opacity: 0.4;
+        }
+
+        .spacer {
+            flex: 1;
+        }
+    `;
+
+    static properties = {
+        startTime: { type: Number },
+        lines: { type: Array },
+        fontSize: { type: Number },
+        lineCount: { type: Number },
+    };
+
+    constructor() {
+        super();
+        this.startTime = null;
+        this.lines = [];
+        this.fontSize = this.loadNumber('captionsFontSize', FONT_SIZE_RANGE);
+        this.lineCount = this.loadNumber('captionsLineCount', LINE_COUNT_RANGE);
+        this.handleTranscription = (event, transcription) => this.addLine(transcription);
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        if (window.require) {
+            const { ipcRenderer } = window.require('electron');
+            ipcRenderer.on('groq-transcription', this.handleTranscription);
+        }
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        if (window.require) {
+            const { ipcRenderer } = window.require('electron');
+            ipcRenderer.removeListener('groq-transcription', this.handleTranscription);
+        }
+    }
+
+    loadNumber(key, range) {
+        const value = parseInt(localStorage.getItem(key), 10);
+        return Number.isFinite(value) ? Math.min(range.max, Math.max(range.min, value)) : range.default;
+    }
+
+    addLine({ text, speaker, source, startedAt }) {
+        if (!text || !text.trim()) return;
+        this.lines = [...this.lines, { text: text.trim(), speaker, source, startedAt: startedAt || Date.now() }].slice(-MAX_KEPT_LINES);
+    }
+
+    setFontSize(fontSize) {
+        this.fontSize = Math.min(FONT_SIZE_RANGE.max, Math.max(FONT_SIZE_RANGE.min, fontSize));
+        localStorage.setItem('captionsFontSize', String(this.fontSize));
+    }
+
+    setLineCount(lineCount) {
+        this.lineCount = Math.min(LINE_COUNT_RANGE.max, Math.max(LINE_COUNT_RANGE.min, lineCount));
+        localStorage.setItem('captionsLineCount', String(this.lineCount));
+    }
+
+    // Time since the session started ("1:05" / "1:02:05"), matching the header timer
+    formatOffset(timestamp) {
+        const totalSeconds = Math.max(0, Math.floor((timestamp - (this.startTime || timestamp)) / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = num => String(num).padStart(2, '0');
+        return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+    }
+
+    render() {
+        const visibleLines = this.lines.slice(-this.lineCount);
+        return html`
+            <div class="captions-container" style="font-size: ${this.fontSize}px">
+                ${visibleLines.length === 0
+                    ? html`<div class="placeholder">Captions appear here as people speak.</div>`
+                    : visibleLines.map(
+                          line => html`
+                              <div class="caption-line ${line.source || ''}">
+                                  <span class="caption-time">${this.formatOffset(line.startedAt)}</span>
+                                  ${line.speaker ? html`<span class="caption-speaker">${line.speaker}:</span>` : ''}${line.text}
+                              </div>
+                          `
+                      )}
+            </div>
+            <div class="controls">
+                <div class="control-group">
+                    Text
+                    <button
+                        class="control-button"
+                        title="Smaller text"
+                        ?disabled=${this.fontSize <= FONT_SIZE_RANGE.min}
+                        @click=${() => this.setFontSize(this.fontSize - FONT_SIZE_RANGE.step)}
+                    >
+                        A−
+                    </button>
+                    <button
+                        class="control-button"
+                        title="Larger text"
+                        ?disabled=${this.fontSize >= FONT_SIZE_RANGE.max}
+                        @click=${() => this.setFontSize(this.fontSize + FONT_SIZE_RANGE.step)}
+                    >
+                        A+
+                    </button>
+                </div>
+                <div class="control-group">
+                    Lines
+                    <button class="control-button" title="Fewer lines" ?disabled=${this.lineCount <= LINE_COUNT_RANGE.min} @click=${() => this.setLineCount(this.lineCount - 1)}>
+                        −
+                    </button>
+                    <span>${this.lineCount}</span>
+                    <button class="control-button" title="More lines" ?disabled=${this.lineCount >= LINE_COUNT_RANGE.max} @click=${() => this.setLineCount(this.lineCount + 1)}>
+                        +
+                    </button>
+                </div>
+                <div class="spacer"></div>
+                <span>SRT and WebVTT files are saved when you end captions</span>
+            </div>
+        `;
+    }
+}
+
+customElements.define('captions-view', CaptionsView);
@@ -205,6 +205,68 @@ export class CustomizeView extends LitElement {
             transform: translateY(1px);
         }
 
+        .knowledge-list {
+            display: grid;
+            gap: 4px;
+            margin-bottom: 6px;
+        }
+
+        .knowledge-item {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 4px 8px;
+            border-radius: 4px;
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+            font-size: 12px;
+            color: var(--text-color);
+        }
+
+        .knowledge-item .knowledge-name {
+            flex: 1;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .knowledge-item .knowledge-remove {
+            background: transparent;
+            border: none;
+            color: var(--description-color, rgba(255, 255, 255, 0.5));
+            font-size: 12px;
+            padding: 2px 4px;
+            cursor: default;
+        }
+
+        .knowledge-item .knowledge-remove:hover {
+            color: var(--text-color);
+        }
+
+        .prompt-diff {
+            margin: 0 0 6px;
+            padding: 6px 8px;
+            border-radius: 4px;
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+            font-family: 'SF Mono', Monaco, monospace;
+            font-size: 11px;
+            line-height: 1.5;
+            white-space: pre-wrap;
+            word-break: break-word;
+            max-height: 200px;
+            overflow-y: auto;
+            user-select: text;
+        }
+
+        .prompt-diff .diff-added {
+            color: #4ade80;
+            background: rgba(74, 222, 128, 0.1);
+        }
+
+        .prompt-diff .diff-removed {
+            color: #f87171;
+            background: rgba(248, 113, 113, 0.1);
+        }
+
         .keybinds-table {
             width: 100%;
             border-collapse: collapse;
@@ -456,6 +518,11 @@ export class CustomizeView extends LitElement {
         googleSearchEnabled: { type: Boolean },
         vadEnabled: { type: Boolean },
         vadMode: { type: String },
+        captureMicrophone: { type: Boolean },
+        audioSources: { type: Object },
+        deviceChoices: { type: Object },
+        callRecording: { type: String },
+        recordingRetentionDays: { type: Number },
         backgroundTransparency: { type: Number },
         fontSize: { type: Number },
         onProfileChange: { type: Function },
@@ -467,6 +534,28 @@ export class CustomizeView extends LitElement {
         onAdvancedModeChange: { type: Function },
         selectedMode: { type: String },
         selectedModel: { type: String },
+        availableModels: { type: Array },
+        openaiCompatibleBaseUrl: { type: String },
+        openaiCompatibleApiKey: { type: String },
+        openaiCompatibleModels: { type: String },
+        fallbackModel: { type: String },
+        isRefreshingModels: { type: Boolean },
+        sttBackend: { type: String },
+        sttSettings: { type: Object },
+        knowledgeDocuments: { type: Array },
+        knowledgeMessage: { type: String },
+        isAddingKnowledge: { type: Boolean },
+        userProfiles: { type: Array },
+        onManageProfiles: { type: Function },
+        promptRevisions: { type: Array },
+        showPromptHistory: { type: Boolean },
+        comparedRevision: { type: Number },
+    };
+
+    // Placeholders mirror the main-process defaults in utils/sttBackends.js
+    static STT_DEFAULTS = {
+        groq: { baseUrl: 'https://api.groq.com/openai/v1', model: 'whisper-large-v3-turbo', timeoutMs: 30000 },
+        'openai-compatible': { baseUrl: 'http://localhost:8000/v1', model: 'whisper-1', timeoutMs: 60000 },
     };
 
     constructor() {
@@ -483,6 +572,15 @@ export class CustomizeView extends LitElement {
         this.onImageQualityChange = () => {};
         this.onLayoutModeChange = () => {};
         this.onAdvancedModeChange = () => {};
+        this.onManageProfiles = () => {};
+
+        // Profiles created by the user (loaded from the main process)
+        this.userProfiles = [];
+
+        // Saved versions of the custom prompt (utils/promptTemplates.js), -1 = no diff shown
+        this.promptRevisions = [];
+        this.showPromptHistory = false;
+        this.comparedRevision = -1;
 
         // Google Search default
         this.googleSearchEnabled = true;
@@ -494,6 +592,18 @@ export class CustomizeView extends LitElement {
         this.vadEnabled = true;
         this.vadMode = 'automatic'; // 'automatic' or 'manual'
 
+        // Microphone channel - null follows the profile default
+        this.captureMicrophone = null;
+
+        // Inputs for the device pickers and the devices saved for the selected profile (utils/audioDevices.js)
+        this.audioSources = { microphones: [], systemSources: [] };
+        this.deviceChoices = { mic: null, system: null };
+        this.handleAudioDevicesChanged = () => this.loadAudioDevices();
+
+        // Opt-in call recording: 'off' | 'mixed' | 'separate', kept for recordingRetentionDays (0 = forever)
+        this.callRecording = localStorage.getItem('callRecording') || 'off';
+        this.recordingRetentionDays = parseInt(localStorage.getItem('recordingRetentionDays') || '30', 10);
+
         // Background transparency default
         this.backgroundTransparency = 0.61;
 
@@ -504,7 +614,18 @@ export class CustomizeView extends LitElement {
         this.selectedMode = 'interview';
         this.selectedModel = 'llama-4-maverick';
 
+        // Models reported by configured chat providers (null until the first refresh completes)
+        this.availableModels = null;
+        this.isRefreshingModels = false;
+
+        // Knowledge base documents of the selected profile (loaded from the main process)
+        this.knowledgeDocuments = [];
+        this.knowledgeMessage = '';
+        this.isAddingKnowledge = false;
+
         this.loadKeybinds();
+        this.loadProviderSettings();
+        this.loadSttSettings();
         this.loadGoogleSearchSettings();
         this.loadAdvancedModeSettings();
         this.loadVADSettings();
@@ -520,9 +641,37 @@ export class CustomizeView extends LitElement {
         this.loadLayoutMode();
         // Resize window for this view
         resizeLayout();
+        // Refresh the model dropdown from whichever providers are configured
+        this.refreshAvailableModels();
+        this.loadUserProfiles();
+        this.loadKnowledgeDocuments();
+        this.loadPromptRevisions();
+        this.loadAudioDevices();
+        window.addEventListener('audio-devices-changed', this.handleAudioDevicesChanged);
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        window.removeEventListener('audio-devices-changed', this.handleAudioDevicesChanged);
+    }
+
+    async loadUserProfiles() {
+        if (!window.require) return;
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('list-user-profiles');
+            this.userProfiles = result.success ? result.profiles : [];
+        } catch (error) {
+            console.error('Error loading user profiles:', error);
+        }
     }
 
     getProfiles() {
+        const userProfiles = this.userProfiles.map(profile => ({
+            value: profile.id,
+            name: profile.name,
+            description: profile.description || 'Custom profile',
+        }));
         return [
             {
                 value: 'interview',
@@ -554,6 +703,7 @@ export class CustomizeView extends LitElement {
                 name: 'Exam Assistant',
                 description: 'Academic assistance for test-taking and exam questions',
             },
+            ...userProfiles,
         ];
     }
 
@@ -600,6 +750,7 @@ export class CustomizeView extends LitElement {
             presentation: 'Presentation',
             negotiation: 'Negotiation',
             exam: 'Exam Assistant',
+            ...Object.fromEntries(this.userProfiles.map(profile => [profile.id, profile.name])),
         };
     }
 
@@ -629,11 +780,10 @@ export class CustomizeView extends LitElement {
             localStorage.setItem('selectedMode', 'coding');
 
             // Restore last-used coding model, or validate current one
-            const validCodingModels = ['gemini-2.5-flash', 'gemini-3-flash-preview', 'gemini-3-pro-preview'];
             const lastCodingModel = localStorage.getItem('lastModel_coding');
-            if (lastCodingModel && validCodingModels.includes(lastCodingModel)) {
+            if (lastCodingModel && this.isValidModelForMode(lastCodingModel, 'coding')) {
                 this.selectedModel = lastCodingModel;
-            } else if (!validCodingModels.includes(this.selectedModel)) {
+            } else if (!this.isValidModelForMode(this.selectedModel, 'coding')) {
                 this.selectedModel = 'gemini-2.5-flash';
             }
         } else {
@@ -646,11 +796,10 @@ export class CustomizeView extends LitElement {
             localStorage.setItem('selectedMode', 'interview');
 
             // Restore last-used interview model, or validate current one
-            const validInterviewModels = ['gemini-2.5-flash-lite', 'llama-4-maverick', 'llama-4-scout'];
             const lastInterviewModel = localStorage.getItem('lastModel_interview');
-            if (lastInterviewModel && validInterviewModels.includes(lastInterviewModel)) {
+            if (lastInterviewModel && this.isValidModelForMode(lastInterviewModel, 'interview')) {
                 this.selectedModel = lastInterviewModel;
-            } else if (!validInterviewModels.includes(this.selectedModel)) {
+            } else if (!this.isValidModelForMode(this.selectedModel, 'interview')) {
                 this.selectedModel = 'llama-4-maverick';
             }
         }
@@ -661,10 +810,93 @@ export class CustomizeView extends LitElement {
 
         // Update the textarea value
         this.requestUpdate();
+        this.knowledgeMessage = '';
+        this.loadKnowledgeDocuments();
+        this.comparedRevision = -1;
+        this.loadPromptRevisions();
+        this.loadAudioDevices();
 
         this.onProfileChange(this.selectedProfile);
     }
 
+    async loadKnowledgeDocuments() {
+        if (!window.require) return;
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('list-knowledge-documents', this.selectedProfile);
+            this.knowledgeDocuments = result.success ? result.documents : [];
+        } catch (error) {
+            console.error('Error loading knowledge base:', error);
+        }
+    }
+
+    async handleAddKnowledgeDocuments() {
+        if (!window.require) return;
+        this.isAddingKnowledge = true;
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('add-knowledge-documents', this.selectedProfile);
+            if (result.success) {
+                this.knowledgeDocuments = result.documents;
+                this.knowledgeMessage = result.errors.join(' ');
+            } else {
+                this.knowledgeMessage = `Could not add documents: ${result.error}`;
+            }
+        } catch (error) {
+            console.error('Error adding knowledge documents:', error);
+            this.knowledgeMessage = `Could not add documents: ${error.message}`;
+        } finally {
+            this.isAddingKnowledge = false;
+        }
+    }
+
+    async handleRemoveKnowledgeDocument(id) {
+        const { ipcRenderer } = window.require('electron');
+        const result = await ipcRenderer.invoke('remove-knowledge-document', { profile: this.selectedProfile, id });
+        if (result.success) {
+            this.knowledgeDocuments = result.documents;
+            this.knowledgeMessage = '';
+        } else {
+            this.knowledgeMessage = `Could not remove document: ${result.error}`;
+        }
+    }
+
+    renderKnowledgeBase(profileName) {
+        return html`
+            <div class="form-group full-width">
+                <label class="form-label">
+                    Knowledge Base
+                    <span class="current-selection">${this.knowledgeDocuments.length} document${this.knowledgeDocuments.length === 1 ? '' : 's'}</span>
+                </label>
+                ${this.knowledgeDocuments.length > 0
+                    ? html`
+                          <div class="knowledge-list">
+                              ${this.knowledgeDocuments.map(
+                                  doc => html`
+                                      <div class="knowledge-item">
+                                          <span class="knowledge-name" title=${doc.sourcePath}>${doc.name}</span>
+                                          <span class="form-description">${doc.chunkCount} passage${doc.chunkCount === 1 ? '' : 's'}</span>
+                                          <button class="knowledge-remove" title="Remove" @click=${() => this.handleRemoveKnowledgeDocument(doc.id)}>✕</button>
+                                      </div>
+                                  `
+                              )}
+                          </div>
+                      `
+                    : ''}
+                <div>
+                    <button class="reset-keybinds-button" @click=${this.handleAddKnowledgeDocuments} ?disabled=${this.isAddingKnowledge}>
+                        ${this.isAddingKnowledge ? 'Indexing...' : 'Add Documents'}
+                    </button>
+                </div>
+                ${this.knowledgeMessage ? html`<div class="form-description">${this.knowledgeMessage}</div>` : ''}
+                <div class="form-description">
+                    Markdown, text, CSV and PDF files are indexed on this computer. Passages that match what is being asked are added to
+                    ${profileName} answers, which cite the document they came from.
+                </div>
+            </div>
+        `;
+    }
+
     handleLanguageSelect(e) {
         this.selectedLanguage = e.target.value;
         localStorage.setItem('selectedLanguage', this.selectedLanguage);
@@ -693,6 +925,78 @@ export class CustomizeView extends LitElement {
         this.setCustomPromptForProfile(this.selectedProfile, e.target.value);
     }
 
+    loadPromptRevisions() {
+        this.promptRevisions = window.cheddar.promptTemplates.getRevisions(localStorage, this.selectedProfile);
+    }
+
+    // A revision is kept when the prompt field gets focus (the version before editing) and when it loses it
+    recordPromptRevision() {
+        const text = this.getCustomPromptForProfile(this.selectedProfile);
+        this.promptRevisions = window.cheddar.promptTemplates.saveRevision(localStorage, this.selectedProfile, text);
+    }
+
+    restorePromptRevision(index) {
+        const { text } = this.promptRevisions[index];
+        this.setCustomPromptForProfile(this.selectedProfile, text);
+        const textarea = this.shadowRoot.querySelector('textarea.custom-prompt-input');
+        if (textarea) {
+            textarea.value = text;
+        }
+        this.recordPromptRevision();
+        this.comparedRevision = -1;
+    }
+
+    renderPromptDiff(index) {
+        const current = this.getCustomPromptForProfile(this.selectedProfile);
+        const lines = window.cheddar.promptTemplates.diffLines(this.promptRevisions[index].text, current);
+        if (lines.every(line => line.type === 'same')) {
+            return html`<div class="form-description">Same as the current instructions</div>`;
+        }
+        const prefixes = { same: '  ', added: '+ ', removed: '- ' };
+        return html`<div class="prompt-diff">${lines.map(line => html`<div class="diff-${line.type}">${prefixes[line.type]}${line.text}</div>`)}</div>`;
+    }
+
+    renderPromptHistory() {
+        const variables = window.cheddar.promptTemplates.extractVariables(this.getCustomPromptForProfile(this.selectedProfile));
+        // Newest first
+        const revisions = this.promptRevisions.map((revision, index) => ({ ...revision, index })).reverse();
+
+        return html`
+            <div class="form-description">
+                Use placeholders such as {{company}}, {{product}} or {{attendees}}; you fill them in on the start screen before each session.
+                ${variables.length > 0 ? html`Variables: ${variables.join(', ')}` : ''}
+            </div>
+            <div>
+                <button class="reset-keybinds-button" @click=${() => (this.showPromptHistory = !this.showPromptHistory)}>
+                    ${this.showPromptHistory ? 'Hide' : 'Show'} Version History (${this.promptRevisions.length})
+                </button>
+            </div>
+            ${this.showPromptHistory
+                ? html`
+                      <div class="knowledge-list">
+                          ${revisions.map(
+                              revision => html`
+                                  <div class="knowledge-item">
+                                      <span class="knowledge-name" title=${revision.text}>
+                                          ${new Date(revision.savedAt).toLocaleString()} · ${revision.text.split('\n')[0] || '(empty)'}
+                                      </span>
+                                      <button
+                                          class="knowledge-remove"
+                                          @click=${() => (this.comparedRevision = this.comparedRevision === revision.index ? -1 : revision.index)}
+                                      >
+                                          ${this.comparedRevision === revision.index ? 'Hide diff' : 'Diff'}
+                                      </button>
+                                      <button class="knowledge-remove" @click=${() => this.restorePromptRevision(revision.index)}>Restore</button>
+                                  </div>
+                                  ${this.comparedRevision === revision.index ? this.renderPromptDiff(revision.index) : ''}
+                              `
+                          )}
+                      </div>
+                  `
+                : ''}
+        `;
+    }
+
     getCustomPromptForProfile(profile) {
         const key = `customPrompt_${profile}`;
         const saved = localStorage.getItem(key);
@@ -732,12 +1036,15 @@ export class CustomizeView extends LitElement {
             toggleVisibility: isMac ? 'Cmd+\\' : 'Ctrl+\\',
             toggleClickThrough: isMac ? 'Cmd+M' : 'Ctrl+M',
             toggleMicrophone: isMac ? 'Cmd+Shift+M' : 'Ctrl+Shift+M',
+            holdToTalk: isMac ? 'Cmd+Shift+Space' : 'Ctrl+Shift+Space',
             nextStep: isMac ? 'Cmd+Enter' : 'Ctrl+Enter',
             previousResponse: isMac ? 'Cmd+[' : 'Ctrl+[',
             nextResponse: isMac ? 'Cmd+]' : 'Ctrl+]',
             scrollUp: isMac ? 'Cmd+Shift+Up' : 'Ctrl+Shift+Up',
             scrollDown: isMac ? 'Cmd+Shift+Down' : 'Ctrl+Shift+Down',
             copyCodeBlocks: isMac ? 'Cmd+Shift+C' : 'Ctrl+Shift+C',
+            cancelResponse: isMac ? 'Cmd+Shift+X' : 'Ctrl+Shift+X',
+            exportSession: isMac ? 'Cmd+Shift+S' : 'Ctrl+Shift+S',
             emergencyErase: isMac ? 'Cmd+Shift+E' : 'Ctrl+Shift+E',
         };
     }
@@ -816,6 +1123,11 @@ export class CustomizeView extends LitElement {
                 name: 'Toggle Microphone',
                 description: 'Toggle microphone ON/OFF (Manual VAD mode only)',
             },
+            {
+                key: 'holdToTalk',
+                name: 'Hold to Talk',
+                description: 'Record from the microphone while held, send on release (Manual VAD mode only)',
+            },
             {
                 key: 'nextStep',
                 name: 'Ask Next Step',
@@ -846,6 +1158,16 @@ export class CustomizeView extends LitElement {
                 name: 'Copy AI Response',
                 description: 'Copy the current AI response to clipboard',
             },
+            {
+                key: 'cancelResponse',
+                name: 'Cancel Response',
+                description: 'Stop the AI response that is currently being generated',
+            },
+            {
+                key: 'exportSession',
+                name: 'Export Session',
+                description: 'Save the current session to a file in the last export format used',
+            },
             {
                 key: 'emergencyErase',
                 name: 'Emergency Erase',
@@ -977,6 +1299,62 @@ export class CustomizeView extends LitElement {
         if (vadMode !== null) {
             this.vadMode = vadMode;
         }
+
+        const captureMicrophone = localStorage.getItem('captureMicrophone');
+        if (captureMicrophone !== null) {
+            this.captureMicrophone = captureMicrophone === 'true';
+        }
+    }
+
+    isMicrophoneCaptureOn() {
+        // Same default as renderer.js: on for calls where the user's own words matter
+        if (this.captureMicrophone !== null) {
+            return this.captureMicrophone;
+        }
+        return ['sales', 'meeting', 'presentation', 'negotiation'].includes(this.selectedProfile);
+    }
+
+    async loadAudioDevices() {
+        if (!window.cheddar?.listAudioDevices) return;
+        this.deviceChoices = window.cheddar.audioDevices.getDeviceChoices(localStorage, this.selectedProfile);
+        this.audioSources = await window.cheddar.listAudioDevices();
+    }
+
+    getAudioDeviceOptions(kind) {
+        const devices = kind === 'mic' ? this.audioSources.microphones : this.audioSources.systemSources;
+        const defaultLabel = kind === 'mic' ? 'Default microphone' : window.cheddar?.isMacOS ? 'Default (SystemAudioDump)' : 'Default (screen-share loopback)';
+        const options = [{ value: '', label: defaultLabel }, ...devices.map(device => ({ value: device.deviceId, label: device.label }))];
+        // A saved headset or dock that is unplugged right now stays selected
+        const choice = this.deviceChoices[kind];
+        if (choice && !devices.some(device => device.deviceId === choice.deviceId)) {
+            options.push({ value: choice.deviceId, label: `${choice.label || 'Saved device'} (not connected)` });
+        }
+        return options;
+    }
+
+    async handleAudioDeviceSelect(kind, deviceId) {
+        const devices = kind === 'mic' ? this.audioSources.microphones : this.audioSources.systemSources;
+        const device = deviceId ? devices.find(candidate => candidate.deviceId === deviceId) || this.deviceChoices[kind] : null;
+        // Switches the running session too
+        await window.cheddar.switchAudioDevice(kind, device);
+        this.deviceChoices = window.cheddar.audioDevices.getDeviceChoices(localStorage, this.selectedProfile);
+    }
+
+    handleCallRecordingSelect(mode) {
+        this.callRecording = mode;
+        localStorage.setItem('callRecording', mode);
+    }
+
+    handleRecordingRetentionChange(e) {
+        const days = parseInt(e.target.value, 10);
+        this.recordingRetentionDays = Number.isFinite(days) && days >= 0 ? days : 30;
+        localStorage.setItem('recordingRetentionDays', String(this.recordingRetentionDays));
+    }
+
+    handleCaptureMicrophoneChange(e) {
+        this.captureMicrophone = e.target.checked;
+        localStorage.setItem('captureMicrophone', this.captureMicrophone.toString());
+        this.requestUpdate();
     }
 
     async handleVADChange(e) {
@@ -1096,14 +1474,12 @@ export class CustomizeView extends LitElement {
 
         // Validate stored model is valid for the current mode
         if (this.selectedMode === 'interview') {
-            const validInterviewModels = ['gemini-2.5-flash-lite', 'llama-4-maverick', 'llama-4-scout'];
-            if (!validInterviewModels.includes(this.selectedModel)) {
+            if (!this.isValidModelForMode(this.selectedModel, 'interview')) {
                 this.selectedModel = 'llama-4-maverick';
                 localStorage.setItem('selectedModel', this.selectedModel);
             }
         } else {
-            const validCodingModels = ['gemini-2.5-flash', 'gemini-3-flash-preview', 'gemini-3-pro-preview'];
-            if (!validCodingModels.includes(this.selectedModel)) {
+            if (!this.isValidModelForMode(this.selectedModel, 'coding')) {
                 this.selectedModel = 'gemini-2.5-flash';
                 localStorage.setItem('selectedModel', this.selectedModel);
             }
@@ -1112,7 +1488,149 @@ export class CustomizeView extends LitElement {
 
     // Helper to check if selected model is a Groq/Llama model
     isGroqModel(model) {
-        return model && (model.includes('llama') || model.includes('groq'));
+        return window.cheddar.modelRegistry.getModelProvider(model) === 'groq';
+    }
+
+    // Models served by an OpenAI-compatible endpoint are stored as "openai:<model-id>"
+    isOpenAICompatibleModel(model) {
+        return typeof model === 'string' && model.startsWith('openai:');
+    }
+
+    // Registry models (built-ins plus models.json), used until providers report their own list (or when none is configured)
+    getDefaultModelOptions(mode) {
+        const registry = window.cheddar.modelRegistry;
+        return registry.getModelOptions({ mode }).filter(option => registry.getModelProvider(option.value) !== 'openai-compatible');
+    }
+
+    // Dropdown options for a mode: models from configured providers, falling back to the built-ins
+    getModelOptions(mode) {
+        const providerModels = (this.availableModels || []).filter(m => m.modes.includes(mode));
+        const options = providerModels.length > 0 ? providerModels : this.getDefaultModelOptions(mode);
+        return options.map(m => ({ value: m.value, label: m.label, icon: m.icon }));
+    }
+
+    isValidModelForMode(model, mode) {
+        if (!model) return false;
+        // OpenAI-compatible models are only known after the endpoint answers, so trust them while it is configured
+        if (mode === 'interview' && this.isOpenAICompatibleModel(model)) {
+            return !!localStorage.getItem('openaiCompatibleBaseUrl');
+        }
+        return this.getModelOptions(mode).some(m => m.value === model) || this.getDefaultModelOptions(mode).some(m => m.value === model);
+    }
+
+    // OpenAI-compatible provider settings (llama.cpp, Ollama, vLLM, LM Studio...)
+    loadProviderSettings() {
+        this.openaiCompatibleBaseUrl = localStorage.getItem('openaiCompatibleBaseUrl') || '';
+        this.openaiCompatibleApiKey = localStorage.getItem('openaiCompatibleApiKey') || '';
+        this.openaiCompatibleModels = localStorage.getItem('openaiCompatibleModels') || '';
+        this.fallbackModel = localStorage.getItem('fallbackModel') || '';
+    }
+
+    handleFallbackModelChange(model) {
+        this.fallbackModel = model;
+        localStorage.setItem('fallbackModel', model);
+    }
+
+    getFallbackModelOptions() {
+        return [
+            { value: '', label: 'None' },
+            ...this.getModelOptions('interview').filter(option => option.value !== this.selectedModel),
+        ];
+    }
+
+    handleProviderSettingInput(key, e) {
+        const value = e.target.value.trim();
+        this[key] = value;
+        localStorage.setItem(key, value);
+        this.refreshAvailableModels();
+    }
+
+    // Speech-to-text backend settings, stored per backend as stt_<backend>_<field>
+    loadSttSettings() {
+        const storedBackend = localStorage.getItem('sttBackend');
+        this.sttBackend = CustomizeView.STT_DEFAULTS[storedBackend] ? storedBackend : 'groq';
+        this.sttSettings = {};
+        for (const backend of Object.keys(CustomizeView.STT_DEFAULTS)) {
+            this.sttSettings[backend] = {};
+            for (const field of ['baseUrl', 'apiKey', 'model', 'language', 'timeoutMs']) {
+                this.sttSettings[backend][field] = localStorage.getItem(`stt_${backend}_${field}`) || '';
+            }
+        }
+    }
+
+    handleSttBackendChange(backend) {
+        this.sttBackend = backend;
+        localStorage.setItem('sttBackend', backend);
+    }
+
+    handleSttSettingInput(field, e) {
+        let value = e.target.value.trim();
+        if (field === 'timeoutMs' && value) {
+            // Entered in seconds, stored in milliseconds
+            const seconds = parseFloat(value);
+            value = Number.isFinite(seconds) && seconds > 0 ? String(Math.round(seconds * 1000)) : '';
+        }
+        this.sttSettings = {
+            ...this.sttSettings,
+            [this.sttBackend]: { ...this.sttSettings[this.sttBackend], [field]: value },
+        };
+        localStorage.setItem(`stt_${this.sttBackend}_${field}`, value);
+    }
+
+    getSttDescription() {
+        if (this.sttBackend === 'openai-compatible') {
+            return 'Audio is sent to your own /audio/transcriptions server (faster-whisper-server, whisper.cpp, LocalAI) and never leaves your network.';
+        }
+        return 'Audio is transcribed by Groq Whisper in the cloud. Requires Groq API key.';
+    }
+
+    async refreshAvailableModels() {
+        if (!window.require || this.isRefreshingModels) return;
+
+        this.isRefreshingModels = true;
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const settings = window.cheddar?.getLLMProviderSettings?.();
+            const result = await ipcRenderer.invoke('list-llm-models', settings);
+            if (result.success) {
+                this.availableModels = result.models;
+            } else {
+                console.error('Failed to list models:', result.error);
+            }
+        } catch (error) {
+            console.error('Error listing models:', error);
+        } finally {
+            this.isRefreshingModels = false;
+        }
+    }
+
+    getOpenAICompatibleModelCount() {
+        return (this.availableModels || []).filter(m => m.provider === 'openai-compatible').length;
+    }
+
+    getCodingModelDescription() {
+        const model = window.cheddar.modelRegistry.getModel(this.selectedModel);
+        return model ? model.description || model.displayName : this.selectedModel;
+    }
+
+    getModelDescription() {
+        const stt = this.sttBackend === 'openai-compatible' ? 'Local STT' : 'Groq Whisper STT';
+        if (window.cheddar.modelRegistry.getModelProvider(this.selectedModel) === 'gemini') {
+            const name = window.cheddar.modelRegistry.getModelDisplayName(this.selectedModel);
+            return this.sttBackend === 'openai-compatible'
+                ? `${stt} + ${name} for fast responses. Requires Gemini API key.`
+                : `${stt} + ${name} for fast responses. Requires both Groq and Gemini API keys.`;
+        }
+        if (this.isGroqModel(this.selectedModel)) {
+            const model = window.cheddar.modelRegistry.getModel(this.selectedModel);
+            return `${stt} + ${model.description || `${model.displayName} for interview responses.`} Requires Groq API key.`;
+        }
+        if (this.isOpenAICompatibleModel(this.selectedModel)) {
+            return this.sttBackend === 'openai-compatible'
+                ? `${stt} + ${this.selectedModel.slice('openai:'.length)} on your OpenAI-compatible endpoint. No cloud API key required.`
+                : `${stt} + ${this.selectedModel.slice('openai:'.length)} on your OpenAI-compatible endpoint. Requires Groq API key for transcription.`;
+        }
+        return this.selectedModel;
     }
 
     async handleModeChange(e) {
@@ -1125,22 +1643,20 @@ export class CustomizeView extends LitElement {
             // Save current model for coding mode before switching
             localStorage.setItem('lastModel_coding', this.selectedModel);
 
-            const validInterviewModels = ['gemini-2.5-flash-lite', 'llama-4-maverick', 'llama-4-scout'];
             const lastInterviewModel = localStorage.getItem('lastModel_interview');
-            if (lastInterviewModel && validInterviewModels.includes(lastInterviewModel)) {
+            if (lastInterviewModel && this.isValidModelForMode(lastInterviewModel, 'interview')) {
                 this.selectedModel = lastInterviewModel;
-            } else if (!validInterviewModels.includes(this.selectedModel)) {
+            } else if (!this.isValidModelForMode(this.selectedModel, 'interview')) {
                 this.selectedModel = 'llama-4-maverick';
             }
         } else {
             // Save current model for interview mode before switching
             localStorage.setItem('lastModel_interview', this.selectedModel);
 
-            const validCodingModels = ['gemini-2.5-flash', 'gemini-3-flash-preview', 'gemini-3-pro-preview'];
             const lastCodingModel = localStorage.getItem('lastModel_coding');
-            if (lastCodingModel && validCodingModels.includes(lastCodingModel)) {
+            if (lastCodingModel && this.isValidModelForMode(lastCodingModel, 'coding')) {
                 this.selectedModel = lastCodingModel;
-            } else if (!validCodingModels.includes(this.selectedModel)) {
+            } else if (!this.isValidModelForMode(this.selectedModel, 'coding')) {
                 this.selectedModel = 'gemini-3-pro-preview';
             }
         }
@@ -1189,25 +1705,48 @@ export class CustomizeView extends LitElement {
                                     .options=${profiles.map(p => ({ value: p.value, label: p.name }))}
                                     @change=${e => this.handleProfileSelect({ target: { value: e.detail.value } })}
                                 ></custom-dropdown>
+                                <div>
+                                    <button class="reset-keybinds-button" @click=${() => this.onManageProfiles()}>Manage Profiles</button>
+                                </div>
                             </div>
                         </div>
 
                         <div class="form-group full-width">
                             <label class="form-label">Custom AI Instructions</label>
                             <textarea
-                                class="form-control"
+                                class="form-control custom-prompt-input"
                                 placeholder="Add specific instructions for how you want the AI to behave during ${
                                     profileNames[this.selectedProfile] || 'this interaction'
                                 }..."
                                 .value=${localStorage.getItem('customPrompt') || ''}
                                 rows="4"
                                 @input=${this.handleCustomPromptInput}
+                                @focus=${this.recordPromptRevision}
+                                @change=${this.recordPromptRevision}
                             ></textarea>
                             <div class="form-description">
                                 Personalize the AI's behavior with specific instructions that will be added to the
                                 ${profileNames[this.selectedProfile] || 'selected profile'} base prompts
                 </div>
+                            ${this.renderPromptHistory()}
                 </div>
+
+                        ${this.selectedProfile === 'sales'
+                            ? html`
+                                  <div class="form-group full-width">
+                                      <label class="form-label">Competitors</label>
+                                      <input
+                                          type="text"
+                                          class="form-control"
+                                          placeholder="Acme, Globex"
+                                          .value=${localStorage.getItem('salesCompetitors') || ''}
+                                          @change=${e => localStorage.setItem('salesCompetitors', e.target.value)}
+                                      />
+                                      <div class="form-description">Comma-separated names counted as competitor mentions in the call scorecard</div>
+                                  </div>
+                              `
+                            : ''}
+                        ${this.selectedProfile !== 'exam' ? this.renderKnowledgeBase(profileNames[this.selectedProfile] || 'profile') : ''}
             </div>
         </div>
 
@@ -1235,19 +1774,11 @@ export class CustomizeView extends LitElement {
                                     <label class="form-label">Model Selection</label>
                                     <custom-dropdown
                                         .value=${this.selectedModel}
-                                        .options=${[
-                                            { value: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash (Faster, Balanced)', icon: './assets/models/500px-Google_Gemini_icon_2025.svg.png' },
-                                            { value: 'gemini-3-flash-preview', label: 'Gemini 3 Flash Preview (Fast, Smart)', icon: './assets/models/500px-Google_Gemini_icon_2025.svg.png' },
-                                            { value: 'gemini-3-pro-preview', label: 'Gemini 3 Pro Preview (Slower, Most Accurate)', icon: './assets/models/500px-Google_Gemini_icon_2025.svg.png' }
-                                        ]}
+                                        .options=${this.getModelOptions('coding')}
                                         @change=${e => this.handleModelChange({ target: { value: e.detail.value } })}
                                     ></custom-dropdown>
                                     <div class="form-description">
-                                        ${this.selectedModel === 'gemini-2.5-flash'
-                                            ? 'Gemini 2.5 Flash: Faster responses, good for time-sensitive coding assessments.'
-                                            : this.selectedModel === 'gemini-3-flash-preview'
-                                                ? 'Gemini 3 Flash Preview: Pro-level intelligence at Flash speed. Low thinking for fastest responses.'
-                                                : 'Gemini 3 Pro Preview: Most accurate and detailed responses, better for complex problems.'}
+                                        ${this.getCodingModelDescription()}
                                     </div>
                                 </div>
                             </div>
@@ -1268,26 +1799,254 @@ export class CustomizeView extends LitElement {
                                     <label class="form-label">Model Selection</label>
                                     <custom-dropdown
                                         .value=${this.selectedModel}
-                                        .options=${[
-                                            { value: 'gemini-2.5-flash-lite', label: 'Gemini 2.5 Flash Lite', icon: './assets/models/500px-Google_Gemini_icon_2025.svg.png' },
-                                            { value: 'llama-4-maverick', label: 'Llama 4 Maverick 17B', icon: './assets/models/metalogo.dcf881ba.svg' },
-                                            { value: 'llama-4-scout', label: 'Llama 4 Scout 17B', icon: './assets/models/metalogo.dcf881ba.svg' }
-                                        ]}
+                                        .options=${this.getModelOptions('interview')}
                                         @change=${e => this.handleModelChange({ target: { value: e.detail.value } })}
                                     ></custom-dropdown>
-                                    <div class="form-description">${this.selectedModel === 'gemini-2.5-flash-lite' ? 'Groq Whisper STT + Gemini 2.5 Flash Lite for fast responses. Requires both Groq and Gemini API keys.' : this.selectedModel === 'llama-4-maverick' ? 'Groq Whisper STT + Llama 4 Maverick for fast interview responses. Requires Groq API key.' : 'Groq Whisper STT + Llama 4 Scout for efficient interview responses. Requires Groq API key.'}</div>
+                                    <div class="form-description">${this.getModelDescription()}</div>
                                 </div>
                             </div>
                         `}
                     </div>
                 </div>
 
+                <!-- Model Providers Section -->
+                <div class="settings-section">
+                    <div class="section-title">
+                        <span>Model Providers</span>
+                    </div>
+
+                    <div class="form-grid">
+                        <div class="form-group full-width">
+                            <label class="form-label">OpenAI-compatible Base URL</label>
+                            <input
+                                type="text"
+                                class="form-control"
+                                placeholder="http://localhost:11434/v1"
+                                .value=${this.openaiCompatibleBaseUrl}
+                                @change=${e => this.handleProviderSettingInput('openaiCompatibleBaseUrl', e)}
+                            />
+                            <div class="form-description">
+                                Run interview responses on your own server (llama.cpp, Ollama, vLLM, LM Studio). Leave empty to disable.
+                            </div>
+                        </div>
+
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label class="form-label">API Key (optional)</label>
+                                <input
+                                    type="password"
+                                    class="form-control"
+                                    placeholder="Not needed for most local servers"
+                                    .value=${this.openaiCompatibleApiKey}
+                                    @change=${e => this.handleProviderSettingInput('openaiCompatibleApiKey', e)}
+                                />
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Extra Models (optional)</label>
+                                <input
+                                    type="text"
+                                    class="form-control"
+                                    placeholder="llama3.1:8b, qwen2.5:14b"
+                                    .value=${this.openaiCompatibleModels}
+                                    @change=${e => this.handleProviderSettingInput('openaiCompatibleModels', e)}
+                                />
+                            </div>
+                        </div>
+
+                        ${this.selectedMode !== 'coding' && this.selectedProfile !== 'exam'
+                            ? html`
+                                  <div class="form-group full-width">
+                                      <label class="form-label">Fallback Model</label>
+                                      <custom-dropdown
+                                          .value=${this.fallbackModel}
+                                          .options=${this.getFallbackModelOptions()}
+                                          @change=${e => this.handleFallbackModelChange(e.detail.value)}
+                                      ></custom-dropdown>
+                                      <div class="form-description">
+                                          Answers switch to this model when the selected one is rate-limited or its provider keeps failing.
+                                      </div>
+                                  </div>
+                              `
+                            : ''}
+
+                        <div class="form-group full-width">
+                            <div>
+                                <button class="reset-keybinds-button" @click=${this.refreshAvailableModels} ?disabled=${this.isRefreshingModels}>
+                                    ${this.isRefreshingModels ? 'Refreshing...' : 'Refresh Models'}
+                                </button>
+                            </div>
+                            <div class="form-description">
+                                ${this.openaiCompatibleBaseUrl
+                                    ? `${this.getOpenAICompatibleModelCount()} model(s) available from ${this.openaiCompatibleBaseUrl}. Models are listed from /models plus any extra models above.`
+                                    : 'Models from configured providers appear in the Model Selection dropdown.'}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Speech-to-Text Section -->
+                ${this.selectedMode !== 'coding' && this.selectedProfile !== 'exam'
+                    ? html`
+                          <div class="settings-section">
+                              <div class="section-title">
+                                  <span>Speech-to-Text</span>
+                              </div>
+
+                              <div class="form-grid">
+                                  <div class="form-group full-width">
+                                      <label class="form-label">Transcription Backend</label>
+                                      <custom-dropdown
+                                          .value=${this.sttBackend}
+                                          .options=${[
+                                              { value: 'groq', label: 'Groq Whisper (cloud)' },
+                                              { value: 'openai-compatible', label: 'OpenAI-compatible (local whisper server)' },
+                                          ]}
+                                          @change=${e => this.handleSttBackendChange(e.detail.value)}
+                                      ></custom-dropdown>
+                                      <div class="form-description">${this.getSttDescription()}</div>
+                                  </div>
+
+                                  <div class="form-group full-width">
+                                      <label class="form-label">Base URL</label>
+                                      <input
+                                          type="text"
+                                          class="form-control"
+                                          placeholder=${CustomizeView.STT_DEFAULTS[this.sttBackend].baseUrl}
+                                          .value=${this.sttSettings[this.sttBackend].baseUrl}
+                                          @change=${e => this.handleSttSettingInput('baseUrl', e)}
+                                      />
+                                  </div>
+
+                                  <div class="form-row">
+                                      <div class="form-group">
+                                          <label class="form-label">Model</label>
+                                          <input
+                                              type="text"
+                                              class="form-control"
+                                              placeholder=${CustomizeView.STT_DEFAULTS[this.sttBackend].model}
+                                              .value=${this.sttSettings[this.sttBackend].model}
+                                              @change=${e => this.handleSttSettingInput('model', e)}
+                                          />
+                                      </div>
+                                      <div class="form-group">
+                                          <label class="form-label">Language Hint</label>
+                                          <input
+                                              type="text"
+                                              class="form-control"
+                                              placeholder="Auto-detect (e.g. en, de, ja)"
+                                              .value=${this.sttSettings[this.sttBackend].language}
+                                              @change=${e => this.handleSttSettingInput('language', e)}
+                                          />
+                                      </div>
+                                  </div>
+
+                                  <div class="form-row">
+                                      <div class="form-group">
+                                          <label class="form-label">Timeout (seconds)</label>
+                                          <input
+                                              type="number"
+                                              min="1"
+                                              class="form-control"
+                                              placeholder=${String(CustomizeView.STT_DEFAULTS[this.sttBackend].timeoutMs / 1000)}
+                                              .value=${this.sttSettings[this.sttBackend].timeoutMs
+                                                  ? String(Number(this.sttSettings[this.sttBackend].timeoutMs) / 1000)
+                                                  : ''}
+                                              @change=${e => this.handleSttSettingInput('timeoutMs', e)}
+                                          />
+                                      </div>
+                                      ${this.sttBackend === 'openai-compatible'
+                                          ? html`
+                                                <div class="form-group">
+                                                    <label class="form-label">API Key (optional)</label>
+                                                    <input
+                                                        type="password"
+                                                        class="form-control"
+                                                        placeholder="Not needed for most local servers"
+                                                        .value=${this.sttSettings[this.sttBackend].apiKey}
+                                                        @change=${e => this.handleSttSettingInput('apiKey', e)}
+                                                    />
+                                                </div>
+                                            `
+                                          : ''}
+                                  </div>
+                              </div>
+                          </div>
+                      `
+                    : ''}
+
                 <!-- Audio Section -->
                 <div class="settings-section">
                     <div class="section-title">
                         <span>Audio</span>
                     </div>
                     <div class="form-grid">
+                        ${window.cheddar?.listAudioDevices
+                            ? html`
+                                  <div class="form-row">
+                                      <div class="form-group">
+                                          <label class="form-label">Microphone</label>
+                                          <custom-dropdown
+                                              .value=${this.deviceChoices.mic?.deviceId || ''}
+                                              .options=${this.getAudioDeviceOptions('mic')}
+                                              @change=${e => this.handleAudioDeviceSelect('mic', e.detail.value)}
+                                          ></custom-dropdown>
+                                      </div>
+                                      <div class="form-group">
+                                          <label class="form-label">System audio</label>
+                                          <custom-dropdown
+                                              .value=${this.deviceChoices.system?.deviceId || ''}
+                                              .options=${this.getAudioDeviceOptions('system')}
+                                              @change=${e => this.handleAudioDeviceSelect('system', e.detail.value)}
+                                          ></custom-dropdown>
+                                      </div>
+                                  </div>
+                                  <div class="form-group full-width">
+                                      <div class="form-description">
+                                          Saved for the ${this.getProfileNames()[this.selectedProfile] || this.selectedProfile} profile and switched live
+                                          during a session. System audio can come from a loopback source instead of the screen share: "Monitor of
+                                          ..." sources of PulseAudio/PipeWire on Linux, Stereo Mix or a virtual cable on Windows, BlackHole on
+                                          macOS. When a chosen device is unplugged the default is used until it comes back.
+                                      </div>
+                                  </div>
+                              `
+                            : ''}
+
+                        ${window.require
+                            ? html`
+                                  <div class="form-row">
+                                      <div class="form-group">
+                                          <label class="form-label">Call Recording</label>
+                                          <custom-dropdown
+                                              .value=${this.callRecording}
+                                              .options=${[
+                                                  { value: 'off', label: 'Off' },
+                                                  { value: 'mixed', label: 'Mixed (one track)' },
+                                                  { value: 'separate', label: 'Separate tracks (you / other participants)' },
+                                              ]}
+                                              @change=${e => this.handleCallRecordingSelect(e.detail.value)}
+                                          ></custom-dropdown>
+                                      </div>
+                                      <div class="form-group">
+                                          <label class="form-label">Keep Recordings (days)</label>
+                                          <input
+                                              type="number"
+                                              min="0"
+                                              class="form-control"
+                                              .value=${String(this.recordingRetentionDays)}
+                                              @change=${this.handleRecordingRetentionChange}
+                                          />
+                                      </div>
+                                  </div>
+                                  <div class="form-group full-width">
+                                      <div class="form-description">
+                                          Saves each session's audio as WAV files beside its transcript in the config directory, with a REC
+                                          indicator in the header while recording. Play them back from the Sessions view. Recordings older than
+                                          the number of days above are deleted automatically (0 keeps them). While the microphone is toggled
+                                          off, silence is saved in its place. Make sure everyone on the call agrees to being recorded.
+                                      </div>
+                                  </div>
+                              `
+                            : ''}
 
                         <div class="form-group full-width">
                             <div class="checkbox-group">
@@ -1307,6 +2066,28 @@ export class CustomizeView extends LitElement {
                             </div>
                         </div>
 
+                        ${this.selectedMode === 'interview'
+                            ? html`
+                                  <div class="form-group full-width">
+                                      <div class="checkbox-group">
+                                          <input
+                                              type="checkbox"
+                                              class="checkbox-input"
+                                              id="capture-microphone"
+                                              .checked=${this.isMicrophoneCaptureOn()}
+                                              @change=${this.handleCaptureMicrophoneChange}
+                                          />
+                                          <label for="capture-microphone" class="checkbox-label">Capture my microphone as a separate channel</label>
+                                      </div>
+                                      <div class="form-description">
+                                          Your voice is transcribed apart from the computer audio, so transcripts are labelled "You" and "Other
+                                          participants" and answers know who said what. Only the other participants' questions get answered.
+                                          Use headphones so their voices don't reach your microphone. Takes effect on the next session.
+                                      </div>
+                                  </div>
+                              `
+                            : ''}
+
                         ${this.selectedProfile === 'interview' && this.vadEnabled ? html`
                             <div class="form-row">
                                 <div class="form-group">
@@ -352,12 +352,15 @@ export class HelpView extends LitElement {
             toggleVisibility: isMac ? 'Cmd+\\' : 'Ctrl+\\',
             toggleClickThrough: isMac ? 'Cmd+M' : 'Ctrl+M',
             toggleMicrophone: isMac ? 'Cmd+Shift+M' : 'Ctrl+Shift+M',
+            holdToTalk: isMac ? 'Cmd+Shift+Space' : 'Ctrl+Shift+Space',
             nextStep: isMac ? 'Cmd+Enter' : 'Ctrl+Enter',
             previousResponse: isMac ? 'Cmd+[' : 'Ctrl+[',
             nextResponse: isMac ? 'Cmd+]' : 'Ctrl+]',
             scrollUp: isMac ? 'Cmd+Shift+Up' : 'Ctrl+Shift+Up',
             scrollDown: isMac ? 'Cmd+Shift+Down' : 'Ctrl+Shift+Down',
             copyCodeBlocks: isMac ? 'Cmd+Shift+C' : 'Ctrl+Shift+C',
+            cancelResponse: isMac ? 'Cmd+Shift+X' : 'Ctrl+Shift+X',
+            exportSession: isMac ? 'Cmd+Shift+S' : 'Ctrl+Shift+S',
         };
     }
 
@@ -456,6 +459,10 @@ export class HelpView extends LitElement {
                                 <span class="shortcut-description">Toggle microphone (Manual VAD mode only)</span>
                                 <div class="shortcut-keys">${this.formatKeybind(this.keybinds.toggleMicrophone)}</div>
                             </div>
+                            <div class="shortcut-item">
+                                <span class="shortcut-description">Hold to talk, send on release (Manual VAD mode only)</span>
+                                <div class="shortcut-keys">${this.formatKeybind(this.keybinds.holdToTalk)}</div>
+                            </div>
                             <div class="shortcut-item">
                                 <span class="shortcut-description">Clear session and restart</span>
                                 <div class="shortcut-keys">${this.formatKeybind(isMacOS ? 'Cmd+Alt+R' : 'Ctrl+Alt+R')}</div>
@@ -484,6 +491,14 @@ export class HelpView extends LitElement {
                                 <span class="shortcut-description">Copy AI response</span>
                                 <div class="shortcut-keys">${this.formatKeybind(this.keybinds.copyCodeBlocks)}</div>
                             </div>
+                            <div class="shortcut-item">
+                                <span class="shortcut-description">Cancel response being generated</span>
+                                <div class="shortcut-keys">${this.formatKeybind(this.keybinds.cancelResponse)}</div>
+                            </div>
+                            <div class="shortcut-item">
+                                <span class="shortcut-description">Export current session</span>
+                                <div class="shortcut-keys">${this.formatKeybind(this.keybinds.exportSession)}</div>
+                            </div>
                         </div>
 
                         <div class="keyboard-group">
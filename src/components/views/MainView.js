@@ -161,6 +161,10 @@ export class MainView extends LitElement {
             cursor: default;
         }
 
+        .captions-error {
+            color: #ff4444;
+        }
+
         .shortcut-hint {
             color: var(--description-color);
             font-size: 11px;
@@ -229,6 +233,20 @@ export class MainView extends LitElement {
             padding-right: 40px;
         }
 
+        .prompt-variables {
+            margin-bottom: 20px;
+        }
+
+        .prompt-variables .dual-input-group input {
+            padding-right: 14px;
+        }
+
+        .prompt-variables-hint {
+            color: var(--description-color);
+            font-size: 12px;
+            margin-bottom: 10px;
+        }
+
         :host {
             height: 100%;
             display: flex;
@@ -240,6 +258,9 @@ export class MainView extends LitElement {
 
     static properties = {
         onStart: { type: Function },
+        onStartCaptions: { type: Function },
+        onStartPractice: { type: Function },
+        captionsError: { type: String },
         onAPIKeyHelp: { type: Function },
         isInitializing: { type: Boolean },
         onLayoutModeChange: { type: Function },
@@ -249,11 +270,15 @@ export class MainView extends LitElement {
         selectedModel: { type: String },
         showApiKey: { type: Boolean },
         showGroqApiKey: { type: Boolean },
+        missingPromptVariables: { type: Array },
     };
 
     constructor() {
         super();
         this.onStart = () => {};
+        this.onStartCaptions = () => {};
+        this.onStartPractice = () => {};
+        this.captionsError = '';
         this.onAPIKeyHelp = () => {};
         this.isInitializing = false;
         this.onLayoutModeChange = () => {};
@@ -264,6 +289,7 @@ export class MainView extends LitElement {
         this.selectedModel = localStorage.getItem('selectedModel') || 'llama-4-maverick';
         this.showApiKey = false;
         this.showGroqApiKey = false;
+        this.missingPromptVariables = [];
     }
 
     toggleApiKeyVisibility() {
@@ -276,14 +302,16 @@ export class MainView extends LitElement {
 
     // Helper to check if selected model is a Groq/Llama model
     isGroqModel() {
-        return this.selectedModel && (this.selectedModel.includes('llama') || this.selectedModel.includes('groq'));
+        // OpenAI-compatible models ("openai:<id>") use Groq Whisper for STT, so they take the Groq key
+        const provider = window.cheddar.modelRegistry.getModelProvider(this.selectedModel);
+        return provider === 'groq' || provider === 'openai-compatible';
     }
 
-    // Helper: gemini-2.5-flash-lite in interview mode needs BOTH Gemini + Groq keys
+    // Helper: a Gemini model in interview mode needs BOTH Gemini + Groq keys
     // In exam mode, only Gemini key is needed (no Whisper STT)
     needsBothKeys() {
         const profile = localStorage.getItem('selectedProfile') || 'exam';
-        return this.selectedModel === 'gemini-2.5-flash-lite' && profile !== 'exam';
+        return window.cheddar.modelRegistry.getModelProvider(this.selectedModel) === 'gemini' && profile !== 'exam';
     }
 
     connectedCallback() {
@@ -358,6 +386,27 @@ export class MainView extends LitElement {
         }
     }
 
+    // {{placeholders}} of the selected profile's custom prompt, filled in before every session
+    getPromptVariables() {
+        return window.cheddar.promptTemplates.extractVariables(localStorage.getItem('customPrompt') || '');
+    }
+
+    handlePromptVariableInput(name, value) {
+        const profile = localStorage.getItem('selectedProfile') || 'interview';
+        window.cheddar.promptTemplates.setVariableValue(localStorage, profile, name, value);
+        if (value.trim() && this.missingPromptVariables.includes(name)) {
+            this.missingPromptVariables = this.missingPromptVariables.filter(missing => missing !== name);
+        }
+    }
+
+    // Called by the app before starting; highlights the variables that are still empty
+    validatePromptVariables() {
+        const profile = localStorage.getItem('selectedProfile') || 'interview';
+        const values = window.cheddar.promptTemplates.getVariableValues(localStorage, profile);
+        this.missingPromptVariables = this.getPromptVariables().filter(name => !(values[name] || '').trim());
+        return this.missingPromptVariables.length === 0;
+    }
+
     handleStartClick() {
         if (this.isInitializing) {
             return;
@@ -365,6 +414,14 @@ export class MainView extends LitElement {
         this.onStart();
     }
 
+    handleStartCaptionsClick() {
+        if (this.isInitializing) {
+            return;
+        }
+        this.captionsError = '';
+        this.onStartCaptions();
+    }
+
     handleAPIKeyHelpClick() {
         this.onAPIKeyHelp();
     }
@@ -412,6 +469,93 @@ export class MainView extends LitElement {
         }, 1000);
     }
 
+    // Captions use Groq Whisper: highlight whichever field holds the Groq key, or explain where it goes
+    triggerCaptionsKeyError() {
+        if (this.needsBothKeys()) {
+            this.triggerGroqApiKeyError();
+        } else if (this.isGroqModel()) {
+            this.triggerApiKeyError();
+        }
+        this.captionsError = 'Captions need a Groq API key (or a local speech-to-text backend in Settings)';
+    }
+
+    renderOtherModes() {
+        return html`
+            <p class="description">
+                or <span @click=${this.handleStartCaptionsClick} class="link">start live captions</span> (speech-to-text only, no AI answers)
+                ${this.captionsError ? html`<br /><span class="captions-error">${this.captionsError}</span>` : ''}
+                ${window.require
+                    ? html`<br />or <span @click=${() => this.onStartPractice()} class="link">practice a mock interview</span> (the AI asks, you answer)`
+                    : ''}
+            </p>
+        `;
+    }
+
+    renderPromptVariables() {
+        const names = this.getPromptVariables();
+        if (names.length === 0) {
+            return '';
+        }
+        const values = window.cheddar.promptTemplates.getVariableValues(localStorage, localStorage.getItem('selectedProfile') || 'interview');
+
+        return html`
+            <div class="prompt-variables">
+                <div class="prompt-variables-hint">
+                    Fill in the variables of your custom prompt for this session
+                    ${this.missingPromptVariables.length > 0 ? html`<span class="captions-error">(all fields are required)</span>` : ''}
+                </div>
+                ${names.map(
+                    name => html`
+                        <div class="dual-input-group">
+                            <span class="input-label">${name}</span>
+                            <div class="input-wrapper">
+                                <input
+                                    type="text"
+                                    placeholder="{{${name}}}"
+                                    .value=${values[name] || ''}
+                                    @input=${e => this.handlePromptVariableInput(name, e.target.value)}
+                                    class="${this.missingPromptVariables.includes(name) ? 'api-key-error' : ''}"
+                                />
+                            </div>
+                        </div>
+                    `
+                )}
+            </div>
+        `;
+    }
+
+    // Negotiation sessions track offers against these numbers
+    renderNegotiationTargets() {
+        if (localStorage.getItem('selectedProfile') !== 'negotiation' || !window.require) {
+            return '';
+        }
+        const fields = [
+            { key: 'negotiationTarget', label: 'Target', placeholder: 'The number you aim for' },
+            { key: 'negotiationWalkAway', label: 'Walk-away', placeholder: 'The number you will not go past' },
+        ];
+
+        return html`
+            <div class="prompt-variables">
+                <div class="prompt-variables-hint">Your numbers for this negotiation (optional) - offers are compared with them</div>
+                ${fields.map(
+                    field => html`
+                        <div class="dual-input-group">
+                            <span class="input-label">${field.label}</span>
+                            <div class="input-wrapper">
+                                <input
+                                    type="number"
+                                    placeholder=${field.placeholder}
+                                    .value=${localStorage.getItem(field.key) || ''}
+                                    @input=${e => localStorage.setItem(field.key, e.target.value)}
+                                />
+                            </div>
+                        </div>
+                    `
+                )}
+            </div>
+        `;
+    }
+
     getStartButtonText() {
         const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
 
@@ -517,6 +661,7 @@ export class MainView extends LitElement {
                         ${this.getStartButtonText()}
                     </button>
                 </div>
+                ${this.renderPromptVariables()} ${this.renderNegotiationTargets()}
                 <p class="description">
                     get api keys:
                     <span @click=${() => this.openLink('https://aistudio.google.com/')} class="link">Gemini</span>
@@ -524,6 +669,7 @@ export class MainView extends LitElement {
                     <span @click=${() => this.openLink('https://groq.com/')} class="link">Groq</span>
                     (Groq Whisper + Gemini 3 Flash)
                 </p>
+                ${this.renderOtherModes()}
                 <p class="shortcut-hint">
                     Click <span class="help-icon"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.7" stroke-linecap="round" stroke-linejoin="round"><path d="M12 22C17.5228 22 22 17.5228 22 12C22 6.47715 17.5228 2 12 2C6.47715 2 2 6.47715 2 12C2 17.5228 6.47715 22 12 22Z"></path><path d="M9 9C9 5.49997 14.5 5.5 14.5 9C14.5 11.5 12 10.9999 12 13.9999"></path><path d="M12 18.01L12.01 17.9989"></path></svg></span> in the header for help, keyboard shortcuts, and more
                 </p>
@@ -531,13 +677,17 @@ export class MainView extends LitElement {
         }
 
         // Single API key mode
-        const apiKeyPlaceholder = isGroq ? 'Enter your Groq API Key' : 'Enter your Gemini API Key';
+        // With a local speech-to-text backend, OpenAI-compatible models can run without any cloud key
+        const usesGroqStt = (localStorage.getItem('sttBackend') || 'groq') === 'groq';
+        const apiKeyPlaceholder = isGroq
+            ? this.selectedModel.startsWith('openai:') && !usesGroqStt
+                ? 'Groq API Key (optional with local speech-to-text)'
+                : 'Enter your Groq API Key'
+            : 'Enter your Gemini API Key';
         const apiKeyValue = isGroq
             ? (localStorage.getItem('groqApiKey') || '')
             : (localStorage.getItem('apiKey') || '');
-        const modelName = isGroq
-            ? (this.selectedModel === 'llama-4-maverick' ? 'Llama 4 Maverick' : 'Llama 4 Scout')
-            : 'Gemini';
+        const modelName = isGroq ? window.cheddar.modelRegistry.getModelDisplayName(this.selectedModel) : 'Gemini';
 
         return html`
             <div class="welcome">Welcome</div>
@@ -559,11 +709,15 @@ export class MainView extends LitElement {
                     ${this.getStartButtonText()}
                 </button>
             </div>
+            ${this.renderPromptVariables()} ${this.renderNegotiationTargets()}
             <p class="description">
                 dont have an api key?
                 <span @click=${this.handleAPIKeyHelpClick} class="link">get one here</span>
-                ${isGroq ? html` (Using ${modelName} via Groq)` : html` (Using ${modelName})`}
+                ${this.selectedModel?.startsWith('openai:')
+                    ? html` (Using ${modelName} on your endpoint, ${usesGroqStt ? 'Groq Whisper' : 'local speech-to-text'} for speech)`
+                    : isGroq ? html` (Using ${modelName} via Groq)` : html` (Using ${modelName})`}
             </p>
+            ${this.renderOtherModes()}
             <p class="shortcut-hint">
                 Click <span class="help-icon"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.7" stroke-linecap="round" stroke-linejoin="round"><path d="M12 22C17.5228 22 22 17.5228 22 12C22 6.47715 17.5228 2 12 2C6.47715 2 2 6.47715 2 12C2 17.5228 6.47715 22 12 22Z"></path><path d="M9 9C9 5.49997 14.5 5.5 14.5 9C14.5 11.5 12 10.9999 12 13.9999"></path><path d="M12 18.01L12.01 17.9989"></path></svg></span> in the header for help, keyboard shortcuts, and more
             </p>
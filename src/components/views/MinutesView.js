@@ -0,0 +1,363 @@
+import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
+import { resizeLayout } from '../../utils/windowResize.js';
+
+const EMPTY_MINUTES = { summary: '', decisions: [], actionItems: [], openQuestions: [] };
+
+export class MinutesView extends LitElement {
+    static styles = css`
+        * {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+            cursor: default;
+            user-select: none;
+        }
+
+        :host {
+            display: block;
+            padding: 12px;
+        }
+
+        .minutes-container {
+            display: grid;
+            gap: 12px;
+            padding-bottom: 20px;
+        }
+
+        .option-group {
+            background: var(--card-background, rgba(255, 255, 255, 0.04));
+            border: 1px solid var(--card-border, rgba(255, 255, 255, 0.1));
+            border-radius: 6px;
+            padding: 16px;
+            backdrop-filter: blur(10px);
+        }
+
+        .option-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 12px;
+            color: var(--text-color);
+            font-weight: 600;
+            font-size: 14px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+
+        .option-label::before {
+            content: '';
+            width: 3px;
+            height: 14px;
+            background: var(--accent-color, #007aff);
+            border-radius: 1.5px;
+        }
+
+        .description {
+            color: var(--description-color, rgba(255, 255, 255, 0.75));
+            font-size: 12px;
+            line-height: 1.4;
+            word-break: break-word;
+            user-select: text;
+        }
+
+        .toolbar {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            flex-wrap: wrap;
+        }
+
+        .button {
+            background: var(--button-background, rgba(0, 0, 0, 0.5));
+            color: var(--text-color);
+            border: 1px solid var(--button-border, rgba(255, 255, 255, 0.1));
+            padding: 6px 12px;
+            border-radius: 6px;
+            font-size: 12px;
+            font-weight: 500;
+        }
+
+        .button:hover:not(:disabled) {
+            background: var(--hover-background, rgba(255, 255, 255, 0.1));
+        }
+
+        .button:disabled {
+            opacity: 0.5;
+        }
+
+        .icon-button {
+            background: transparent;
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+            border: none;
+            padding: 4px 6px;
+            border-radius: 4px;
+            font-size: 12px;
+        }
+
+        .icon-button:hover {
+            background: var(--hover-background, rgba(255, 255, 255, 0.1));
+            color: var(--text-color);
+        }
+
+        .form-control {
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+            color: var(--text-color);
+            border: 1px solid var(--input-border, rgba(255, 255, 255, 0.15));
+            padding: 6px 8px;
+            border-radius: 4px;
+            font-size: 12px;
+            min-width: 0;
+            user-select: text;
+        }
+
+        .form-control:focus {
+            outline: none;
+            border-color: var(--focus-border-color, #007aff);
+        }
+
+        textarea.form-control {
+            width: 100%;
+            box-sizing: border-box;
+            resize: vertical;
+            min-height: 90px;
+            line-height: 1.4;
+        }
+
+        .item-list {
+            display: grid;
+            gap: 6px;
+            margin-bottom: 8px;
+        }
+
+        .item-row {
+            display: flex;
+            gap: 6px;
+            align-items: center;
+        }
+
+        .item-row .form-control {
+            flex: 1;
+        }
+
+        .item-row .form-control.narrow {
+            flex: 0 0 90px;
+        }
+    `;
+
+    static properties = {
+        sessionId: { type: String },
+        minutes: { type: Object },
+        isLoading: { type: Boolean },
+        isGenerating: { type: Boolean },
+        isDirty: { type: Boolean },
+        statusMessage: { type: String },
+    };
+
+    constructor() {
+        super();
+        this.sessionId = null;
+        this.minutes = null;
+        this.isLoading = false;
+        this.isGenerating = false;
+        this.isDirty = false;
+        this.statusMessage = '';
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        // Resize window for this view
+        resizeLayout();
+        this.loadMinutes();
+    }
+
+    async loadMinutes() {
+        if (!window.require) {
+            this.statusMessage = 'Meeting minutes are only available in the desktop app.';
+            return;
+        }
+        this.isLoading = true;
+        try {
+            const { ipcRenderer } = window.require('electron');
+            // Without a session id the latest session is used (e.g. the meeting that just ended)
+            const result = await ipcRenderer.invoke('get-meeting-minutes', this.sessionId);
+            if (!result.success) {
+                this.statusMessage = result.error;
+                return;
+            }
+            this.sessionId = result.sessionId;
+            if (result.minutes) {
+                this.minutes = result.minutes;
+            } else {
+                await this.generateMinutes();
+            }
+        } catch (error) {
+            console.error('Error loading minutes:', error);
+            this.statusMessage = error.message;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async generateMinutes() {
+        this.isGenerating = true;
+        this.statusMessage = 'Writing minutes from the transcript...';
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const providerSettings = window.cheddar ? window.cheddar.getLLMProviderSettings() : null;
+            const result = await ipcRenderer.invoke('generate-meeting-minutes', { id: this.sessionId, providerSettings });
+            if (result.success) {
+                this.minutes = result.minutes;
+                this.isDirty = false;
+                this.statusMessage = '';
+            } else {
+                this.statusMessage = `Could not generate minutes: ${result.error}`;
+            }
+        } catch (error) {
+            console.error('Error generating minutes:', error);
+            this.statusMessage = `Could not generate minutes: ${error.message}`;
+        } finally {
+            this.isGenerating = false;
+        }
+    }
+
+    async saveMinutes() {
+        const { ipcRenderer } = window.require('electron');
+        const result = await ipcRenderer.invoke('save-meeting-minutes', { id: this.sessionId, minutes: this.minutes });
+        if (result.success) {
+            this.minutes = result.minutes;
+            this.isDirty = false;
+            this.statusMessage = 'Minutes saved';
+        } else {
+            this.statusMessage = `Could not save minutes: ${result.error}`;
+        }
+        return result.success;
+    }
+
+    async exportMinutes(format) {
+        try {
+            // Export what is on screen, including unsaved edits
+            if (this.isDirty && !(await this.saveMinutes())) return;
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('export-meeting-minutes', { id: this.sessionId, format });
+            this.statusMessage = result.success ? `Saved to ${result.filePath}` : `Export failed: ${result.error}`;
+        } catch (error) {
+            console.error('Error exporting minutes:', error);
+            this.statusMessage = `Export failed: ${error.message}`;
+        }
+    }
+
+    updateMinutes(changes) {
+        this.minutes = { ...this.minutes, ...changes };
+        this.isDirty = true;
+    }
+
+    updateListItem(field, index, value) {
+        const list = [...this.minutes[field]];
+        list[index] = value;
+        this.updateMinutes({ [field]: list });
+    }
+
+    removeListItem(field, index) {
+        this.updateMinutes({ [field]: this.minutes[field].filter((_, i) => i !== index) });
+    }
+
+    addListItem(field, item) {
+        this.updateMinutes({ [field]: [...this.minutes[field], item] });
+    }
+
+    renderStringList(field, placeholder) {
+        return html`
+            <div class="item-list">
+                ${this.minutes[field].map(
+                    (item, index) => html`
+                        <div class="item-row">
+                            <input
+                                class="form-control"
+                                .value=${item}
+                                placeholder=${placeholder}
+                                @input=${e => this.updateListItem(field, index, e.target.value)}
+                            />
+                            <button class="icon-button" title="Remove" @click=${() => this.removeListItem(field, index)}>✕</button>
+                        </div>
+                    `
+                )}
+            </div>
+            <button class="icon-button" @click=${() => this.addListItem(field, '')}>+ Add</button>
+        `;
+    }
+
+    renderActionItems() {
+        return html`
+            <div class="item-list">
+                ${this.minutes.actionItems.map(
+                    (item, index) => html`
+                        <div class="item-row">
+                            <input
+                                class="form-control"
+                                .value=${item.task}
+                                placeholder="Task"
+                                @input=${e => this.updateListItem('actionItems', index, { ...item, task: e.target.value })}
+                            />
+                            <input
+                                class="form-control narrow"
+                                .value=${item.owner}
+                                placeholder="Owner"
+                                @input=${e => this.updateListItem('actionItems', index, { ...item, owner: e.target.value })}
+                            />
+                            <input
+                                class="form-control narrow"
+                                .value=${item.due}
+                                placeholder="Due"
+                                @input=${e => this.updateListItem('actionItems', index, { ...item, due: e.target.value })}
+                            />
+                            <button class="icon-button" title="Remove" @click=${() => this.removeListItem('actionItems', index)}>✕</button>
+                        </div>
+                    `
+                )}
+            </div>
+            <button class="icon-button" @click=${() => this.addListItem('actionItems', { task: '', owner: '', due: '' })}>+ Add</button>
+        `;
+    }
+
+    renderEditor() {
+        const minutes = this.minutes || EMPTY_MINUTES;
+        return html`
+            <div class="option-group">
+                <div class="option-label">Summary</div>
+                <textarea class="form-control" .value=${minutes.summary} @input=${e => this.updateMinutes({ summary: e.target.value })}></textarea>
+            </div>
+            <div class="option-group">
+                <div class="option-label">Decisions</div>
+                ${this.renderStringList('decisions', 'Decision')}
+            </div>
+            <div class="option-group">
+                <div class="option-label">Action Items</div>
+                ${this.renderActionItems()}
+            </div>
+            <div class="option-group">
+                <div class="option-label">Open Questions</div>
+                ${this.renderStringList('openQuestions', 'Question')}
+            </div>
+        `;
+    }
+
+    render() {
+        const busy = this.isLoading || this.isGenerating;
+        return html`
+            <div class="minutes-container">
+                ${this.sessionId
+                    ? html`
+                          <div class="toolbar">
+                              <button class="button" ?disabled=${busy || !this.minutes || !this.isDirty} @click=${() => this.saveMinutes()}>Save</button>
+                              <button class="button" ?disabled=${busy || !this.minutes} @click=${() => this.exportMinutes('markdown')}>Export Markdown</button>
+                              <button class="button" ?disabled=${busy || !this.minutes} @click=${() => this.exportMinutes('json')}>Export JSON</button>
+                              <button class="button" ?disabled=${busy} @click=${() => this.generateMinutes()}>${this.minutes ? 'Regenerate' : 'Generate'}</button>
+                          </div>
+                      `
+                    : ''}
+                ${this.statusMessage ? html`<div class="description">${this.statusMessage}</div>` : ''}
+                ${this.minutes ? this.renderEditor() : ''}
+            </div>
+        `;
+    }
+}
+
+customElements.define('minutes-view', MinutesView);
@@ -0,0 +1,250 @@
+import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
+import { resizeLayout } from '../../utils/windowResize.js';
+
+export class NegotiationView extends LitElement {
+    static styles = css`
+        * {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+            cursor: default;
+            user-select: none;
+        }
+
+        :host {
+            display: block;
+            padding: 12px;
+        }
+
+        .negotiation-container {
+            display: grid;
+            gap: 12px;
+            padding-bottom: 20px;
+        }
+
+        .option-group {
+            background: var(--card-background, rgba(255, 255, 255, 0.04));
+            border: 1px solid var(--card-border, rgba(255, 255, 255, 0.1));
+            border-radius: 6px;
+            padding: 16px;
+            backdrop-filter: blur(10px);
+        }
+
+        .option-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 12px;
+            color: var(--text-color);
+            font-weight: 600;
+            font-size: 14px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+
+        .option-label::before {
+            content: '';
+            width: 3px;
+            height: 14px;
+            background: var(--accent-color, #007aff);
+            border-radius: 1.5px;
+        }
+
+        .description {
+            color: var(--description-color, rgba(255, 255, 255, 0.75));
+            font-size: 12px;
+            line-height: 1.4;
+            word-break: break-word;
+            user-select: text;
+        }
+
+        .toolbar {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            flex-wrap: wrap;
+        }
+
+        .button {
+            background: var(--button-background, rgba(0, 0, 0, 0.5));
+            color: var(--text-color);
+            border: 1px solid var(--button-border, rgba(255, 255, 255, 0.1));
+            padding: 6px 12px;
+            border-radius: 6px;
+            font-size: 12px;
+            font-weight: 500;
+        }
+
+        .button:hover:not(:disabled) {
+            background: var(--hover-background, rgba(255, 255, 255, 0.1));
+        }
+
+        .button:disabled {
+            opacity: 0.5;
+        }
+
+        .timeline {
+            display: grid;
+            gap: 10px;
+        }
+
+        .offer {
+            border-left: 3px solid var(--accent-color, #007aff);
+            padding-left: 10px;
+        }
+
+        .offer.them {
+            border-left-color: #34c759;
+        }
+
+        .offer-heading {
+            display: flex;
+            gap: 8px;
+            align-items: baseline;
+            flex-wrap: wrap;
+            color: var(--text-color);
+            font-size: 13px;
+        }
+
+        .offer-amount {
+            font-weight: 600;
+        }
+
+        .past-walk-away {
+            color: #ff3b30;
+        }
+    `;
+
+    static properties = {
+        sessionId: { type: String },
+        record: { type: Object },
+        isLoading: { type: Boolean },
+        statusMessage: { type: String },
+    };
+
+    constructor() {
+        super();
+        this.sessionId = null;
+        this.record = null;
+        this.isLoading = false;
+        this.statusMessage = '';
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        // Resize window for this view
+        resizeLayout();
+        this.loadOffers();
+    }
+
+    async loadOffers() {
+        if (!window.require) {
+            this.statusMessage = 'Negotiation records are only available in the desktop app.';
+            return;
+        }
+        this.isLoading = true;
+        try {
+            const { ipcRenderer } = window.require('electron');
+            // Without a session id the latest session is used (e.g. the negotiation that just ended)
+            const result = await ipcRenderer.invoke('get-negotiation-offers', this.sessionId);
+            if (!result.success) {
+                this.statusMessage = result.error;
+                return;
+            }
+            this.sessionId = result.sessionId;
+            this.record = result.record;
+            this.statusMessage = result.record ? '' : 'No offers were tracked in this session.';
+        } catch (error) {
+            console.error('Error loading offers:', error);
+            this.statusMessage = error.message;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async exportRecord(format) {
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('export-negotiation-record', { id: this.sessionId, format });
+            this.statusMessage = result.success ? `Saved to ${result.filePath}` : `Export failed: ${result.error}`;
+        } catch (error) {
+            console.error('Error exporting negotiation record:', error);
+            this.statusMessage = `Export failed: ${error.message}`;
+        }
+    }
+
+    formatAmount(amount, currency = '') {
+        return amount === null || amount === undefined ? '–' : `${amount.toLocaleString()}${currency ? ` ${currency}` : ''}`;
+    }
+
+    renderSummary(record) {
+        const lastFrom = side => [...record.offers].reverse().find(offer => offer.side === side);
+        const theirs = lastFrom('them');
+        const yours = lastFrom('you');
+        return html`
+            <div class="option-group">
+                <div class="option-label">Position</div>
+                <div class="description">
+                    Target ${this.formatAmount(record.target)} · walk-away ${this.formatAmount(record.walkAway)}<br />
+                    Last offer from the other side: ${theirs ? this.formatAmount(theirs.amount, theirs.currency) : '–'}<br />
+                    Last offer from you: ${yours ? this.formatAmount(yours.amount, yours.currency) : '–'}
+                </div>
+            </div>
+        `;
+    }
+
+    renderTimeline(offers) {
+        return html`
+            <div class="option-group">
+                <div class="option-label">Offer Timeline (${offers.length})</div>
+                ${offers.length === 0
+                    ? html`<div class="description">No offers were made.</div>`
+                    : html`
+                          <div class="timeline">
+                              ${offers.map(
+                                  offer => html`
+                                      <div class="offer ${offer.side}">
+                                          <div class="offer-heading">
+                                              <span class="offer-amount">${this.formatAmount(offer.amount, offer.currency)}</span>
+                                              <span>${offer.side === 'you' ? 'You' : 'Other side'} · ${offer.kind}</span>
+                                              <span class="description">${new Date(offer.ts).toLocaleTimeString()}</span>
+                                          </div>
+                                          ${offer.terms || offer.date
+                                              ? html`<div class="description">${[offer.terms, offer.date].filter(Boolean).join(' · ')}</div>`
+                                              : ''}
+                                          ${offer.gapToTarget !== null
+                                              ? html`<div class="description ${offer.withinWalkAway === false ? 'past-walk-away' : ''}">
+                                                    ${offer.gapToTarget === 0
+                                                        ? 'On target'
+                                                        : `${offer.gapToTarget > 0 ? '+' : ''}${offer.gapToTarget.toLocaleString()} vs target`}
+                                                    ${offer.withinWalkAway === false ? ' · past your walk-away' : ''}
+                                                </div>`
+                                              : ''}
+                                          <div class="description">"${offer.quote}"</div>
+                                      </div>
+                                  `
+                              )}
+                          </div>
+                      `}
+            </div>
+        `;
+    }
+
+    render() {
+        return html`
+            <div class="negotiation-container">
+                ${this.record
+                    ? html`
+                          <div class="toolbar">
+                              <button class="button" @click=${() => this.exportRecord('markdown')}>Export Markdown</button>
+                              <button class="button" @click=${() => this.exportRecord('json')}>Export JSON</button>
+                          </div>
+                      `
+                    : ''}
+                ${this.isLoading ? html`<div class="description">Loading offers...</div>` : ''}
+                ${this.statusMessage ? html`<div class="description">${this.statusMessage}</div>` : ''}
+                ${this.record ? html`${this.renderSummary(this.record)} ${this.renderTimeline(this.record.offers)}` : ''}
+            </div>
+        `;
+    }
+}
+
+customElements.define('negotiation-view', NegotiationView);
@@ -0,0 +1,554 @@
+import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
+import { resizeLayout } from '../../utils/windowResize.js';
+
+// Order and labels of the score breakdown (utils/practiceInterview.js)
+const SCORE_CATEGORIES = [
+    { key: 'structure', label: 'Structure' },
+    { key: 'clarity', label: 'Clarity' },
+    { key: 'length', label: 'Length' },
+    { key: 'fillerWords', label: 'Filler Words' },
+];
+
+export class PracticeView extends LitElement {
+    static styles = css`
+        * {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+            cursor: default;
+            user-select: none;
+        }
+
+        :host {
+            display: block;
+            padding: 12px;
+        }
+
+        .practice-container {
+            display: grid;
+            gap: 12px;
+            padding-bottom: 20px;
+        }
+
+        .option-group {
+            background: var(--card-background, rgba(255, 255, 255, 0.04));
+            border: 1px solid var(--card-border, rgba(255, 255, 255, 0.1));
+            border-radius: 6px;
+            padding: 16px;
+            backdrop-filter: blur(10px);
+        }
+
+        .option-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 12px;
+            color: var(--text-color);
+            font-weight: 600;
+            font-size: 14px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+
+        .option-label::before {
+            content: '';
+            width: 3px;
+            height: 14px;
+            background: var(--accent-color, #007aff);
+            border-radius: 1.5px;
+        }
+
+        .practice-badge {
+            color: #fbbf24;
+            font-size: 11px;
+            font-weight: 600;
+            letter-spacing: 0.5px;
+        }
+
+        .description {
+            color: var(--description-color, rgba(255, 255, 255, 0.75));
+            font-size: 12px;
+            line-height: 1.4;
+            word-break: break-word;
+            user-select: text;
+        }
+
+        .error {
+            color: #ff6b6b;
+        }
+
+        .toolbar {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            flex-wrap: wrap;
+            margin-top: 10px;
+        }
+
+        .button {
+            background: var(--button-background, rgba(0, 0, 0, 0.5));
+            color: var(--text-color);
+            border: 1px solid var(--button-border, rgba(255, 255, 255, 0.1));
+            padding: 6px 12px;
+            border-radius: 6px;
+            font-size: 12px;
+            font-weight: 500;
+        }
+
+        .button:hover:not(:disabled) {
+            background: var(--hover-background, rgba(255, 255, 255, 0.1));
+        }
+
+        .button:disabled {
+            opacity: 0.5;
+        }
+
+        .button.recording {
+            color: #ff6b6b;
+            border-color: #ff6b6b;
+        }
+
+        .button.danger {
+            color: #ff6b6b;
+        }
+
+        .form-control {
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+            color: var(--text-color);
+            border: 1px solid var(--input-border, rgba(255, 255, 255, 0.15));
+            padding: 6px 8px;
+            border-radius: 4px;
+            font-size: 12px;
+            min-width: 0;
+            user-select: text;
+        }
+
+        .form-control:focus {
+            outline: none;
+            border-color: var(--focus-border-color, #007aff);
+        }
+
+        input.form-control {
+            flex: 1;
+        }
+
+        textarea.form-control {
+            width: 100%;
+            box-sizing: border-box;
+            resize: vertical;
+            min-height: 90px;
+            line-height: 1.4;
+            margin-top: 10px;
+        }
+
+        .checkbox-label {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            color: var(--text-color);
+            font-size: 12px;
+        }
+
+        .question {
+            color: var(--text-color);
+            font-size: 15px;
+            line-height: 1.5;
+            user-select: text;
+        }
+
+        .overall {
+            color: var(--text-color);
+            font-size: 22px;
+            font-weight: 600;
+            margin-bottom: 10px;
+        }
+
+        .score-row {
+            display: grid;
+            grid-template-columns: 90px 40px 1fr;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 4px;
+            color: var(--text-color);
+            font-size: 12px;
+        }
+
+        .score-bar {
+            height: 6px;
+            border-radius: 3px;
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+            overflow: hidden;
+        }
+
+        .score-bar-fill {
+            height: 100%;
+            background: var(--accent-color, #007aff);
+        }
+
+        .score-feedback {
+            margin: 0 0 8px 98px;
+        }
+
+        ul {
+            margin: 6px 0 0;
+            padding-left: 18px;
+        }
+
+        .history-row {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 4px 0;
+            border-bottom: 1px solid var(--table-border, rgba(255, 255, 255, 0.08));
+        }
+
+        .history-row .description {
+            flex: 1;
+            min-width: 0;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .history-detail {
+            padding: 8px 0 12px;
+        }
+    `;
+
+    static properties = {
+        role: { type: String },
+        speakQuestions: { type: Boolean },
+        question: { type: String },
+        answer: { type: String },
+        isRecording: { type: Boolean },
+        isTranscribing: { type: Boolean },
+        isBusy: { type: Boolean },
+        result: { type: Object },
+        rounds: { type: Array },
+        openRoundId: { type: String },
+        confirmClear: { type: Boolean },
+        statusMessage: { type: String },
+    };
+
+    constructor() {
+        super();
+        this.role = localStorage.getItem('practiceRole') || '';
+        this.speakQuestions = localStorage.getItem('practiceSpeakQuestions') !== 'false';
+        this.question = '';
+        this.answer = '';
+        this.isRecording = false;
+        this.isTranscribing = false;
+        this.isBusy = false;
+        this.result = null; // Scored round for the current question
+        this.rounds = [];
+        this.openRoundId = null;
+        this.confirmClear = false;
+        this.statusMessage = '';
+        // Spoken time of the current answer, summed over every recording of it (0 for typed answers)
+        this.answerDurationMs = 0;
+        this.recordingStartedAt = 0;
+        this.handleTranscription = (event, transcription) => this.addTranscript(transcription);
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        resizeLayout();
+        if (window.require) {
+            const { ipcRenderer } = window.require('electron');
+            ipcRenderer.on('groq-transcription', this.handleTranscription);
+        }
+        this.loadRounds();
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        window.speechSynthesis?.cancel();
+        if (this.isRecording) {
+            window.cheddar.stopPracticeRecording();
+        }
+        if (window.require) {
+            const { ipcRenderer } = window.require('electron');
+            ipcRenderer.removeListener('groq-transcription', this.handleTranscription);
+        }
+    }
+
+    getLanguage() {
+        return localStorage.getItem('selectedLanguage') || 'en-US';
+    }
+
+    getModel() {
+        return localStorage.getItem('selectedModel') || 'llama-4-maverick';
+    }
+
+    async loadRounds() {
+        if (!window.require) return;
+        const { ipcRenderer } = window.require('electron');
+        const result = await ipcRenderer.invoke('list-practice-rounds');
+        this.rounds = result.success ? result.rounds : [];
+    }
+
+    // Only the user's microphone is recorded in practice mode
+    addTranscript({ text, source }) {
+        if (source !== 'mic' || !text?.trim() || !(this.isRecording || this.isTranscribing)) return;
+        this.answer = [this.answer.trim(), text.trim()].filter(Boolean).join(' ');
+    }
+
+    handleRoleInput(e) {
+        this.role = e.target.value;
+        localStorage.setItem('practiceRole', this.role);
+    }
+
+    handleSpeakToggle(e) {
+        this.speakQuestions = e.target.checked;
+        localStorage.setItem('practiceSpeakQuestions', String(this.speakQuestions));
+        if (!this.speakQuestions) {
+            window.speechSynthesis?.cancel();
+        }
+    }
+
+    speakQuestion() {
+        if (!this.speakQuestions || !window.speechSynthesis || !this.question) return;
+        window.speechSynthesis.cancel();
+        const utterance = new SpeechSynthesisUtterance(this.question);
+        utterance.lang = this.getLanguage();
+        window.speechSynthesis.speak(utterance);
+    }
+
+    async nextQuestion() {
+        if (!this.role.trim()) {
+            this.statusMessage = 'Enter the role you are practicing for';
+            return;
+        }
+        if (this.isRecording) {
+            await this.stopRecording();
+        }
+        this.isBusy = true;
+        this.statusMessage = '';
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('practice-next-question', {
+                role: this.role.trim(),
+                model: this.getModel(),
+                language: this.getLanguage(),
+                providerSettings: window.cheddar ? window.cheddar.getLLMProviderSettings() : null,
+            });
+            if (!result.success) {
+                this.statusMessage = `Could not get a question: ${result.error}`;
+                return;
+            }
+            this.question = result.question;
+            this.answer = '';
+            this.answerDurationMs = 0;
+            this.result = null;
+            this.speakQuestion();
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    async startRecording() {
+        window.speechSynthesis?.cancel();
+        this.statusMessage = '';
+        const result = await window.cheddar.startPracticeRecording(this.getLanguage());
+        if (!result.success) {
+            this.statusMessage = result.error;
+            return;
+        }
+        this.recordingStartedAt = Date.now();
+        this.isRecording = true;
+    }
+
+    async stopRecording() {
+        this.answerDurationMs += Date.now() - this.recordingStartedAt;
+        this.isRecording = false;
+        this.isTranscribing = true;
+        try {
+            await window.cheddar.stopPracticeRecording();
+        } finally {
+            this.isTranscribing = false;
+        }
+    }
+
+    async scoreAnswer() {
+        if (this.isRecording) {
+            await this.stopRecording();
+        }
+        this.isBusy = true;
+        this.statusMessage = '';
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('practice-score-answer', {
+                role: this.role.trim(),
+                question: this.question,
+                answer: this.answer,
+                durationMs: this.answerDurationMs,
+                model: this.getModel(),
+                language: this.getLanguage(),
+                providerSettings: window.cheddar ? window.cheddar.getLLMProviderSettings() : null,
+            });
+            if (!result.success) {
+                this.statusMessage = `Could not score the answer: ${result.error}`;
+                return;
+            }
+            this.result = result.round;
+            this.rounds = [result.round, ...this.rounds];
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    async clearHistory() {
+        if (!this.confirmClear) {
+            this.confirmClear = true;
+            return;
+        }
+        this.confirmClear = false;
+        const { ipcRenderer } = window.require('electron');
+        const result = await ipcRenderer.invoke('clear-practice-rounds');
+        if (result.success) {
+            this.rounds = [];
+            this.openRoundId = null;
+        } else {
+            this.statusMessage = `Could not clear the history: ${result.error}`;
+        }
+    }
+
+    renderScores(round) {
+        const { metrics } = round;
+        const details = [`${metrics.wordCount} words`];
+        if (metrics.wordsPerMinute) details.push(`${metrics.wordsPerMinute} words/min`);
+        details.push(`${metrics.fillerCount} filler word${metrics.fillerCount === 1 ? '' : 's'}`);
+
+        return html`
+            <div class="overall">${round.overall} / 10</div>
+            ${SCORE_CATEGORIES.map(
+                ({ key, label }) => html`
+                    <div class="score-row">
+                        <span>${label}</span>
+                        <span>${round.scores[key].score}/10</span>
+                        <div class="score-bar"><div class="score-bar-fill" style="width: ${round.scores[key].score * 10}%"></div></div>
+                    </div>
+                    <div class="description score-feedback">${round.scores[key].feedback}</div>
+                `
+            )}
+            <div class="description">${details.join(' · ')}</div>
+            ${round.suggestions.length > 0
+                ? html`
+                      <div class="description" style="margin-top: 10px">Suggestions</div>
+                      <ul class="description">
+                          ${round.suggestions.map(suggestion => html`<li>${suggestion}</li>`)}
+                      </ul>
+                  `
+                : ''}
+        `;
+    }
+
+    renderHistory() {
+        return html`
+            <div class="option-group">
+                <div class="option-label">Practice History</div>
+                ${this.rounds.length === 0
+                    ? html`<div class="description">Scored rounds appear here.</div>`
+                    : this.rounds.map(
+                          round => html`
+                              <div class="history-row">
+                                  <span class="description">
+                                      ${new Date(round.createdAt).toLocaleString()} · ${round.role} · ${round.overall}/10 · ${round.question}
+                                  </span>
+                                  <button class="button" @click=${() => (this.openRoundId = this.openRoundId === round.id ? null : round.id)}>
+                                      ${this.openRoundId === round.id ? 'Hide' : 'View'}
+                                  </button>
+                              </div>
+                              ${this.openRoundId === round.id
+                                  ? html`
+                                        <div class="history-detail">
+                                            <div class="question">${round.question}</div>
+                                            <div class="description" style="margin: 6px 0 10px">${round.answer}</div>
+                                            ${this.renderScores(round)}
+                                        </div>
+                                    `
+                                  : ''}
+                          `
+                      )}
+                ${this.rounds.length > 0
+                    ? html`
+                          <div class="toolbar">
+                              <button class="button danger" @click=${this.clearHistory}>${this.confirmClear ? 'Confirm Clear' : 'Clear History'}</button>
+                          </div>
+                      `
+                    : ''}
+            </div>
+        `;
+    }
+
+    render() {
+        return html`
+            <div class="practice-container">
+                <div class="option-group">
+                    <div class="option-label">Mock Interview <span class="practice-badge">PRACTICE MODE</span></div>
+                    <div class="description">
+                        The AI plays the interviewer and scores your answers for structure, clarity, length and filler words. This is practice
+                        only - nothing is listened to except your microphone while you record an answer.
+                    </div>
+                    <div class="toolbar">
+                        <input
+                            class="form-control"
+                            type="text"
+                            placeholder="Role you are practicing for, e.g. Senior frontend engineer"
+                            .value=${this.role}
+                            @input=${this.handleRoleInput}
+                        />
+                        <button class="button" @click=${this.nextQuestion} ?disabled=${this.isBusy || this.isTranscribing}>
+                            ${this.question ? 'Next Question' : 'Start Practice'}
+                        </button>
+                    </div>
+                    <div class="toolbar">
+                        <label class="checkbox-label">
+                            <input type="checkbox" .checked=${this.speakQuestions} @change=${this.handleSpeakToggle} />
+                            Read questions aloud
+                        </label>
+                    </div>
+                    ${this.statusMessage ? html`<div class="description error" style="margin-top: 8px">${this.statusMessage}</div>` : ''}
+                </div>
+
+                ${this.question
+                    ? html`
+                          <div class="option-group">
+                              <div class="option-label">Question</div>
+                              <div class="question">${this.question}</div>
+                              <textarea
+                                  class="form-control"
+                                  placeholder="Record your answer, or type it here"
+                                  .value=${this.answer}
+                                  @input=${e => (this.answer = e.target.value)}
+                              ></textarea>
+                              <div class="toolbar">
+                                  <button
+                                      class="button ${this.isRecording ? 'recording' : ''}"
+                                      @click=${this.isRecording ? this.stopRecording : this.startRecording}
+                                      ?disabled=${this.isBusy || this.isTranscribing}
+                                  >
+                                      ${this.isRecording ? 'Stop Recording' : 'Record Answer'}
+                                  </button>
+                                  <button class="button" @click=${() => this.speakQuestion()} ?disabled=${!this.speakQuestions || this.isRecording}>Repeat Question</button>
+                                  <button class="button" @click=${this.scoreAnswer} ?disabled=${this.isBusy || this.isTranscribing || !this.answer.trim()}>
+                                      ${this.isBusy ? 'Working...' : 'Score Answer'}
+                                  </button>
+                                  ${this.isTranscribing ? html`<span class="description">Transcribing...</span>` : ''}
+                              </div>
+                          </div>
+                      `
+                    : ''}
+                ${this.result
+                    ? html`
+                          <div class="option-group">
+                              <div class="option-label">Score</div>
+                              ${this.renderScores(this.result)}
+                          </div>
+                      `
+                    : ''}
+                ${this.renderHistory()}
+            </div>
+        `;
+    }
+}
+
+customElements.define('practice-view', PracticeView);
@@ -0,0 +1,429 @@
+import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
+import { resizeLayout } from '../../utils/windowResize.js';
+
+// User profiles run in Interview mode, so the Exam Assistant (Coding/OA mode) is not offered as a starting point
+const BUILT_IN_PROFILES = [
+    { id: 'interview', name: 'Job Interview' },
+    { id: 'sales', name: 'Sales Call' },
+    { id: 'meeting', name: 'Business Meeting' },
+    { id: 'presentation', name: 'Presentation' },
+    { id: 'negotiation', name: 'Negotiation' },
+];
+
+// The system prompt is built from these sections in this order (search usage only when Google Search is on)
+const PROFILE_SECTIONS = [
+    { key: 'intro', label: 'Intro', placeholder: 'Who the AI is and the situation it helps you with' },
+    { key: 'formatRequirements', label: 'Format Requirements', placeholder: 'Length, tone and formatting of every answer' },
+    { key: 'searchUsage', label: 'Search Usage', placeholder: 'When to look things up with Google Search (Gemini models only)' },
+    { key: 'content', label: 'Content', placeholder: 'What to focus on, example answers, edge cases' },
+    { key: 'outputInstructions', label: 'Output Instructions', placeholder: 'Final rules for the output' },
+];
+
+const MESSAGE_HINTS = [
+    { key: 'text', label: 'Message Hint', placeholder: 'Added to each question sent to Gemini models' },
+    { key: 'image', label: 'Screenshot Hint', placeholder: 'Added to each screenshot sent to Gemini models' },
+];
+
+const EMPTY_PROFILE = {
+    name: '',
+    description: '',
+    intro: '',
+    formatRequirements: '',
+    searchUsage: '',
+    content: '',
+    outputInstructions: '',
+    messageHints: { text: '', image: '' },
+};
+
+export class ProfilesView extends LitElement {
+    static styles = css`
+        * {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+            cursor: default;
+            user-select: none;
+        }
+
+        :host {
+            display: block;
+            padding: 12px;
+        }
+
+        .profiles-container {
+            display: grid;
+            gap: 12px;
+            padding-bottom: 20px;
+        }
+
+        .option-group {
+            background: var(--card-background, rgba(255, 255, 255, 0.04));
+            border: 1px solid var(--card-border, rgba(255, 255, 255, 0.1));
+            border-radius: 6px;
+            padding: 16px;
+            backdrop-filter: blur(10px);
+        }
+
+        .option-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 12px;
+            color: var(--text-color);
+            font-weight: 600;
+            font-size: 14px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+
+        .option-label::before {
+            content: '';
+            width: 3px;
+            height: 14px;
+            background: var(--accent-color, #007aff);
+            border-radius: 1.5px;
+        }
+
+        .description {
+            color: var(--description-color, rgba(255, 255, 255, 0.75));
+            font-size: 12px;
+            line-height: 1.4;
+            word-break: break-word;
+            user-select: text;
+        }
+
+        .toolbar {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            flex-wrap: wrap;
+        }
+
+        .button {
+            background: var(--button-background, rgba(0, 0, 0, 0.5));
+            color: var(--text-color);
+            border: 1px solid var(--button-border, rgba(255, 255, 255, 0.1));
+            padding: 6px 12px;
+            border-radius: 6px;
+            font-size: 12px;
+            font-weight: 500;
+        }
+
+        .button:hover:not(:disabled) {
+            background: var(--hover-background, rgba(255, 255, 255, 0.1));
+        }
+
+        .button:disabled {
+            opacity: 0.5;
+        }
+
+        .button.danger {
+            color: #ff6b6b;
+        }
+
+        .profile-list {
+            display: grid;
+            gap: 6px;
+            margin-top: 10px;
+        }
+
+        .profile-row {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+        }
+
+        .profile-name {
+            flex: 1;
+            min-width: 0;
+            color: var(--text-color);
+            font-size: 13px;
+        }
+
+        .profile-name .description {
+            display: block;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .field {
+            display: grid;
+            gap: 4px;
+            margin-bottom: 10px;
+        }
+
+        .field-label {
+            color: var(--text-color);
+            font-size: 12px;
+            font-weight: 500;
+        }
+
+        .form-control {
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+            color: var(--text-color);
+            border: 1px solid var(--input-border, rgba(255, 255, 255, 0.15));
+            padding: 6px 8px;
+            border-radius: 4px;
+            font-size: 12px;
+            min-width: 0;
+            user-select: text;
+        }
+
+        .form-control:focus {
+            outline: none;
+            border-color: var(--focus-border-color, #007aff);
+        }
+
+        textarea.form-control {
+            width: 100%;
+            box-sizing: border-box;
+            resize: vertical;
+            min-height: 70px;
+            line-height: 1.4;
+        }
+    `;
+
+    static properties = {
+        selectedProfile: { type: String },
+        onProfileChange: { type: Function },
+        profiles: { type: Array },
+        draft: { type: Object },
+        pendingDeleteId: { type: String },
+        isSaving: { type: Boolean },
+        statusMessage: { type: String },
+    };
+
+    constructor() {
+        super();
+        this.selectedProfile = 'interview';
+        this.onProfileChange = () => {};
+        this.profiles = [];
+        this.draft = null; // Profile being created or edited
+        this.pendingDeleteId = null;
+        this.isSaving = false;
+        this.statusMessage = '';
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        // Resize window for this view
+        resizeLayout();
+        this.loadProfiles();
+    }
+
+    async loadProfiles() {
+        if (!window.require) {
+            this.statusMessage = 'Profiles are only available in the desktop app.';
+            return;
+        }
+        const { ipcRenderer } = window.require('electron');
+        const result = await ipcRenderer.invoke('list-user-profiles');
+        if (result.success) {
+            this.profiles = result.profiles;
+        } else {
+            this.statusMessage = result.error;
+        }
+    }
+
+    newProfile() {
+        this.draft = structuredClone(EMPTY_PROFILE);
+        this.statusMessage = '';
+    }
+
+    editProfile(profile) {
+        this.draft = { ...structuredClone(EMPTY_PROFILE), ...structuredClone(profile) };
+        this.statusMessage = '';
+    }
+
+    // The copy is only created when it is saved
+    async cloneProfile(id, name) {
+        const { ipcRenderer } = window.require('electron');
+        const result = await ipcRenderer.invoke('get-profile-template', id);
+        if (!result.success) {
+            this.statusMessage = `Could not clone ${name}: ${result.error}`;
+            return;
+        }
+        const { id: _id, createdAt, updatedAt, ...template } = result.template;
+        this.draft = { ...structuredClone(EMPTY_PROFILE), ...template, name: `${name} (copy)` };
+        this.statusMessage = '';
+    }
+
+    updateDraft(changes) {
+        this.draft = { ...this.draft, ...changes };
+    }
+
+    async saveDraft() {
+        this.isSaving = true;
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('save-user-profile', this.draft);
+            if (result.success) {
+                this.statusMessage = `Saved ${result.profile.name}`;
+                this.draft = null;
+                await this.loadProfiles();
+            } else {
+                this.statusMessage = `Could not save profile: ${result.error}`;
+            }
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    async deleteProfile(profile) {
+        if (this.pendingDeleteId !== profile.id) {
+            this.pendingDeleteId = profile.id;
+            return;
+        }
+        this.pendingDeleteId = null;
+        const { ipcRenderer } = window.require('electron');
+        const result = await ipcRenderer.invoke('delete-user-profile', profile.id);
+        if (!result.success) {
+            this.statusMessage = `Could not delete profile: ${result.error}`;
+            return;
+        }
+        this.statusMessage = `Deleted ${profile.name}`;
+        ['customPrompt', 'promptRevisions', 'promptVariables'].forEach(key => localStorage.removeItem(`${key}_${profile.id}`));
+        // The deleted profile can no longer be used - fall back to the default one
+        if (localStorage.getItem('selectedProfile') === profile.id) {
+            localStorage.setItem('selectedProfile', 'interview');
+            localStorage.setItem('customPrompt', localStorage.getItem('customPrompt_interview') || '');
+            this.onProfileChange('interview');
+        }
+        await this.loadProfiles();
+    }
+
+    async exportProfile(profile) {
+        const { ipcRenderer } = window.require('electron');
+        const result = await ipcRenderer.invoke('export-user-profile', profile.id);
+        this.statusMessage = result.success ? `Saved to ${result.filePath}` : `Export failed: ${result.error}`;
+    }
+
+    async importProfiles() {
+        const { ipcRenderer } = window.require('electron');
+        const result = await ipcRenderer.invoke('import-user-profiles');
+        if (!result.success) {
+            this.statusMessage = `Import failed: ${result.error}`;
+            return;
+        }
+        const imported = result.imported.map(profile => profile.name);
+        this.statusMessage = [imported.length > 0 ? `Imported ${imported.join(', ')}` : '', ...result.errors].filter(Boolean).join(' ');
+        await this.loadProfiles();
+    }
+
+    renderEditor() {
+        const draft = this.draft;
+        return html`
+            <div class="option-group">
+                <div class="option-label">${draft.id ? `Edit ${draft.name}` : 'New Profile'}</div>
+                <div class="field">
+                    <label class="field-label">Name</label>
+                    <input class="form-control" .value=${draft.name} placeholder="e.g. Customer Support" @input=${e => this.updateDraft({ name: e.target.value })} />
+                </div>
+                <div class="field">
+                    <label class="field-label">Description</label>
+                    <input
+                        class="form-control"
+                        .value=${draft.description}
+                        placeholder="Shown in the profile list"
+                        @input=${e => this.updateDraft({ description: e.target.value })}
+                    />
+                </div>
+                ${PROFILE_SECTIONS.map(
+                    section => html`
+                        <div class="field">
+                            <label class="field-label">${section.label}</label>
+                            <textarea
+                                class="form-control"
+                                .value=${draft[section.key]}
+                                placeholder=${section.placeholder}
+                                @input=${e => this.updateDraft({ [section.key]: e.target.value })}
+                            ></textarea>
+                        </div>
+                    `
+                )}
+                ${MESSAGE_HINTS.map(
+                    hint => html`
+                        <div class="field">
+                            <label class="field-label">${hint.label}</label>
+                            <textarea
+                                class="form-control"
+                                .value=${draft.messageHints[hint.key]}
+                                placeholder=${hint.placeholder}
+                                @input=${e => this.updateDraft({ messageHints: { ...draft.messageHints, [hint.key]: e.target.value } })}
+                            ></textarea>
+                        </div>
+                    `
+                )}
+                <div class="toolbar">
+                    <button class="button" ?disabled=${this.isSaving || !draft.name.trim()} @click=${() => this.saveDraft()}>Save</button>
+                    <button class="button" ?disabled=${this.isSaving} @click=${() => (this.draft = null)}>Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderUserProfiles() {
+        return html`
+            <div class="option-group">
+                <div class="option-label">Your Profiles</div>
+                <div class="toolbar">
+                    <button class="button" @click=${() => this.newProfile()}>New Profile</button>
+                    <button class="button" @click=${() => this.importProfiles()}>Import</button>
+                </div>
+                ${this.profiles.length === 0
+                    ? html`<div class="description" style="margin-top: 10px;">
+                          No profiles yet. Create one, clone a built-in profile below, or import a profile file someone shared with you.
+                      </div>`
+                    : html`
+                          <div class="profile-list">
+                              ${this.profiles.map(
+                                  profile => html`
+                                      <div class="profile-row">
+                                          <div class="profile-name">
+                                              ${profile.name}${profile.id === this.selectedProfile ? ' (active)' : ''}
+                                              ${profile.description ? html`<span class="description">${profile.description}</span>` : ''}
+                                          </div>
+                                          <button class="button" @click=${() => this.editProfile(profile)}>Edit</button>
+                                          <button class="button" @click=${() => this.cloneProfile(profile.id, profile.name)}>Clone</button>
+                                          <button class="button" @click=${() => this.exportProfile(profile)}>Export</button>
+                                          <button class="button danger" @click=${() => this.deleteProfile(profile)}>
+                                              ${this.pendingDeleteId === profile.id ? 'Confirm Delete' : 'Delete'}
+                                          </button>
+                                      </div>
+                                  `
+                              )}
+                          </div>
+                      `}
+            </div>
+        `;
+    }
+
+    renderBuiltInProfiles() {
+        return html`
+            <div class="option-group">
+                <div class="option-label">Built-in Profiles</div>
+                <div class="description">Clone a built-in profile to start from its prompt sections.</div>
+                <div class="profile-list">
+                    ${BUILT_IN_PROFILES.map(
+                        profile => html`
+                            <div class="profile-row">
+                                <div class="profile-name">${profile.name}</div>
+                                <button class="button" @click=${() => this.cloneProfile(profile.id, profile.name)}>Clone</button>
+                            </div>
+                        `
+                    )}
+                </div>
+            </div>
+        `;
+    }
+
+    render() {
+        return html`
+            <div class="profiles-container">
+                ${this.statusMessage ? html`<div class="description">${this.statusMessage}</div>` : ''}
+                ${this.draft ? this.renderEditor() : html`${this.renderUserProfiles()} ${this.renderBuiltInProfiles()}`}
+            </div>
+        `;
+    }
+}
+
+customElements.define('profiles-view', ProfilesView);
@@ -0,0 +1,275 @@
+import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
+import { resizeLayout } from '../../utils/windowResize.js';
+
+export class RehearsalView extends LitElement {
+    static styles = css`
+        * {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+            cursor: default;
+            user-select: none;
+        }
+
+        :host {
+            display: block;
+            padding: 12px;
+        }
+
+        .rehearsal-container {
+            display: grid;
+            gap: 12px;
+            padding-bottom: 20px;
+        }
+
+        .option-group {
+            background: var(--card-background, rgba(255, 255, 255, 0.04));
+            border: 1px solid var(--card-border, rgba(255, 255, 255, 0.1));
+            border-radius: 6px;
+            padding: 16px;
+            backdrop-filter: blur(10px);
+        }
+
+        .option-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 12px;
+            color: var(--text-color);
+            font-weight: 600;
+            font-size: 14px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+
+        .option-label::before {
+            content: '';
+            width: 3px;
+            height: 14px;
+            background: var(--accent-color, #007aff);
+            border-radius: 1.5px;
+        }
+
+        .description {
+            color: var(--description-color, rgba(255, 255, 255, 0.75));
+            font-size: 12px;
+            line-height: 1.4;
+            word-break: break-word;
+            user-select: text;
+        }
+
+        .stat-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(130px, 1fr));
+            gap: 8px;
+        }
+
+        .stat {
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+            border-radius: 6px;
+            padding: 10px;
+        }
+
+        .stat-value {
+            color: var(--text-color);
+            font-size: 20px;
+            font-weight: 600;
+        }
+
+        .stat-value.off-pace {
+            color: #f59e0b;
+        }
+
+        .chart {
+            display: flex;
+            align-items: flex-end;
+            gap: 4px;
+            height: 140px;
+            padding-top: 16px;
+            overflow-x: auto;
+        }
+
+        .chart-column {
+            flex: 1 0 18px;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: flex-end;
+            height: 100%;
+            font-size: 10px;
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+        }
+
+        .chart-bar {
+            width: 100%;
+            min-height: 1px;
+            border-radius: 3px 3px 0 0;
+            background: var(--accent-color, #007aff);
+        }
+
+        .chart-bar.off-pace {
+            background: #f59e0b;
+        }
+
+        .chart-fillers {
+            color: #f59e0b;
+            height: 14px;
+        }
+
+        .pause-list {
+            display: grid;
+            gap: 4px;
+        }
+    `;
+
+    static properties = {
+        sessionId: { type: String },
+        report: { type: Object },
+        isLoading: { type: Boolean },
+        statusMessage: { type: String },
+    };
+
+    constructor() {
+        super();
+        this.sessionId = null;
+        this.report = null;
+        this.isLoading = false;
+        this.statusMessage = '';
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        // Resize window for this view
+        resizeLayout();
+        this.loadReport();
+    }
+
+    async loadReport() {
+        if (!window.require) {
+            this.statusMessage = 'Rehearsal reports are only available in the desktop app.';
+            return;
+        }
+        this.isLoading = true;
+        try {
+            const { ipcRenderer } = window.require('electron');
+            // Without a session id the latest session is used (e.g. the rehearsal that just ended)
+            const result = await ipcRenderer.invoke('get-rehearsal-report', this.sessionId);
+            if (!result.success) {
+                this.statusMessage = result.error;
+                return;
+            }
+            this.report = result.report;
+            this.sessionId = result.report.sessionId;
+            this.statusMessage = result.report.metrics.wordCount === 0 ? 'Nothing was transcribed in this session.' : '';
+        } catch (error) {
+            console.error('Error loading rehearsal report:', error);
+            this.statusMessage = error.message;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    isOffPace(wordsPerMinute) {
+        const { IDEAL_WORDS_PER_MINUTE } = window.cheddar.speakingMetrics;
+        return wordsPerMinute !== null && (wordsPerMinute < IDEAL_WORDS_PER_MINUTE.min || wordsPerMinute > IDEAL_WORDS_PER_MINUTE.max);
+    }
+
+    renderStats(metrics) {
+        const { IDEAL_WORDS_PER_MINUTE, formatDuration } = window.cheddar.speakingMetrics;
+        const fillers = Object.entries(metrics.fillerWords)
+            .sort((a, b) => b[1] - a[1])
+            .map(([filler, count]) => `"${filler}" ×${count}`)
+            .join(', ');
+        return html`
+            <div class="option-group">
+                <div class="option-label">Delivery</div>
+                <div class="stat-grid">
+                    <div class="stat">
+                        <div class="stat-value ${this.isOffPace(metrics.wordsPerMinute) ? 'off-pace' : ''}">${metrics.wordsPerMinute ?? '–'}</div>
+                        <div class="description">words per minute (aim for ${IDEAL_WORDS_PER_MINUTE.min}–${IDEAL_WORDS_PER_MINUTE.max})</div>
+                    </div>
+                    <div class="stat">
+                        <div class="stat-value">${metrics.fillerCount}</div>
+                        <div class="description">filler words${fillers ? html`<br />${fillers}` : ''}</div>
+                    </div>
+                    <div class="stat">
+                        <div class="stat-value">${metrics.longPauses.length}</div>
+                        <div class="description">long pauses${metrics.longestPauseMs ? html`<br />longest ${formatDuration(metrics.longestPauseMs)}` : ''}</div>
+                    </div>
+                    <div class="stat">
+                        <div class="stat-value">${metrics.longestMonologue ? formatDuration(metrics.longestMonologue.durationMs) : '–'}</div>
+                        <div class="description">longest monologue</div>
+                    </div>
+                    <div class="stat">
+                        <div class="stat-value">${formatDuration(metrics.speakingMs)}</div>
+                        <div class="description">speaking time${this.report.durationMs ? html`<br />of ${formatDuration(this.report.durationMs)}` : ''}</div>
+                    </div>
+                    <div class="stat">
+                        <div class="stat-value">${metrics.wordCount}</div>
+                        <div class="description">words</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderChart(perMinute) {
+        const { IDEAL_WORDS_PER_MINUTE } = window.cheddar.speakingMetrics;
+        // Keep the scale steady so a slow talk doesn't look fast
+        const scale = Math.max(IDEAL_WORDS_PER_MINUTE.max, ...perMinute.map(entry => entry.words));
+        return html`
+            <div class="option-group">
+                <div class="option-label">Per Minute</div>
+                <div class="description">Bars show words spoken in each minute; the number above is its filler words.</div>
+                <div class="chart">
+                    ${perMinute.map(
+                        entry => html`
+                            <div class="chart-column" title="Minute ${entry.minute + 1}: ${entry.words} words, ${entry.fillers} fillers">
+                                <div class="chart-fillers">${entry.fillers || ''}</div>
+                                <div
+                                    class="chart-bar ${entry.words > 0 && this.isOffPace(entry.words) ? 'off-pace' : ''}"
+                                    style="height: ${(entry.words / scale) * 100}%"
+                                ></div>
+                                <div>${entry.minute + 1}</div>
+                            </div>
+                        `
+                    )}
+                </div>
+            </div>
+        `;
+    }
+
+    renderPauses(longPauses) {
+        const { formatDuration } = window.cheddar.speakingMetrics;
+        const startedAt = Date.parse(this.report.startedAt);
+        return html`
+            <div class="option-group">
+                <div class="option-label">Long Pauses</div>
+                <div class="pause-list">
+                    ${longPauses.map(
+                        pause => html`<div class="description">At ${formatDuration(pause.startedAt - startedAt)} - ${formatDuration(pause.durationMs)} of silence</div>`
+                    )}
+                </div>
+            </div>
+        `;
+    }
+
+    render() {
+        const metrics = this.report ? this.report.metrics : null;
+        return html`
+            <div class="rehearsal-container">
+                ${this.isLoading ? html`<div class="description">Loading report...</div>` : ''}
+                ${this.statusMessage ? html`<div class="description">${this.statusMessage}</div>` : ''}
+                ${metrics && metrics.wordCount > 0
+                    ? html`
+                          ${this.renderStats(metrics)} ${this.renderChart(metrics.perMinute)}
+                          ${metrics.longPauses.length > 0 ? this.renderPauses(metrics.longPauses) : ''}
+                          ${this.report.timing === 'transcripts'
+                              ? html`<div class="description">Pauses are estimated from the timing of the transcribed lines.</div>`
+                              : ''}
+                      `
+                    : ''}
+            </div>
+        `;
+    }
+}
+
+customElements.define('rehearsal-view', RehearsalView);
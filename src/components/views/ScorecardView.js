@@ -0,0 +1,277 @@
+import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
+import { resizeLayout } from '../../utils/windowResize.js';
+
+const OBJECTION_LABELS = {
+    price: 'Price',
+    timing: 'Timing',
+    authority: 'Authority',
+    need: 'Need',
+    trust: 'Trust',
+};
+
+export class ScorecardView extends LitElement {
+    static styles = css`
+        * {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+            cursor: default;
+            user-select: none;
+        }
+
+        :host {
+            display: block;
+            padding: 12px;
+        }
+
+        .scorecard-container {
+            display: grid;
+            gap: 12px;
+            padding-bottom: 20px;
+        }
+
+        .option-group {
+            background: var(--card-background, rgba(255, 255, 255, 0.04));
+            border: 1px solid var(--card-border, rgba(255, 255, 255, 0.1));
+            border-radius: 6px;
+            padding: 16px;
+            backdrop-filter: blur(10px);
+        }
+
+        .option-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 12px;
+            color: var(--text-color);
+            font-weight: 600;
+            font-size: 14px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+
+        .option-label::before {
+            content: '';
+            width: 3px;
+            height: 14px;
+            background: var(--accent-color, #007aff);
+            border-radius: 1.5px;
+        }
+
+        .description {
+            color: var(--description-color, rgba(255, 255, 255, 0.75));
+            font-size: 12px;
+            line-height: 1.4;
+            word-break: break-word;
+            user-select: text;
+        }
+
+        .stat-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(130px, 1fr));
+            gap: 8px;
+        }
+
+        .stat {
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+            border-radius: 6px;
+            padding: 10px;
+        }
+
+        .stat-value {
+            color: var(--text-color);
+            font-size: 20px;
+            font-weight: 600;
+        }
+
+        .ratio-bar {
+            display: flex;
+            height: 10px;
+            border-radius: 5px;
+            overflow: hidden;
+            margin: 12px 0 4px;
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+        }
+
+        .ratio-bar .talk {
+            background: var(--accent-color, #007aff);
+        }
+
+        .ratio-bar .listen {
+            background: #34c759;
+        }
+
+        .log {
+            display: grid;
+            gap: 6px;
+        }
+
+        .log-entry {
+            display: grid;
+            grid-template-columns: 70px 1fr;
+            gap: 8px;
+        }
+
+        .tag {
+            color: var(--text-color);
+            font-size: 11px;
+            font-weight: 600;
+        }
+    `;
+
+    static properties = {
+        sessionId: { type: String },
+        scorecard: { type: Object },
+        isLoading: { type: Boolean },
+        statusMessage: { type: String },
+    };
+
+    constructor() {
+        super();
+        this.sessionId = null;
+        this.scorecard = null;
+        this.isLoading = false;
+        this.statusMessage = '';
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        // Resize window for this view
+        resizeLayout();
+        this.loadScorecard();
+    }
+
+    async loadScorecard() {
+        if (!window.require) {
+            this.statusMessage = 'Call scorecards are only available in the desktop app.';
+            return;
+        }
+        this.isLoading = true;
+        try {
+            const { ipcRenderer } = window.require('electron');
+            // Without a session id the latest session is used (e.g. the call that just ended)
+            const result = await ipcRenderer.invoke('get-sales-scorecard', this.sessionId);
+            if (!result.success) {
+                this.statusMessage = result.error;
+                return;
+            }
+            this.sessionId = result.sessionId;
+            this.scorecard = result.scorecard;
+            this.statusMessage = result.scorecard ? '' : 'No scorecard was recorded for this session.';
+        } catch (error) {
+            console.error('Error loading scorecard:', error);
+            this.statusMessage = error.message;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    formatTime(ts) {
+        return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    renderOverview(scorecard) {
+        const hasRatio = scorecard.talkRatio !== null;
+        const { formatDuration } = window.cheddar.speakingMetrics;
+        return html`
+            <div class="option-group">
+                <div class="option-label">Call Overview</div>
+                <div class="stat-grid">
+                    <div class="stat">
+                        <div class="stat-value">${hasRatio ? `${scorecard.talkRatio}%` : '–'}</div>
+                        <div class="description">you talked (${formatDuration(scorecard.talkMs)})</div>
+                    </div>
+                    <div class="stat">
+                        <div class="stat-value">${hasRatio ? `${100 - scorecard.talkRatio}%` : '–'}</div>
+                        <div class="description">you listened (${formatDuration(scorecard.listenMs)})</div>
+                    </div>
+                    <div class="stat">
+                        <div class="stat-value">${scorecard.questionsAsked}</div>
+                        <div class="description">questions you asked</div>
+                    </div>
+                    <div class="stat">
+                        <div class="stat-value">${scorecard.prospectQuestions}</div>
+                        <div class="description">questions from the prospect</div>
+                    </div>
+                </div>
+                ${hasRatio
+                    ? html`
+                          <div class="ratio-bar">
+                              <div class="talk" style="width: ${scorecard.talkRatio}%"></div>
+                              <div class="listen" style="width: ${100 - scorecard.talkRatio}%"></div>
+                          </div>
+                          <div class="description">Talk / listen ratio</div>
+                      `
+                    : ''}
+            </div>
+        `;
+    }
+
+    renderObjections(objections) {
+        return html`
+            <div class="option-group">
+                <div class="option-label">Objections (${objections.length})</div>
+                ${objections.length === 0
+                    ? html`<div class="description">No objections detected.</div>`
+                    : html`
+                          <div class="log">
+                              ${objections.map(
+                                  objection => html`
+                                      <div class="log-entry">
+                                          <div>
+                                              <div class="tag">${OBJECTION_LABELS[objection.category] || objection.category}</div>
+                                              <div class="description">${this.formatTime(objection.ts)}</div>
+                                          </div>
+                                          <div class="description">${objection.text}</div>
+                                      </div>
+                                  `
+                              )}
+                          </div>
+                      `}
+            </div>
+        `;
+    }
+
+    renderCompetitors(scorecard) {
+        if (scorecard.competitors.length === 0) {
+            return html`
+                <div class="option-group">
+                    <div class="option-label">Competitors</div>
+                    <div class="description">Add competitor names in Settings (Sales profile) to count their mentions.</div>
+                </div>
+            `;
+        }
+        const counts = scorecard.competitors.map(name => [name, scorecard.competitorMentions.filter(mention => mention.competitor === name).length]);
+        return html`
+            <div class="option-group">
+                <div class="option-label">Competitor Mentions (${scorecard.competitorMentions.length})</div>
+                <div class="description">${counts.map(([name, count]) => `${name}: ${count}`).join(' · ')}</div>
+                <div class="log">
+                    ${scorecard.competitorMentions.map(
+                        mention => html`
+                            <div class="log-entry">
+                                <div>
+                                    <div class="tag">${mention.competitor}</div>
+                                    <div class="description">${this.formatTime(mention.ts)}</div>
+                                </div>
+                                <div class="description">${mention.speaker ? `${mention.speaker}: ` : ''}${mention.text}</div>
+                            </div>
+                        `
+                    )}
+                </div>
+            </div>
+        `;
+    }
+
+    render() {
+        return html`
+            <div class="scorecard-container">
+                ${this.isLoading ? html`<div class="description">Loading scorecard...</div>` : ''}
+                ${this.statusMessage ? html`<div class="description">${this.statusMessage}</div>` : ''}
+                ${this.scorecard
+                    ? html`${this.renderOverview(this.scorecard)} ${this.renderObjections(this.scorecard.objections)} ${this.renderCompetitors(this.scorecard)}`
+                    : ''}
+            </div>
+        `;
+    }
+}
+
+customElements.define('scorecard-view', ScorecardView);
@@ -0,0 +1,654 @@
+import { html, css, LitElement } from '../../assets/lit-core-2.7.4.min.js';
+import { resizeLayout } from '../../utils/windowResize.js';
+
+export class SessionsView extends LitElement {
+    static styles = css`
+        * {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+            cursor: default;
+            user-select: none;
+        }
+
+        :host {
+            display: block;
+            padding: 12px;
+        }
+
+        .sessions-container {
+            display: grid;
+            gap: 12px;
+            padding-bottom: 20px;
+        }
+
+        .option-group {
+            background: var(--card-background, rgba(255, 255, 255, 0.04));
+            border: 1px solid var(--card-border, rgba(255, 255, 255, 0.1));
+            border-radius: 6px;
+            padding: 16px;
+            backdrop-filter: blur(10px);
+        }
+
+        .option-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 12px;
+            color: var(--text-color);
+            font-weight: 600;
+            font-size: 14px;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+        }
+
+        .option-label::before {
+            content: '';
+            width: 3px;
+            height: 14px;
+            background: var(--accent-color, #007aff);
+            border-radius: 1.5px;
+        }
+
+        .description {
+            color: var(--description-color, rgba(255, 255, 255, 0.75));
+            font-size: 12px;
+            line-height: 1.4;
+        }
+
+        .session-list {
+            display: grid;
+            gap: 8px;
+        }
+
+        .session-item {
+            background: var(--input-background, rgba(0, 0, 0, 0.2));
+            border: 1px solid var(--input-border, rgba(255, 255, 255, 0.1));
+            border-radius: 4px;
+            padding: 10px;
+            transition: background 0.15s ease;
+        }
+
+        .session-item:hover {
+            background: var(--hover-background, rgba(255, 255, 255, 0.1));
+        }
+
+        .session-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 4px;
+        }
+
+        .session-title {
+            font-weight: 600;
+            font-size: 12px;
+            color: var(--text-color);
+        }
+
+        .session-meta {
+            font-size: 11px;
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+            white-space: nowrap;
+        }
+
+        .session-preview {
+            font-size: 12px;
+            color: var(--description-color, rgba(255, 255, 255, 0.75));
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .badge {
+            font-size: 10px;
+            font-weight: 600;
+            padding: 1px 6px;
+            border-radius: 4px;
+            background: rgba(52, 211, 153, 0.15);
+            color: #34d399;
+            margin-left: 6px;
+        }
+
+        .toolbar {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 8px;
+            margin-bottom: 12px;
+        }
+
+        .button {
+            background: var(--button-background, rgba(0, 0, 0, 0.5));
+            color: var(--text-color);
+            border: 1px solid var(--button-border, rgba(255, 255, 255, 0.1));
+            padding: 6px 12px;
+            border-radius: 6px;
+            font-size: 12px;
+            font-weight: 500;
+        }
+
+        .button:hover {
+            background: var(--hover-background, rgba(255, 255, 255, 0.1));
+        }
+
+        .export-row {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            flex-wrap: wrap;
+            margin-bottom: 12px;
+        }
+
+        .export-row .description {
+            margin-left: 4px;
+            word-break: break-all;
+            user-select: text;
+        }
+
+        .import-row {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            flex-wrap: wrap;
+            margin-top: 10px;
+        }
+
+        .form-control {
+            background: var(--input-background, rgba(0, 0, 0, 0.3));
+            color: var(--text-color);
+            border: 1px solid var(--input-border, rgba(255, 255, 255, 0.15));
+            padding: 6px 8px;
+            border-radius: 4px;
+            font-size: 12px;
+        }
+
+        .form-control:focus {
+            outline: none;
+            border-color: var(--focus-border-color, #007aff);
+        }
+
+        .recordings {
+            display: grid;
+            gap: 6px;
+            margin-bottom: 12px;
+        }
+
+        .recording {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-size: 11px;
+            color: var(--description-color);
+        }
+
+        .recording audio {
+            flex: 1;
+            height: 28px;
+        }
+
+        .timeline {
+            display: grid;
+            gap: 10px;
+        }
+
+        .event {
+            border-left: 2px solid var(--border-color, rgba(255, 255, 255, 0.2));
+            padding-left: 10px;
+        }
+
+        .event.transcript {
+            border-left-color: #34d399;
+        }
+
+        .event.response {
+            border-left-color: var(--accent-color, #007aff);
+        }
+
+        .event.prompt {
+            border-left-color: rgba(255, 255, 255, 0.2);
+        }
+
+        .event.summary {
+            border-left-color: #f59e0b;
+        }
+
+        .event-label {
+            font-size: 10px;
+            font-weight: 600;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+            margin-bottom: 4px;
+        }
+
+        .event-text {
+            font-size: 12px;
+            line-height: 1.5;
+            color: var(--text-color);
+            white-space: pre-wrap;
+            word-break: break-word;
+            user-select: text;
+        }
+
+        .event.prompt .event-text {
+            color: var(--description-color, rgba(255, 255, 255, 0.6));
+            max-height: 120px;
+            overflow-y: auto;
+        }
+    `;
+
+    static properties = {
+        sessions: { type: Array },
+        userProfiles: { type: Array },
+        importProfile: { type: String },
+        isImporting: { type: Boolean },
+        importStatus: { type: String },
+        selectedSession: { type: Object },
+        recordings: { type: Array },
+        isLoading: { type: Boolean },
+        errorMessage: { type: String },
+        exportMessage: { type: String },
+        initialSessionId: { type: String },
+        initialMessage: { type: String },
+        onOpenMinutes: { type: Function },
+        onOpenRehearsalReport: { type: Function },
+        onOpenScorecard: { type: Function },
+        onOpenNegotiationRecord: { type: Function },
+    };
+
+    constructor() {
+        super();
+        this.sessions = [];
+        this.userProfiles = [];
+        this.importProfile = localStorage.getItem('selectedProfile') || 'meeting';
+        this.isImporting = false;
+        this.importStatus = '';
+        this.selectedSession = null;
+        // Audio saved with the open session (utils/callRecorder.js)
+        this.recordings = [];
+        this.isLoading = false;
+        this.errorMessage = '';
+        this.exportMessage = '';
+        this.initialSessionId = null; // Open straight into a session, e.g. after captions were saved
+        this.initialMessage = '';
+        this.onOpenMinutes = () => {};
+        this.onOpenRehearsalReport = () => {};
+        this.onOpenScorecard = () => {};
+        this.onOpenNegotiationRecord = () => {};
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        // Resize window for this view
+        resizeLayout();
+        this.loadSessions();
+        this.loadUserProfiles();
+        if (this.initialSessionId && window.require) {
+            this.openSession(this.initialSessionId).then(() => {
+                this.exportMessage = this.initialMessage || '';
+            });
+        }
+        if (window.require) {
+            const { ipcRenderer } = window.require('electron');
+            this.handleImportProgress = (event, progress) => {
+                this.importStatus =
+                    progress.stage === 'summarizing' ? 'Writing the summary...' : `Transcribing... ${progress.done} of ${progress.total} utterances`;
+            };
+            ipcRenderer.on('recording-import-progress', this.handleImportProgress);
+        }
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        if (window.require && this.handleImportProgress) {
+            const { ipcRenderer } = window.require('electron');
+            ipcRenderer.removeListener('recording-import-progress', this.handleImportProgress);
+        }
+    }
+
+    async loadSessions() {
+        if (!window.require) {
+            this.errorMessage = 'The session archive is only available in the desktop app.';
+            return;
+        }
+        this.isLoading = true;
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('list-sessions');
+            this.sessions = result.sessions || [];
+            this.errorMessage = result.success ? '' : result.error;
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            this.errorMessage = error.message;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async loadUserProfiles() {
+        if (!window.require) return;
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('list-user-profiles');
+            this.userProfiles = result.success ? result.profiles : [];
+        } catch (error) {
+            console.error('Error loading user profiles:', error);
+        }
+    }
+
+    getImportProfiles() {
+        return [
+            { value: 'meeting', name: 'Business Meeting' },
+            { value: 'interview', name: 'Job Interview' },
+            { value: 'sales', name: 'Sales Call' },
+            { value: 'presentation', name: 'Presentation' },
+            { value: 'negotiation', name: 'Negotiation' },
+            { value: 'exam', name: 'Lecture / Exam' },
+            ...this.userProfiles.map(profile => ({ value: profile.id, name: profile.name })),
+        ];
+    }
+
+    // WAV files are decoded by the main process; MP3 and Opus are decoded here with Web Audio
+    async importRecording() {
+        const { ipcRenderer } = window.require('electron');
+        this.isImporting = true;
+        this.importStatus = '';
+        try {
+            const file = await ipcRenderer.invoke('choose-recording-file');
+            if (!file.success || file.canceled) {
+                this.importStatus = file.success ? '' : `Import failed: ${file.error}`;
+                return;
+            }
+
+            let pcm = null;
+            if (file.data) {
+                this.importStatus = `Decoding ${file.fileName}...`;
+                pcm = await window.cheddar.decodeRecording(file.data);
+            }
+            this.importStatus = `Finding speech in ${file.fileName}...`;
+            const result = await ipcRenderer.invoke('import-recording', {
+                filePath: file.filePath,
+                pcm,
+                fileName: file.fileName,
+                profile: this.importProfile,
+                language: localStorage.getItem('selectedLanguage') || 'en-US',
+                model: localStorage.getItem('selectedModel') || 'llama-4-maverick',
+                segmentation: window.cheddar.getSegmentationSettings(),
+                providerSettings: window.cheddar.getLLMProviderSettings(),
+                sttSettings: window.cheddar.getSttBackendSettings(),
+            });
+            if (!result.success) {
+                this.importStatus = `Import failed: ${result.error}`;
+                return;
+            }
+
+            this.importStatus = '';
+            await this.openSession(result.sessionId);
+            const notes = [`Imported ${file.fileName}: ${result.transcribed} lines transcribed.`];
+            if (result.failedSegments > 0) {
+                notes.push(`${result.failedSegments} utterances could not be transcribed.`);
+            }
+            if (result.summaryError) {
+                notes.push(`The summary failed: ${result.summaryError}`);
+            }
+            this.exportMessage = notes.join(' ');
+        } catch (error) {
+            console.error('Error importing recording:', error);
+            this.importStatus = `Import failed: ${error.message}`;
+        } finally {
+            this.isImporting = false;
+        }
+    }
+
+    async openSession(id) {
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('get-session', id);
+            if (result.success) {
+                this.selectedSession = result.session;
+                this.errorMessage = '';
+                const recordings = await ipcRenderer.invoke('list-call-recordings', id);
+                this.recordings = recordings.success ? recordings.recordings : [];
+            } else {
+                this.errorMessage = result.error;
+            }
+        } catch (error) {
+            console.error('Error opening session:', error);
+            this.errorMessage = error.message;
+        }
+    }
+
+    async exportSession(format) {
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('export-session', { id: this.selectedSession.id, format });
+            this.exportMessage = result.success ? `Saved to ${result.filePath}` : `Export failed: ${result.error}`;
+        } catch (error) {
+            console.error('Error exporting session:', error);
+            this.exportMessage = `Export failed: ${error.message}`;
+        }
+    }
+
+    async deleteRecordings() {
+        try {
+            const { ipcRenderer } = window.require('electron');
+            const result = await ipcRenderer.invoke('delete-call-recordings', this.selectedSession.id);
+            if (result.success) {
+                this.recordings = [];
+                this.exportMessage = 'Recording deleted';
+            } else {
+                this.exportMessage = `Could not delete the recording: ${result.error}`;
+            }
+        } catch (error) {
+            console.error('Error deleting recording:', error);
+            this.exportMessage = `Could not delete the recording: ${error.message}`;
+        }
+    }
+
+    getRecordingLabel(recording) {
+        const duration = this.formatRecordingLength(recording.durationMs);
+        if (recording.track === 'mic') return `You · ${duration}`;
+        if (recording.track === 'system') return `Other participants · ${duration}`;
+        return `Recording · ${duration}`;
+    }
+
+    formatRecordingLength(ms) {
+        const totalSeconds = Math.round(ms / 1000);
+        return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    }
+
+    renderRecordings() {
+        if (this.recordings.length === 0) return '';
+        return html`
+            <div class="recordings">
+                ${this.recordings.map(
+                    recording => html`
+                        <div class="recording">
+                            <span>${this.getRecordingLabel(recording)}</span>
+                            <audio controls preload="metadata" src=${recording.url}></audio>
+                        </div>
+                    `
+                )}
+                <div><button class="button" @click=${() => this.deleteRecordings()}>Delete recording</button></div>
+            </div>
+        `;
+    }
+
+    closeSession() {
+        this.selectedSession = null;
+        this.recordings = [];
+        this.exportMessage = '';
+        this.loadSessions();
+    }
+
+    formatDate(ts) {
+        if (!ts) return '';
+        return new Date(ts).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    formatTime(ts) {
+        if (!ts) return '';
+        return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    formatDuration(session) {
+        if (!session.startedAt || !session.endedAt) return '';
+        const minutes = Math.round((new Date(session.endedAt) - new Date(session.startedAt)) / 60000);
+        return minutes < 1 ? '<1 min' : `${minutes} min`;
+    }
+
+    getSessionTitle(session) {
+        const profile = session.profile ? session.profile.charAt(0).toUpperCase() + session.profile.slice(1) : 'Session';
+        if (session.mode === 'import') {
+            return `${profile} · ${session.fileName || 'Imported recording'}`;
+        }
+        const model =
+            session.model && window.cheddar?.modelRegistry ? window.cheddar.modelRegistry.getModelDisplayName(session.model) : session.model;
+        return model ? `${profile} · ${model}` : profile;
+    }
+
+    getEventLabel(event) {
+        const time = this.formatTime(event.ts);
+        switch (event.type) {
+            case 'transcript':
+                // Transcripts from before speaker channels have no speaker
+                return `${time} · ${event.speaker || 'Heard'}`;
+            case 'prompt':
+                return `${time} · Prompt${event.image ? ' + screenshot' : ''}`;
+            case 'response':
+                return `${time} · Response${event.cancelled ? ' (cancelled)' : ''}`;
+            case 'summary':
+                return 'Summary';
+            default:
+                return time;
+        }
+    }
+
+    renderSessionList() {
+        if (this.isLoading && this.sessions.length === 0) {
+            return html`<div class="description">Loading sessions...</div>`;
+        }
+        if (this.sessions.length === 0) {
+            return html`<div class="description">No sessions yet. Transcripts and responses are saved here when a session runs.</div>`;
+        }
+        return html`
+            <div class="session-list">
+                ${this.sessions.map(
+                    session => html`
+                        <div class="session-item" @click=${() => this.openSession(session.id)}>
+                            <div class="session-header">
+                                <span class="session-title">
+                                    ${this.getSessionTitle(session)} ${session.active ? html`<span class="badge">Live</span>` : ''}
+                                </span>
+                                <span class="session-meta">${this.formatDate(session.startedAt)} · ${this.formatDuration(session) || '—'}</span>
+                            </div>
+                            <div class="session-preview">${session.preview || 'No transcript'}</div>
+                            <div class="session-meta">${session.transcriptCount} transcripts · ${session.responseCount} responses</div>
+                        </div>
+                    `
+                )}
+            </div>
+        `;
+    }
+
+    renderImport() {
+        if (!window.require) return '';
+        return html`
+            <div class="option-group">
+                <div class="option-label">Import Recording</div>
+                <div class="description">
+                    Transcribe a WAV, MP3 or Opus recording made elsewhere with your speech-to-text settings, and summarize it for the
+                    chosen profile. The result is saved as a session.
+                </div>
+                <div class="import-row">
+                    <select
+                        class="form-control"
+                        .value=${this.importProfile}
+                        ?disabled=${this.isImporting}
+                        @change=${e => (this.importProfile = e.target.value)}
+                    >
+                        ${this.getImportProfiles().map(
+                            profile => html`<option value=${profile.value} ?selected=${profile.value === this.importProfile}>${profile.name}</option>`
+                        )}
+                    </select>
+                    <button class="button" ?disabled=${this.isImporting} @click=${() => this.importRecording()}>
+                        ${this.isImporting ? 'Importing...' : 'Choose recording...'}
+                    </button>
+                    ${this.importStatus ? html`<span class="description">${this.importStatus}</span>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderSessionDetail() {
+        const session = this.selectedSession;
+        // The summary of an imported recording comes first
+        const events = [
+            ...session.events.filter(event => event.type === 'summary'),
+            ...session.events.filter(event => event.type === 'transcript' || event.type === 'prompt' || event.type === 'response'),
+        ];
+        return html`
+            <div class="option-group">
+                <div class="toolbar">
+                    <div>
+                        <div class="session-title">${this.getSessionTitle(session)}</div>
+                        <div class="session-meta">${this.formatDate(session.startedAt)} · ${session.language || ''}</div>
+                    </div>
+                    <button class="button" @click=${() => this.closeSession()}>All sessions</button>
+                </div>
+                <div class="export-row">
+                    <button class="button" @click=${() => this.exportSession('markdown')}>Export Markdown</button>
+                    <button class="button" @click=${() => this.exportSession('html')}>Export HTML</button>
+                    <button class="button" @click=${() => this.exportSession('json')}>Export JSON</button>
+                    <button class="button" @click=${() => this.exportSession('srt')}>Export SRT</button>
+                    <button class="button" @click=${() => this.exportSession('vtt')}>Export WebVTT</button>
+                    <button class="button" @click=${() => this.onOpenMinutes(session.id)}>Meeting minutes</button>
+                    ${session.profile === 'presentation'
+                        ? html`<button class="button" @click=${() => this.onOpenRehearsalReport(session.id)}>Rehearsal report</button>`
+                        : ''}
+                    ${session.profile === 'sales'
+                        ? html`<button class="button" @click=${() => this.onOpenScorecard(session.id)}>Call scorecard</button>`
+                        : ''}
+                    ${session.profile === 'negotiation'
+                        ? html`<button class="button" @click=${() => this.onOpenNegotiationRecord(session.id)}>Negotiation record</button>`
+                        : ''}
+                    ${this.exportMessage ? html`<span class="description">${this.exportMessage}</span>` : ''}
+                </div>
+                ${this.renderRecordings()}
+                ${events.length === 0
+                    ? html`<div class="description">Nothing was recorded in this session.</div>`
+                    : html`
+                          <div class="timeline">
+                              ${events.map(
+                                  event => html`
+                                      <div class="event ${event.type}">
+                                          <div class="event-label">${this.getEventLabel(event)}</div>
+                                          <div class="event-text">${event.text}</div>
+                                      </div>
+                                  `
+                              )}
+                          </div>
+                      `}
+            </div>
+        `;
+    }
+
+    render() {
+        return html`
+            <div class="sessions-container">
+                ${this.errorMessage ? html`<div class="description">${this.errorMessage}</div>` : ''}
+                ${this.selectedSession
+                    ? this.renderSessionDetail()
+                    : html`
+                          ${this.renderImport()}
+                          <div class="option-group">
+                              <div class="option-label">Past Sessions</div>
+                              ${this.renderSessionList()}
+                          </div>
+                      `}
+            </div>
+        `;
+    }
+}
+
+customElements.define('sessions-view', SessionsView);
@@ -122,6 +122,7 @@ function getLocalConfig() {
 
 // Export only the necessary functions
 module.exports = {
+    getConfigDir,
     getLocalConfig,
     writeConfig
 }; 
\ No newline at end of file
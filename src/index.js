@@ -55,10 +55,24 @@ const { app, BrowserWindow, shell, ipcMain } = require('electron');
 const { createWindow, updateGlobalShortcuts } = require('./utils/window');
 const { setupGeminiIpcHandlers, stopMacOSAudioCapture, sendToRenderer } = require('./utils/gemini');
 const { setupGroqIpcHandlers } = require('./utils/groq');
+const { setupLLMProviderIpcHandlers } = require('./utils/llmProviders');
+const { setupSttIpcHandlers } = require('./utils/sttBackends');
+const { setupSessionArchiveIpcHandlers, endSession } = require('./utils/sessionArchive');
+const { setupSessionExportIpcHandlers } = require('./utils/sessionExport');
+const { setupMeetingMinutesIpcHandlers } = require('./utils/meetingMinutes');
+const { setupRehearsalReportIpcHandlers } = require('./utils/rehearsalReport');
+const { setupSalesScorecardIpcHandlers, finishSalesCall } = require('./utils/salesScorecard');
+const { setupNegotiationIpcHandlers, finishNegotiation } = require('./utils/negotiationOffers');
+const { setupKnowledgeBaseIpcHandlers } = require('./utils/knowledgeBase');
+const { setupUserProfileIpcHandlers } = require('./utils/userProfiles');
+const { setupPracticeIpcHandlers } = require('./utils/practiceInterview');
+const { setupRecordingImportIpcHandlers } = require('./utils/recordingImport');
+const { setupCallRecorderIpcHandlers, stopCallRecording } = require('./utils/callRecorder');
 const { initializeRandomProcessNames } = require('./utils/processRandomizer');
 const { applyAntiAnalysisMeasures } = require('./utils/stealthFeatures');
 const { checkForUpdates, setupAutoUpdaterIpc } = require('./utils/autoUpdater');
-const { getLocalConfig, writeConfig } = require('./config');
+const { getConfigDir, getLocalConfig, writeConfig } = require('./config');
+const { loadUserModels } = require('./utils/modelRegistry');
 const path = require('path');
 const os = require('os');
 
@@ -116,9 +130,25 @@ if (!gotTheLock) {
             console.log('Dock icon hidden on macOS');
         }
 
+        // Custom models from <config dir>/models.json (the renderer loads the same file)
+        loadUserModels(getConfigDir());
+
         createMainWindow();
         setupGeminiIpcHandlers(geminiSessionRef);
         setupGroqIpcHandlers();
+        setupLLMProviderIpcHandlers();
+        setupSttIpcHandlers();
+        setupSessionArchiveIpcHandlers();
+        setupSessionExportIpcHandlers();
+        setupMeetingMinutesIpcHandlers();
+        setupRehearsalReportIpcHandlers();
+        setupSalesScorecardIpcHandlers();
+        setupNegotiationIpcHandlers();
+        setupKnowledgeBaseIpcHandlers();
+        setupUserProfileIpcHandlers();
+        setupPracticeIpcHandlers();
+        setupRecordingImportIpcHandlers();
+        setupCallRecorderIpcHandlers();
         setupGeneralIpcHandlers();
         setupAutoUpdaterIpc(ipcMain);
 
@@ -137,11 +167,21 @@ app.on('window-all-closed', () => {
 });
 
 app.on('before-quit', async (event) => {
+    // Quitting waits for the last offers and the storage flush below
+    event.preventDefault();
     stopMacOSAudioCapture();
+    finishSalesCall();
+    await finishNegotiation();
+    // Closes the open tracks and, in mixed mode, mixes them before the app exits
+    try {
+        stopCallRecording();
+    } catch (error) {
+        console.error('Error stopping call recording:', error);
+    }
+    endSession();
 
     // Flush localStorage and other storage to disk before quitting
     // This is CRITICAL for macOS to persist localStorage between restarts
-    event.preventDefault();
     try {
         const { session } = require('electron');
         console.log('Flushing storage data to disk...');
@@ -0,0 +1,107 @@
+// audioCaptureWorklet.js - Audio capture on the audio rendering thread: resampling, chunking and Int16 PCM conversion
+// Loaded with audioContext.audioWorklet.addModule() in the renderer (registers the "pcm-capture" processor)
+// and with require() in tests. The AudioContext runs at the device rate; every chunk is posted to the node's port as
+//   { samples: Float32Array, pcm: Int16Array } - outputSampleRate * chunkDuration samples, both buffers transferred
+// so the main thread only forwards finished chunks (to the VAD or straight to speech-to-text).
+(function (factory) {
+    const capture = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = capture;
+    }
+})(function () {
+    /**
+     * Float samples in [-1, 1] to 16-bit PCM (same scaling as the renderer used on the main thread)
+     */
+    function floatToInt16(samples) {
+        const pcm = new Int16Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            const s = Math.max(-1, Math.min(1, samples[i]));
+            pcm[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+        }
+        return pcm;
+    }
+
+    /**
+     * Resamples a stream of render quanta with linear interpolation and cuts it into fixed-size chunks.
+     * The interpolation position carries over between calls, so chunk boundaries do not click.
+     */
+    class PcmChunker {
+        constructor({ inputSampleRate, outputSampleRate, chunkSize }) {
+            this.step = inputSampleRate / outputSampleRate;
+            this.chunkSize = chunkSize;
+            // Position of the next output sample, relative to the start of the next input block (-1 = previous sample)
+            this.position = 0;
+            this.previousSample = 0;
+            this.chunk = new Float32Array(chunkSize);
+            this.filled = 0;
+        }
+
+        /**
+         * Add one block of input samples; returns the chunks it completed (usually none)
+         */
+        push(input) {
+            const chunks = [];
+            const append = sample => {
+                this.chunk[this.filled++] = sample;
+                if (this.filled === this.chunkSize) {
+                    chunks.push(this.chunk);
+                    // The finished chunk is transferred to the main thread, so it cannot be reused
+                    this.chunk = new Float32Array(this.chunkSize);
+                    this.filled = 0;
+                }
+            };
+
+            if (this.step === 1) {
+                for (let i = 0; i < input.length; i++) {
+                    append(input[i]);
+                }
+                return chunks;
+            }
+
+            while (Math.floor(this.position) + 1 < input.length) {
+                const index = Math.floor(this.position);
+                const fraction = this.position - index;
+                const from = index < 0 ? this.previousSample : input[index];
+                append(from + (input[index + 1] - from) * fraction);
+                this.position += this.step;
+            }
+            this.position -= input.length;
+            if (input.length > 0) {
+                this.previousSample = input[input.length - 1];
+            }
+            return chunks;
+        }
+    }
+
+    // Only defined inside an AudioWorkletGlobalScope
+    if (typeof registerProcessor === 'function') {
+        class PcmCaptureProcessor extends AudioWorkletProcessor {
+            constructor(options) {
+                super();
+                const { outputSampleRate, chunkDuration } = options.processorOptions;
+                this.chunker = new PcmChunker({
+                    // sampleRate is the AudioContext rate, a global of the worklet scope
+                    inputSampleRate: sampleRate,
+                    outputSampleRate,
+                    chunkSize: Math.round(outputSampleRate * chunkDuration),
+                });
+            }
+
+            process(inputs) {
+                const channel = inputs[0] && inputs[0][0];
+                if (channel) {
+                    this.chunker.push(channel).forEach(samples => {
+                        const pcm = floatToInt16(samples);
+                        this.port.postMessage({ samples, pcm }, [samples.buffer, pcm.buffer]);
+                    });
+                }
+                // Keep running while the stream is connected
+                return true;
+            }
+        }
+
+        registerProcessor('pcm-capture', PcmCaptureProcessor);
+    }
+
+    return { floatToInt16, PcmChunker };
+});
@@ -0,0 +1,107 @@
+// audioDevices.js - Microphone and system-audio source choices, saved per profile
+// Both lists come from navigator.mediaDevices.enumerateDevices(). System audio can be taken from an input device:
+// PulseAudio/PipeWire monitor sources on Linux ("Monitor of ..."), Stereo Mix or a virtual cable on Windows,
+// BlackHole on macOS. Choices are kept in localStorage as audioDevices_<profile>:
+//   { "mic": { "deviceId": "...", "label": "Jabra Evolve2 65" }, "system": { "deviceId": "...", "label": "Monitor of Dock Audio" } }
+// No entry means the default: the default microphone, and the screen-share loopback (SystemAudioDump on macOS) for system audio.
+
+const DEVICE_KINDS = ['mic', 'system'];
+// Chromium's aliases for whatever the OS currently uses - the default is chosen by leaving the choice empty
+const ALIAS_DEVICE_IDS = ['default', 'communications'];
+const MONITOR_PATTERN = /^monitor of /i;
+const LOOPBACK_PATTERN = /stereo mix|what u hear|wave out mix|loopback|blackhole|soundflower|vb-audio|cable output|voicemeeter out/i;
+
+function getStorageKey(profile) {
+    return `audioDevices_${profile || 'interview'}`;
+}
+
+/**
+ * Whether an input device carries what the computer plays rather than a microphone
+ */
+function isLoopbackDevice(device) {
+    const label = device.label || '';
+    return MONITOR_PATTERN.test(label) || LOOPBACK_PATTERN.test(label);
+}
+
+/**
+ * Split enumerateDevices() output into { microphones, systemSources }, each [{ deviceId, label, loopback }].
+ * Loopback sources are only offered for system audio; any other input can feed it too (a mixer on line-in),
+ * so those follow them.
+ */
+function listAudioSources(devices) {
+    const inputs = (devices || [])
+        .filter(device => device.kind === 'audioinput' && device.deviceId && !ALIAS_DEVICE_IDS.includes(device.deviceId))
+        .map((device, index) => ({
+            deviceId: device.deviceId,
+            // Labels stay empty until the app has been allowed to use a microphone
+            label: device.label || `Audio input ${index + 1}`,
+            loopback: isLoopbackDevice(device),
+        }));
+    return {
+        microphones: inputs.filter(device => !device.loopback),
+        systemSources: [...inputs.filter(device => device.loopback), ...inputs.filter(device => !device.loopback)],
+    };
+}
+
+function getDeviceChoices(storage, profile) {
+    let stored = {};
+    try {
+        stored = JSON.parse(storage.getItem(getStorageKey(profile))) || {};
+    } catch (error) {
+        stored = {};
+    }
+    const choices = {};
+    DEVICE_KINDS.forEach(kind => {
+        const choice = stored[kind];
+        choices[kind] =
+            choice && typeof choice.deviceId === 'string' && choice.deviceId ? { deviceId: choice.deviceId, label: choice.label || '' } : null;
+    });
+    return choices;
+}
+
+/**
+ * Save the device for one kind ('mic' | 'system') of a profile; null goes back to the default
+ */
+function saveDeviceChoice(storage, profile, kind, device) {
+    if (!DEVICE_KINDS.includes(kind)) {
+        throw new Error(`Unknown audio device kind "${kind}"`);
+    }
+    const choices = getDeviceChoices(storage, profile);
+    choices[kind] = device && device.deviceId ? { deviceId: device.deviceId, label: device.label || '' } : null;
+    storage.setItem(getStorageKey(profile), JSON.stringify(choices));
+    return choices;
+}
+
+/**
+ * The deviceId to open for a saved choice among the devices present now, or '' for the default.
+ * A device that was unplugged and plugged in again can come back with a new id, so the label is the fallback.
+ */
+function resolveDeviceId(choice, devices) {
+    if (!choice) {
+        return '';
+    }
+    const inputs = (devices || []).filter(device => device.kind === 'audioinput');
+    const byId = inputs.find(device => device.deviceId === choice.deviceId);
+    if (byId) {
+        return byId.deviceId;
+    }
+    const byLabel = choice.label && inputs.find(device => device.label === choice.label);
+    return byLabel ? byLabel.deviceId : '';
+}
+
+/**
+ * getUserMedia audio constraints for a device ('' keeps the default device)
+ */
+function buildAudioConstraints(deviceId, constraints = {}) {
+    return deviceId ? { ...constraints, deviceId: { exact: deviceId } } : { ...constraints };
+}
+
+module.exports = {
+    DEVICE_KINDS,
+    isLoopbackDevice,
+    listAudioSources,
+    getDeviceChoices,
+    saveDeviceChoice,
+    resolveDeviceId,
+    buildAudioConstraints,
+};
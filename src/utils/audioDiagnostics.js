@@ -0,0 +1,159 @@
+// audioDiagnostics.js - Level measurements and warnings for the audio diagnostics panel in AdvancedView
+// Audio is 16-bit mono PCM (Int16Array) in chunks of 0.1 s. The monitor keeps the last few seconds of measurements per
+// source and warns when they clip, carry no signal at all, or never get loud enough for the segmentation engine to count
+// them as speech - the usual causes of "it's not hearing anything".
+
+const { DEFAULT_SEGMENTATION_SETTINGS } = require('./speechSegmenter');
+
+// Samples at or beyond this magnitude are counted as clipped
+const CLIPPING_LEVEL = 32000;
+// Samples below this magnitude are counted as silence
+const SILENCE_LEVEL = 100;
+// Meters show -60..0 dBFS
+const METER_FLOOR_DB = -60;
+
+/**
+ * RMS, extremes, clipping and silence of a block of 16-bit samples
+ */
+function measureAudioLevels(samples) {
+    const sampleCount = samples.length;
+    let minValue = sampleCount > 0 ? 32767 : 0;
+    let maxValue = sampleCount > 0 ? -32768 : 0;
+    let sum = 0;
+    let sumSquares = 0;
+    let clippedSamples = 0;
+    let silentSamples = 0;
+
+    for (let i = 0; i < sampleCount; i++) {
+        const sample = samples[i];
+        minValue = Math.min(minValue, sample);
+        maxValue = Math.max(maxValue, sample);
+        sum += sample;
+        sumSquares += sample * sample;
+        const magnitude = Math.abs(sample);
+        if (magnitude >= CLIPPING_LEVEL) {
+            clippedSamples++;
+        } else if (magnitude < SILENCE_LEVEL) {
+            silentSamples++;
+        }
+    }
+
+    return {
+        sampleCount,
+        minValue,
+        maxValue,
+        avgValue: sampleCount > 0 ? sum / sampleCount : 0,
+        rmsValue: sampleCount > 0 ? Math.sqrt(sumSquares / sampleCount) : 0,
+        peak: Math.max(Math.abs(minValue), Math.abs(maxValue)),
+        clippedSamples,
+        silentSamples,
+        clippingPercentage: sampleCount > 0 ? (clippedSamples / sampleCount) * 100 : 0,
+        silencePercentage: sampleCount > 0 ? (silentSamples / sampleCount) * 100 : 100,
+    };
+}
+
+/**
+ * Meter position (0..1) for an RMS value
+ */
+function levelToMeter(rmsValue) {
+    if (!rmsValue) return 0;
+    const db = 20 * Math.log10(rmsValue / 32768);
+    return Math.min(1, Math.max(0, 1 - db / METER_FLOOR_DB));
+}
+
+/**
+ * Live state of the sources under test. addLevels() takes measureAudioLevels() of every chunk;
+ * getSnapshot() returns what the panel shows:
+ *   { sources: { mic: { meter, rmsValue, peak, vadState, warnings: [{ type, message }] } },
+ *     segments: [{ source, durationMs, at }] (newest first) }
+ */
+class DiagnosticsMonitor {
+    constructor({ historyMs = 3000, maxSegments = 5, sampleRate = 24000, speechThreshold = DEFAULT_SEGMENTATION_SETTINGS.speechThreshold } = {}) {
+        this.historyMs = historyMs;
+        this.maxSegments = maxSegments;
+        this.sampleRate = sampleRate;
+        this.speechThreshold = speechThreshold;
+        this.sources = {}; // source -> { history: [{ at, levels }], vadState }
+        this.segments = [];
+    }
+
+    getSource(source) {
+        if (!this.sources[source]) {
+            this.sources[source] = { history: [], vadState: null };
+        }
+        return this.sources[source];
+    }
+
+    addLevels(source, levels, now = Date.now()) {
+        const { history } = this.getSource(source);
+        history.push({ at: now, levels });
+        while (history.length > 0 && now - history[0].at > this.historyMs) {
+            history.shift();
+        }
+    }
+
+    setVadState(source, state) {
+        this.getSource(source).vadState = state;
+    }
+
+    addSegment(source, durationMs, now = Date.now()) {
+        this.segments.unshift({ source, durationMs, at: now });
+        this.segments.length = Math.min(this.segments.length, this.maxSegments);
+    }
+
+    /**
+     * Warnings for the recent audio of one source; nothing until there are two seconds of it
+     */
+    getWarnings(source) {
+        const { history } = this.getSource(source);
+        const totals = history.reduce(
+            (sum, { levels }) => ({
+                samples: sum.samples + levels.sampleCount,
+                clipped: sum.clipped + levels.clippedSamples,
+                silent: sum.silent + levels.silentSamples,
+                loudest: Math.max(sum.loudest, levels.rmsValue),
+            }),
+            { samples: 0, clipped: 0, silent: 0, loudest: 0 }
+        );
+        const warnings = [];
+        if (totals.samples === 0) {
+            return warnings;
+        }
+        // A few clipped samples are inaudible; a steady share of them distorts the transcription
+        if (totals.clipped / totals.samples > 0.001) {
+            warnings.push({ type: 'clipping', message: 'Clipping - the input is too loud, lower its volume or gain' });
+        }
+        if ((totals.samples / this.sampleRate) * 1000 < 2000) {
+            return warnings;
+        }
+        if (totals.silent / totals.samples >= 0.995) {
+            warnings.push({ type: 'silence', message: 'No signal - the device may be muted, unplugged or not the one in use' });
+        } else if (totals.loudest < this.speechThreshold) {
+            warnings.push({ type: 'quiet', message: `Too quiet to count as speech (speech level ${this.speechThreshold})` });
+        }
+        return warnings;
+    }
+
+    getSnapshot() {
+        const sources = {};
+        Object.entries(this.sources).forEach(([source, { history, vadState }]) => {
+            const latest = history.length > 0 ? history[history.length - 1].levels : null;
+            sources[source] = {
+                meter: latest ? levelToMeter(latest.rmsValue) : 0,
+                rmsValue: latest ? latest.rmsValue : 0,
+                peak: latest ? latest.peak : 0,
+                vadState,
+                warnings: this.getWarnings(source),
+            };
+        });
+        return { sources, segments: this.segments.slice() };
+    }
+}
+
+module.exports = {
+    CLIPPING_LEVEL,
+    SILENCE_LEVEL,
+    measureAudioLevels,
+    levelToMeter,
+    DiagnosticsMonitor,
+};
@@ -1,24 +1,6 @@
 (function () {
-    const GEMINI_MODELS = new Set([
-        'gemini-2.5-flash',
-        'gemini-2.5-flash-lite',
-        'gemini-3-flash-preview',
-        'gemini-3-pro-preview',
-    ]);
-
-    const GROQ_MODEL_IDS = {
-        'llama-4-maverick': 'meta-llama/llama-4-maverick-17b-128e-instruct',
-        'llama-4-scout': 'meta-llama/llama-4-scout-17b-16e-instruct',
-    };
-
-    const MODEL_MAX_TOKENS = {
-        'gemini-2.5-flash': 65536,
-        'gemini-2.5-flash-lite': 65536,
-        'gemini-3-flash-preview': 65536,
-        'gemini-3-pro-preview': 65536,
-        'llama-4-maverick': 8192,
-        'llama-4-scout': 8192,
-    };
+    // Modules shared with the Electron build, loaded before this script in browser.html (served by scripts/web-server.js)
+    const { modelRegistry, promptTemplates, speechSegmenter, speakingMetrics, audioDevices } = window.sharedModules;
 
     const LANGUAGE_MAP = {
         'en-US': 'English',
@@ -117,11 +99,11 @@
     }
 
     function isGeminiModel(model) {
-        return GEMINI_MODELS.has(model);
+        return modelRegistry.getModelProvider(model) === 'gemini';
     }
 
     function isGroqModel(model) {
-        return Object.prototype.hasOwnProperty.call(GROQ_MODEL_IDS, model);
+        return modelRegistry.getModelProvider(model) === 'groq';
     }
 
     function getSpeechRecognitionConstructor() {
@@ -151,7 +133,7 @@
         const keyPrefix = `modelSettings_${model}_${mode}_`;
         const temperature = clamp(parseNumber(localStorage.getItem(`${keyPrefix}temperature`), 0.7), 0, 2);
         const topP = clamp(parseNumber(localStorage.getItem(`${keyPrefix}topP`), 0.95), 0, 1);
-        const maxAllowed = MODEL_MAX_TOKENS[model] || 8192;
+        const maxAllowed = modelRegistry.getMaxOutputTokens(model);
         const maxOutputTokens = clamp(Math.floor(parseNumber(localStorage.getItem(`${keyPrefix}maxOutputTokens`), 4096)), 256, maxAllowed);
         return { temperature, topP, maxOutputTokens };
     }
@@ -292,8 +274,8 @@
     }
 
     function buildSystemPrompt() {
-        const customPrompt = (localStorage.getItem('customPrompt') || '').trim();
         const profile = state.profile || 'interview';
+        const customPrompt = promptTemplates.getSessionPrompt(localStorage, profile).trim();
         const profileHint = {
             interview: 'You are an interview assistant. Keep spoken answers concise and practical.',
             exam: 'You are an exam assistant. Focus on direct, accurate answers.',
@@ -600,7 +582,7 @@
         }
 
         const model = state.model || 'llama-4-maverick';
-        const modelId = GROQ_MODEL_IDS[model];
+        const modelId = modelRegistry.getProviderModelId(model);
         if (!modelId) {
             throw new Error(`Unsupported Groq model: ${model}`);
         }
@@ -962,6 +944,11 @@
         },
         isLinux: isLinux(),
         isMacOS: isMac(),
+        modelRegistry,
+        promptTemplates,
+        speechSegmenter,
+        speakingMetrics,
+        audioDevices,
     };
 
     window.cheddar = cheddar;
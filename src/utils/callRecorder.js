@@ -0,0 +1,298 @@
+// callRecorder.js - Opt-in recording of a session's audio, saved beside its transcript
+// Recordings are 24 kHz 16-bit mono WAV files next to <config dir>/sessions/<id>.jsonl:
+//   <id>.mixed.wav                 both sources in one track (mode "mixed")
+//   <id>.system.wav, <id>.mic.wav  one track per source (mode "separate"): the other participants and you
+// While recording, every source is streamed to its own file so a long call is never held in memory; in mixed mode
+// the files are mixed into one when the recording stops. A source that stops delivering audio for a while (device
+// switch, capture restart) is padded with silence, so the tracks stay in step with the call.
+// Recordings older than the retention period are deleted at startup and whenever a recording starts.
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { BrowserWindow, ipcMain } = require('electron');
+const { createWavHeader } = require('../audioUtils');
+const { getSessionsDir, getActiveSessionId } = require('./sessionArchive');
+
+const RECORDING_MODES = ['mixed', 'separate'];
+const RECORDING_SOURCES = ['system', 'mic'];
+const RECORDING_TRACKS = ['mixed', ...RECORDING_SOURCES];
+const DEFAULT_RETENTION_DAYS = 30;
+const SAMPLE_RATE = 24000;
+const BYTES_PER_MS = (SAMPLE_RATE * 2) / 1000;
+const WAV_HEADER_BYTES = 44;
+// Chunks arrive with some jitter; only a gap longer than this is filled with silence
+const MAX_DRIFT_MS = 500;
+const RECORDING_FILE_PATTERN = new RegExp(`\\.(${RECORDING_TRACKS.join('|')})\\.wav$`);
+
+let activeRecording = null; // { sessionId, mode, startedAt, tracks: { [source]: { fd, filePath, bytes } } }
+
+function getRecordingFilePath(sessionId, track) {
+    return path.join(getSessionsDir(), `${sessionId}.${track}.wav`);
+}
+
+function sendToRenderer(channel, data) {
+    const windows = BrowserWindow.getAllWindows();
+    if (windows.length > 0) {
+        windows[0].webContents.send(channel, data);
+    }
+}
+
+function getCallRecordingState() {
+    return activeRecording
+        ? { recording: true, sessionId: activeRecording.sessionId, mode: activeRecording.mode, startedAt: activeRecording.startedAt }
+        : { recording: false };
+}
+
+function writeTrack(track, pcm) {
+    fs.writeSync(track.fd, pcm, 0, pcm.length, WAV_HEADER_BYTES + track.bytes);
+    track.bytes += pcm.length;
+}
+
+function writeSilence(track, bytes) {
+    const second = Buffer.alloc(SAMPLE_RATE * 2);
+    for (let remaining = bytes - (bytes % 2); remaining > 0; remaining -= second.length) {
+        writeTrack(track, remaining >= second.length ? second : second.subarray(0, remaining));
+    }
+}
+
+// The header is kept up to date so a recording cut short by a crash still plays
+function updateTrackHeader(track) {
+    fs.writeSync(track.fd, createWavHeader(track.bytes, SAMPLE_RATE), 0, WAV_HEADER_BYTES, 0);
+}
+
+/**
+ * Start recording the running session's audio.
+ * options: { mode: 'mixed' | 'separate', retentionDays } - expired recordings are deleted first.
+ */
+function startCallRecording({ mode = 'mixed', retentionDays = DEFAULT_RETENTION_DAYS } = {}, now = Date.now()) {
+    if (!RECORDING_MODES.includes(mode)) {
+        throw new Error(`Unknown recording mode "${mode}"`);
+    }
+    const sessionId = getActiveSessionId();
+    if (!sessionId) {
+        throw new Error('No session is being archived');
+    }
+    stopCallRecording();
+    deleteExpiredRecordings(retentionDays, now);
+    activeRecording = { sessionId, mode, startedAt: now, tracks: {} };
+    console.log(`[RECORDING] Recording session ${sessionId} (${mode})`);
+    sendToRenderer('call-recording-state', getCallRecordingState());
+    return getCallRecordingState();
+}
+
+/**
+ * Add captured audio (24 kHz 16-bit mono PCM) of one source. Ignored when nothing is being recorded.
+ */
+function addRecordingAudio(pcm, source = 'system', now = Date.now()) {
+    if (!activeRecording || !pcm || pcm.length === 0) return false;
+    const trackName = source === 'mic' ? 'mic' : 'system';
+    let track = activeRecording.tracks[trackName];
+    if (!track) {
+        const filePath = getRecordingFilePath(activeRecording.sessionId, trackName);
+        fs.mkdirSync(getSessionsDir(), { recursive: true });
+        track = { fd: fs.openSync(filePath, 'w'), filePath, bytes: 0 };
+        activeRecording.tracks[trackName] = track;
+    }
+
+    // Where this chunk starts in the call, going by the clock
+    const chunkStartMs = now - activeRecording.startedAt - pcm.length / BYTES_PER_MS;
+    const behindMs = chunkStartMs - track.bytes / BYTES_PER_MS;
+    if (behindMs > MAX_DRIFT_MS) {
+        writeSilence(track, Math.round(behindMs * BYTES_PER_MS));
+    }
+    writeTrack(track, pcm.length % 2 === 0 ? pcm : pcm.subarray(0, pcm.length - 1));
+    updateTrackHeader(track);
+    return true;
+}
+
+/**
+ * Mix 16-bit mono WAV files into one (summed and clipped), reading a second at a time
+ */
+function mixTracks(inputPaths, outputPath) {
+    const inputs = inputPaths.map(filePath => ({ fd: fs.openSync(filePath, 'r'), bytes: fs.statSync(filePath).size - WAV_HEADER_BYTES }));
+    const totalBytes = Math.max(...inputs.map(input => input.bytes));
+    const output = fs.openSync(outputPath, 'w');
+    const blockBytes = SAMPLE_RATE * 2;
+    const block = Buffer.alloc(blockBytes);
+    const mixed = Buffer.alloc(blockBytes);
+    try {
+        fs.writeSync(output, createWavHeader(totalBytes, SAMPLE_RATE));
+        for (let offset = 0; offset < totalBytes; offset += blockBytes) {
+            const length = Math.min(blockBytes, totalBytes - offset);
+            const sums = new Int32Array(length / 2);
+            inputs.forEach(input => {
+                const read = fs.readSync(input.fd, block, 0, Math.min(length, Math.max(0, input.bytes - offset)), WAV_HEADER_BYTES + offset);
+                for (let i = 0; i < read / 2; i++) {
+                    sums[i] += block.readInt16LE(i * 2);
+                }
+            });
+            for (let i = 0; i < sums.length; i++) {
+                mixed.writeInt16LE(Math.max(-32768, Math.min(32767, sums[i])), i * 2);
+            }
+            fs.writeSync(output, mixed, 0, length);
+        }
+    } finally {
+        inputs.forEach(input => fs.closeSync(input.fd));
+        fs.closeSync(output);
+    }
+}
+
+/**
+ * Finish the recording (called when the session closes). Returns the saved recordings.
+ */
+function stopCallRecording() {
+    if (!activeRecording) return [];
+    const { sessionId, mode, tracks } = activeRecording;
+    activeRecording = null;
+
+    const trackPaths = [];
+    Object.values(tracks).forEach(track => {
+        fs.closeSync(track.fd);
+        if (track.bytes > 0) {
+            trackPaths.push(track.filePath);
+        } else {
+            fs.rmSync(track.filePath, { force: true });
+        }
+    });
+    if (mode === 'mixed' && trackPaths.length > 0) {
+        try {
+            mixTracks(trackPaths, getRecordingFilePath(sessionId, 'mixed'));
+            trackPaths.forEach(filePath => fs.rmSync(filePath, { force: true }));
+        } catch (error) {
+            // The separate tracks are kept
+            console.error('[RECORDING] Could not mix the recording:', error.message);
+        }
+    }
+
+    const recordings = listCallRecordings(sessionId);
+    console.log(`[RECORDING] Saved ${recordings.length} recording(s) of session ${sessionId}`);
+    sendToRenderer('call-recording-state', getCallRecordingState());
+    return recordings;
+}
+
+/**
+ * Finished recordings of a session: [{ track: 'mixed' | 'system' | 'mic', filePath, bytes, durationMs }]
+ */
+function listCallRecordings(sessionId) {
+    if (!sessionId || (activeRecording && activeRecording.sessionId === sessionId)) {
+        return [];
+    }
+    return RECORDING_TRACKS.map(track => ({ track, filePath: getRecordingFilePath(sessionId, track) }))
+        .filter(recording => path.dirname(recording.filePath) === getSessionsDir() && fs.existsSync(recording.filePath))
+        .map(recording => {
+            const bytes = fs.statSync(recording.filePath).size;
+            return { ...recording, bytes, durationMs: Math.round(Math.max(0, bytes - WAV_HEADER_BYTES) / BYTES_PER_MS) };
+        });
+}
+
+function deleteCallRecordings(sessionId) {
+    const recordings = listCallRecordings(sessionId);
+    recordings.forEach(recording => fs.rmSync(recording.filePath, { force: true }));
+    return recordings.length;
+}
+
+/**
+ * Delete recordings last written more than retentionDays ago (0 keeps them forever). Returns how many were deleted.
+ */
+function deleteExpiredRecordings(retentionDays = DEFAULT_RETENTION_DAYS, now = Date.now()) {
+    const days = Number(retentionDays);
+    const dir = getSessionsDir();
+    if (!(days > 0) || !fs.existsSync(dir)) return 0;
+    const cutoff = now - days * 24 * 60 * 60 * 1000;
+    const activeFiles = activeRecording ? Object.values(activeRecording.tracks).map(track => path.basename(track.filePath)) : [];
+    let deleted = 0;
+    fs.readdirSync(dir)
+        .filter(file => RECORDING_FILE_PATTERN.test(file) && !activeFiles.includes(file))
+        .forEach(file => {
+            const filePath = path.join(dir, file);
+            try {
+                if (fs.statSync(filePath).mtimeMs < cutoff) {
+                    fs.rmSync(filePath, { force: true });
+                    deleted++;
+                }
+            } catch (error) {
+                console.error(`[RECORDING] Could not delete ${file}:`, error.message);
+            }
+        });
+    if (deleted > 0) {
+        console.log(`[RECORDING] Deleted ${deleted} recording(s) older than ${days} days`);
+    }
+    return deleted;
+}
+
+function setupCallRecorderIpcHandlers() {
+    ipcMain.handle('start-call-recording', async (event, options = {}) => {
+        try {
+            return { success: true, ...startCallRecording(options) };
+        } catch (error) {
+            console.error('[RECORDING] Start recording error:', error.message);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // { source: 'system' | 'mic', pcm: Int16Array } for every captured chunk while recording
+    ipcMain.handle('add-recording-audio', async (event, { source, pcm } = {}) => {
+        try {
+            const recorded = pcm ? addRecordingAudio(Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength), source) : false;
+            return { success: recorded };
+        } catch (error) {
+            console.error('[RECORDING] Add audio error:', error.message);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('stop-call-recording', async () => {
+        try {
+            return { success: true, recordings: stopCallRecording() };
+        } catch (error) {
+            console.error('[RECORDING] Stop recording error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('get-call-recording-state', async () => getCallRecordingState());
+
+    // Recordings with file:// URLs the Sessions view can play
+    ipcMain.handle('list-call-recordings', async (event, sessionId) => {
+        try {
+            const recordings = listCallRecordings(sessionId).map(recording => ({ ...recording, url: pathToFileURL(recording.filePath).href }));
+            return { success: true, recordings };
+        } catch (error) {
+            console.error('[RECORDING] List recordings error:', error);
+            return { success: false, error: error.message, recordings: [] };
+        }
+    });
+
+    ipcMain.handle('delete-call-recordings', async (event, sessionId) => {
+        try {
+            return { success: true, deleted: deleteCallRecordings(sessionId) };
+        } catch (error) {
+            console.error('[RECORDING] Delete recordings error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('delete-expired-recordings', async (event, retentionDays) => {
+        try {
+            return { success: true, deleted: deleteExpiredRecordings(retentionDays) };
+        } catch (error) {
+            console.error('[RECORDING] Retention cleanup error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    console.log('[RECORDING] IPC handlers registered');
+}
+
+module.exports = {
+    RECORDING_MODES,
+    DEFAULT_RETENTION_DAYS,
+    startCallRecording,
+    addRecordingAudio,
+    stopCallRecording,
+    getCallRecordingState,
+    listCallRecordings,
+    deleteCallRecordings,
+    deleteExpiredRecordings,
+    setupCallRecorderIpcHandlers,
+};
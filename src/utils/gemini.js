@@ -4,6 +4,12 @@ const { spawn } = require('child_process');
 const { saveDebugAudio } = require('../audioUtils');
 const { getSystemPrompt, getGeminiMessageHint, getExamMessageHint } = require('./prompts');
 const { VADProcessor } = require('./vad');
+const { createProviderError, startRecoveryCountdown, clearRecoveryCountdown } = require('./requestExecutor');
+const { getMaxOutputTokens } = require('./modelRegistry');
+const { recordSessionEvent, endSession } = require('./sessionArchive');
+const { finishSalesCall } = require('./salesScorecard');
+const { finishNegotiation } = require('./negotiationOffers');
+const { addRecordingAudio, stopCallRecording } = require('./callRecorder');
 
 // Lazy-load groq to avoid circular dependency
 let _groq = null;
@@ -29,35 +35,11 @@ let macMicrophoneEnabled = true;
 let currentMode = 'interview';
 let currentProfile = 'interview';
 
-// Rate limit countdown (similar to groq.js)
-let rateLimitCountdownInterval = null;
-
 /**
- * Start a live countdown in the header after a 429 rate limit error from Gemini.
- * Updates the status every second: "Rate Limit (Gemini): 30s" → "29s" → ... → "Ready"
+ * Show a live countdown in the header after a 429 from Gemini: "Rate Limit (Gemini) (30s)" → (29s) → ... → "Ready"
  */
 function scheduleGeminiRateLimitRecovery(statusMessage, recoveryMs = 60 * 1000) {
-    if (rateLimitCountdownInterval) {
-        clearInterval(rateLimitCountdownInterval);
-        rateLimitCountdownInterval = null;
-    }
-
-    let remainingSec = Math.ceil(recoveryMs / 1000);
-    console.log(`[GEMINI] Rate limit hit - countdown ${remainingSec}s`);
-
-    sendToRenderer('update-status', `${statusMessage} (${remainingSec}s)`);
-
-    rateLimitCountdownInterval = setInterval(() => {
-        remainingSec--;
-        if (remainingSec <= 0) {
-            clearInterval(rateLimitCountdownInterval);
-            rateLimitCountdownInterval = null;
-            console.log('[GEMINI] Rate limit countdown done');
-            sendToRenderer('update-status', 'Ready');
-        } else {
-            sendToRenderer('update-status', `${statusMessage} (${remainingSec}s)`);
-        }
-    }, 1000);
+    startRecoveryCountdown(statusMessage, recoveryMs, 'Ready');
 }
 
 /**
@@ -112,23 +94,6 @@ let generationSettings = {
     maxOutputTokens: 8192,
 };
 
-// Model-specific max output token limits
-const MODEL_MAX_OUTPUT_TOKENS = {
-    // Gemini models
-    'gemini-2.5-flash': 65536,
-    'gemini-2.5-flash-lite': 65536,
-    'gemini-3-flash-preview': 65536,
-    'gemini-3-pro-preview': 65536,
-    // Groq Llama models
-    'llama-4-maverick': 8192,
-    'llama-4-scout': 8192,
-};
-
-// Get max output tokens for a specific model
-function getMaxOutputTokensForModel(model) {
-    return MODEL_MAX_OUTPUT_TOKENS[model] || 8192;
-}
-
 function sendToRenderer(channel, data) {
     const windows = BrowserWindow.getAllWindows();
     if (windows.length > 0) {
@@ -196,14 +161,13 @@ async function initializeGeminiSession(apiKey, customPrompt = '', profile = 'int
     sendToRenderer('session-initializing', true);
 
     // Clear any active rate limit countdown from previous session
-    if (rateLimitCountdownInterval) {
-        clearInterval(rateLimitCountdownInterval);
-        rateLimitCountdownInterval = null;
-    }
+    clearRecoveryCountdown();
 
     const client = new GoogleGenAI({
         vertexai: false,
         apiKey: apiKey,
+        // GEMINI_API_BASE can point at the offline mock server (npm run mock:providers) for local testing
+        ...(process.env.GEMINI_API_BASE ? { httpOptions: { baseUrl: process.env.GEMINI_API_BASE } } : {}),
     });
 
     // Get enabled tools first to determine Google Search status
@@ -369,7 +333,8 @@ Ignore any earlier instruction that asks for long structured answers, multi-sect
                 isClosed: false,
                 conversationHistory: [], // Track conversation history for context
 
-                async sendRealtimeInput(input) {
+                // options.throwErrors: reject with a typed error instead of returning null (used by the request executor)
+                async sendRealtimeInput(input, options = {}) {
                     if (this.isClosed) {
                         console.log('Session is closed, ignoring input');
                         return;
@@ -452,7 +417,7 @@ Ignore any earlier instruction that asks for long structured answers, multi-sect
                                 console.log(`Context: ${this.conversationHistory.length / 2} turns (request #${this.conversationHistory.length / 2 + 1})`);
                             }
 
-                            const modelMaxTokens = getMaxOutputTokensForModel(this.model);
+                            const modelMaxTokens = getMaxOutputTokens(this.model);
                             let effectiveMaxTokens = Math.min(generationSettings.maxOutputTokens, modelMaxTokens);
 
                             // Interview mode token limits:
@@ -496,6 +461,8 @@ Ignore any earlier instruction that asks for long structured answers, multi-sect
                                     ...(thinkingConfig ? { thinkingConfig } : {}),
                                 },
                                 tools: requestTools,
+                                // Aborted by the request executor when the call outlives its deadline
+                                ...(options.signal ? { config: { abortSignal: options.signal } } : {}),
                             });
 
                             // Stream the response as it arrives
@@ -540,6 +507,10 @@ Ignore any earlier instruction that asks for long structured answers, multi-sect
                                 if (responseText && responseText.trim()) {
                                     console.log(`✅ Got response: ${responseText.length} chars in ${Date.now() - requestStartTime}ms`);
 
+                                    const source = { provider: 'Gemini', model: this.model };
+                                    recordSessionEvent('prompt', { text: input.text || '', image: hasImage, ...source }, requestStartTime);
+                                    recordSessionEvent('response', { text: responseText, ...source });
+
                                     // Save to conversation history with full data
                                     this.conversationHistory.push(
                                         { role: 'user', parts: parts },
@@ -639,10 +610,16 @@ Ignore any earlier instruction that asks for long structured answers, multi-sect
                         if (errMsg.includes('429')) {
                             const rateLimit = parseGeminiRateLimitError(error.message || '');
                             scheduleGeminiRateLimitRecovery(rateLimit.statusMessage, rateLimit.recoveryMs);
+                            if (options.throwErrors) {
+                                throw createProviderError(rateLimit.statusMessage, { status: 429, retryAfterMs: rateLimit.recoveryMs, statusShown: true });
+                            }
                             return null;
                         } else if (errMsg.includes('503') || errMsg.includes('overloaded') || errMsg.includes('unavailable')) {
                             // Server overloaded — common on free tier, retry after 15s
                             scheduleGeminiRateLimitRecovery('Server Overloaded (Gemini)', 15 * 1000);
+                            if (options.throwErrors) {
+                                throw createProviderError('Server Overloaded (Gemini)', { status: 503, statusShown: true });
+                            }
                             return null;
                         } else if (errMsg.includes('401') || errMsg.includes('api_key_invalid') || errMsg.includes('api key not valid')) {
                             shortMsg = 'Invalid API Key (Gemini)';
@@ -656,6 +633,9 @@ Ignore any earlier instruction that asks for long structured answers, multi-sect
                         }
 
                         sendToRenderer('update-status', shortMsg);
+                        if (options.throwErrors) {
+                            throw createProviderError(shortMsg, { status: error.status, statusShown: true });
+                        }
                         return null;
                     }
                 },
@@ -811,7 +791,7 @@ async function startMacOSAudioCapture(geminiSessionRef, vadEnabled = false, vadM
 
                     // Route to Groq Whisper STT if Groq is initialized, otherwise fall back to Gemini
                     if (getGroq().isGroqInitialized()) {
-                        getGroq().addAudioChunk(pcmBuffer);
+                        getGroq().addAudioChunk(pcmBuffer, 'system');
                     } else {
                         const base64Data = pcmBuffer.toString('base64');
                         await sendAudioToGemini(base64Data, geminiSessionRef);
@@ -821,7 +801,8 @@ async function startMacOSAudioCapture(geminiSessionRef, vadEnabled = false, vadM
                 }
             },
             null, // onStateChange callback
-            macVADMode // VAD mode
+            macVADMode, // VAD mode
+            { maxRecordingMs: getGroq().getSegmentationSettings().maxSegmentMs }
         );
 
         console.log('✅ [macOS] VAD processor initialized');
@@ -837,21 +818,21 @@ async function startMacOSAudioCapture(geminiSessionRef, vadEnabled = false, vadM
             audioBuffer = audioBuffer.slice(CHUNK_SIZE);
 
             const monoChunk = CHANNELS === 2 ? convertStereoToMono(chunk) : chunk;
-
-            // Skip audio if mic is OFF in manual VAD mode
+            // Skip audio if mic is OFF in manual VAD mode; the call recording gets silence in its place
             if (macVADEnabled && !macMicrophoneEnabled) {
+                addRecordingAudio(Buffer.alloc(monoChunk.length), 'system');
                 continue;
             }
+            addRecordingAudio(monoChunk, 'system');
 
-            // Determine if VAD is actually ready to process audio
-            // VAD init is async - it may not be ready yet, or may have failed (e.g. ONNX load failure in packaged app)
-            const vadReady = macVADEnabled && macVADProcessor && macVADProcessor.vad && macVADProcessor.state !== 'IDLE';
+            // Determine if VAD is active (it is IDLE once destroyed)
+            const vadReady = macVADEnabled && macVADProcessor && macVADProcessor.state !== 'IDLE';
 
             // Log routing decision once for debugging
             if (!audioRouteLogged) {
                 audioRouteLogged = true;
                 const groqReady = getGroq().isGroqInitialized();
-                console.log(`[macOS Audio] Routing: vadEnabled=${macVADEnabled}, vadReady=${vadReady}, groqReady=${groqReady}, vadState=${macVADProcessor?.state || 'N/A'}, vadInstance=${!!macVADProcessor?.vad}`);
+                console.log(`[macOS Audio] Routing: vadEnabled=${macVADEnabled}, vadReady=${vadReady}, groqReady=${groqReady}, vadState=${macVADProcessor?.state || 'N/A'}`);
                 if (vadReady) {
                     console.log('[macOS Audio] → Using VAD pipeline');
                 } else if (groqReady) {
@@ -869,7 +850,7 @@ async function startMacOSAudioCapture(geminiSessionRef, vadEnabled = false, vadM
                 // No VAD, or VAD not ready/failed: send audio directly to Groq or Gemini
                 try {
                     if (getGroq().isGroqInitialized()) {
-                        getGroq().addAudioChunk(monoChunk);
+                        getGroq().addAudioChunk(monoChunk, 'system');
                     } else {
                         const base64Data = monoChunk.toString('base64');
                         sendAudioToGemini(base64Data, geminiSessionRef);
@@ -1023,7 +1004,7 @@ function setupGeminiIpcHandlers(geminiSessionRef) {
 
     // Get model-specific max output tokens
     ipcMain.handle('get-model-max-tokens', async (event, model) => {
-        return getMaxOutputTokensForModel(model);
+        return getMaxOutputTokens(model);
     });
 
     ipcMain.handle('send-audio-content', async (event, { data, mimeType }) => {
@@ -1192,6 +1173,10 @@ function setupGeminiIpcHandlers(geminiSessionRef) {
     ipcMain.handle('close-session', async event => {
         try {
             stopMacOSAudioCapture();
+            finishSalesCall();
+            await finishNegotiation();
+            stopCallRecording();
+            endSession();
 
             // Cleanup any pending resources and stop audio/video capture
             if (geminiSessionRef.current) {
@@ -1234,18 +1219,22 @@ function setupGeminiIpcHandlers(geminiSessionRef) {
 
 /**
  * Chat with Gemini using text (and optional image).
- * Used by groq.js when interview model is gemini-2.5-flash-lite:
+ * Used by groq.js when the interview model is a Gemini model:
  *   Groq Whisper (STT) → transcription → chatWithGeminiText() → Gemini response
  *
  * @param {string} text - The transcription or prompt text
  * @param {string|null} imageData - Optional base64 image data for screenshot analysis
+ * @param {{throwErrors?: boolean, signal?: AbortSignal}} options - Reject instead of returning null on error, and abort on the executor's deadline
  * @returns {Promise<string|null>} The response text, or null on error
  */
-async function chatWithGeminiText(text, imageData = null) {
+async function chatWithGeminiText(text, imageData = null, options = {}) {
     const session = global.geminiSessionRef?.current;
     if (!session) {
         console.error('[GEMINI] No active session for text chat');
         sendToRenderer('update-status', 'No Gemini session');
+        if (options.throwErrors) {
+            throw createProviderError('No Gemini session', { retryable: false, statusShown: true });
+        }
         return null;
     }
 
@@ -1265,14 +1254,54 @@ async function chatWithGeminiText(text, imageData = null) {
         input.media = { data: imageData, mimeType: 'image/jpeg' };
     }
 
-    return await session.sendRealtimeInput(input);
+    return await session.sendRealtimeInput(input, options);
+}
+
+/**
+ * One-off completion for background work (e.g. meeting minutes).
+ * Uses its own system prompt and none of the session's history, and nothing is sent to the assistant view.
+ *
+ * @param {string} systemPrompt - System instruction for this request only
+ * @param {string} text - The user message
+ * @param {string} model - Gemini model id
+ * @param {{apiKey?: string, maxTokens?: number, temperature?: number, signal?: AbortSignal}} options - apiKey falls back to the live session's client
+ * @returns {Promise<string>} The response text
+ */
+async function completeWithGemini(systemPrompt, text, model, options = {}) {
+    let client = global.geminiSessionRef?.current?.client;
+    if (options.apiKey) {
+        client = new GoogleGenAI({
+            vertexai: false,
+            apiKey: options.apiKey,
+            ...(process.env.GEMINI_API_BASE ? { httpOptions: { baseUrl: process.env.GEMINI_API_BASE } } : {}),
+        });
+    }
+    if (!client) {
+        throw createProviderError('Gemini API key not configured', { retryable: false });
+    }
+
+    const result = await client.models.generateContent({
+        model,
+        contents: [{ role: 'user', parts: [{ text }] }],
+        config: {
+            systemInstruction: systemPrompt,
+            temperature: options.temperature !== undefined ? options.temperature : 0.2,
+            maxOutputTokens: Math.min(options.maxTokens || 2048, getMaxOutputTokens(model)),
+            abortSignal: options.signal,
+        },
+    });
+    const responseText = result.text || '';
+    console.log(`[GEMINI] Completion (${model}): ${responseText.length} chars`);
+    return responseText;
 }
 
 module.exports = {
     initializeGeminiSession,
     chatWithGeminiText,
+    completeWithGemini,
     getEnabledTools,
     getStoredSetting,
+    parseGeminiRateLimitError,
     sendToRenderer,
     killExistingSystemAudioDump,
     startMacOSAudioCapture,
@@ -1,61 +1,69 @@
 // groq.js - Groq API integration for Speech-to-Text (Whisper) and Chat Completion (Llama models)
 const { BrowserWindow, ipcMain, desktopCapturer } = require('electron');
+const http = require('http');
 const https = require('https');
 const { URL } = require('url');
-const { getCondensedSystemPrompt } = require('./prompts');
-const { chatWithGeminiText } = require('./gemini');
+const { getCondensedSystemPrompt, getKnowledgeContext } = require('./prompts');
+const { chatWithModel, getProviderForModel, getOpenAICompatibleConfig, getOpenAICompatibleModelId } = require('./llmProviders');
+const { transcribeAudio, getSttSettings } = require('./sttBackends');
+const { createProviderError, parseRetryAfter, startRecoveryCountdown, resetRequestExecutor } = require('./requestExecutor');
+const { getProviderModelId } = require('./modelRegistry');
+const { recordSessionEvent } = require('./sessionArchive');
+const { searchKnowledge } = require('./knowledgeBase');
+const { recordAudioActivity, recordCallUtterance } = require('./salesScorecard');
+const { recordNegotiationUtterance } = require('./negotiationOffers');
+const { SpeechSegmenter, normalizeSegmentationSettings } = require('./speechSegmenter');
 
 // Groq API configuration
-const GROQ_API_BASE = 'https://api.groq.com/openai/v1';
-const WHISPER_MODEL = 'whisper-large-v3-turbo';
+// GROQ_API_BASE can point at the offline mock server (npm run mock:providers) for local testing
+const GROQ_API_BASE = process.env.GROQ_API_BASE || 'https://api.groq.com/openai/v1';
+const CHAT_TIMEOUT_MS = 30000; // Abort if the stream goes silent this long
+const COMPLETION_TIMEOUT_MS = 120000; // Background completions send the whole transcript and wait for the full answer
 
-// Available Llama models for chat completion
-const LLAMA_MODELS = {
-    'llama-4-maverick': 'meta-llama/llama-4-maverick-17b-128e-instruct',
-    'llama-4-scout': 'meta-llama/llama-4-scout-17b-16e-instruct'
-};
-
-// Audio buffer for accumulating audio chunks before sending to Groq
-let speechBuffer = []; // Only contains speech segments
-let contextBuffer = []; // Rolling buffer for pre-speech context
-let isProcessing = false;
 let groqApiKey = null;
 
 // Conversation history for context
 let conversationHistory = [];
 let currentSystemPrompt = '';
 
-// Minimum audio duration in seconds before sending to Groq (to avoid sending tiny clips)
-const MIN_AUDIO_DURATION_SECONDS = 1.0; // Allow shorter interview questions to flush sooner
 const SAMPLE_RATE = 24000; // 24kHz as used in the app
 const BYTES_PER_SAMPLE = 2; // 16-bit PCM
 
-// Context buffer settings - keep some silence before speech starts
-const MAX_CONTEXT_CHUNKS = 10; // Keep ~1 second of pre-speech context
+// Speech is cut into utterances by the segmentation engine (speechSegmenter.js), tuned in AdvancedView
+let segmentationSettings = normalizeSegmentationSettings();
 
-// Speech detection thresholds
-const SILENCE_RMS_THRESHOLD = 300; // RMS below this is considered silence (lowered for sensitivity)
-const SPEECH_RMS_THRESHOLD = 500; // RMS above this is considered speech
+// When audio stops arriving (push-to-talk released, mic toggled off) the open speech is ended on a timer
+const CHECK_INTERVAL_MS = 250;
 
-// Speech state tracking for smarter flush
-let lastSpeechTime = 0; // Timestamp of last detected speech
-let isSpeaking = false; // Currently in speech segment
-const SILENCE_AFTER_SPEECH_MS = 900; // Flush sooner after speech ends for faster answers
-const POST_SPEECH_CONTEXT_MS = 300; // Keep a small tail without adding much latency
+// Each audio source is buffered, speech-detected and transcribed on its own so every line keeps its speaker:
+// 'system' is loopback audio (the other side of the call), 'mic' is the user's microphone
+const AUDIO_SOURCE_SPEAKERS = {
+    system: 'Other participants',
+    mic: 'You',
+};
+const audioChannels = {};
 
-// Periodic check timer
-let checkTimer = null;
-const CHECK_INTERVAL_MS = 250; // Check more frequently so end-of-speech is detected sooner
+// Recent labelled lines from both channels, so answers know who said what
+const RECENT_UTTERANCE_LIMIT = 8;
+const RECENT_UTTERANCE_WINDOW_MS = 3 * 60 * 1000;
+let recentUtterances = []; // { speaker, text, ts }
 
 // Store selected model for chat completion
 let selectedLlamaModel = 'llama-4-maverick';
 
-// Rate limit countdown - auto-reset status after 429 errors with live countdown in header
-let rateLimitCountdownInterval = null;
+// In-flight chat generation - lets the cancel keybind abort the current stream
+let activeGeneration = null; // { id, cancel }
+let generationCounter = 0;
 
 // Store selected language name for use in prompts
 let storedLanguageName = 'English';
 
+// Captions mode: transcribe and show every line, never ask a chat model
+let captionsOnly = false;
+
+// Profile of the current session - selects its knowledge base documents
+let currentProfile = 'interview';
+
 // Generation settings (can be updated from AdvancedView like Gemini)
 let generationSettings = {
     temperature: 0.7,
@@ -84,13 +92,82 @@ function getRecentConversationHistory(limit = 10) {
     return conversationHistory.slice(-safeLimit);
 }
 
-function buildVoiceAndScreenPrompt(transcription, hasScreenContext) {
+function getAudioChannel(source = 'system') {
+    const key = AUDIO_SOURCE_SPEAKERS[source] ? source : 'system';
+    if (!audioChannels[key]) {
+        audioChannels[key] = {
+            source: key,
+            speaker: AUDIO_SOURCE_SPEAKERS[key],
+            segmenter: new SpeechSegmenter(segmentationSettings, { sampleRate: SAMPLE_RATE }),
+            lastChunkAt: 0, // Wall-clock time the latest chunk arrived
+            queue: Promise.resolve(), // Segments are transcribed one after another
+            checkTimer: null, // Ends the speech once audio stops arriving
+        };
+    }
+    return audioChannels[key];
+}
+
+function getChannelDuration(channel) {
+    return channel.segmenter.getBufferedMs() / 1000;
+}
+
+/**
+ * When a segment was spoken, in wall-clock ms. Chunks arrive in real time, so the latest chunk
+ * ended at lastChunkAt and audio time maps back from there.
+ */
+function getSegmentTiming(channel, segment) {
+    const startedAt = Math.round(channel.lastChunkAt - (channel.segmenter.position - segment.startMs));
+    return { startedAt, endedAt: startedAt + Math.round(segment.durationMs) };
+}
+
+function getRecentUtterances() {
+    const now = Date.now();
+    return recentUtterances.filter(utterance => now - utterance.ts <= RECENT_UTTERANCE_WINDOW_MS);
+}
+
+function rememberUtterance(speaker, text) {
+    recentUtterances = [...getRecentUtterances(), { speaker, text: String(text).trim(), ts: Date.now() }].slice(-RECENT_UTTERANCE_LIMIT);
+}
+
+/**
+ * Knowledge base passages that match the question. Never throws - a broken index must not block an answer.
+ */
+function findKnowledgePassages(query) {
+    try {
+        const passages = searchKnowledge(currentProfile, query);
+        if (passages.length > 0) {
+            console.log(`[GROQ] Adding ${passages.length} knowledge passage(s) from ${[...new Set(passages.map(passage => passage.documentName))].join(', ')}`);
+        }
+        return passages;
+    } catch (error) {
+        console.error('[GROQ] Knowledge base search failed:', error.message);
+        return [];
+    }
+}
+
+function withKnowledgeContext(text) {
+    const knowledgeContext = getKnowledgeContext(findKnowledgePassages(text));
+    return knowledgeContext ? `${knowledgeContext}\n\n${text}` : text;
+}
+
+function buildVoiceAndScreenPrompt(transcription, hasScreenContext, earlierUtterances = [], passages = []) {
     const normalized = String(transcription || '').trim();
+    // Without microphone capture every line comes from the other side and is already in the chat history
+    let question = earlierUtterances.some(utterance => utterance.speaker === AUDIO_SOURCE_SPEAKERS.mic)
+        ? `Conversation so far ("${AUDIO_SOURCE_SPEAKERS.mic}" is me, the person you are helping):
+${earlierUtterances.map(utterance => `${utterance.speaker}: ${utterance.text}`).join('\n')}
+
+${AUDIO_SOURCE_SPEAKERS.system}: ${normalized}`
+        : normalized;
+    const knowledgeContext = getKnowledgeContext(passages);
+    if (knowledgeContext) {
+        question = `${knowledgeContext}\n\n${question}`;
+    }
     if (!hasScreenContext) {
-        return normalized;
+        return question;
     }
 
-    return `${normalized}
+    return `${question}
 
 Use the screenshot to correct speech recognition mistakes and identify the exact question.
 If speech and screen differ, trust the screen question.
@@ -156,35 +233,11 @@ async function captureCurrentScreenBase64() {
 }
 
 /**
- * Start a live countdown in the header after a 429 rate limit error.
- * Updates the status every second: "Rate Limit: Tokens/min exceeded (15s)" → (14s) → ... → "Listening..."
- * Edge case: if user restarts app and hits 429 again, Groq returns fresh retry time and countdown restarts.
+ * Show a live countdown in the header after a 429: "Rate Limit: Tokens/min exceeded (15s)" → (14s) → ... → "Listening..."
+ * If the user hits 429 again, Groq returns a fresh retry time and the countdown restarts.
  */
 function scheduleRateLimitRecovery(statusMessage, recoveryMs = 30 * 1000) {
-    // Clear any existing countdown to avoid duplicates
-    if (rateLimitCountdownInterval) {
-        clearInterval(rateLimitCountdownInterval);
-        rateLimitCountdownInterval = null;
-    }
-
-    let remainingSec = Math.ceil(recoveryMs / 1000);
-    console.log(`[GROQ] Rate limit hit - countdown ${remainingSec}s`);
-
-    // Show initial status with countdown
-    sendToRenderer('update-status', `${statusMessage} (${remainingSec}s)`);
-
-    rateLimitCountdownInterval = setInterval(() => {
-        remainingSec--;
-
-        if (remainingSec <= 0) {
-            clearInterval(rateLimitCountdownInterval);
-            rateLimitCountdownInterval = null;
-            console.log('[GROQ] Rate limit countdown done - resetting to Listening...');
-            sendToRenderer('update-status', 'Listening...');
-        } else {
-            sendToRenderer('update-status', `${statusMessage} (${remainingSec}s)`);
-        }
-    }, 1000);
+    startRecoveryCountdown(statusMessage, recoveryMs, 'Listening...');
 }
 
 /**
@@ -233,34 +286,63 @@ function parseRateLimitError(errorBody) {
 }
 
 /**
- * Calculate RMS (Root Mean Square) energy of PCM audio buffer
+ * Map a non-200 response to a short status in the header and an error the request executor can act on
+ * (status code and retry-after decide whether the request is retried or failed over)
  */
-function calculateRMS(pcmBuffer) {
-    const samples = pcmBuffer.length / 2; // 2 bytes per sample (16-bit)
-    let sumSquares = 0;
+function createHttpError(res, body, providerName, tooLargeMessage) {
+    const status = res.statusCode;
+    const retryAfterMs = parseRetryAfter(res.headers['retry-after']);
+
+    if (status === 429) {
+        const rateLimit = parseRateLimitError(body);
+        scheduleRateLimitRecovery(rateLimit.statusMessage, retryAfterMs ?? rateLimit.recoveryMs);
+        return createProviderError(rateLimit.statusMessage, { status, retryAfterMs: retryAfterMs ?? rateLimit.recoveryMs, statusShown: true });
+    }
 
-    for (let i = 0; i < samples; i++) {
-        const sample = pcmBuffer.readInt16LE(i * 2);
-        sumSquares += sample * sample;
+    let message = 'Connection error';
+    if (status === 401) {
+        message = `Invalid API Key (${providerName})`;
+    } else if (status === 413) {
+        message = tooLargeMessage;
+    } else if (status === 400) {
+        message = 'Invalid request';
+    } else if (status >= 500) {
+        message = 'Server error';
     }
+    sendToRenderer('update-status', message);
+    return createProviderError(message, { status, retryAfterMs, statusShown: true });
+}
 
-    return Math.sqrt(sumSquares / samples);
+/**
+ * Check if an error already put a user-friendly message in the status bar (so we don't overwrite it)
+ */
+function isUserFriendlyError(error) {
+    const message = error?.message || '';
+    return (
+        error?.statusShown === true ||
+        message.startsWith('Invalid API Key') ||
+        message.startsWith('Rate Limit:') ||
+        ['API Quota Exceeded', 'Audio too long', 'Request too large', 'Server error', 'Connection error', 'Invalid request', 'Transcription timeout', 'Request timeout'].includes(message)
+    );
 }
 
 /**
  * Initialize Groq API with the provided API key
  */
-function initializeGroq(apiKey, customPrompt = '', profile = 'interview', language = 'en-US', model = 'llama-4-maverick') {
+function initializeGroq(apiKey, customPrompt = '', profile = 'interview', language = 'en-US', model = 'llama-4-maverick', options = {}) {
     groqApiKey = apiKey;
     conversationHistory = [];
+    recentUtterances = [];
     selectedLlamaModel = model;
-    console.log(`[GROQ] Chat model set to: ${selectedLlamaModel}`);
-
-    // Clear any active rate limit countdown from previous session
-    if (rateLimitCountdownInterval) {
-        clearInterval(rateLimitCountdownInterval);
-        rateLimitCountdownInterval = null;
+    currentProfile = profile;
+    captionsOnly = !!options.captionsOnly;
+    if (options.segmentation) {
+        updateSegmentationSettings(options.segmentation);
     }
+    console.log(captionsOnly ? '[GROQ] Captions mode - transcription only' : `[GROQ] Chat model set to: ${selectedLlamaModel}`);
+
+    // Clear any rate limit countdown and tripped circuit breakers from the previous session
+    resetRequestExecutor();
 
     // Use CONDENSED system prompt for Groq (strict HTTP body size limit ~20KB)
     // Full prompt is ~27KB which exceeds Groq's limit
@@ -333,51 +415,108 @@ function pcmToWav(pcmBuffer) {
 
 /**
  * Send audio to Groq Whisper API for transcription
+ * options.apiKey overrides the session key (recordings imported while no session runs)
  */
-async function transcribeWithGroq(wavBuffer) {
-    return new Promise((resolve, reject) => {
-        if (!groqApiKey) {
-            reject(new Error('Groq API key not initialized'));
-            return;
-        }
+async function transcribeWithGroq(wavBuffer, options = {}) {
+    const apiKey = options.apiKey || groqApiKey;
+    if (!apiKey) {
+        throw new Error('Groq API key not initialized');
+    }
 
-        const boundary = '----FormBoundary' + Math.random().toString(36).substring(2);
+    const settings = getSttSettings('groq');
+    const target = {
+        endpoint: `${settings.baseUrl}/audio/transcriptions`,
+        apiKey,
+        model: settings.model,
+        language: settings.language,
+        timeoutMs: settings.timeoutMs,
+        providerName: 'Groq',
+        signal: options.signal,
+    };
+    return requestTranscription(target, wavBuffer);
+}
 
-        // Build multipart form data
-        const formDataParts = [];
+/**
+ * Send audio to an OpenAI-compatible /audio/transcriptions server (local whisper, faster-whisper-server, LocalAI...)
+ */
+async function transcribeWithOpenAICompatible(wavBuffer, options = {}) {
+    const settings = getSttSettings('openai-compatible');
+    if (!settings.baseUrl) {
+        throw new Error('Speech-to-text endpoint not configured');
+    }
+
+    const target = {
+        endpoint: `${settings.baseUrl}/audio/transcriptions`,
+        apiKey: settings.apiKey,
+        model: settings.model,
+        language: settings.language,
+        timeoutMs: settings.timeoutMs,
+        providerName: 'Local STT',
+        signal: options.signal,
+    };
+    return requestTranscription(target, wavBuffer);
+}
+
+/**
+ * POST a WAV buffer to any OpenAI-style /audio/transcriptions endpoint
+ * target: { endpoint, apiKey, model, language, timeoutMs, providerName, signal }
+ */
+function requestTranscription(target, wavBuffer) {
+    return new Promise((resolve, reject) => {
+        const boundary = '----FormBoundary' + Math.random().toString(36).substring(2);
 
-        formDataParts.push(
-            `--${boundary}\r\n`,
-            `Content-Disposition: form-data; name="file"; filename="audio.wav"\r\n`,
+        const filePartHeader = Buffer.from(
+            `--${boundary}\r\n` +
+            `Content-Disposition: form-data; name="file"; filename="audio.wav"\r\n` +
             `Content-Type: audio/wav\r\n\r\n`
         );
 
-        const filePartHeader = Buffer.from(formDataParts.join(''));
+        // Text fields after the file: model, optional language hint, JSON response
+        const fields = { model: target.model, response_format: 'json' };
+        if (target.language) {
+            fields.language = target.language;
+        }
+        let fieldParts = '';
+        for (const [name, value] of Object.entries(fields)) {
+            fieldParts +=
+                `\r\n--${boundary}\r\n` +
+                `Content-Disposition: form-data; name="${name}"\r\n\r\n` +
+                `${value}`;
+        }
+        const closingPart = Buffer.from(`${fieldParts}\r\n--${boundary}--\r\n`);
 
-        const modelPart = Buffer.from(
-            `\r\n--${boundary}\r\n` +
-            `Content-Disposition: form-data; name="model"\r\n\r\n` +
-            `${WHISPER_MODEL}\r\n` +
-            `--${boundary}--\r\n`
-        );
+        const requestBody = Buffer.concat([filePartHeader, wavBuffer, closingPart]);
 
-        const requestBody = Buffer.concat([filePartHeader, wavBuffer, modelPart]);
+        let url;
+        try {
+            url = new URL(target.endpoint);
+        } catch (e) {
+            reject(new Error(`Invalid endpoint URL: ${target.endpoint}`));
+            return;
+        }
+        const isPlainHttp = url.protocol === 'http:';
 
-        const url = new URL(`${GROQ_API_BASE}/audio/transcriptions`);
+        const headers = {
+            'Content-Type': `multipart/form-data; boundary=${boundary}`,
+            'Content-Length': requestBody.length
+        };
+        if (target.apiKey) {
+            headers['Authorization'] = `Bearer ${target.apiKey}`;
+        }
 
         const options = {
             hostname: url.hostname,
-            port: 443,
-            path: url.pathname,
+            port: url.port || (isPlainHttp ? 80 : 443),
+            path: url.pathname + url.search,
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${groqApiKey}`,
-                'Content-Type': `multipart/form-data; boundary=${boundary}`,
-                'Content-Length': requestBody.length
-            }
+            headers,
+            // Aborted by the request executor when the call outlives its deadline
+            signal: target.signal,
         };
 
-        const req = https.request(options, (res) => {
+        let timedOut = false;
+
+        const req = (isPlainHttp ? http : https).request(options, (res) => {
             let data = '';
 
             res.on('data', (chunk) => {
@@ -389,40 +528,33 @@ async function transcribeWithGroq(wavBuffer) {
                     try {
                         const response = JSON.parse(data);
                         const transcription = response.text || '';
-                        console.log(`[GROQ WHISPER] Transcription: ${transcription.length} chars`);
+                        console.log(`[GROQ WHISPER] Transcription (${target.providerName}): ${transcription.length} chars`);
                         resolve(transcription);
                     } catch (e) {
                         console.error('[GROQ] Failed to parse response:', e);
                         reject(e);
                     }
                 } else {
-                    console.error('[GROQ] Whisper API Error:', res.statusCode, data);
-                    // Handle specific error codes like Gemini does - user-friendly messages
-                    if (res.statusCode === 401) {
-                        sendToRenderer('update-status', 'Invalid API Key (Groq)');
-                        reject(new Error('Invalid API Key (Groq)'));
-                    } else if (res.statusCode === 429) {
-                        const rateLimit = parseRateLimitError(data);
-                        scheduleRateLimitRecovery(rateLimit.statusMessage, rateLimit.recoveryMs);
-                        reject(new Error(rateLimit.statusMessage));
-                    } else if (res.statusCode === 413) {
-                        sendToRenderer('update-status', 'Audio too long');
-                        reject(new Error('Audio too long'));
-                    } else if (res.statusCode === 400) {
-                        sendToRenderer('update-status', 'Invalid request');
-                        reject(new Error('Invalid request'));
-                    } else if (res.statusCode >= 500) {
-                        sendToRenderer('update-status', 'Server error');
-                        reject(new Error('Server error'));
-                    } else {
-                        sendToRenderer('update-status', 'Connection error');
-                        reject(new Error('Connection error'));
-                    }
+                    console.error(`[GROQ] Whisper API Error (${target.providerName}):`, res.statusCode, data);
+                    reject(createHttpError(res, data, target.providerName, 'Audio too long'));
                 }
             });
         });
 
+        // Local whisper servers can be slow on CPU - each backend has its own timeout
+        req.setTimeout(target.timeoutMs, () => {
+            timedOut = true;
+            req.destroy();
+        });
+
         req.on('error', (e) => {
+            if (timedOut) {
+                console.error(`[GROQ] Transcription timed out after ${target.timeoutMs}ms (${target.providerName})`);
+                sendToRenderer('update-status', 'Transcription timeout');
+                // Not retried - a slow backend would only stall the next question too
+                reject(createProviderError('Transcription timeout', { code: 'ETIMEDOUT', retryable: false, statusShown: true }));
+                return;
+            }
             console.error('[GROQ] Request error:', e);
             reject(e);
         });
@@ -432,17 +564,196 @@ async function transcribeWithGroq(wavBuffer) {
     });
 }
 
+/**
+ * Groq's id for a model; a model the registry doesn't know (e.g. a models.json entry without providerModelId) is an error
+ */
+function getGroqModelId(model) {
+    const modelId = getProviderModelId(model);
+    if (!modelId) {
+        console.error(`[GROQ] Unknown model "${model}" - add it to models.json with its providerModelId`);
+        sendToRenderer('update-status', `Unknown model: ${model}`);
+        throw createProviderError(`Unknown model "${model}"`, { retryable: false, statusShown: true });
+    }
+    return modelId;
+}
+
 /**
  * Send chat completion request to Groq Llama model
  */
 async function chatWithLlama(userMessage, model = 'llama-4-maverick', imageData = null, options = {}) {
+    if (!groqApiKey) {
+        throw new Error('Groq API key not initialized');
+    }
+
+    const target = {
+        endpoint: `${GROQ_API_BASE}/chat/completions`,
+        apiKey: groqApiKey,
+        modelId: getGroqModelId(model),
+        providerName: 'Groq',
+    };
+    return requestChatCompletion(target, userMessage, imageData, options);
+}
+
+/**
+ * Send chat completion request to an OpenAI-compatible server (llama.cpp, Ollama, vLLM, LM Studio...)
+ * Shares the system prompt and conversation history with the Groq flow
+ */
+async function chatWithOpenAICompatible(userMessage, model, imageData = null, options = {}) {
+    const { baseUrl, apiKey } = getOpenAICompatibleConfig();
+    if (!baseUrl) {
+        throw new Error('OpenAI-compatible endpoint not configured');
+    }
+
+    const target = {
+        endpoint: `${baseUrl}/chat/completions`,
+        apiKey,
+        modelId: getOpenAICompatibleModelId(model),
+        providerName: 'OpenAI-compatible',
+    };
+    return requestChatCompletion(target, userMessage, imageData, options);
+}
+
+/**
+ * One-off completion on Groq that leaves the live conversation alone (see requestCompletion)
+ * options.apiKey is used when the interview pipeline hasn't been initialized
+ */
+async function completeWithLlama(systemPrompt, userMessage, model = 'llama-4-maverick', options = {}) {
+    const apiKey = options.apiKey || groqApiKey;
+    if (!apiKey) {
+        throw createProviderError('Groq API key not configured', { retryable: false });
+    }
+
+    const target = {
+        endpoint: `${GROQ_API_BASE}/chat/completions`,
+        apiKey,
+        modelId: getGroqModelId(model),
+        providerName: 'Groq',
+    };
+    return requestCompletion(target, systemPrompt, userMessage, options);
+}
+
+/**
+ * One-off completion on the OpenAI-compatible server (see requestCompletion)
+ */
+async function completeWithOpenAICompatible(systemPrompt, userMessage, model, options = {}) {
+    const { baseUrl, apiKey } = getOpenAICompatibleConfig();
+    if (!baseUrl) {
+        throw createProviderError('OpenAI-compatible endpoint not configured', { retryable: false });
+    }
+
+    const target = {
+        endpoint: `${baseUrl}/chat/completions`,
+        apiKey,
+        modelId: getOpenAICompatibleModelId(model),
+        providerName: 'OpenAI-compatible',
+    };
+    return requestCompletion(target, systemPrompt, userMessage, options);
+}
+
+/**
+ * Non-streaming completion for background work (e.g. meeting minutes).
+ * Unlike requestChatCompletion it uses its own system prompt and no history, and nothing is
+ * streamed to the assistant view, added to the conversation or archived.
+ * options: { maxTokens, temperature, timeoutMs, signal }
+ */
+function requestCompletion(target, systemPrompt, userMessage, options = {}) {
     return new Promise((resolve, reject) => {
-        if (!groqApiKey) {
-            reject(new Error('Groq API key not initialized'));
+        let url;
+        try {
+            url = new URL(target.endpoint);
+        } catch (e) {
+            reject(new Error(`Invalid endpoint URL: ${target.endpoint}`));
             return;
         }
+        const isPlainHttp = url.protocol === 'http:';
+
+        const requestBody = JSON.stringify({
+            model: target.modelId,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userMessage },
+            ],
+            temperature: options.temperature !== undefined ? options.temperature : 0.2,
+            max_tokens: options.maxTokens || 2048,
+            stream: false,
+        });
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(requestBody),
+        };
+        if (target.apiKey) {
+            headers['Authorization'] = `Bearer ${target.apiKey}`;
+        }
 
-        const modelId = LLAMA_MODELS[model] || LLAMA_MODELS['llama-4-maverick'];
+        const req = (isPlainHttp ? http : https).request(
+            {
+                hostname: url.hostname,
+                port: url.port || (isPlainHttp ? 80 : 443),
+                path: url.pathname + url.search,
+                method: 'POST',
+                headers,
+                signal: options.signal,
+            },
+            res => {
+                let body = '';
+                res.on('data', chunk => {
+                    body += chunk.toString();
+                });
+                res.on('end', () => {
+                    if (res.statusCode !== 200) {
+                        console.error(`[GROQ] Completion API Error (${target.providerName}):`, res.statusCode, body);
+                        reject(createHttpError(res, body, target.providerName, 'Transcript too large'));
+                        return;
+                    }
+                    try {
+                        const content = JSON.parse(body).choices?.[0]?.message?.content || '';
+                        console.log(`[GROQ] Completion (${target.providerName}): ${content.length} chars`);
+                        resolve(content);
+                    } catch (e) {
+                        reject(new Error(`Invalid completion response from ${target.providerName}`));
+                    }
+                });
+            }
+        );
+
+        let timedOut = false;
+        req.setTimeout(options.timeoutMs || COMPLETION_TIMEOUT_MS, () => {
+            timedOut = true;
+            req.destroy();
+        });
+
+        req.on('error', e => {
+            if (timedOut) {
+                console.error(`[GROQ] Completion request timed out (${target.providerName})`);
+                reject(createProviderError('Request timeout', { code: 'ETIMEDOUT' }));
+                return;
+            }
+            console.error('[GROQ] Completion request error:', e);
+            reject(e);
+        });
+
+        req.write(requestBody);
+        req.end();
+    });
+}
+
+/**
+ * Write a finished exchange to the session archive (the prompt keeps the time it was sent)
+ */
+function archiveExchange(target, userMessage, imageData, responseText, startedAt, extra = {}) {
+    const source = { provider: target.providerName, model: target.modelId };
+    recordSessionEvent('prompt', { text: userMessage, image: !!imageData, ...source }, startedAt);
+    recordSessionEvent('response', { text: responseText, ...source, ...extra });
+}
+
+/**
+ * Stream a chat completion from any OpenAI-style /chat/completions endpoint
+ * target: { endpoint, apiKey, modelId, providerName }
+ */
+function requestChatCompletion(target, userMessage, imageData = null, options = {}) {
+    return new Promise((resolve, reject) => {
+        const modelId = target.modelId;
         const historyLimit =
             options.historyLimit !== undefined
                 ? options.historyLimit
@@ -532,53 +843,121 @@ async function chatWithLlama(userMessage, model = 'llama-4-maverick', imageData
             console.log(`[GROQ] Trimmed request size: ${requestSizeKB}KB`);
         }
 
-        const url = new URL(`${GROQ_API_BASE}/chat/completions`);
+        let url;
+        try {
+            url = new URL(target.endpoint);
+        } catch (e) {
+            reject(new Error(`Invalid endpoint URL: ${target.endpoint}`));
+            return;
+        }
+        const isPlainHttp = url.protocol === 'http:';
 
-        const options = {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(requestBody)
+        };
+        // Local servers (llama.cpp, Ollama) usually run without auth
+        if (target.apiKey) {
+            headers['Authorization'] = `Bearer ${target.apiKey}`;
+        }
+
+        const requestOptions = {
             hostname: url.hostname,
-            port: 443,
-            path: url.pathname,
+            port: url.port || (isPlainHttp ? 80 : 443),
+            path: url.pathname + url.search,
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${groqApiKey}`,
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(requestBody)
-            }
+            headers,
+            signal: options.signal,
         };
 
         let responseText = '';
         let rawErrorBody = '';
+        let sseBuffer = ''; // Holds a partial SSE line until the rest arrives in the next chunk
+        let cancelled = false;
+        const requestStartedAt = Date.now();
+
+        const generationId = ++generationCounter;
+        const generation = {
+            id: generationId,
+            cancel: () => {
+                cancelled = true;
+                finishGeneration();
+                req.destroy();
+                // Keep whatever was generated so far on screen, but don't add it to history
+                console.log(`[GROQ] Generation cancelled after ${responseText.length} chars`);
+                if (responseText) {
+                    sendToRenderer('update-response', responseText);
+                    archiveExchange(target, userMessage, imageData, responseText, requestStartedAt, { cancelled: true });
+                }
+                sendToRenderer('update-status', 'Response cancelled');
+                resolve(responseText);
+            },
+        };
+        activeGeneration = generation;
+        const finishGeneration = () => {
+            if (activeGeneration === generation) {
+                activeGeneration = null;
+            }
+        };
+
+        const handleSseLine = (line) => {
+            if (!line.startsWith('data: ')) return;
+            const data = line.slice(6).trim();
+            if (data === '[DONE]') return;
+            try {
+                const parsed = JSON.parse(data);
+                const content = parsed.choices?.[0]?.delta?.content;
+                if (content) {
+                    responseText += content;
+                    // Forward only the new tokens - the renderer appends them to the growing response
+                    sendToRenderer('response-delta', { id: generationId, delta: content });
+                }
+            } catch (e) {
+                // Skip invalid JSON lines
+            }
+        };
 
-        const req = https.request(options, (res) => {
+        const req = (isPlainHttp ? http : https).request(requestOptions, (res) => {
             res.on('data', (chunk) => {
+                if (cancelled) return;
                 if (res.statusCode !== 200) {
                     // Accumulate error response body for detailed error messages
                     rawErrorBody += chunk.toString();
                     return;
                 }
-                const lines = chunk.toString().split('\n');
+                sseBuffer += chunk.toString();
+                const lines = sseBuffer.split('\n');
+                sseBuffer = lines.pop();
                 for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (data === '[DONE]') continue;
-                        try {
-                            const parsed = JSON.parse(data);
-                            const content = parsed.choices?.[0]?.delta?.content;
-                            if (content) {
-                                responseText += content;
-                                // Stream to renderer
-                                sendToRenderer('update-response', responseText);
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON lines
-                        }
-                    }
+                    handleSseLine(line);
+                }
+            });
+
+            // Destroying the request or losing the connection mid-stream surfaces as an aborted response;
+            // neither the request's 'error' nor the response's 'end' follows, so this has to settle the promise
+            res.on('error', e => {
+                finishGeneration();
+                if (cancelled) return; // Already settled by cancel()
+                // Once part of the answer is on screen, a retry would start over as a second response
+                if (timedOut) {
+                    console.error(`[GROQ] Chat stream stalled (${target.providerName})`);
+                    sendToRenderer('update-status', 'Request timeout');
+                    reject(createProviderError('Request timeout', { code: 'ETIMEDOUT', retryable: !responseText, statusShown: true }));
+                    return;
                 }
+                console.error(`[GROQ] Chat stream interrupted (${target.providerName}):`, e.code || e.message);
+                reject(createProviderError('Connection lost', { code: e.code || 'ECONNRESET', retryable: !responseText }));
             });
 
             res.on('end', () => {
+                finishGeneration();
+                if (cancelled) return;
+                if (sseBuffer) {
+                    handleSseLine(sseBuffer);
+                    sseBuffer = '';
+                }
                 if (res.statusCode === 200 && responseText) {
-                    console.log(`[GROQ LLAMA] Response: ${responseText.length} chars`);
+                    console.log(`[GROQ LLAMA] Response (${target.providerName}): ${responseText.length} chars`);
 
                     // Save to conversation history
                     conversationHistory.push({
@@ -593,38 +972,37 @@ async function chatWithLlama(userMessage, model = 'llama-4-maverick', imageData
                         conversationHistory = conversationHistory.slice(-10);
                     }
 
+                    archiveExchange(target, userMessage, imageData, responseText, requestStartedAt);
+
+                    // Final full text replaces the streamed deltas in the renderer
+                    sendToRenderer('update-response', responseText);
                     sendToRenderer('update-status', 'Listening...');
                     resolve(responseText);
                 } else if (res.statusCode !== 200) {
-                    console.error('[GROQ] Chat API Error:', res.statusCode, rawErrorBody);
-                    // Handle specific error codes like Gemini does
-                    if (res.statusCode === 401) {
-                        sendToRenderer('update-status', 'Invalid API Key (Groq)');
-                        reject(new Error('Invalid API Key (Groq)'));
-                    } else if (res.statusCode === 429) {
-                        const rateLimit = parseRateLimitError(rawErrorBody);
-                        scheduleRateLimitRecovery(rateLimit.statusMessage, rateLimit.recoveryMs);
-                        reject(new Error(rateLimit.statusMessage));
-                    } else if (res.statusCode === 413) {
-                        sendToRenderer('update-status', 'Request too large');
-                        reject(new Error('Request too large'));
-                    } else if (res.statusCode === 400) {
-                        sendToRenderer('update-status', 'Invalid request');
-                        reject(new Error('Invalid request'));
-                    } else if (res.statusCode >= 500) {
-                        sendToRenderer('update-status', 'Server error');
-                        reject(new Error('Server error'));
-                    } else {
-                        sendToRenderer('update-status', 'Connection error');
-                        reject(new Error('Connection error'));
-                    }
+                    console.error(`[GROQ] Chat API Error (${target.providerName}):`, res.statusCode, rawErrorBody);
+                    reject(createHttpError(res, rawErrorBody, target.providerName, 'Request too large'));
                 } else {
                     resolve(responseText);
                 }
             });
         });
 
+        // Socket idle timeout - covers both a slow first token and a stalled stream
+        let timedOut = false;
+        req.setTimeout(options.timeoutMs || CHAT_TIMEOUT_MS, () => {
+            timedOut = true;
+            req.destroy();
+        });
+
         req.on('error', (e) => {
+            finishGeneration();
+            if (cancelled) return; // Already settled by cancel()
+            if (timedOut) {
+                console.error(`[GROQ] Chat request timed out (${target.providerName})`);
+                sendToRenderer('update-status', 'Request timeout');
+                reject(createProviderError('Request timeout', { code: 'ETIMEDOUT', statusShown: true }));
+                return;
+            }
             console.error('[GROQ] Chat request error:', e);
             reject(e);
         });
@@ -635,304 +1013,178 @@ async function chatWithLlama(userMessage, model = 'llama-4-maverick', imageData
 }
 
 /**
- * Add audio chunk to buffer with speech detection
+ * Abort the in-flight chat generation, if any (bound to the cancel keybind)
  */
-function addAudioChunk(pcmBuffer) {
-    const chunkRMS = calculateRMS(pcmBuffer);
-    const now = Date.now();
-    const isSpeechChunk = chunkRMS >= SPEECH_RMS_THRESHOLD;
-
-    if (isSpeechChunk) {
-        // Speech detected!
-        if (!isSpeaking) {
-            // Speech just started - add context buffer first
-            if (contextBuffer.length > 0) {
-                speechBuffer.push(...contextBuffer);
-                contextBuffer = [];
-            }
-            isSpeaking = true;
-            console.log(`[GROQ] Speech started (RMS: ${chunkRMS.toFixed(0)})`);
-        }
-        // Add speech chunk to buffer
-        speechBuffer.push(pcmBuffer);
-        lastSpeechTime = now;
-    } else {
-        // Silence or low audio
-        if (isSpeaking) {
-            // Was speaking, now silence - add some post-speech context
-            const timeSinceSpeech = now - lastSpeechTime;
-            if (timeSinceSpeech < POST_SPEECH_CONTEXT_MS) {
-                // Still in post-speech window, keep adding
-                speechBuffer.push(pcmBuffer);
-            } else {
-                // Post-speech context complete
-                isSpeaking = false;
-            }
-        } else {
-            // Pure silence - add to rolling context buffer (trim to max size)
-            contextBuffer.push(pcmBuffer);
-            while (contextBuffer.length > MAX_CONTEXT_CHUNKS) {
-                contextBuffer.shift();
-            }
+function cancelActiveGeneration() {
+    if (!activeGeneration) {
+        return false;
+    }
+    console.log(`[GROQ] Cancelling generation ${activeGeneration.id}`);
+    activeGeneration.cancel();
+    return true;
+}
+
+/**
+ * Add audio chunk to its source's segmenter; finished utterances are transcribed in order
+ * source: 'system' (loopback, the other participants) or 'mic' (the user)
+ */
+function addAudioChunk(pcmBuffer, source = 'system') {
+    const channel = getAudioChannel(source);
+    const wasSpeaking = channel.segmenter.speaking;
+    channel.lastChunkAt = Date.now();
+    const { isSpeech, segments } = channel.segmenter.push(pcmBuffer);
+
+    if (isSpeech) {
+        // Talk/listen time for the sales scorecard (no-op outside sales calls)
+        recordAudioActivity(channel.source, (pcmBuffer.length / (SAMPLE_RATE * BYTES_PER_SAMPLE)) * 1000);
+        if (!wasSpeaking) {
+            console.log(`[GROQ] Speech started on ${channel.source}`);
         }
     }
+    segments.forEach(segment => {
+        console.log(`[GROQ] ${channel.source} utterance ended (${(segment.durationMs / 1000).toFixed(1)}s) - transcribing...`);
+        queueSegment(channel, segment);
+    });
 
     // Start periodic check timer if we have speech and timer not running
-    if (speechBuffer.length > 0 && !checkTimer) {
-        checkTimer = setInterval(() => {
-            checkAndFlush();
+    if (channel.segmenter.hasSegment() && !channel.checkTimer) {
+        channel.checkTimer = setInterval(() => {
+            checkAndFlush(channel);
         }, CHECK_INTERVAL_MS);
     }
 }
 
 /**
- * Check if we should flush the speech buffer
+ * End a channel's speech once no audio has arrived for the silence window (push-to-talk mode where the mic turns off)
  */
-async function checkAndFlush() {
-    if (isProcessing || speechBuffer.length === 0) {
-        return;
-    }
-
-    const now = Date.now();
-    const timeSinceSpeech = now - lastSpeechTime;
-    const speechBytes = speechBuffer.reduce((sum, buf) => sum + buf.length, 0);
-    const speechDuration = speechBytes / (SAMPLE_RATE * BYTES_PER_SAMPLE);
-
-    // Time-based speech end detection (handles push-to-talk mode where mic turns off)
-    // If enough time has passed since last speech, mark speaking as ended
-    if (isSpeaking && timeSinceSpeech >= SILENCE_AFTER_SPEECH_MS) {
-        console.log(`[GROQ] No audio for ${(timeSinceSpeech/1000).toFixed(1)}s - marking speech ended`);
-        isSpeaking = false;
-    }
-
-    // Log status occasionally
-    if (speechDuration >= 1) {
-        console.log(`[GROQ] Speech buffer: ${speechDuration.toFixed(1)}s | Silence: ${(timeSinceSpeech/1000).toFixed(1)}s | Speaking: ${isSpeaking}`);
-    }
-
-    // Flush conditions:
-    // 1. Have enough audio AND sustained silence after speech
-    // 2. Buffer too large (>20s) - force flush
-    const shouldFlush =
-        (speechDuration >= MIN_AUDIO_DURATION_SECONDS && timeSinceSpeech >= SILENCE_AFTER_SPEECH_MS && !isSpeaking) ||
-        (speechDuration > 20);
-
-    if (shouldFlush) {
-        if (speechDuration > 20) {
-            console.log(`[GROQ] Buffer large (${speechDuration.toFixed(1)}s) - flushing...`);
-        } else {
-            console.log(`[GROQ] Speech ended ${(timeSinceSpeech/1000).toFixed(1)}s ago - flushing...`);
+function checkAndFlush(channel) {
+    const timeSinceAudio = Date.now() - channel.lastChunkAt;
+    if (channel.segmenter.hasSegment() && timeSinceAudio >= segmentationSettings.silenceAfterSpeechMs) {
+        console.log(`[GROQ] No ${channel.source} audio for ${(timeSinceAudio / 1000).toFixed(1)}s - ending speech`);
+        const segment = channel.segmenter.finish();
+        if (segment) {
+            queueSegment(channel, segment);
         }
-        await processAudioBuffer();
     }
 
     // Stop timer if no more speech
-    if (speechBuffer.length === 0 && checkTimer) {
-        clearInterval(checkTimer);
-        checkTimer = null;
+    if (!channel.segmenter.hasSegment() && channel.checkTimer) {
+        clearInterval(channel.checkTimer);
+        channel.checkTimer = null;
     }
 }
 
 /**
- * Process accumulated audio buffer: transcribe with Whisper, then send to Llama
+ * Transcribe (and maybe answer) a finished segment after the ones already queued on its channel
  */
-async function processAudioBuffer(model = null) {
-    if (isProcessing || speechBuffer.length === 0) {
-        return null;
-    }
-
-    // Use provided model or stored model
+function queueSegment(channel, segment, model = null) {
     const chatModel = model || selectedLlamaModel;
-
-    // Calculate total duration
-    const totalBytes = speechBuffer.reduce((sum, buf) => sum + buf.length, 0);
-    const totalDuration = totalBytes / (SAMPLE_RATE * BYTES_PER_SAMPLE);
-
-    if (totalDuration < MIN_AUDIO_DURATION_SECONDS) {
-        console.log(`[GROQ] Audio buffer too short (${totalDuration.toFixed(2)}s), waiting for more audio...`);
-        return null;
-    }
-
-    isProcessing = true;
-    sendToRenderer('update-status', 'Transcribing...');
-
-    try {
-        // Combine all audio chunks
-        const combinedPcm = Buffer.concat(speechBuffer);
-        speechBuffer = [];
-
-        // Check audio energy
-        const rms = calculateRMS(combinedPcm);
-        console.log(`[GROQ] Audio RMS: ${rms.toFixed(0)}, threshold: ${SILENCE_RMS_THRESHOLD}`);
-
-        if (rms < SILENCE_RMS_THRESHOLD) {
-            console.log(`[GROQ] Audio too quiet (RMS: ${rms.toFixed(0)}), likely silence - skipping`);
-            isProcessing = false;
-            sendToRenderer('update-status', 'Listening...');
-            return null;
-        }
-
-        console.log(`\n[GROQ] Processing ${totalDuration.toFixed(2)}s of audio (RMS: ${rms.toFixed(0)})...`);
-
-        // Step 1: Transcribe with Whisper
-        const wavBuffer = pcmToWav(combinedPcm);
-        const screenCapturePromise = captureCurrentScreenBase64();
-        const transcription = await transcribeWithGroq(wavBuffer);
-
-        if (!transcription || !transcription.trim()) {
-            console.log('[GROQ] Empty transcription, skipping chat');
-            isProcessing = false;
-            sendToRenderer('update-status', 'Listening...');
-            return null;
-        }
-
-        const screenContext = await screenCapturePromise;
-        const hasScreenContext = !!screenContext;
-
-        if (!isLikelyQuestionTranscription(transcription)) {
-            console.log('[GROQ] Skipping non-question speech segment');
-            sendToRenderer('groq-transcription', transcription);
-            sendToRenderer('update-status', 'Listening...');
-            isSpeaking = false;
-            lastSpeechTime = 0;
+    const timing = getSegmentTiming(channel, segment);
+    const result = channel.queue.then(async () => {
+        sendToRenderer('update-status', 'Transcribing...');
+        try {
+            return await transcribeAndRespond(channel, segment.pcm, chatModel, timing);
+        } catch (error) {
+            console.error('[GROQ] Error processing audio:', error);
+            // Only update status if it's not already showing a user-friendly error
+            if (!isUserFriendlyError(error)) {
+                sendToRenderer('update-status', 'Processing failed');
+            }
             return null;
         }
-
-        const fusedPrompt = buildVoiceAndScreenPrompt(transcription, hasScreenContext);
-
-        // Send transcription to renderer
-        sendToRenderer('groq-transcription', transcription);
-        sendToRenderer('update-status', hasScreenContext ? 'Analyzing screen + question...' : 'Generating...');
-
-        // Step 2: Send transcription to chat model for response
-        let response;
-        if (chatModel === 'gemini-2.5-flash-lite') {
-            response = await chatWithGeminiText(fusedPrompt, screenContext || null);
-        } else {
-            response = await chatWithLlama(fusedPrompt, chatModel, screenContext || null, {
-                maxTokens: VOICE_FAST_MAX_TOKENS,
-                historyLimit: hasScreenContext ? VOICE_HISTORY_LIMIT_WITH_SCREEN : VOICE_HISTORY_LIMIT_TEXT_ONLY,
-            });
-        }
-
-        // Reset speech tracking state
-        isSpeaking = false;
-        lastSpeechTime = 0;
-
-        return { transcription, response };
-    } catch (error) {
-        console.error('[GROQ] Error processing audio:', error);
-        // Only update status if it's not already showing a user-friendly error
-        if (!['Invalid API Key (Groq)', 'Invalid API Key (Gemini)', 'API Quota Exceeded', 'Audio too long', 'Request too large', 'Server error', 'Connection error', 'Invalid request'].includes(error.message) && !error.message.startsWith('Rate Limit:')) {
-            sendToRenderer('update-status', 'Processing failed');
-        }
-        isSpeaking = false;
-        lastSpeechTime = 0;
-        return null;
-    } finally {
-        isProcessing = false;
-    }
+    });
+    channel.queue = result;
+    return result;
 }
 
 /**
- * Force process the current audio buffer (called when VAD detects end of speech)
+ * Transcribe a channel's speech and label it with its speaker. Only questions from the
+ * other participants are answered - the user's own lines are context for later answers.
+ * timing: { startedAt, endedAt } - when the speech was spoken, for captions
  */
-async function flushAudioBuffer(model = null) {
-    if (speechBuffer.length === 0) {
+async function transcribeAndRespond(channel, combinedPcm, chatModel, timing) {
+    const wavBuffer = pcmToWav(combinedPcm);
+    const answersQuestions = channel.source === 'system' && !captionsOnly;
+    const screenCapturePromise = answersQuestions ? captureCurrentScreenBase64() : Promise.resolve(null);
+    const transcription = await transcribeAudio(wavBuffer);
+
+    if (!transcription || !transcription.trim()) {
+        console.log(`[GROQ] Empty transcription (${channel.source}), skipping chat`);
+        sendToRenderer('update-status', 'Listening...');
         return null;
     }
-
-    // Cancel any pending check timer
-    if (checkTimer) {
-        clearInterval(checkTimer);
-        checkTimer = null;
-    }
-
-    const totalBytes = speechBuffer.reduce((sum, buf) => sum + buf.length, 0);
-    const totalDuration = totalBytes / (SAMPLE_RATE * BYTES_PER_SAMPLE);
-
-    // Need at least 0.5 seconds for meaningful transcription
-    // VAD triggered this flush, so we trust the end-of-speech detection
-    if (totalDuration < 0.5) {
-        // Too short - silently discard
-        speechBuffer = [];
-        contextBuffer = [];
+    recordSessionEvent('transcript', {
+        text: transcription,
+        speaker: channel.speaker,
+        source: channel.source,
+        startedAt: new Date(timing.startedAt).toISOString(),
+        endedAt: new Date(timing.endedAt).toISOString(),
+    });
+    recordCallUtterance({ source: channel.source, speaker: channel.speaker, text: transcription, ts: timing.endedAt });
+    recordNegotiationUtterance({ source: channel.source, speaker: channel.speaker, text: transcription, ts: timing.endedAt });
+    const earlierUtterances = getRecentUtterances();
+    rememberUtterance(channel.speaker, transcription);
+    sendToRenderer('groq-transcription', { text: transcription, speaker: channel.speaker, source: channel.source, ...timing });
+
+    if (!answersQuestions || !isLikelyQuestionTranscription(transcription)) {
+        console.log(`[GROQ] Skipping ${answersQuestions ? 'non-question' : captionsOnly ? 'captioned' : 'own'} speech segment`);
+        sendToRenderer('update-status', 'Listening...');
         return null;
     }
 
-    // Use provided model or stored model
-    const chatModel = model || selectedLlamaModel;
-
-    isProcessing = true;
-    sendToRenderer('update-status', 'Transcribing...');
-    console.log(`\n[GROQ] Flush processing ${totalDuration.toFixed(2)}s of audio...`);
-
-    try {
-        const combinedPcm = Buffer.concat(speechBuffer);
-        speechBuffer = [];
-        contextBuffer = [];
-
-        const wavBuffer = pcmToWav(combinedPcm);
-        const screenCapturePromise = captureCurrentScreenBase64();
-        const transcription = await transcribeWithGroq(wavBuffer);
-
-        if (!transcription || !transcription.trim()) {
-            console.log('[GROQ] Empty transcription from flush');
-            isProcessing = false;
-            sendToRenderer('update-status', 'Listening...');
-            return null;
-        }
-
-        const screenContext = await screenCapturePromise;
-        const hasScreenContext = !!screenContext;
-
-        if (!isLikelyQuestionTranscription(transcription)) {
-            console.log('[GROQ] Skipping non-question speech segment (flush)');
-            sendToRenderer('groq-transcription', transcription);
-            sendToRenderer('update-status', 'Listening...');
-            isSpeaking = false;
-            lastSpeechTime = 0;
-            return null;
-        }
+    const screenContext = await screenCapturePromise;
+    const hasScreenContext = !!screenContext;
+    const fusedPrompt = buildVoiceAndScreenPrompt(transcription, hasScreenContext, earlierUtterances, findKnowledgePassages(transcription));
+    sendToRenderer('update-status', hasScreenContext ? 'Analyzing screen + question...' : 'Generating...');
 
-        const fusedPrompt = buildVoiceAndScreenPrompt(transcription, hasScreenContext);
+    // Send transcription to the chat provider that owns the model
+    const response = await chatWithModel(fusedPrompt, chatModel, screenContext || null, {
+        maxTokens: VOICE_FAST_MAX_TOKENS,
+        historyLimit: hasScreenContext ? VOICE_HISTORY_LIMIT_WITH_SCREEN : VOICE_HISTORY_LIMIT_TEXT_ONLY,
+    });
+    return { transcription, response };
+}
 
-        sendToRenderer('groq-transcription', transcription);
-        sendToRenderer('update-status', hasScreenContext ? 'Analyzing screen + question...' : 'Generating...');
+/**
+ * End a channel's buffered speech now and transcribe it, if it is long and loud enough to be an utterance
+ */
+async function processAudioBuffer(model = null, source = 'system') {
+    const channel = getAudioChannel(source);
+    const segment = channel.segmenter.finish();
+    if (!segment) {
+        return null;
+    }
+    console.log(`\n[GROQ] Processing ${(segment.durationMs / 1000).toFixed(2)}s of ${channel.source} audio (RMS: ${segment.rms.toFixed(0)})...`);
+    return await queueSegment(channel, segment, model);
+}
 
-        // Send transcription to chat model for response
-        let response;
-        if (chatModel === 'gemini-2.5-flash-lite') {
-            response = await chatWithGeminiText(fusedPrompt, screenContext || null);
-        } else {
-            response = await chatWithLlama(fusedPrompt, chatModel, screenContext || null, {
-                maxTokens: VOICE_FAST_MAX_TOKENS,
-                historyLimit: hasScreenContext ? VOICE_HISTORY_LIMIT_WITH_SCREEN : VOICE_HISTORY_LIMIT_TEXT_ONLY,
-            });
-        }
+/**
+ * Force process a channel's audio buffer (called when VAD detects end of speech)
+ */
+async function flushAudioBuffer(model = null, source = 'system') {
+    const channel = getAudioChannel(source);
 
-        // Reset state
-        isSpeaking = false;
-        lastSpeechTime = 0;
+    // Cancel any pending check timer
+    if (channel.checkTimer) {
+        clearInterval(channel.checkTimer);
+        channel.checkTimer = null;
+    }
 
-        return { transcription, response };
-    } catch (error) {
-        console.error('[GROQ] Error flushing audio:', error);
-        // Only update status if it's not already showing a user-friendly error
-        if (!['Invalid API Key (Groq)', 'Invalid API Key (Gemini)', 'API Quota Exceeded', 'Audio too long', 'Request too large', 'Server error', 'Connection error', 'Invalid request'].includes(error.message) && !error.message.startsWith('Rate Limit:')) {
-            sendToRenderer('update-status', 'Processing failed');
-        }
+    // Very short audio is discarded - VAD triggered this flush, so we trust the end-of-speech detection
+    const segment = channel.segmenter.flush();
+    if (!segment) {
         return null;
-    } finally {
-        isProcessing = false;
     }
+    console.log(`\n[GROQ] Flush processing ${(segment.durationMs / 1000).toFixed(2)}s of ${channel.source} audio...`);
+    return await queueSegment(channel, segment, model);
 }
 
 /**
  * Send screenshot + text to Llama for analysis
  */
 async function analyzeWithLlama(text, imageData, model = 'llama-4-maverick', options = {}) {
-    if (!groqApiKey) {
+    // Only Groq-hosted models need the Groq key - local/Gemini models have their own config
+    if (getProviderForModel(model).id === 'groq' && !groqApiKey) {
         console.error('[GROQ] No API key initialized');
         sendToRenderer('update-status', 'No API Key Found');
         return null;
@@ -948,19 +1200,13 @@ async function analyzeWithLlama(text, imageData, model = 'llama-4-maverick', opt
             finalText = `${text} (Remember: Respond in ${storedLanguageName})`;
         }
 
-        let response;
-        if (model === 'gemini-2.5-flash-lite') {
-            // Route to Gemini for screenshot analysis
-            response = await chatWithGeminiText(finalText, imageData);
-        } else {
-            response = await chatWithLlama(finalText, model, imageData, options);
-        }
+        const response = await chatWithModel(finalText, model, imageData, options);
         // Status will be set to 'Listening...' / 'Ready' by the respective handler
         return response;
     } catch (error) {
         console.error('[GROQ] Error analyzing:', error);
         // Only update status if it's not already showing a user-friendly error
-        if (!['Invalid API Key (Groq)', 'Invalid API Key (Gemini)', 'API Quota Exceeded', 'Audio too long', 'Request too large', 'Server error', 'Connection error', 'Invalid request'].includes(error.message) && !error.message.startsWith('Rate Limit:')) {
+        if (!isUserFriendlyError(error)) {
             sendToRenderer('update-status', 'Analysis failed');
         }
         return null;
@@ -968,20 +1214,34 @@ async function analyzeWithLlama(text, imageData, model = 'llama-4-maverick', opt
 }
 
 /**
- * Clear the audio buffer without processing
+ * Clear every channel's audio buffer without processing
  */
 function clearAudioBuffer() {
-    speechBuffer = [];
-    contextBuffer = [];
-    isSpeaking = false;
-    lastSpeechTime = 0;
-    if (checkTimer) {
-        clearInterval(checkTimer);
-        checkTimer = null;
-    }
+    Object.values(audioChannels).forEach(channel => {
+        channel.segmenter.reset();
+        if (channel.checkTimer) {
+            clearInterval(channel.checkTimer);
+            channel.checkTimer = null;
+        }
+    });
+    recentUtterances = [];
     console.log('[GROQ] Audio buffer cleared');
 }
 
+function getSegmentationSettings() {
+    return { ...segmentationSettings };
+}
+
+/**
+ * Apply segmentation settings from AdvancedView to every channel (missing values use the defaults)
+ */
+function updateSegmentationSettings(settings) {
+    segmentationSettings = normalizeSegmentationSettings(settings);
+    Object.values(audioChannels).forEach(channel => channel.segmenter.updateSettings(segmentationSettings));
+    console.log('[GROQ] Segmentation settings updated:', segmentationSettings);
+    return segmentationSettings;
+}
+
 /**
  * Clear conversation history
  */
@@ -991,11 +1251,10 @@ function clearConversationHistory() {
 }
 
 /**
- * Get current buffer duration in seconds
+ * Get current buffer duration of a source in seconds
  */
-function getBufferDuration() {
-    const totalBytes = speechBuffer.reduce((sum, buf) => sum + buf.length, 0);
-    return totalBytes / (SAMPLE_RATE * BYTES_PER_SAMPLE);
+function getBufferDuration(source = 'system') {
+    return getChannelDuration(getAudioChannel(source));
 }
 
 /**
@@ -1031,9 +1290,9 @@ function updateGenerationSettings(settings) {
  * Setup IPC handlers for Groq
  */
 function setupGroqIpcHandlers() {
-    ipcMain.handle('initialize-groq', async (event, apiKey, customPrompt = '', profile = 'interview', language = 'en-US', model = 'llama-4-maverick') => {
+    ipcMain.handle('initialize-groq', async (event, apiKey, customPrompt = '', profile = 'interview', language = 'en-US', model = 'llama-4-maverick', options = {}) => {
         try {
-            initializeGroq(apiKey, customPrompt, profile, language, model);
+            initializeGroq(apiKey, customPrompt, profile, language, model, options);
             return { success: true };
         } catch (error) {
             console.error('[GROQ] Initialization error:', error);
@@ -1041,10 +1300,10 @@ function setupGroqIpcHandlers() {
         }
     });
 
-    ipcMain.handle('groq-add-audio', async (event, { data }) => {
+    ipcMain.handle('groq-add-audio', async (event, { data, source = 'system' }) => {
         try {
             const pcmBuffer = Buffer.from(data, 'base64');
-            addAudioChunk(pcmBuffer);
+            addAudioChunk(pcmBuffer, source);
             return { success: true };
         } catch (error) {
             console.error('[GROQ] Add audio error:', error);
@@ -1052,10 +1311,10 @@ function setupGroqIpcHandlers() {
         }
     });
 
-    ipcMain.handle('groq-process-audio', async (event, model = 'llama-4-maverick') => {
+    ipcMain.handle('groq-process-audio', async (event, model = 'llama-4-maverick', source = 'system') => {
         try {
             selectedLlamaModel = model;
-            const result = await processAudioBuffer(model);
+            const result = await processAudioBuffer(model, source);
             return { success: true, result };
         } catch (error) {
             console.error('[GROQ] Process audio error:', error);
@@ -1063,10 +1322,10 @@ function setupGroqIpcHandlers() {
         }
     });
 
-    ipcMain.handle('groq-flush-audio', async (event, model = 'llama-4-maverick') => {
+    ipcMain.handle('groq-flush-audio', async (event, model = 'llama-4-maverick', source = 'system') => {
         try {
             selectedLlamaModel = model;
-            const result = await flushAudioBuffer(model);
+            const result = await flushAudioBuffer(model, source);
             return { success: true, result };
         } catch (error) {
             console.error('[GROQ] Flush audio error:', error);
@@ -1082,11 +1341,11 @@ function setupGroqIpcHandlers() {
     ipcMain.handle('groq-chat', async (event, { message, model, imageData }) => {
         try {
             // Add language reminder for non-English languages
-            let finalMessage = message;
+            let finalMessage = withKnowledgeContext(message);
             if (storedLanguageName !== 'English') {
-                finalMessage = `${message} (Remember: Respond in ${storedLanguageName})`;
+                finalMessage = `${finalMessage} (Remember: Respond in ${storedLanguageName})`;
             }
-            const response = await chatWithLlama(finalMessage, model, imageData);
+            const response = await chatWithModel(finalMessage, model || selectedLlamaModel, imageData);
             return { success: true, response };
         } catch (error) {
             console.error('[GROQ] Chat error:', error);
@@ -1094,9 +1353,10 @@ function setupGroqIpcHandlers() {
         }
     });
 
-    ipcMain.handle('groq-analyze-image', async (event, { text, imageData, model }) => {
+    // useKnowledgeBase: the text is the user's own question (not a canned screenshot prompt), so look it up in the knowledge base
+    ipcMain.handle('groq-analyze-image', async (event, { text, imageData, model, useKnowledgeBase = false }) => {
         try {
-            const response = await analyzeWithLlama(text, imageData, model);
+            const response = await analyzeWithLlama(useKnowledgeBase ? withKnowledgeContext(text) : text, imageData, model);
             return { success: true, response };
         } catch (error) {
             console.error('[GROQ] Analyze image error:', error);
@@ -1123,6 +1383,15 @@ function setupGroqIpcHandlers() {
         }
     });
 
+    ipcMain.handle('groq-update-segmentation-settings', async (event, settings) => {
+        try {
+            return { success: true, settings: updateSegmentationSettings(settings) };
+        } catch (error) {
+            console.error('[GROQ] Update segmentation settings error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
     console.log('[GROQ] IPC handlers registered');
 }
 
@@ -1130,8 +1399,14 @@ module.exports = {
     initializeGroq,
     pcmToWav,
     transcribeWithGroq,
+    transcribeWithOpenAICompatible,
     chatWithLlama,
+    chatWithOpenAICompatible,
+    completeWithLlama,
+    completeWithOpenAICompatible,
+    cancelActiveGeneration,
     analyzeWithLlama,
+    AUDIO_SOURCE_SPEAKERS,
     addAudioChunk,
     processAudioBuffer,
     flushAudioBuffer,
@@ -1139,9 +1414,11 @@ module.exports = {
     clearConversationHistory,
     getBufferDuration,
     isGroqInitialized,
+    parseRateLimitError,
     updateGenerationSettings,
+    getSegmentationSettings,
+    updateSegmentationSettings,
     getConversationHistory,
     setupGroqIpcHandlers,
-    sendToRenderer,
-    LLAMA_MODELS
+    sendToRenderer
 };
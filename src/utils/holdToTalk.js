@@ -0,0 +1,71 @@
+// holdToTalk.js - Press/release detection for the hold-to-talk global shortcut
+// Electron's globalShortcut only reports key presses, never the release. While a key combination is held the OS
+// repeats it (Windows, X11), so the key counts as held while repeats keep coming and as released once they stop.
+// Where a held shortcut is not repeated (macOS) there is nothing to time the release by: a press without repeats
+// latches the microphone on and the next press releases it (tap to latch, hold to talk).
+
+// Longer than the OS delay before the first repeat (250-500 ms by default on Windows and X11)
+const DEFAULT_REPEAT_DELAY_MS = 600;
+// Longer than the interval between repeats (~33 ms on Windows, 25-100 ms on X11)
+const DEFAULT_REPEAT_GAP_MS = 200;
+
+/**
+ * Track the shortcut's press callbacks and report onPress() once when it goes down and onRelease() when it comes up
+ * @returns {{ trigger: Function, release: Function, isHeld: Function }}
+ */
+function createHoldToTalk({ onPress, onRelease, repeatDelayMs = DEFAULT_REPEAT_DELAY_MS, repeatGapMs = DEFAULT_REPEAT_GAP_MS }) {
+    let held = false;
+    let repeated = false;
+    let latched = false;
+    let timer = null;
+
+    function arm(delayMs) {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            if (repeated) {
+                release();
+            } else {
+                latched = true;
+            }
+        }, delayMs);
+    }
+
+    function release() {
+        clearTimeout(timer);
+        timer = null;
+        if (!held) {
+            return;
+        }
+        held = false;
+        onRelease();
+    }
+
+    // Called for every press callback of the shortcut, auto-repeats included
+    function trigger() {
+        if (!held) {
+            held = true;
+            repeated = false;
+            latched = false;
+            onPress();
+            arm(repeatDelayMs);
+        } else if (latched) {
+            release();
+        } else {
+            repeated = true;
+            arm(repeatGapMs);
+        }
+    }
+
+    return {
+        trigger,
+        release,
+        isHeld: () => held,
+    };
+}
+
+module.exports = {
+    DEFAULT_REPEAT_DELAY_MS,
+    DEFAULT_REPEAT_GAP_MS,
+    createHoldToTalk,
+};
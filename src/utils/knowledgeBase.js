@@ -0,0 +1,473 @@
+// knowledgeBase.js - Local documents attached to a profile, searched with BM25 to ground answers
+// Each profile has one index file at <config dir>/knowledge/<profile>.json:
+//   { "documents": [{ "id": "...", "name": "pricing.md", "type": "markdown", "sourcePath": "...", "addedAt": "...", "chunkCount": 4 }],
+//     "chunks": [{ "documentId": "...", "text": "..." }] }
+// Only the extracted text is kept - nothing leaves the machine except the passages added to a prompt.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { ipcMain, dialog, BrowserWindow } = require('electron');
+const { getConfigDir } = require('../config');
+
+const KNOWLEDGE_DIR_NAME = 'knowledge';
+const PROFILE_PATTERN = /^[\w-]+$/;
+const DOCUMENT_TYPES = {
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'text',
+    '.csv': 'csv',
+    '.pdf': 'pdf',
+};
+const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
+
+// ~120 words is a few sentences: specific enough to rank well, long enough to carry a fact with its context
+const CHUNK_WORDS = 120;
+const CHUNK_OVERLAP_WORDS = 20;
+const DEFAULT_PASSAGE_LIMIT = 3;
+
+// BM25 parameters (the usual Okapi defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(
+    `a an and are as at be been but by can could did do does for from had has have how i if in into is it its me my no not of on or our
+    so than that the their them then there these they this to us was we were what when where which who whom why will with would you your`.split(/\s+/)
+);
+
+const indexCache = new Map(); // profile -> { entries, documentFrequency, averageLength }
+
+function getKnowledgeDir() {
+    return path.join(getConfigDir(), KNOWLEDGE_DIR_NAME);
+}
+
+function getIndexFilePath(profile) {
+    if (!PROFILE_PATTERN.test(String(profile))) {
+        throw new Error(`Invalid profile: ${profile}`);
+    }
+    return path.join(getKnowledgeDir(), `${profile}.json`);
+}
+
+function tokenize(text) {
+    return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * Split text into overlapping passages of about CHUNK_WORDS words, keeping paragraphs together where they fit
+ */
+function chunkText(text, chunkWords = CHUNK_WORDS, overlapWords = CHUNK_OVERLAP_WORDS) {
+    const paragraphs = String(text)
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.split(/\s+/).filter(Boolean))
+        .filter(words => words.length > 0);
+    const chunks = [];
+    let current = [];
+    for (const words of paragraphs) {
+        if (current.length > 0 && current.length + words.length > chunkWords) {
+            chunks.push(current.join(' '));
+            current = [];
+        }
+        if (words.length <= chunkWords) {
+            current.push(...words);
+            continue;
+        }
+        // A paragraph longer than a chunk is cut into overlapping windows
+        for (let start = 0; start < words.length; start += chunkWords - overlapWords) {
+            chunks.push(words.slice(start, start + chunkWords).join(' '));
+            if (start + chunkWords >= words.length) break;
+        }
+    }
+    if (current.length > 0) {
+        chunks.push(current.join(' '));
+    }
+    return chunks;
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * One paragraph per row with every value labelled by its column ("Plan: Team. Price: $20"),
+ * so a passage still makes sense without the header row
+ */
+function csvToText(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    return rows
+        .map(cells =>
+            cells
+                .map((cell, index) => (cell.trim() ? `${(header[index] || `Column ${index + 1}`).trim()}: ${cell.trim()}` : ''))
+                .filter(Boolean)
+                .join('. ')
+        )
+        .join('\n\n');
+}
+
+function readPdfLiteralString(content, start) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let value = '';
+    let depth = 0;
+    let i = start;
+    for (; i < content.length; i++) {
+        const char = content[i];
+        if (char === '\\') {
+            const next = content[++i];
+            if (escapes[next]) {
+                value += escapes[next];
+            } else if (/[0-7]/.test(next)) {
+                const octal = content.slice(i, i + 3).match(/^[0-7]{1,3}/)[0];
+                value += String.fromCharCode(parseInt(octal, 8));
+                i += octal.length - 1;
+            } else if (next !== '\n' && next !== '\r') {
+                value += next;
+            }
+        } else if (char === '(') {
+            if (depth > 0) value += char;
+            depth++;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) break;
+            value += char;
+        } else {
+            value += char;
+        }
+    }
+    return { value, end: i + 1 };
+}
+
+// Sticky, so content streams are scanned in place instead of slicing the rest of the stream at every token
+const PDF_NUMBER = /-?[\d.]+/y;
+const PDF_OPERATOR = /[A-Za-z'"*]+/y;
+
+function decodePdfHexString(hex) {
+    const digits = hex.replace(/\s+/g, '');
+    // An odd number of digits ends with an implied 0
+    const bytes = Buffer.from(digits.length % 2 ? `${digits}0` : digits, 'hex');
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+        // UTF-16BE; a trailing half character is dropped
+        return bytes.subarray(2, bytes.length - (bytes.length % 2)).swap16().toString('utf16le');
+    }
+    return bytes.toString('latin1');
+}
+
+/**
+ * Text shown by a page content stream: the strings of Tj/TJ/'/" operators, a new line per text line or block
+ */
+function extractContentStreamText(content) {
+    const lines = [];
+    let line = '';
+    let pending = [];
+    let inArray = false;
+    let i = 0;
+    const endLine = () => {
+        if (line.trim()) lines.push(line.trim());
+        line = '';
+    };
+    while (i < content.length) {
+        const char = content[i];
+        if (char === '(') {
+            const { value, end } = readPdfLiteralString(content, i);
+            pending.push(value);
+            i = end;
+        } else if (char === '<' && content[i + 1] !== '<') {
+            const end = content.indexOf('>', i);
+            if (end === -1) break;
+            pending.push(decodePdfHexString(content.slice(i + 1, end)));
+            i = end + 1;
+        } else if (char === '[') {
+            inArray = true;
+            i++;
+        } else if (char === ']') {
+            inArray = false;
+            i++;
+        } else if (inArray && /[-\d.]/.test(char)) {
+            PDF_NUMBER.lastIndex = i;
+            const number = PDF_NUMBER.exec(content);
+            // Large negative kerning inside TJ arrays is how most generators write a word gap
+            if (number && parseFloat(number[0]) < -200) pending.push(' ');
+            i += number ? number[0].length : 1;
+        } else if (/[A-Za-z'"*]/.test(char)) {
+            PDF_OPERATOR.lastIndex = i;
+            const operator = PDF_OPERATOR.exec(content)[0];
+            if (operator === 'Tj' || operator === 'TJ') {
+                line += pending.join('');
+            } else if (operator === "'" || operator === '"') {
+                endLine();
+                line += pending.join('');
+            } else if (['T*', 'Td', 'TD', 'Tm', 'ET'].includes(operator)) {
+                endLine();
+            }
+            pending = [];
+            i += operator.length;
+        } else {
+            i++;
+        }
+    }
+    endLine();
+    return lines.join('\n');
+}
+
+/**
+ * Best-effort text extraction without a PDF library: inflates the content streams and reads their text operators.
+ * Works for PDFs exported from word processors; scanned pages and fonts with custom encodings have no usable text.
+ */
+function extractPdfText(buffer) {
+    const raw = buffer.toString('latin1');
+    const texts = [];
+    const streamPattern = /\bstream\r?\n/g;
+    let match;
+    while ((match = streamPattern.exec(raw))) {
+        const start = match.index + match[0].length;
+        const end = raw.indexOf('endstream', start);
+        if (end === -1) break;
+        streamPattern.lastIndex = end + 'endstream'.length;
+        const dictionary = raw.slice(raw.lastIndexOf(' obj', match.index), match.index);
+        let data = buffer.subarray(start, end);
+        // Images, fonts and other binary streams carry no page text
+        if (/\/(Subtype\s*\/(Image|Form)|Length1|FontFile)/.test(dictionary)) continue;
+        if (/\/FlateDecode/.test(dictionary)) {
+            try {
+                data = zlib.inflateSync(data);
+            } catch (error) {
+                try {
+                    data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+                } catch (retryError) {
+                    continue;
+                }
+            }
+        } else if (/\/Filter/.test(dictionary)) {
+            continue;
+        }
+        const text = extractContentStreamText(data.toString('latin1'));
+        if (text) texts.push(text);
+    }
+    const text = texts.join('\n\n');
+    if ((text.match(/[\p{L}\p{N}]/gu) || []).length < 20) {
+        throw new Error('No readable text found in the PDF (scanned pages or embedded font encodings are not supported)');
+    }
+    return text;
+}
+
+function extractDocumentText(filePath) {
+    const type = DOCUMENT_TYPES[path.extname(filePath).toLowerCase()];
+    if (!type) {
+        throw new Error(`Unsupported file type: ${path.basename(filePath)} (use ${Object.keys(DOCUMENT_TYPES).join(', ')})`);
+    }
+    const { size } = fs.statSync(filePath);
+    if (size > MAX_DOCUMENT_BYTES) {
+        throw new Error(`${path.basename(filePath)} is larger than ${MAX_DOCUMENT_BYTES / (1024 * 1024)}MB`);
+    }
+    const buffer = fs.readFileSync(filePath);
+    if (type === 'pdf') {
+        return { type, text: extractPdfText(buffer) };
+    }
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    return { type, text: type === 'csv' ? csvToText(text) : text };
+}
+
+function readIndex(profile) {
+    const filePath = getIndexFilePath(profile);
+    if (!fs.existsSync(filePath)) {
+        return { documents: [], chunks: [] };
+    }
+    try {
+        const index = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { documents: index.documents || [], chunks: index.chunks || [] };
+    } catch (error) {
+        console.error(`[KNOWLEDGE] Could not read index for ${profile}:`, error.message);
+        return { documents: [], chunks: [] };
+    }
+}
+
+function writeIndex(profile, index) {
+    fs.mkdirSync(getKnowledgeDir(), { recursive: true });
+    fs.writeFileSync(getIndexFilePath(profile), JSON.stringify(index), 'utf8');
+    indexCache.delete(profile);
+}
+
+// Term frequencies are rebuilt when the index is first searched rather than stored on disk
+function getSearchIndex(profile) {
+    if (!indexCache.has(profile)) {
+        const index = readIndex(profile);
+        const names = new Map(index.documents.map(doc => [doc.id, doc.name]));
+        const entries = index.chunks.map(chunk => {
+            const terms = new Map();
+            const tokens = tokenize(chunk.text);
+            tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+            return { ...chunk, documentName: names.get(chunk.documentId) || 'Unknown document', terms, length: tokens.length };
+        });
+        const documentFrequency = new Map();
+        entries.forEach(entry => entry.terms.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+        const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+        indexCache.set(profile, { entries, documentFrequency, averageLength });
+    }
+    return indexCache.get(profile);
+}
+
+function listDocuments(profile) {
+    return readIndex(profile).documents;
+}
+
+/**
+ * Index a file for a profile. Adding a file with the same name again replaces the earlier copy.
+ */
+function addDocument(profile, filePath) {
+    const { type, text } = extractDocumentText(filePath);
+    const chunks = chunkText(text);
+    if (chunks.length === 0) {
+        throw new Error(`${path.basename(filePath)} has no text to index`);
+    }
+    const name = path.basename(filePath);
+    const index = readIndex(profile);
+    const replaced = index.documents.filter(doc => doc.name === name).map(doc => doc.id);
+    const document = { id: crypto.randomUUID(), name, type, sourcePath: filePath, addedAt: new Date().toISOString(), chunkCount: chunks.length };
+    writeIndex(profile, {
+        documents: [...index.documents.filter(doc => !replaced.includes(doc.id)), document],
+        chunks: [...index.chunks.filter(chunk => !replaced.includes(chunk.documentId)), ...chunks.map(chunkTextValue => ({ documentId: document.id, text: chunkTextValue }))],
+    });
+    console.log(`[KNOWLEDGE] Indexed ${name} for ${profile} (${chunks.length} passages)`);
+    return document;
+}
+
+function removeDocument(profile, documentId) {
+    const index = readIndex(profile);
+    if (!index.documents.some(doc => doc.id === documentId)) {
+        throw new Error('Document not found');
+    }
+    writeIndex(profile, {
+        documents: index.documents.filter(doc => doc.id !== documentId),
+        chunks: index.chunks.filter(chunk => chunk.documentId !== documentId),
+    });
+}
+
+function deleteKnowledgeBase(profile) {
+    fs.rmSync(getIndexFilePath(profile), { force: true });
+    indexCache.delete(profile);
+}
+
+/**
+ * The profile's passages that best match the query, ranked by BM25: [{ documentName, text, score }]
+ */
+function searchKnowledge(profile, query, limit = DEFAULT_PASSAGE_LIMIT) {
+    if (!profile || !PROFILE_PATTERN.test(String(profile))) return [];
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+    const { entries, documentFrequency, averageLength } = getSearchIndex(profile);
+    if (entries.length === 0) return [];
+
+    return entries
+        .map(entry => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const frequency = entry.terms.get(term);
+                if (!frequency) continue;
+                const df = documentFrequency.get(term);
+                const idf = Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+                score += (idf * frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + (BM25_B * entry.length) / averageLength));
+            }
+            return { documentName: entry.documentName, text: entry.text, score };
+        })
+        .filter(passage => passage.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+function setupKnowledgeBaseIpcHandlers() {
+    ipcMain.handle('list-knowledge-documents', async (event, profile) => {
+        try {
+            return { success: true, documents: listDocuments(profile) };
+        } catch (error) {
+            console.error('[KNOWLEDGE] List documents error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Opens the file picker in the main process; failed files are reported without stopping the others
+    ipcMain.handle('add-knowledge-documents', async (event, profile) => {
+        try {
+            const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+                title: 'Add documents to the knowledge base',
+                properties: ['openFile', 'multiSelections'],
+                filters: [{ name: 'Documents', extensions: Object.keys(DOCUMENT_TYPES).map(extension => extension.slice(1)) }],
+            });
+            if (canceled) {
+                return { success: true, documents: listDocuments(profile), errors: [] };
+            }
+            const errors = [];
+            for (const filePath of filePaths) {
+                try {
+                    addDocument(profile, filePath);
+                } catch (error) {
+                    console.error(`[KNOWLEDGE] Could not index ${filePath}:`, error.message);
+                    errors.push(error.message);
+                }
+            }
+            return { success: true, documents: listDocuments(profile), errors };
+        } catch (error) {
+            console.error('[KNOWLEDGE] Add documents error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('remove-knowledge-document', async (event, { profile, id }) => {
+        try {
+            removeDocument(profile, id);
+            return { success: true, documents: listDocuments(profile) };
+        } catch (error) {
+            console.error('[KNOWLEDGE] Remove document error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    console.log('[KNOWLEDGE] IPC handlers registered');
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    getKnowledgeDir,
+    tokenize,
+    chunkText,
+    csvToText,
+    extractPdfText,
+    extractDocumentText,
+    listDocuments,
+    addDocument,
+    removeDocument,
+    deleteKnowledgeBase,
+    searchKnowledge,
+    setupKnowledgeBaseIpcHandlers,
+};
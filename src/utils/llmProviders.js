@@ -0,0 +1,339 @@
+// llmProviders.js - Chat provider layer shared by the interview, text and screenshot flows
+// Every provider exposes the same shape: { id, name, ownsModel, isConfigured, listModels, chat }
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { ipcMain } = require('electron');
+const { executeWithFailover } = require('./requestExecutor');
+const { getModelProvider, getModelOptions, getModelDisplayName, supportsVision } = require('./modelRegistry');
+
+// Lazy-load backends to avoid circular dependencies (groq.js and gemini.js both use this module)
+let _groq = null;
+function getGroq() {
+    if (!_groq) _groq = require('./groq');
+    return _groq;
+}
+
+let _gemini = null;
+function getGemini() {
+    if (!_gemini) _gemini = require('./gemini');
+    return _gemini;
+}
+
+// Models served by an OpenAI-compatible endpoint are namespaced so they never collide with Groq/Gemini ids
+const OPENAI_COMPATIBLE_PREFIX = 'openai:';
+const MODEL_LIST_TIMEOUT_MS = 5000;
+
+// Provider settings pushed from the renderer (keys and endpoints live in localStorage)
+let providerSettings = {
+    groqApiKey: '',
+    geminiApiKey: '',
+    openAICompatible: {
+        baseUrl: '', // e.g. http://localhost:11434/v1 (Ollama) or http://localhost:8080/v1 (llama.cpp)
+        apiKey: '',
+        models: [], // Optional manual list for servers without a /models endpoint
+    },
+    fallbackModel: '', // Used when the selected model is rate-limited or its provider keeps failing
+};
+
+/**
+ * Normalize a base URL: trim whitespace and trailing slashes
+ */
+function normalizeBaseUrl(baseUrl) {
+    return String(baseUrl || '')
+        .trim()
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Parse a comma/newline separated model list into unique trimmed ids
+ */
+function parseModelList(models) {
+    const list = Array.isArray(models) ? models : String(models || '').split(/[,\n]/);
+    return [...new Set(list.map(m => String(m).trim()).filter(Boolean))];
+}
+
+/**
+ * Update provider settings (called from the renderer before a session starts and when settings change)
+ */
+function configureProviders(settings = {}) {
+    const openAI = settings.openAICompatible || {};
+    providerSettings = {
+        groqApiKey: (settings.groqApiKey || '').trim(),
+        geminiApiKey: (settings.geminiApiKey || '').trim(),
+        openAICompatible: {
+            baseUrl: normalizeBaseUrl(openAI.baseUrl),
+            apiKey: (openAI.apiKey || '').trim(),
+            models: parseModelList(openAI.models),
+        },
+        fallbackModel: (settings.fallbackModel || '').trim(),
+    };
+    return providerSettings;
+}
+
+function getOpenAICompatibleConfig() {
+    return providerSettings.openAICompatible;
+}
+
+function isOpenAICompatibleModel(model) {
+    return typeof model === 'string' && model.startsWith(OPENAI_COMPATIBLE_PREFIX);
+}
+
+/**
+ * Strip the provider namespace from an OpenAI-compatible model id ("openai:llama3.1:8b" → "llama3.1:8b")
+ */
+function getOpenAICompatibleModelId(model) {
+    return isOpenAICompatibleModel(model) ? model.slice(OPENAI_COMPATIBLE_PREFIX.length) : model;
+}
+
+/**
+ * Fetch the model ids advertised by an OpenAI-compatible server (GET {baseUrl}/models)
+ */
+function fetchOpenAICompatibleModels(baseUrl, apiKey = '') {
+    return new Promise(resolve => {
+        let url;
+        try {
+            url = new URL(`${normalizeBaseUrl(baseUrl)}/models`);
+        } catch (error) {
+            console.warn('[LLM] Invalid OpenAI-compatible base URL:', baseUrl);
+            resolve([]);
+            return;
+        }
+
+        const transport = url.protocol === 'http:' ? http : https;
+        const headers = {};
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+
+        const req = transport.request(
+            {
+                hostname: url.hostname,
+                port: url.port || (url.protocol === 'http:' ? 80 : 443),
+                path: url.pathname + url.search,
+                method: 'GET',
+                headers,
+                timeout: MODEL_LIST_TIMEOUT_MS,
+            },
+            res => {
+                let data = '';
+                res.on('data', chunk => {
+                    data += chunk;
+                });
+                res.on('end', () => {
+                    if (res.statusCode !== 200) {
+                        console.warn(`[LLM] Model list request failed: ${res.statusCode}`);
+                        resolve([]);
+                        return;
+                    }
+                    try {
+                        const parsed = JSON.parse(data);
+                        // OpenAI format: { data: [{ id }] }; older Ollama builds: { models: [{ name }] }
+                        const entries = parsed.data || parsed.models || [];
+                        resolve(parseModelList(entries.map(entry => entry.id || entry.name)));
+                    } catch (e) {
+                        console.warn('[LLM] Could not parse model list response');
+                        resolve([]);
+                    }
+                });
+            }
+        );
+
+        req.on('timeout', () => {
+            req.destroy(new Error('Model list request timed out'));
+        });
+
+        req.on('error', error => {
+            console.warn('[LLM] Model list request error:', error.message);
+            resolve([]);
+        });
+
+        req.end();
+    });
+}
+
+const providers = {
+    groq: {
+        id: 'groq',
+        name: 'Groq',
+        ownsModel: model => getModelProvider(model) === 'groq',
+        isConfigured: () => !!providerSettings.groqApiKey,
+        async listModels() {
+            return getModelOptions({ provider: 'groq' });
+        },
+        chat: (text, model, imageData, options) => getGroq().chatWithLlama(text, model, imageData, options),
+        complete: (systemPrompt, text, model, options) =>
+            getGroq().completeWithLlama(systemPrompt, text, model, { apiKey: providerSettings.groqApiKey, ...options }),
+    },
+
+    gemini: {
+        id: 'gemini',
+        name: 'Gemini',
+        ownsModel: model => getModelProvider(model) === 'gemini',
+        isConfigured: () => !!providerSettings.geminiApiKey,
+        async listModels() {
+            return getModelOptions({ provider: 'gemini' });
+        },
+        // Text chat goes through the active Gemini session (created alongside Groq in hybrid interview mode)
+        chat: (text, model, imageData, options) => getGemini().chatWithGeminiText(text, imageData, { throwErrors: true, signal: options.signal }),
+        complete: (systemPrompt, text, model, options) =>
+            getGemini().completeWithGemini(systemPrompt, text, model, { apiKey: providerSettings.geminiApiKey, ...options }),
+    },
+
+    'openai-compatible': {
+        id: 'openai-compatible',
+        name: 'OpenAI-compatible',
+        ownsModel: isOpenAICompatibleModel,
+        isConfigured: () => !!providerSettings.openAICompatible.baseUrl,
+        async listModels() {
+            const { baseUrl, apiKey, models } = providerSettings.openAICompatible;
+            if (!baseUrl) {
+                return [];
+            }
+            const advertised = await fetchOpenAICompatibleModels(baseUrl, apiKey);
+            let host = baseUrl;
+            try {
+                host = new URL(baseUrl).host;
+            } catch (e) {
+                // Keep the raw base URL as the label suffix
+            }
+            return parseModelList([...models, ...advertised]).map(id => ({
+                value: `${OPENAI_COMPATIBLE_PREFIX}${id}`,
+                label: `${getModelDisplayName(`${OPENAI_COMPATIBLE_PREFIX}${id}`)} (${host})`,
+                modes: ['interview'],
+            }));
+        },
+        chat: (text, model, imageData, options) => getGroq().chatWithOpenAICompatible(text, model, imageData, options),
+        complete: (systemPrompt, text, model, options) => getGroq().completeWithOpenAICompatible(systemPrompt, text, model, options),
+    },
+};
+
+function getProvider(id) {
+    return providers[id] || null;
+}
+
+/**
+ * Resolve which provider serves a model id (unknown ids fall back to Groq, the default interview backend)
+ */
+function getProviderForModel(model) {
+    return Object.values(providers).find(provider => provider.ownsModel(model)) || providers.groq;
+}
+
+/**
+ * The model followed by the fallback model, when one is configured and can handle the request
+ */
+function getCandidateModels(model, imageData = null) {
+    const candidates = [model];
+    const { fallbackModel } = providerSettings;
+    // A text-only fallback can't answer a screenshot question
+    const fallbackCanAnswer = !imageData || supportsVision(fallbackModel);
+    if (fallbackModel && fallbackModel !== model && fallbackCanAnswer && getProviderForModel(fallbackModel).isConfigured()) {
+        candidates.push(fallbackModel);
+    }
+    return candidates;
+}
+
+// requestGroup: background work (e.g. 'negotiation') gets its own queue and circuit breaker per provider,
+// so it neither delays live answers nor trips their breaker
+function runWithFailover(model, candidates, run, requestGroup = null) {
+    return executeWithFailover(
+        candidates.map(candidate => {
+            const provider = getProviderForModel(candidate);
+            return {
+                key: requestGroup ? `${requestGroup}:${provider.id}` : provider.id,
+                label: candidate === model ? provider.name : `${provider.name} (${getOpenAICompatibleModelId(candidate)})`,
+                task: signal => run(provider, candidate, signal),
+            };
+        })
+    );
+}
+
+/**
+ * Send a chat message through whichever provider owns the model.
+ * Goes through the shared request executor, failing over to the fallback model when one is configured.
+ */
+async function chatWithModel(text, model, imageData = null, options = {}) {
+    return await runWithFailover(model, getCandidateModels(model, imageData), (provider, candidate, signal) =>
+        provider.chat(text, candidate, imageData, { ...options, signal })
+    );
+}
+
+/**
+ * One-off completion outside the live conversation (no history, nothing streamed to the assistant view).
+ * Same provider routing, retries and failover as chatWithModel; options.requestGroup runs it apart from the live answers.
+ */
+async function completeWithModel(systemPrompt, text, model, options = {}) {
+    return await runWithFailover(
+        model,
+        getCandidateModels(model),
+        (provider, candidate, signal) => provider.complete(systemPrompt, text, candidate, { ...options, signal }),
+        options.requestGroup
+    );
+}
+
+/**
+ * List models from every configured provider, optionally filtered by mode ('interview' | 'coding')
+ */
+async function listAvailableModels(mode = null) {
+    const results = await Promise.all(
+        Object.values(providers)
+            .filter(provider => provider.isConfigured())
+            .map(async provider => {
+                try {
+                    const models = await provider.listModels();
+                    return models.map(model => ({ ...model, provider: provider.id, providerName: provider.name }));
+                } catch (error) {
+                    console.warn(`[LLM] Failed to list ${provider.name} models:`, error.message);
+                    return [];
+                }
+            })
+    );
+
+    const models = results.flat();
+    return mode ? models.filter(model => model.modes.includes(mode)) : models;
+}
+
+/**
+ * Setup IPC handlers for provider configuration and model discovery
+ */
+function setupLLMProviderIpcHandlers() {
+    ipcMain.handle('configure-llm-providers', async (event, settings) => {
+        try {
+            configureProviders(settings);
+            return { success: true };
+        } catch (error) {
+            console.error('[LLM] Configure providers error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('list-llm-models', async (event, settings, mode = null) => {
+        try {
+            if (settings) {
+                configureProviders(settings);
+            }
+            const models = await listAvailableModels(mode);
+            return { success: true, models };
+        } catch (error) {
+            console.error('[LLM] List models error:', error);
+            return { success: false, error: error.message, models: [] };
+        }
+    });
+
+    console.log('[LLM] IPC handlers registered');
+}
+
+module.exports = {
+    OPENAI_COMPATIBLE_PREFIX,
+    configureProviders,
+    getOpenAICompatibleConfig,
+    isOpenAICompatibleModel,
+    getOpenAICompatibleModelId,
+    fetchOpenAICompatibleModels,
+    getProvider,
+    getProviderForModel,
+    chatWithModel,
+    completeWithModel,
+    listAvailableModels,
+    setupLLMProviderIpcHandlers,
+};
@@ -0,0 +1,237 @@
+// meetingMinutes.js - Structured minutes generated from an archived session's transcript
+// Minutes are stored next to the session as <config dir>/sessions/<id>.minutes.json:
+//   { "sessionId": "...", "generatedAt": "...", "model": "...", "summary": "...", "decisions": ["..."],
+//     "actionItems": [{ "task": "...", "owner": "...", "due": "..." }], "openQuestions": ["..."] }
+const fs = require('fs');
+const path = require('path');
+const { ipcMain } = require('electron');
+const { getMeetingMinutesPrompt } = require('./prompts');
+const { configureProviders, completeWithModel } = require('./llmProviders');
+const { getSessionsDir, readSession, resolveSessionId } = require('./sessionArchive');
+const { getExportsDir } = require('./sessionExport');
+
+// ~25k tokens - fits every supported chat model with room for the answer
+const MAX_TRANSCRIPT_CHARS = 100000;
+const MINUTES_MAX_TOKENS = 2048;
+const DEFAULT_MINUTES_MODEL = 'llama-4-maverick';
+
+function getMinutesFilePath(sessionId) {
+    return path.join(getSessionsDir(), `${sessionId}.minutes.json`);
+}
+
+function getLanguageName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(String(code).split('-')[0]) || 'English';
+    } catch (error) {
+        return 'English';
+    }
+}
+
+/**
+ * Timestamped transcript lines ("[14:03:22] You: ...") for the minutes prompt. Very long meetings keep their latest part.
+ */
+function buildMinutesTranscript(session) {
+    const transcript = session.events
+        .filter(event => event.type === 'transcript' && String(event.text || '').trim())
+        .map(event => `[${new Date(event.ts).toISOString().slice(11, 19)}] ${event.speaker ? `${event.speaker}: ` : ''}${String(event.text).trim()}`)
+        .join('\n');
+    if (transcript.length <= MAX_TRANSCRIPT_CHARS) {
+        return transcript;
+    }
+    const kept = transcript.slice(-MAX_TRANSCRIPT_CHARS);
+    return `[earlier transcript omitted]\n${kept.slice(kept.indexOf('\n') + 1)}`;
+}
+
+function toStringList(value) {
+    return Array.isArray(value) ? value.map(item => String(item ?? '').trim()).filter(Boolean) : [];
+}
+
+/**
+ * Coerce minutes from the model or the editor into the stored shape
+ */
+function normalizeMinutes(raw = {}) {
+    const actionItems = Array.isArray(raw.actionItems) ? raw.actionItems : [];
+    return {
+        summary: String(raw.summary ?? '').trim(),
+        decisions: toStringList(raw.decisions),
+        actionItems: actionItems
+            .map(item => (typeof item === 'string' ? { task: item } : item || {}))
+            .map(item => ({
+                task: String(item.task ?? '').trim(),
+                owner: String(item.owner ?? '').trim(),
+                due: String(item.due ?? '').trim(),
+            }))
+            .filter(item => item.task),
+        openQuestions: toStringList(raw.openQuestions),
+    };
+}
+
+/**
+ * Pull the JSON object out of a model reply (tolerates markdown fences and chatter around it)
+ */
+function parseMinutesResponse(text) {
+    const reply = String(text || '');
+    const start = reply.indexOf('{');
+    const end = reply.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('The model did not return minutes in the expected format');
+    }
+    try {
+        return normalizeMinutes(JSON.parse(reply.slice(start, end + 1)));
+    } catch (error) {
+        throw new Error('The model did not return minutes in the expected format');
+    }
+}
+
+function readMinutes(sessionId) {
+    if (!readSession(sessionId)) return null;
+    const filePath = getMinutesFilePath(sessionId);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Store (edited) minutes for a session. Returns the saved record.
+ */
+function saveMinutes(sessionId, minutes) {
+    const session = readSession(sessionId);
+    if (!session) {
+        throw new Error('Session not found');
+    }
+    const previous = readMinutes(sessionId) || {};
+    const record = {
+        sessionId,
+        generatedAt: minutes.generatedAt || previous.generatedAt || new Date().toISOString(),
+        model: minutes.model || previous.model || '',
+        ...normalizeMinutes(minutes),
+    };
+    fs.writeFileSync(getMinutesFilePath(sessionId), JSON.stringify(record, null, 2), 'utf8');
+    return record;
+}
+
+/**
+ * Ask the chat model for minutes of a session (the latest one when no id is given) and store them.
+ * options: { id, model } - the model defaults to the one the session ran with
+ */
+async function generateMinutes(options = {}) {
+    const sessionId = resolveSessionId(options.id);
+    const session = sessionId ? readSession(sessionId) : null;
+    if (!session) {
+        throw new Error(options.id ? 'Session not found' : 'No session to summarize yet');
+    }
+    const transcript = buildMinutesTranscript(session);
+    if (!transcript) {
+        throw new Error('This session has no transcript to summarize');
+    }
+
+    const model = options.model || session.model || DEFAULT_MINUTES_MODEL;
+    console.log(`[MINUTES] Generating minutes for ${sessionId} with ${model} (${transcript.length} chars of transcript)`);
+    const reply = await completeWithModel(getMeetingMinutesPrompt(getLanguageName(session.language)), `Meeting transcript:\n\n${transcript}`, model, {
+        maxTokens: MINUTES_MAX_TOKENS,
+    });
+    return saveMinutes(sessionId, { ...parseMinutesResponse(reply), model, generatedAt: new Date().toISOString() });
+}
+
+function buildMinutesMarkdown(minutes, session) {
+    const started = session && session.startedAt ? new Date(session.startedAt).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '';
+    const lines = [`# Meeting minutes${started ? ` — ${started}` : ''}`, '', '## Summary', '', minutes.summary || '_No summary._', ''];
+
+    lines.push('## Decisions', '');
+    lines.push(...(minutes.decisions.length > 0 ? minutes.decisions.map(decision => `- ${decision}`) : ['_None recorded._']), '');
+
+    lines.push('## Action items', '');
+    if (minutes.actionItems.length > 0) {
+        lines.push('| Task | Owner | Due |', '| --- | --- | --- |');
+        minutes.actionItems.forEach(item => {
+            const cells = [item.task, item.owner || '—', item.due || '—'].map(cell => cell.replace(/\|/g, '\\|').replace(/\n/g, ' '));
+            lines.push(`| ${cells.join(' | ')} |`);
+        });
+    } else {
+        lines.push('_None recorded._');
+    }
+    lines.push('');
+
+    lines.push('## Open questions', '');
+    lines.push(...(minutes.openQuestions.length > 0 ? minutes.openQuestions.map(question => `- ${question}`) : ['_None recorded._']), '');
+    return lines.join('\n');
+}
+
+/**
+ * Write stored minutes to the exports dir as Markdown or JSON. Returns { filePath }.
+ */
+function exportMinutes(sessionId, format = 'markdown', outputDir = getExportsDir()) {
+    if (format !== 'markdown' && format !== 'json') {
+        throw new Error(`Unknown export format "${format}" (expected markdown, json)`);
+    }
+    const minutes = readMinutes(sessionId);
+    if (!minutes) {
+        throw new Error('No minutes saved for this session');
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+    const filePath = path.join(outputDir, `${sessionId}-minutes.${format === 'json' ? 'json' : 'md'}`);
+    const content = format === 'json' ? JSON.stringify(minutes, null, 2) + '\n' : buildMinutesMarkdown(minutes, readSession(sessionId));
+    fs.writeFileSync(filePath, content, 'utf8');
+    console.log(`[MINUTES] Exported minutes for ${sessionId} to ${filePath}`);
+    return { filePath };
+}
+
+function setupMeetingMinutesIpcHandlers() {
+    // providerSettings lets the panel generate minutes for an old session before any live session configured the providers
+    ipcMain.handle('generate-meeting-minutes', async (event, { id, model, providerSettings } = {}) => {
+        try {
+            if (providerSettings) {
+                configureProviders(providerSettings);
+            }
+            return { success: true, minutes: await generateMinutes({ id, model }) };
+        } catch (error) {
+            console.error('[MINUTES] Generate minutes error:', error.message);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Without an id, returns the latest session's id so the panel knows which session it is showing
+    ipcMain.handle('get-meeting-minutes', async (event, id) => {
+        try {
+            const sessionId = resolveSessionId(id);
+            if (!sessionId || !readSession(sessionId)) {
+                return { success: false, error: 'Session not found' };
+            }
+            return { success: true, sessionId, minutes: readMinutes(sessionId) };
+        } catch (error) {
+            console.error('[MINUTES] Get minutes error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('save-meeting-minutes', async (event, { id, minutes }) => {
+        try {
+            return { success: true, minutes: saveMinutes(id, minutes) };
+        } catch (error) {
+            console.error('[MINUTES] Save minutes error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('export-meeting-minutes', async (event, { id, format }) => {
+        try {
+            return { success: true, ...exportMinutes(id, format) };
+        } catch (error) {
+            console.error('[MINUTES] Export minutes error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    console.log('[MINUTES] IPC handlers registered');
+}
+
+module.exports = {
+    buildMinutesTranscript,
+    normalizeMinutes,
+    parseMinutesResponse,
+    readMinutes,
+    saveMinutes,
+    generateMinutes,
+    buildMinutesMarkdown,
+    exportMinutes,
+    setupMeetingMinutesIpcHandlers,
+};
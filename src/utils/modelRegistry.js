@@ -0,0 +1,295 @@
+// modelRegistry.js - Single source of model metadata for main, renderer and browser builds
+// Users can add or override models with a models.json file in the config dir:
+//   { "models": [{ "id": "llama-3.3-70b", "provider": "groq", "providerModelId": "llama-3.3-70b-versatile", "maxOutputTokens": 32768 }] }
+
+const USER_MODELS_FILE = 'models.json';
+const OPENAI_COMPATIBLE_PREFIX = 'openai:';
+
+const GEMINI_ICON = './assets/models/500px-Google_Gemini_icon_2025.svg.png';
+const META_ICON = './assets/models/metalogo.dcf881ba.svg';
+
+// Used for any model of the provider that the registry has no entry for
+const PROVIDER_DEFAULTS = {
+    gemini: { name: 'Gemini', icon: GEMINI_ICON, maxOutputTokens: 65536, vision: true },
+    groq: { name: 'Groq', icon: META_ICON, maxOutputTokens: 8192, vision: true },
+    // The server decides the real limits; declare vision: false in models.json for text-only local models
+    'openai-compatible': { name: 'OpenAI-compatible', icon: null, maxOutputTokens: 65536, vision: true },
+};
+
+const DEFAULT_MAX_OUTPUT_TOKENS = 8192;
+
+// Built-in models. defaults are per mode, tuned from the 2025/2026 provider documentation
+// Interview: concise answers, lower tokens | Exam/Coding: detailed code, higher tokens
+const BUILTIN_MODELS = [
+    {
+        id: 'gemini-2.5-flash-lite',
+        provider: 'gemini',
+        displayName: 'Gemini 2.5 Flash Lite',
+        shortName: '2.5 Flash Lite',
+        maxOutputTokens: 65536,
+        vision: true,
+        modes: ['interview'],
+        // Fastest, no thinking by default
+        defaults: { interview: { temperature: 0.7, topP: 0.9, maxOutputTokens: 768 } },
+    },
+    {
+        id: 'gemini-2.5-flash',
+        provider: 'gemini',
+        displayName: 'Gemini 2.5 Flash',
+        shortName: '2.5 Flash',
+        label: 'Gemini 2.5 Flash (Faster, Balanced)',
+        description: 'Gemini 2.5 Flash: Faster responses, good for time-sensitive coding assessments.',
+        maxOutputTokens: 65536,
+        vision: true,
+        modes: ['coding'],
+        defaults: { coding: { temperature: 0.5, topP: 0.95, maxOutputTokens: 8192 } },
+    },
+    {
+        id: 'gemini-3-flash-preview',
+        provider: 'gemini',
+        displayName: 'Gemini 3.0 Flash',
+        shortName: '3.0 Flash',
+        label: 'Gemini 3 Flash Preview (Fast, Smart)',
+        description: 'Gemini 3 Flash Preview: Pro-level intelligence at Flash speed. Low thinking for fastest responses.',
+        maxOutputTokens: 65536,
+        vision: true,
+        modes: ['coding'],
+        defaults: { coding: { temperature: 1.0, topP: 0.95, maxOutputTokens: 8192 } },
+    },
+    {
+        id: 'gemini-3-pro-preview',
+        provider: 'gemini',
+        displayName: 'Gemini 3.0 Pro',
+        shortName: '3.0 Pro Preview',
+        label: 'Gemini 3 Pro Preview (Slower, Most Accurate)',
+        description: 'Gemini 3 Pro Preview: Most accurate and detailed responses, better for complex problems.',
+        maxOutputTokens: 65536,
+        vision: true,
+        modes: ['coding'],
+        // Very detailed, most accurate
+        defaults: { coding: { temperature: 0.4, topP: 0.95, maxOutputTokens: 16384 } },
+    },
+    {
+        id: 'llama-4-maverick',
+        provider: 'groq',
+        providerModelId: 'meta-llama/llama-4-maverick-17b-128e-instruct',
+        displayName: 'Llama 4 Maverick',
+        label: 'Llama 4 Maverick 17B',
+        description: 'Llama 4 Maverick for fast interview responses.',
+        maxOutputTokens: 8192,
+        vision: true,
+        modes: ['interview'],
+        // Balanced, enough for code + explanation
+        defaults: { interview: { temperature: 0.7, topP: 0.95, maxOutputTokens: 1024 } },
+    },
+    {
+        id: 'llama-4-scout',
+        provider: 'groq',
+        providerModelId: 'meta-llama/llama-4-scout-17b-16e-instruct',
+        displayName: 'Llama 4 Scout',
+        label: 'Llama 4 Scout 17B',
+        description: 'Llama 4 Scout for efficient interview responses.',
+        maxOutputTokens: 8192,
+        vision: true,
+        modes: ['interview'],
+        defaults: { interview: { temperature: 0.7, topP: 0.95, maxOutputTokens: 1024 } },
+    },
+];
+
+const MODES = ['interview', 'coding'];
+
+const models = new Map();
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Validate one registry entry and fill in derived fields. Throws with a readable message when invalid.
+ */
+function normalizeModel(entry) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error('Model entry must be an object');
+    }
+    const id = typeof entry.id === 'string' ? entry.id.trim() : '';
+    if (!id) {
+        throw new Error('Model entry is missing an id');
+    }
+    const provider = id.startsWith(OPENAI_COMPATIBLE_PREFIX) ? 'openai-compatible' : entry.provider;
+    if (!PROVIDER_DEFAULTS[provider]) {
+        throw new Error(`${id}: unknown provider "${entry.provider}" (expected gemini or groq, or an "openai:" id)`);
+    }
+    if (entry.maxOutputTokens !== undefined && !isPositiveNumber(entry.maxOutputTokens)) {
+        throw new Error(`${id}: maxOutputTokens must be a positive number`);
+    }
+
+    const modes = Array.isArray(entry.modes) ? entry.modes.filter(mode => MODES.includes(mode)) : [];
+    const defaults = {};
+    Object.entries(entry.defaults || {}).forEach(([mode, settings]) => {
+        if (MODES.includes(mode) && settings && typeof settings === 'object') {
+            defaults[mode] = {
+                temperature: Number(settings.temperature ?? 0.7),
+                topP: Number(settings.topP ?? 0.95),
+                maxOutputTokens: Number(settings.maxOutputTokens ?? 1024),
+            };
+        }
+    });
+
+    const displayName = entry.displayName || (provider === 'openai-compatible' ? id.slice(OPENAI_COMPATIBLE_PREFIX.length) : id);
+    return {
+        id,
+        provider,
+        providerModelId: entry.providerModelId || (provider === 'openai-compatible' ? id.slice(OPENAI_COMPATIBLE_PREFIX.length) : id),
+        displayName,
+        shortName: entry.shortName || displayName,
+        label: entry.label || displayName,
+        description: entry.description || '',
+        icon: entry.icon || PROVIDER_DEFAULTS[provider].icon,
+        maxOutputTokens: entry.maxOutputTokens || PROVIDER_DEFAULTS[provider].maxOutputTokens,
+        vision: typeof entry.vision === 'boolean' ? entry.vision : PROVIDER_DEFAULTS[provider].vision,
+        modes: modes.length > 0 ? modes : ['interview'],
+        defaults,
+    };
+}
+
+/**
+ * Add or override models. Invalid entries are skipped and reported in errors.
+ * Accepts an array of entries or { models: [...] } (the models.json shape).
+ */
+function registerModels(entries) {
+    const list = Array.isArray(entries) ? entries : (entries && entries.models) || [];
+    const result = { added: [], errors: [] };
+    list.forEach(entry => {
+        try {
+            const model = normalizeModel(entry);
+            models.set(model.id, model);
+            result.added.push(model.id);
+        } catch (error) {
+            result.errors.push(error.message);
+        }
+    });
+    return result;
+}
+
+/**
+ * Register the user's models.json (Node only). A missing file is not an error.
+ */
+function loadUserModels(configDir) {
+    const fs = require('fs');
+    const path = require('path');
+    const filePath = path.join(configDir, USER_MODELS_FILE);
+    if (!fs.existsSync(filePath)) {
+        return { added: [], errors: [] };
+    }
+    try {
+        const result = registerModels(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        result.errors.forEach(message => console.warn(`[MODELS] Skipped entry in ${filePath}: ${message}`));
+        if (result.added.length > 0) {
+            console.log(`[MODELS] Loaded ${result.added.length} model(s) from ${filePath}`);
+        }
+        return result;
+    } catch (error) {
+        console.warn(`[MODELS] Could not read ${filePath}:`, error.message);
+        return { added: [], errors: [error.message] };
+    }
+}
+
+function getModel(id) {
+    return models.get(id) || null;
+}
+
+/**
+ * Which provider serves a model id: registry entry first, then the id conventions ("openai:" prefix, "gemini-" prefix)
+ */
+function getModelProvider(id) {
+    if (typeof id !== 'string') return null;
+    if (id.startsWith(OPENAI_COMPATIBLE_PREFIX)) return 'openai-compatible';
+    const model = getModel(id);
+    if (model) return model.provider;
+    return id.startsWith('gemini-') ? 'gemini' : null;
+}
+
+/**
+ * Models known to the registry, optionally filtered: { provider, mode }
+ */
+function listModels(filter = {}) {
+    return [...models.values()].filter(
+        model => (!filter.provider || model.provider === filter.provider) && (!filter.mode || model.modes.includes(filter.mode))
+    );
+}
+
+/**
+ * Dropdown options ({ value, label, icon, modes }) for the registry models of a mode
+ */
+function getModelOptions(filter = {}) {
+    return listModels(filter).map(model => ({ value: model.id, label: model.label, icon: model.icon, modes: model.modes }));
+}
+
+function getModelDisplayName(id, options = {}) {
+    const model = getModel(id);
+    if (model) return options.short ? model.shortName : model.displayName;
+    return typeof id === 'string' && id.startsWith(OPENAI_COMPATIBLE_PREFIX) ? id.slice(OPENAI_COMPATIBLE_PREFIX.length) : id || '';
+}
+
+/**
+ * The id the provider's API expects (e.g. Groq's "meta-llama/..." names)
+ */
+function getProviderModelId(id) {
+    const model = getModel(id);
+    return model ? model.providerModelId : null;
+}
+
+function getMaxOutputTokens(id) {
+    const model = getModel(id);
+    if (model) return model.maxOutputTokens;
+    const provider = PROVIDER_DEFAULTS[getModelProvider(id)];
+    return provider ? provider.maxOutputTokens : DEFAULT_MAX_OUTPUT_TOKENS;
+}
+
+function supportsVision(id) {
+    const model = getModel(id);
+    if (model) return model.vision;
+    const provider = PROVIDER_DEFAULTS[getModelProvider(id)];
+    return provider ? provider.vision : false;
+}
+
+/**
+ * Default generation settings for a model in a mode ({ temperature, topP, maxOutputTokens }), or null
+ */
+function getModelDefaults(id, mode) {
+    const model = getModel(id);
+    return (model && model.defaults[mode]) || null;
+}
+
+function getProviderName(provider) {
+    return PROVIDER_DEFAULTS[provider] ? PROVIDER_DEFAULTS[provider].name : provider;
+}
+
+/**
+ * Drop user models and restore the built-ins
+ */
+function resetModelRegistry() {
+    models.clear();
+    registerModels(BUILTIN_MODELS);
+}
+
+resetModelRegistry();
+
+module.exports = {
+    USER_MODELS_FILE,
+    OPENAI_COMPATIBLE_PREFIX,
+    DEFAULT_MAX_OUTPUT_TOKENS,
+    registerModels,
+    loadUserModels,
+    getModel,
+    getModelProvider,
+    listModels,
+    getModelOptions,
+    getModelDisplayName,
+    getProviderModelId,
+    getMaxOutputTokens,
+    supportsVision,
+    getModelDefaults,
+    getProviderName,
+    resetModelRegistry,
+};
@@ -0,0 +1,345 @@
+// negotiationOffers.js - Offer timeline for the Negotiation profile, extracted from the live transcript
+// Stored next to the session as <config dir>/sessions/<id>.offers.json:
+//   { "sessionId": "...", "target": 110000, "walkAway": 130000, "model": "...",
+//     "offers": [{ "id": "...", "ts": "...", "side": "them" | "you", "speaker": "Other participants", "kind": "offer" | "counteroffer" | "revised",
+//                  "amount": 120000, "currency": "USD", "terms": "...", "date": "...", "quote": "...",
+//                  "gapToTarget": 10000, "withinWalkAway": true }] }
+// Transcribed lines that mention a number are batched and sent to the chat model, which returns the offers made in them.
+// Extraction runs under its own request group, apart from the live answers (see completeWithModel).
+// target and walkAway are entered on the start screen; with target above walk-away the user is selling, below buying.
+const fs = require('fs');
+const path = require('path');
+const { BrowserWindow, ipcMain } = require('electron');
+const { getOfferExtractionPrompt } = require('./prompts');
+const { completeWithModel } = require('./llmProviders');
+const { getSessionsDir, getActiveSessionId, readSession, resolveSessionId } = require('./sessionArchive');
+const { getExportsDir } = require('./sessionExport');
+
+const EXTRACTION_MAX_TOKENS = 512;
+const DEFAULT_EXTRACTION_MODEL = 'llama-4-maverick';
+// Earlier lines sent along so "we can do 95 on that" still resolves to the item being discussed
+const CONTEXT_LINES = 6;
+const AMOUNT_PATTERN = /\d|\b(?:hundred|thousand|million|billion|grand)\b/i;
+// Lines with numbers arriving within this long of each other go in one request
+const DEFAULT_BATCH_DELAY_MS = 1500;
+// A batch is sent right away once it holds this many lines
+const MAX_BATCH_LINES = 5;
+const REQUEST_GROUP = 'negotiation';
+
+// { record, context: ['You: ...'], batch: { lines, context, timer, done, release } | null, queue: Promise, batchDelayMs }
+let activeNegotiation = null;
+
+function getOffersFilePath(sessionId) {
+    return path.join(getSessionsDir(), `${sessionId}.offers.json`);
+}
+
+function sendToRenderer(channel, data) {
+    const windows = BrowserWindow.getAllWindows();
+    if (windows.length > 0) {
+        windows[0].webContents.send(channel, data);
+    }
+}
+
+function toAmount(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    const digits = String(value).replace(/[^\d.-]/g, '');
+    if (!/\d/.test(digits)) return null;
+    const amount = Number(digits);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Pull the offers out of a model reply (tolerates markdown fences and chatter around it)
+ */
+function parseOffersResponse(text) {
+    const reply = String(text || '');
+    const start = reply.indexOf('{');
+    const end = reply.lastIndexOf('}');
+    let raw;
+    try {
+        raw = start !== -1 && end > start ? JSON.parse(reply.slice(start, end + 1)) : null;
+    } catch (error) {
+        raw = null;
+    }
+    if (!raw || !Array.isArray(raw.offers)) {
+        throw new Error('The model did not return offers in the expected format');
+    }
+    return raw.offers
+        .map(offer => ({
+            line: Number.isInteger(Number(offer?.line)) ? Number(offer.line) : null,
+            amount: toAmount(offer && offer.amount),
+            currency: String(offer?.currency ?? '').trim().toUpperCase(),
+            terms: String(offer?.terms ?? '').trim(),
+            date: String(offer?.date ?? '').trim(),
+        }))
+        .filter(offer => offer.amount !== null);
+}
+
+/**
+ * Where an amount stands against the user's numbers: { gapToTarget, withinWalkAway } (null when not entered)
+ */
+function comparePosition(amount, target, walkAway) {
+    let withinWalkAway = null;
+    if (target !== null && walkAway !== null) {
+        // Selling when the target is above the walk-away value, buying when it is below
+        withinWalkAway = target >= walkAway ? amount >= walkAway : amount <= walkAway;
+    }
+    return { gapToTarget: target === null ? null : amount - target, withinWalkAway };
+}
+
+/**
+ * The first offer is an "offer", one answering the other side's is a "counteroffer", a side improving its own is "revised"
+ */
+function classifyOffer(offers, side) {
+    if (offers.length === 0) return 'offer';
+    return offers[offers.length - 1].side === side ? 'revised' : 'counteroffer';
+}
+
+function saveRecord(record) {
+    if (!record.sessionId) return;
+    try {
+        fs.mkdirSync(getSessionsDir(), { recursive: true });
+        fs.writeFileSync(getOffersFilePath(record.sessionId), JSON.stringify(record, null, 2), 'utf8');
+    } catch (error) {
+        console.error('[NEGOTIATION] Could not save offers:', error.message);
+    }
+}
+
+/**
+ * Start tracking offers. Call after the session archive started so the timeline is saved with that session.
+ * options: { target, walkAway, model, batchDelayMs }
+ */
+function startNegotiation(options = {}) {
+    const record = {
+        sessionId: getActiveSessionId(),
+        target: toAmount(options.target),
+        walkAway: toAmount(options.walkAway),
+        model: options.model || DEFAULT_EXTRACTION_MODEL,
+        offers: [],
+    };
+    const batchDelayMs = Number.isFinite(Number(options.batchDelayMs)) ? Number(options.batchDelayMs) : DEFAULT_BATCH_DELAY_MS;
+    activeNegotiation = { record, context: [], batch: null, queue: Promise.resolve(), batchDelayMs };
+    saveRecord(record);
+    console.log(`[NEGOTIATION] Tracking offers${record.sessionId ? ` for session ${record.sessionId}` : ''}`);
+    return record;
+}
+
+async function extractOffers(negotiation, lines, context) {
+    const { record } = negotiation;
+    const newLines = lines.map((line, index) => `${index + 1}. ${line.speaker}: ${line.text}`).join('\n');
+    const request = `${context.length > 0 ? `Earlier lines:\n${context.join('\n')}\n\n` : ''}NEW LINES:\n${newLines}`;
+    try {
+        const reply = await completeWithModel(getOfferExtractionPrompt(), request, record.model, {
+            maxTokens: EXTRACTION_MAX_TOKENS,
+            requestGroup: REQUEST_GROUP,
+        });
+        const offers = parseOffersResponse(reply);
+        if (offers.length === 0) return;
+        offers.forEach(({ line: lineNumber, ...offer }) => {
+            // An offer without a valid line number belongs to the only (or latest) line
+            const line = lines[lineNumber - 1] || lines[lines.length - 1];
+            const side = line.source === 'mic' ? 'you' : 'them';
+            record.offers.push({
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                ts: new Date(line.ts).toISOString(),
+                side,
+                speaker: line.speaker,
+                kind: classifyOffer(record.offers, side),
+                ...offer,
+                quote: line.text,
+                ...comparePosition(offer.amount, record.target, record.walkAway),
+            });
+        });
+        console.log(`[NEGOTIATION] ${offers.length} offer(s) in ${lines.length} line(s)`);
+        saveRecord(record);
+        sendToRenderer('negotiation-offers-update', record);
+    } catch (error) {
+        // A missed batch must not break the live session
+        console.error('[NEGOTIATION] Offer extraction failed:', error.message);
+    }
+}
+
+// Hand the open batch to the extraction queue; one request at a time, lines arriving meanwhile form the next batch
+function sendBatch(negotiation) {
+    const batch = negotiation.batch;
+    if (!batch) return negotiation.queue;
+    clearTimeout(batch.timer);
+    negotiation.batch = null;
+    negotiation.queue = negotiation.queue.then(() => extractOffers(negotiation, batch.lines, batch.context)).then(batch.release);
+    return negotiation.queue;
+}
+
+/**
+ * A transcribed line of the negotiation: { source, speaker, text, ts }. Lines are processed in order;
+ * the returned promise settles once this line has been checked for offers.
+ */
+function recordNegotiationUtterance({ source, speaker, text, ts = Date.now() }) {
+    const negotiation = activeNegotiation;
+    const trimmed = String(text || '').trim();
+    if (!negotiation || !trimmed) return Promise.resolve();
+
+    const line = { source, speaker, text: trimmed, ts };
+    const context = negotiation.context.slice(-CONTEXT_LINES);
+    negotiation.context.push(`${speaker}: ${trimmed}`);
+    if (!AMOUNT_PATTERN.test(trimmed)) return negotiation.batch ? negotiation.batch.done : negotiation.queue;
+
+    if (!negotiation.batch) {
+        let release;
+        const done = new Promise(resolve => (release = resolve));
+        // The context is what was said before the first line of the batch
+        negotiation.batch = { lines: [], context, timer: null, done, release };
+    }
+    const batch = negotiation.batch;
+    batch.lines.push(line);
+    clearTimeout(batch.timer);
+    if (batch.lines.length >= MAX_BATCH_LINES) {
+        sendBatch(negotiation);
+    } else {
+        batch.timer = setTimeout(() => sendBatch(negotiation), negotiation.batchDelayMs);
+    }
+    return batch.done;
+}
+
+/**
+ * Stop tracking (called when the session closes). Lines still waiting are sent now; resolves with the record
+ * once their offers are saved, so an export afterwards has them.
+ */
+async function finishNegotiation() {
+    if (!activeNegotiation) return null;
+    const negotiation = activeNegotiation;
+    activeNegotiation = null;
+    await sendBatch(negotiation);
+    saveRecord(negotiation.record);
+    return negotiation.record;
+}
+
+function readOffers(sessionId) {
+    if (activeNegotiation && activeNegotiation.record.sessionId === sessionId) {
+        return activeNegotiation.record;
+    }
+    const filePath = getOffersFilePath(sessionId);
+    if (!fs.existsSync(filePath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error('[NEGOTIATION] Could not read offers:', error.message);
+        return null;
+    }
+}
+
+function formatAmount(amount, currency = '') {
+    if (amount === null || amount === undefined) return '—';
+    return `${amount.toLocaleString('en-US')}${currency ? ` ${currency}` : ''}`;
+}
+
+function formatGap(gap) {
+    if (gap === null) return '—';
+    return gap === 0 ? 'on target' : `${gap > 0 ? '+' : '−'}${Math.abs(gap).toLocaleString('en-US')}`;
+}
+
+function buildNegotiationMarkdown(record, session) {
+    const started = session && session.startedAt ? new Date(session.startedAt).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '';
+    const fromYou = record.offers.filter(offer => offer.side === 'you');
+    const fromThem = record.offers.filter(offer => offer.side === 'them');
+    const lastOf = offers => (offers.length > 0 ? formatAmount(offers[offers.length - 1].amount, offers[offers.length - 1].currency) : '—');
+    const lines = [`# Negotiation record${started ? ` — ${started}` : ''}`, ''];
+
+    lines.push(`- Target: ${formatAmount(record.target)}`);
+    lines.push(`- Walk-away: ${formatAmount(record.walkAway)}`);
+    lines.push(`- Offers: ${record.offers.length} (${fromYou.length} from you, ${fromThem.length} from the other side)`);
+    lines.push(`- Last offer from the other side: ${lastOf(fromThem)}`);
+    lines.push(`- Last offer from you: ${lastOf(fromYou)}`, '');
+
+    lines.push('## Offers', '');
+    if (record.offers.length > 0) {
+        lines.push('| # | Time (UTC) | Side | Type | Amount | Terms | Date | Gap to target | Within walk-away |');
+        lines.push('| --- | --- | --- | --- | --- | --- | --- | --- | --- |');
+        record.offers.forEach((offer, index) => {
+            const within = offer.withinWalkAway === null ? '—' : offer.withinWalkAway ? 'yes' : 'no';
+            const cells = [
+                String(index + 1),
+                offer.ts.slice(11, 19),
+                offer.side === 'you' ? 'You' : 'Other side',
+                offer.kind,
+                formatAmount(offer.amount, offer.currency),
+                offer.terms || '—',
+                offer.date || '—',
+                formatGap(offer.gapToTarget),
+                within,
+            ].map(cell => cell.replace(/\|/g, '\\|').replace(/\n/g, ' '));
+            lines.push(`| ${cells.join(' | ')} |`);
+        });
+    } else {
+        lines.push('_No offers recorded._');
+    }
+    lines.push('');
+    return lines.join('\n');
+}
+
+/**
+ * Write a session's offer timeline to the exports dir as Markdown or JSON. Returns { filePath }.
+ */
+function exportNegotiationRecord(sessionId, format = 'markdown', outputDir = getExportsDir()) {
+    if (format !== 'markdown' && format !== 'json') {
+        throw new Error(`Unknown export format "${format}" (expected markdown, json)`);
+    }
+    const record = readOffers(sessionId);
+    if (!record) {
+        throw new Error('No offers were tracked in this session');
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+    const filePath = path.join(outputDir, `${sessionId}-negotiation.${format === 'json' ? 'json' : 'md'}`);
+    const content = format === 'json' ? JSON.stringify(record, null, 2) + '\n' : buildNegotiationMarkdown(record, readSession(sessionId));
+    fs.writeFileSync(filePath, content, 'utf8');
+    console.log(`[NEGOTIATION] Exported negotiation record for ${sessionId} to ${filePath}`);
+    return { filePath };
+}
+
+function setupNegotiationIpcHandlers() {
+    ipcMain.handle('start-negotiation-tracker', async (event, options = {}) => {
+        try {
+            return { success: true, record: startNegotiation(options) };
+        } catch (error) {
+            console.error('[NEGOTIATION] Start error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // No id: the running or most recent session
+    ipcMain.handle('get-negotiation-offers', async (event, id) => {
+        try {
+            const sessionId = resolveSessionId(id);
+            if (!sessionId || !readSession(sessionId)) {
+                return { success: false, error: 'Session not found' };
+            }
+            return { success: true, sessionId, record: readOffers(sessionId) };
+        } catch (error) {
+            console.error('[NEGOTIATION] Get offers error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('export-negotiation-record', async (event, { id, format }) => {
+        try {
+            const sessionId = resolveSessionId(id);
+            return { success: true, ...exportNegotiationRecord(sessionId, format) };
+        } catch (error) {
+            console.error('[NEGOTIATION] Export error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    console.log('[NEGOTIATION] IPC handlers registered');
+}
+
+module.exports = {
+    parseOffersResponse,
+    comparePosition,
+    startNegotiation,
+    recordNegotiationUtterance,
+    finishNegotiation,
+    readOffers,
+    buildNegotiationMarkdown,
+    exportNegotiationRecord,
+    setupNegotiationIpcHandlers,
+};
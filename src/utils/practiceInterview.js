@@ -0,0 +1,281 @@
+// practiceInterview.js - Mock interview practice: the coach asks a question, the user answers, the answer is scored
+// Rounds are kept in <config dir>/practice-rounds.json, oldest first:
+//   [{ "id": "...", "createdAt": "...", "role": "...", "question": "...", "answer": "...", "durationMs": 62000, "model": "...",
+//      "metrics": { "wordCount": 150, "wordsPerMinute": 145, "fillerCount": 3, "fillerWords": { "um": 2, "like": 1 } },
+//      "scores": { "structure": { "score": 7, "feedback": "..." }, "clarity": {...}, "length": {...}, "fillerWords": {...} },
+//      "overall": 7.3, "suggestions": ["..."] }]
+// Structure and clarity are judged by the chat model; length and filler words are measured here.
+const fs = require('fs');
+const path = require('path');
+const { ipcMain } = require('electron');
+const { getConfigDir } = require('../config');
+const { getPracticeQuestionPrompt, getPracticeFeedbackPrompt } = require('./prompts');
+const { configureProviders, completeWithModel } = require('./llmProviders');
+const { IDEAL_WORDS_PER_MINUTE, countWords, countFillerWords } = require('./speakingMetrics');
+
+const ROUNDS_FILE_NAME = 'practice-rounds.json';
+const MAX_PRACTICE_ROUNDS = 200;
+const DEFAULT_PRACTICE_MODEL = 'llama-4-maverick';
+const QUESTION_MAX_TOKENS = 256;
+const FEEDBACK_MAX_TOKENS = 1024;
+// Earlier questions for the same role sent along so the coach asks something new
+const ASKED_QUESTIONS_LIMIT = 15;
+
+// About 30 seconds to 2 minutes of speech
+const IDEAL_ANSWER_WORDS = { min: 80, max: 280 };
+
+function getRoundsFilePath() {
+    return path.join(getConfigDir(), ROUNDS_FILE_NAME);
+}
+
+function getLanguageName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(String(code).split('-')[0]) || 'English';
+    } catch (error) {
+        return 'English';
+    }
+}
+
+/**
+ * Word count, speaking pace and filler words of an answer. durationMs is 0 for typed answers (no pace).
+ */
+function analyzeAnswer(answer, durationMs = 0) {
+    const wordCount = countWords(answer);
+    const { fillerCount, fillerWords } = countFillerWords(answer);
+    return {
+        wordCount,
+        wordsPerMinute: durationMs > 0 && wordCount > 0 ? Math.round(wordCount / (durationMs / 60000)) : null,
+        fillerCount,
+        fillerWords,
+    };
+}
+
+function scoreLength(metrics) {
+    const { wordCount, wordsPerMinute } = metrics;
+    let result;
+    if (wordCount < IDEAL_ANSWER_WORDS.min) {
+        result = {
+            score: Math.max(1, Math.round((10 * wordCount) / IDEAL_ANSWER_WORDS.min)),
+            feedback: `At ${wordCount} words the answer is short - add a concrete example or the result you achieved.`,
+        };
+    } else if (wordCount > IDEAL_ANSWER_WORDS.max) {
+        result = {
+            score: Math.max(3, Math.round((10 * IDEAL_ANSWER_WORDS.max) / wordCount)),
+            feedback: `At ${wordCount} words the answer runs long - aim for under two minutes and lead with the key point.`,
+        };
+    } else {
+        result = { score: 10, feedback: `${wordCount} words is a good length for a spoken answer.` };
+    }
+
+    if (wordsPerMinute !== null && wordsPerMinute < IDEAL_WORDS_PER_MINUTE.min) {
+        result.feedback += ` Your pace was ${wordsPerMinute} words per minute, which is slow; pausing is fine, but keep the answer moving.`;
+    } else if (wordsPerMinute !== null && wordsPerMinute > IDEAL_WORDS_PER_MINUTE.max) {
+        result.feedback += ` Your pace was ${wordsPerMinute} words per minute - slow down a little so every point lands.`;
+    }
+    return result;
+}
+
+function scoreFillerWords(metrics) {
+    const { wordCount, fillerCount, fillerWords } = metrics;
+    if (fillerCount === 0) {
+        return { score: 10, feedback: 'No filler words - well done.' };
+    }
+    // Every filler per 100 words costs two points
+    const perHundredWords = (fillerCount / Math.max(wordCount, 1)) * 100;
+    const mostUsed = Object.entries(fillerWords)
+        .sort((a, b) => b[1] - a[1])
+        .map(([filler, count]) => `"${filler}" ×${count}`)
+        .join(', ');
+    return {
+        score: Math.max(1, Math.round(10 - perHundredWords * 2)),
+        feedback: `${fillerCount} filler word${fillerCount === 1 ? '' : 's'} (${mostUsed}). A short pause sounds more confident than a filler.`,
+    };
+}
+
+function normalizeScore(value) {
+    const score = Math.round(Number(value?.score));
+    return {
+        score: Number.isFinite(score) ? Math.min(10, Math.max(1, score)) : 5,
+        feedback: String(value?.feedback ?? '').trim(),
+    };
+}
+
+/**
+ * Pull the coach's JSON feedback out of a model reply (tolerates markdown fences and chatter around it)
+ */
+function parseFeedbackResponse(text) {
+    const reply = String(text || '');
+    const start = reply.indexOf('{');
+    const end = reply.lastIndexOf('}');
+    let raw;
+    try {
+        raw = start !== -1 && end > start ? JSON.parse(reply.slice(start, end + 1)) : null;
+    } catch (error) {
+        raw = null;
+    }
+    if (!raw || !raw.structure || !raw.clarity) {
+        throw new Error('The model did not return feedback in the expected format');
+    }
+    return {
+        structure: normalizeScore(raw.structure),
+        clarity: normalizeScore(raw.clarity),
+        suggestions: Array.isArray(raw.suggestions) ? raw.suggestions.map(item => String(item ?? '').trim()).filter(Boolean) : [],
+    };
+}
+
+function readRounds() {
+    const filePath = getRoundsFilePath();
+    if (!fs.existsSync(filePath)) return [];
+    try {
+        const rounds = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return Array.isArray(rounds) ? rounds : [];
+    } catch (error) {
+        console.error('[PRACTICE] Could not read practice rounds:', error.message);
+        return [];
+    }
+}
+
+function writeRounds(rounds) {
+    fs.mkdirSync(getConfigDir(), { recursive: true });
+    fs.writeFileSync(getRoundsFilePath(), JSON.stringify(rounds.slice(-MAX_PRACTICE_ROUNDS), null, 2), 'utf8');
+}
+
+/**
+ * Practice history, newest round first
+ */
+function listRounds() {
+    return readRounds().reverse();
+}
+
+function clearRounds() {
+    fs.rmSync(getRoundsFilePath(), { force: true });
+}
+
+/**
+ * Ask the coach for the next question for a role. options: { role, model, language }
+ */
+async function generateQuestion(options = {}) {
+    const role = String(options.role || '').trim();
+    if (!role) {
+        throw new Error('Enter the role you are practicing for');
+    }
+    const asked = readRounds()
+        .filter(round => round.role.toLowerCase() === role.toLowerCase())
+        .slice(-ASKED_QUESTIONS_LIMIT)
+        .map(round => `- ${round.question}`);
+    const request = asked.length > 0 ? `Ask the next question. Already asked in earlier rounds, so ask something different:\n${asked.join('\n')}` : 'Ask the first question.';
+
+    const model = options.model || DEFAULT_PRACTICE_MODEL;
+    const reply = await completeWithModel(getPracticeQuestionPrompt(role, getLanguageName(options.language)), request, model, {
+        maxTokens: QUESTION_MAX_TOKENS,
+    });
+    const question = String(reply || '')
+        .trim()
+        .replace(/^["“]|["”]$/g, '');
+    if (!question) {
+        throw new Error('The model did not return a question');
+    }
+    return question;
+}
+
+/**
+ * Score an answer and add the round to the history. options: { role, question, answer, durationMs, model, language }
+ */
+async function scoreAnswer(options = {}) {
+    const role = String(options.role || '').trim();
+    const question = String(options.question || '').trim();
+    const answer = String(options.answer || '').trim();
+    if (!question) {
+        throw new Error('There is no question to answer yet');
+    }
+    if (!answer) {
+        throw new Error('Answer the question before scoring it');
+    }
+
+    const durationMs = Math.max(0, Number(options.durationMs) || 0);
+    const metrics = analyzeAnswer(answer, durationMs);
+    const model = options.model || DEFAULT_PRACTICE_MODEL;
+    console.log(`[PRACTICE] Scoring a ${metrics.wordCount}-word answer with ${model}`);
+    const reply = await completeWithModel(getPracticeFeedbackPrompt(role, getLanguageName(options.language)), `Question: ${question}\n\nAnswer: ${answer}`, model, {
+        maxTokens: FEEDBACK_MAX_TOKENS,
+    });
+    const feedback = parseFeedbackResponse(reply);
+
+    const scores = { structure: feedback.structure, clarity: feedback.clarity, length: scoreLength(metrics), fillerWords: scoreFillerWords(metrics) };
+    const total = Object.values(scores).reduce((sum, { score }) => sum + score, 0);
+    const round = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: new Date().toISOString(),
+        role,
+        question,
+        answer,
+        durationMs,
+        model,
+        metrics,
+        scores,
+        overall: Math.round((total / Object.keys(scores).length) * 10) / 10,
+        suggestions: feedback.suggestions,
+    };
+    writeRounds([...readRounds(), round]);
+    return round;
+}
+
+function setupPracticeIpcHandlers() {
+    // providerSettings lets practice run before any live session configured the providers
+    ipcMain.handle('practice-next-question', async (event, { role, model, language, providerSettings } = {}) => {
+        try {
+            if (providerSettings) {
+                configureProviders(providerSettings);
+            }
+            return { success: true, question: await generateQuestion({ role, model, language }) };
+        } catch (error) {
+            console.error('[PRACTICE] Next question error:', error.message);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('practice-score-answer', async (event, { providerSettings, ...options } = {}) => {
+        try {
+            if (providerSettings) {
+                configureProviders(providerSettings);
+            }
+            return { success: true, round: await scoreAnswer(options) };
+        } catch (error) {
+            console.error('[PRACTICE] Score answer error:', error.message);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('list-practice-rounds', async () => {
+        try {
+            return { success: true, rounds: listRounds() };
+        } catch (error) {
+            console.error('[PRACTICE] List rounds error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('clear-practice-rounds', async () => {
+        try {
+            clearRounds();
+            return { success: true };
+        } catch (error) {
+            console.error('[PRACTICE] Clear rounds error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    console.log('[PRACTICE] IPC handlers registered');
+}
+
+module.exports = {
+    analyzeAnswer,
+    scoreLength,
+    scoreFillerWords,
+    parseFeedbackResponse,
+    listRounds,
+    clearRounds,
+    generateQuestion,
+    scoreAnswer,
+    setupPracticeIpcHandlers,
+};
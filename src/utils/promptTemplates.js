@@ -0,0 +1,112 @@
+// promptTemplates.js - Variables and version history for the per-profile custom prompts
+// A custom prompt can contain placeholders such as {{company}} that are filled in on the start screen.
+// Everything is kept in localStorage next to customPrompt_<profile>:
+//   promptRevisions_<profile>  [{ "text": "...", "savedAt": "2026-01-01T12:00:00.000Z" }, ...] (oldest first)
+//   promptVariables_<profile>  { "company": "Acme", "attendees": "Dana, Lee" }
+
+const MAX_REVISIONS = 50;
+const VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+function readJson(storage, key, fallback) {
+    try {
+        const value = JSON.parse(storage.getItem(key));
+        return value && typeof value === 'object' ? value : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Placeholder names in the order they first appear: "Hi {{ company }}, {{product}}" -> ['company', 'product']
+ */
+function extractVariables(template) {
+    const names = [];
+    for (const match of (template || '').matchAll(VARIABLE_PATTERN)) {
+        if (!names.includes(match[1])) {
+            names.push(match[1]);
+        }
+    }
+    return names;
+}
+
+// Placeholders without a value are removed rather than sent to the model as-is
+function fillTemplate(template, values = {}) {
+    return (template || '').replace(VARIABLE_PATTERN, (placeholder, name) => (values[name] || '').trim());
+}
+
+function getVariableValues(storage, profile) {
+    return readJson(storage, `promptVariables_${profile}`, {});
+}
+
+function setVariableValue(storage, profile, name, value) {
+    const values = { ...getVariableValues(storage, profile), [name]: value };
+    storage.setItem(`promptVariables_${profile}`, JSON.stringify(values));
+    return values;
+}
+
+/**
+ * The custom prompt of the profile being started, with its variables filled in
+ */
+function getSessionPrompt(storage, profile) {
+    return fillTemplate(storage.getItem('customPrompt') || '', getVariableValues(storage, profile));
+}
+
+function getRevisions(storage, profile) {
+    const revisions = readJson(storage, `promptRevisions_${profile}`, []);
+    return Array.isArray(revisions) ? revisions : [];
+}
+
+/**
+ * Keep text as the newest revision unless it is unchanged; only the last MAX_REVISIONS are kept
+ */
+function saveRevision(storage, profile, text, now = new Date()) {
+    const revisions = getRevisions(storage, profile);
+    if (revisions.length > 0 && revisions[revisions.length - 1].text === text) {
+        return revisions;
+    }
+    const updated = [...revisions, { text, savedAt: now.toISOString() }].slice(-MAX_REVISIONS);
+    storage.setItem(`promptRevisions_${profile}`, JSON.stringify(updated));
+    return updated;
+}
+
+/**
+ * Line diff (longest common subsequence) as [{ type: 'same' | 'removed' | 'added', text }]
+ */
+function diffLines(before, after) {
+    const a = (before || '').split('\n');
+    const b = (after || '').split('\n');
+    // common[i][j] = length of the common subsequence of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i++] });
+            j++;
+        } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+    return lines;
+}
+
+module.exports = {
+    MAX_REVISIONS,
+    extractVariables,
+    fillTemplate,
+    getVariableValues,
+    setVariableValue,
+    getSessionPrompt,
+    getRevisions,
+    saveRevision,
+    diffLines,
+};
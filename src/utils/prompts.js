@@ -1036,7 +1036,20 @@ User context: ${customPrompt || 'None'}`;
     return prompts[profile] || condensedInterviewPrompt;
 }
 
+// Required on use: userProfiles.js builds its clone templates from the built-in prompts in this file
+function findUserProfile(profile) {
+    if (profilePrompts[profile]) {
+        return null;
+    }
+    return require('./userProfiles').readUserProfile(profile);
+}
+
 function getSystemPrompt(profile, customPrompt = '', googleSearchEnabled = true) {
+    const userProfile = findUserProfile(profile);
+    if (userProfile) {
+        return buildSystemPrompt(userProfile, customPrompt, googleSearchEnabled);
+    }
+
     if (profile === 'interview' || !profilePrompts[profile]) {
         return buildFastInterviewSystemPrompt(customPrompt, googleSearchEnabled);
     }
@@ -1049,6 +1062,12 @@ function getSystemPrompt(profile, customPrompt = '', googleSearchEnabled = true)
  * Get condensed system prompt for Groq (smaller HTTP body size)
  */
 function getCondensedSystemPrompt(profile, customPrompt = '') {
+    // User profiles are written for this purpose and have no condensed variant - only the search section is dropped
+    const userProfile = findUserProfile(profile);
+    if (userProfile) {
+        return buildSystemPrompt(userProfile, customPrompt, false);
+    }
+
     if (profile === 'interview') {
         return buildFastInterviewSystemPrompt(customPrompt, false);
     }
@@ -1063,10 +1082,15 @@ function getCondensedSystemPrompt(profile, customPrompt = '') {
  * Profile-aware: interview profile gets coding instructions, other profiles get their own rules.
  *
  * @param {boolean} hasImage - Whether this request includes a screenshot
- * @param {string} profile - The current profile (interview, sales, meeting, presentation, negotiation)
+ * @param {string} profile - The current profile (interview, sales, meeting, presentation, negotiation or a user profile id)
  * @returns {string} The instruction hint to append after the user's text
  */
 function getGeminiMessageHint(hasImage, profile = 'interview') {
+    const userHint = findUserProfile(profile)?.messageHints?.[hasImage ? 'image' : 'text'];
+    if (userHint && userHint.trim()) {
+        return `\n\n${userHint.trim()}`;
+    }
+
     if (profile === 'interview') {
         if (hasImage) {
             return `
@@ -1282,10 +1306,195 @@ DETECT what type of question is shown in the screenshot, then respond accordingl
 DO NOT describe the screenshot, UI, or any visual elements. Jump straight to the answer.`;
 }
 
+/**
+ * System prompt for end-of-session meeting minutes.
+ * The model must answer with JSON only so the minutes panel can edit each field.
+ *
+ * @param {string} language - Language name the minutes should be written in
+ * @returns {string} The system prompt
+ */
+function getMeetingMinutesPrompt(language = 'English') {
+    return `You are a meticulous meeting secretary. You receive the timestamped transcript of a meeting captured from the user's microphone and computer audio. Speech recognition may contain mistakes - infer the intended words from context, but never invent facts that are not supported by the transcript.
+
+Write the minutes in ${language} and reply with ONLY a JSON object in this exact shape, with no markdown fences and no text before or after it:
+
+{
+  "summary": "3-6 sentences covering the purpose of the meeting and what was discussed",
+  "decisions": ["Each decision that was agreed, as one sentence"],
+  "actionItems": [{ "task": "What needs to be done", "owner": "Who committed to it, or empty string", "due": "Due date or timeframe as stated, or empty string" }],
+  "openQuestions": ["Questions raised but not answered, or topics left unresolved"]
+}
+
+RULES:
+- Only list decisions that were actually agreed, not proposals that were merely discussed
+- Use the names people used for each other as owners; if no one took an item, leave owner empty
+- Lines may be labelled "You" (the user, from their microphone) or "Other participants" (everyone else, from computer audio); when the user committed to an item and no name was used, the owner is "You"
+- Keep due dates as they were said ("Friday", "end of Q3") rather than guessing calendar dates
+- Use empty arrays when there is nothing to report`;
+}
+
+// What a summary of an imported recording covers, per built-in profile
+const recordingSummaryFocus = {
+    interview: `This is a job interview. Cover:
+- **Questions asked** - each question the interviewer asked, in order
+- **Answers** - how each was answered, with the strong points and what was missing or unclear
+- **Follow-ups** - topics worth preparing before the next round`,
+
+    sales: `This is a sales call. Cover:
+- **Customer needs** - the problems, goals and requirements the prospect described
+- **Objections** - each objection raised and how it was handled
+- **Competitors and pricing** - competitors, budgets and prices mentioned
+- **Next steps** - what was agreed, with owners and dates`,
+
+    meeting: `This is a business meeting. Cover:
+- **Discussion** - the purpose of the meeting and the main topics
+- **Decisions** - what was agreed
+- **Action items** - who committed to what, with due dates as they were said
+- **Open questions** - what was left unresolved`,
+
+    presentation: `This is a presentation. Cover:
+- **Key messages** - the main points the speaker made, in order
+- **Structure** - how the talk was organized and where it lost focus
+- **Audience questions** - questions asked and how they were answered
+- **Delivery** - concrete suggestions for the next time it is given`,
+
+    negotiation: `This is a negotiation. Cover:
+- **Positions** - what each side wanted and why
+- **Offers** - every offer and counteroffer in order, with amounts and terms
+- **Concessions** - what each side gave up
+- **Outcome** - where it ended and which terms are still open`,
+
+    exam: `This is a lecture, class or exam review. Cover:
+- **Topics** - the subjects covered, in order
+- **Key facts** - definitions, formulas and facts worth remembering
+- **Open questions** - points that were unclear or left for later`,
+};
+
+/**
+ * System prompt for the summary of an imported recording, focused on what matters for the profile.
+ * User profiles get the generic focus plus their own description.
+ *
+ * @param {string} profile - Built-in profile or user profile id
+ * @param {string} language - Language name the summary should be written in
+ * @returns {string} The system prompt
+ */
+function getRecordingSummaryPrompt(profile = 'meeting', language = 'English') {
+    let focus = recordingSummaryFocus[profile];
+    if (!focus) {
+        const userProfile = findUserProfile(profile);
+        const context = userProfile ? `The recording was made for "${userProfile.name}"${userProfile.description ? `: ${userProfile.description}` : ''}.\n` : '';
+        focus = `${context}Cover:
+- **Overview** - what the conversation was about
+- **Key points** - the most important things that were said
+- **Next steps** - what was agreed or still needs to happen`;
+    }
+
+    return `You summarize recorded conversations. You receive the timestamped transcript of a recording that was transcribed with speech recognition - speakers are not labelled, and words may be misheard. Infer the intended words from context, but never invent facts that are not supported by the transcript.
+
+${focus}
+
+Write the summary in ${language} as markdown: one short overview paragraph, then a bold heading for each point above with bullet points under it. Leave out headings with nothing to report. Quote numbers, names and dates exactly as they were said.`;
+}
+
+/**
+ * System prompt for pulling offers out of a negotiation, one transcribed line at a time
+ */
+function getOfferExtractionPrompt() {
+    return `You track the numbers in a live negotiation. You receive a few earlier lines of the transcript for context and then the NEW LINES, numbered. Lines are labelled "You" (the user, from their microphone) or "Other participants" (the other side, from computer audio). Speech recognition may contain mistakes - infer the intended numbers from context, but never invent an offer that was not made.
+
+Reply with ONLY a JSON object in this exact shape, with no markdown fences and no text before or after it:
+
+{
+  "offers": [{ "line": 1, "amount": 120000, "currency": "USD", "terms": "Conditions attached to the offer, or empty string", "date": "Start, delivery or deadline date as stated, or empty string" }]
+}
+
+RULES:
+- Only extract offers, counteroffers and price proposals made in the NEW LINES - not ones merely repeated, quoted back, rejected or asked about
+- "line" is the number of the new line the offer was made in; list offers in the order they were made
+- "amount" is a plain number in full units: "120k" is 120000, "1.2 million" is 1200000; per-unit or per-month prices stay as said and the unit goes into "terms"
+- Use an ISO 4217 currency code when the currency is said or obvious, otherwise an empty string
+- Keep dates as they were said ("by March 1st", "end of Q3") rather than guessing calendar dates
+- Reply with {"offers": []} when the new lines make no offer`;
+}
+
+// Practice mode persona: the AI openly plays the interviewer, then coaches the user on each answer
+const coachPrompts = {
+    intro: `You are an interview coach running a mock interview that the user started to practice for a real one. You play the interviewer for the role they are preparing for, and after each answer you give honest, specific feedback. Both of you know this is practice.`,
+
+    formatRequirements: `**FORMAT:**
+- Plain text only, no markdown
+- Be direct and specific - refer to what the user actually said instead of giving generic advice`,
+
+    content: `**AS THE INTERVIEWER:**
+- Ask one question at a time, worded the way a real interviewer for this role would say it out loud
+- Mix behavioral questions ("Tell me about a time...") with technical and situational questions specific to the role
+- Match the seniority of the role, and vary the topics from round to round
+
+**AS THE COACH:**
+- Structure: does the answer have a clear beginning, middle and end? For behavioral questions, check for situation, task, action and result
+- Clarity: is it easy to follow, concrete, and does it actually answer the question that was asked?
+- Answers are transcribed from speech, so misheard words are not the user's mistake - judge what they meant to say
+- Length and filler words are measured separately; do not score them`,
+};
+
+/**
+ * System prompt for the next mock interview question (practice mode)
+ *
+ * @param {string} role - The role the user is practicing for, e.g. "Senior frontend engineer"
+ * @param {string} language - Language name for the question
+ */
+function getPracticeQuestionPrompt(role, language = 'English') {
+    const outputInstructions = `**OUTPUT INSTRUCTIONS:**
+Reply with ONLY the next interview question in ${language}, exactly as you would ask it - no numbering, no preamble and no hints about the answer.`;
+    return buildSystemPrompt({ ...coachPrompts, outputInstructions }, `Role being practiced: ${role}`, false);
+}
+
+/**
+ * System prompt for scoring a practice answer; the reply is parsed by practiceInterview.js
+ *
+ * @param {string} role - The role the user is practicing for
+ * @param {string} language - Language name for the feedback
+ */
+function getPracticeFeedbackPrompt(role, language = 'English') {
+    const outputInstructions = `**OUTPUT INSTRUCTIONS:**
+Write the feedback in ${language} and reply with ONLY a JSON object in this exact shape, with no markdown fences and no text before or after it:
+
+{
+  "structure": { "score": 7, "feedback": "One or two sentences on how the answer is organized" },
+  "clarity": { "score": 6, "feedback": "One or two sentences on how clear and relevant it is" },
+  "suggestions": ["A concrete change that would make this answer better"]
+}
+
+Scores are whole numbers from 1 (poor) to 10 (excellent). Give 2-4 suggestions, most important first.`;
+    return buildSystemPrompt({ ...coachPrompts, outputInstructions }, `Role being practiced: ${role}`, false);
+}
+
+/**
+ * Passages from the profile's knowledge base, placed before the question they were retrieved for.
+ * The assistant view renders the [source: ...] tags as citations.
+ *
+ * @param {Array<{documentName: string, text: string}>} passages - Best matches first
+ * @returns {string} The reference block, or an empty string without passages
+ */
+function getKnowledgeContext(passages = []) {
+    if (passages.length === 0) {
+        return '';
+    }
+    return `Reference documents from my knowledge base. Prefer them over general knowledge for facts about our products, customers and plans, and ignore passages that do not help with the question. After every fact you take from them, cite the document as [source: file name].
+
+${passages.map(passage => `[source: ${passage.documentName}]\n${passage.text}`).join('\n\n')}`;
+}
+
 module.exports = {
     profilePrompts,
     getSystemPrompt,
     getCondensedSystemPrompt,
     getGeminiMessageHint,
     getExamMessageHint,
+    getMeetingMinutesPrompt,
+    getRecordingSummaryPrompt,
+    getOfferExtractionPrompt,
+    getKnowledgeContext,
+    getPracticeQuestionPrompt,
+    getPracticeFeedbackPrompt,
 };
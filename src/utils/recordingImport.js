@@ -0,0 +1,211 @@
+// recordingImport.js - Transcribe and summarize a recording made elsewhere (WAV, MP3 or Opus)
+// WAV files are decoded here; compressed files are decoded by the renderer with Web Audio and arrive as 24 kHz 16-bit mono PCM.
+// The audio is cut into utterances by the segmentation engine, each utterance is transcribed with the active
+// speech-to-text backend, and the result is archived as a session with mode "import" (see sessionArchive.js):
+// transcript lines keep their place in the recording (startedAt/endedAt), and a summary focused on the chosen
+// profile is stored as a "summary" event.
+const fs = require('fs');
+const path = require('path');
+const { ipcMain, dialog, BrowserWindow } = require('electron');
+const { getRecordingSummaryPrompt } = require('./prompts');
+const { configureProviders, completeWithModel } = require('./llmProviders');
+const { configureSttBackend, transcribeAudio } = require('./sttBackends');
+const { writeSession } = require('./sessionArchive');
+const { segmentPcm } = require('./speechSegmenter');
+const { CAPTURE_SAMPLE_RATE, decodeWavToPcm } = require('./wavFile');
+const { pcmToWav } = require('./groq');
+
+const RECORDING_EXTENSIONS = ['wav', 'mp3', 'opus', 'ogg', 'webm'];
+// The whole recording is decoded in memory
+const MAX_RECORDING_FILE_BYTES = 100 * 1024 * 1024;
+// ~25k tokens - fits every supported chat model with room for the answer
+const MAX_TRANSCRIPT_CHARS = 100000;
+const SUMMARY_MAX_TOKENS = 2048;
+const DEFAULT_IMPORT_MODEL = 'llama-4-maverick';
+
+let importInProgress = false;
+
+function getLanguageName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(String(code).split('-')[0]) || 'English';
+    } catch (error) {
+        return 'English';
+    }
+}
+
+function isWavFile(filePath) {
+    return path.extname(filePath).toLowerCase() === '.wav';
+}
+
+// Position in the recording: 1:05 or 1:02:05
+function formatOffset(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Transcript lines ("[1:05] ...") for the summary prompt. Very long recordings keep their beginning.
+ * lines: [{ offsetMs, text }]
+ */
+function buildRecordingTranscript(lines) {
+    const transcript = lines.map(line => `[${formatOffset(line.offsetMs)}] ${line.text}`).join('\n');
+    if (transcript.length <= MAX_TRANSCRIPT_CHARS) {
+        return transcript;
+    }
+    const kept = transcript.slice(0, MAX_TRANSCRIPT_CHARS);
+    return `${kept.slice(0, kept.lastIndexOf('\n'))}\n[rest of the transcript omitted]`;
+}
+
+/**
+ * Transcribe a recording (24 kHz 16-bit mono PCM) and archive it with a profile-aware summary.
+ * options: { fileName, profile, language, model, apiKey, segmentation, recordedAt }
+ * onProgress is called with { stage: 'transcribing', done, total } per utterance, then { stage: 'summarizing' }.
+ * Returns { sessionId, durationMs, segments, transcribed, failedSegments, summary, summaryError }.
+ */
+async function importRecording(pcm, options = {}, onProgress = () => {}) {
+    const { fileName = 'recording', profile = 'meeting', language = 'en-US', model = DEFAULT_IMPORT_MODEL, apiKey = '' } = options;
+    const startedAt = options.recordedAt || Date.now();
+    const durationMs = Math.round((Math.floor(pcm.length / 2) / CAPTURE_SAMPLE_RATE) * 1000);
+    const segments = segmentPcm(pcm, options.segmentation);
+    if (segments.length === 0) {
+        throw new Error('No speech found in this recording');
+    }
+    console.log(`[IMPORT] ${fileName}: ${(durationMs / 1000).toFixed(1)}s of audio, ${segments.length} utterances`);
+
+    // One utterance that can't be transcribed must not cost the rest of a long recording
+    const lines = [];
+    let failedSegments = 0;
+    let lastError = null;
+    for (let i = 0; i < segments.length; i++) {
+        onProgress({ stage: 'transcribing', done: i, total: segments.length });
+        const segment = segments[i];
+        try {
+            const text = await transcribeAudio(pcmToWav(segment.pcm), { apiKey });
+            if (text && text.trim()) {
+                lines.push({ offsetMs: segment.speechStartMs, endMs: segment.speechEndMs, text: text.trim() });
+            }
+        } catch (error) {
+            console.error(`[IMPORT] Could not transcribe utterance ${i + 1}/${segments.length}:`, error.message);
+            failedSegments++;
+            lastError = error;
+        }
+    }
+    onProgress({ stage: 'transcribing', done: segments.length, total: segments.length });
+    if (lines.length === 0) {
+        throw lastError || new Error('Nothing could be transcribed from this recording');
+    }
+
+    const events = lines.map(line => ({
+        type: 'transcript',
+        ts: startedAt + line.endMs,
+        text: line.text,
+        startedAt: new Date(startedAt + line.offsetMs).toISOString(),
+        endedAt: new Date(startedAt + line.endMs).toISOString(),
+    }));
+
+    // The transcript is archived even when the summary fails
+    onProgress({ stage: 'summarizing' });
+    let summary = '';
+    let summaryError = null;
+    try {
+        const reply = await completeWithModel(
+            getRecordingSummaryPrompt(profile, getLanguageName(language)),
+            `Transcript of ${fileName}:\n\n${buildRecordingTranscript(lines)}`,
+            model,
+            { maxTokens: SUMMARY_MAX_TOKENS }
+        );
+        summary = String(reply || '').trim();
+        events.push({ type: 'summary', ts: startedAt + durationMs, text: summary, model });
+    } catch (error) {
+        console.error('[IMPORT] Summary failed:', error.message);
+        summaryError = error.message;
+    }
+
+    const sessionId = writeSession({ profile, mode: 'import', model, language, fileName }, events, {
+        startedAt,
+        endedAt: startedAt + durationMs,
+    });
+    return { sessionId, durationMs, segments: segments.length, transcribed: lines.length, failedSegments, summary, summaryError };
+}
+
+/**
+ * Import a WAV file from disk (compressed formats are decoded by the renderer)
+ */
+async function importRecordingFile(filePath, options = {}, onProgress) {
+    if (!isWavFile(filePath)) {
+        throw new Error('Only WAV files can be decoded here - MP3 and Opus are decoded by the app window');
+    }
+    const pcm = decodeWavToPcm(fs.readFileSync(filePath));
+    return importRecording(pcm, { fileName: path.basename(filePath), ...options }, onProgress);
+}
+
+function setupRecordingImportIpcHandlers() {
+    // Opens the file picker in the main process. WAV files are decoded here on import; other formats are
+    // returned for the renderer to decode.
+    ipcMain.handle('choose-recording-file', async event => {
+        try {
+            const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+                title: 'Import recording',
+                properties: ['openFile'],
+                filters: [{ name: 'Recordings', extensions: RECORDING_EXTENSIONS }],
+            });
+            if (canceled || filePaths.length === 0) {
+                return { success: true, canceled: true };
+            }
+            const filePath = filePaths[0];
+            if (fs.statSync(filePath).size > MAX_RECORDING_FILE_BYTES) {
+                return { success: false, error: `Recordings larger than ${MAX_RECORDING_FILE_BYTES / 1024 / 1024} MB are not supported` };
+            }
+            return {
+                success: true,
+                filePath,
+                fileName: path.basename(filePath),
+                data: isWavFile(filePath) ? null : fs.readFileSync(filePath),
+            };
+        } catch (error) {
+            console.error('[IMPORT] Choose recording error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Either { filePath } of a WAV file or { pcm } decoded by the renderer, plus the import options.
+    // Progress is sent to the window as 'recording-import-progress'.
+    ipcMain.handle('import-recording', async (event, { filePath, pcm, providerSettings, sttSettings, ...options } = {}) => {
+        if (importInProgress) {
+            return { success: false, error: 'Another recording is being imported' };
+        }
+        importInProgress = true;
+        try {
+            if (providerSettings) {
+                configureProviders(providerSettings);
+            }
+            if (sttSettings) {
+                configureSttBackend(sttSettings);
+            }
+            const importOptions = { ...options, apiKey: providerSettings ? providerSettings.groqApiKey : '' };
+            const onProgress = progress => event.sender.send('recording-import-progress', progress);
+            const result = pcm
+                ? await importRecording(Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength), importOptions, onProgress)
+                : await importRecordingFile(filePath, importOptions, onProgress);
+            return { success: true, ...result };
+        } catch (error) {
+            console.error('[IMPORT] Import recording error:', error.message);
+            return { success: false, error: error.message };
+        } finally {
+            importInProgress = false;
+        }
+    });
+
+    console.log('[IMPORT] IPC handlers registered');
+}
+
+module.exports = {
+    RECORDING_EXTENSIONS,
+    buildRecordingTranscript,
+    importRecording,
+    importRecordingFile,
+    setupRecordingImportIpcHandlers,
+};
@@ -0,0 +1,65 @@
+// rehearsalReport.js - Delivery report for a rehearsed presentation, computed from its archived session
+// Uses the session's transcripts and, when the VAD ran in manual mode, its "speech" events (see sessionArchive.js).
+// Nothing is stored - the report is recomputed whenever it is opened.
+const { ipcMain } = require('electron');
+const { readSession, resolveSessionId } = require('./sessionArchive');
+const { computeSpeakingMetrics } = require('./speakingMetrics');
+
+function toTimestamp(value) {
+    const time = Date.parse(value);
+    return Number.isFinite(time) ? time : NaN;
+}
+
+/**
+ * { sessionId, startedAt, endedAt, durationMs, profile, timing: 'vad' | 'transcripts', metrics }
+ */
+function buildRehearsalReport(session) {
+    const transcripts = session.events
+        .filter(event => event.type === 'transcript' && String(event.text || '').trim())
+        .map(event => ({
+            text: String(event.text),
+            source: event.source,
+            // Sessions archived before transcripts carried timing only have the time they were written
+            startedAt: toTimestamp(event.startedAt || event.ts),
+            endedAt: toTimestamp(event.endedAt || event.ts),
+        }));
+    const speech = session.events
+        .filter(event => event.type === 'speech')
+        .map(event => ({ source: event.source, startedAt: toTimestamp(event.startedAt), endedAt: toTimestamp(event.endedAt) }));
+    const startedAt = toTimestamp(session.startedAt);
+    const endedAt = toTimestamp(session.endedAt);
+
+    return {
+        sessionId: session.id,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        durationMs: Number.isFinite(startedAt) && Number.isFinite(endedAt) ? endedAt - startedAt : null,
+        profile: session.profile,
+        timing: speech.length > 0 ? 'vad' : 'transcripts',
+        metrics: computeSpeakingMetrics({ transcripts, speech, startedAt }),
+    };
+}
+
+function setupRehearsalReportIpcHandlers() {
+    // No id: the running or most recent session
+    ipcMain.handle('get-rehearsal-report', async (event, id) => {
+        try {
+            const sessionId = resolveSessionId(id);
+            const session = sessionId ? readSession(sessionId) : null;
+            if (!session) {
+                return { success: false, error: 'Session not found' };
+            }
+            return { success: true, report: buildRehearsalReport(session) };
+        } catch (error) {
+            console.error('[REHEARSAL] Get report error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    console.log('[REHEARSAL] IPC handlers registered');
+}
+
+module.exports = {
+    buildRehearsalReport,
+    setupRehearsalReportIpcHandlers,
+};
@@ -17,6 +17,22 @@ try {
     VADProcessor = null;
 }
 
+// Shared with the main process; the components reach them through cheddar
+const modelRegistry = require(path.join(__dirname, 'utils', 'modelRegistry.js'));
+const promptTemplates = require(path.join(__dirname, 'utils', 'promptTemplates.js'));
+const speakingMetrics = require(path.join(__dirname, 'utils', 'speakingMetrics.js'));
+const speechSegmenter = require(path.join(__dirname, 'utils', 'speechSegmenter.js'));
+const audioDevices = require(path.join(__dirname, 'utils', 'audioDevices.js'));
+const audioDiagnostics = require(path.join(__dirname, 'utils', 'audioDiagnostics.js'));
+
+// Custom models from <config dir>/models.json, registered before the components render
+try {
+    const { getConfigDir } = require(path.join(__dirname, 'config.js'));
+    modelRegistry.loadUserModels(getConfigDir());
+} catch (error) {
+    console.warn('Could not load custom models:', error);
+}
+
 // Initialize random display name for UI components
 window.randomDisplayName = null;
 
@@ -33,24 +49,53 @@ ipcRenderer
     });
 
 let mediaStream = null;
+let microphoneStream = null;
+// System audio from an input device chosen in the device picker, or a reopened screen-share loopback
+let systemAudioStream = null;
+// The deviceId each renderer-side source was opened with ('' = default device), null while it is not captured
+let activeAudioDevices = { mic: null, system: null };
+let audioDeviceSwitch = Promise.resolve();
+// Opt-in call recording of the running session (utils/callRecorder.js)
+let callRecordingActive = false;
 let screenshotInterval = null;
-let audioContext = null;
-let audioProcessor = null;
-let audioBuffer = [];
-let vadProcessor = null; // VAD processor instance
+// Audio sources processed in the renderer, each with its own VAD: 'system' (loopback) and 'mic'
+let audioChannels = {}; // source -> { audioContext, captureNode, vadProcessor }
 const SAMPLE_RATE = 24000;
 const AUDIO_CHUNK_DURATION = 0.1; // seconds
-const BUFFER_SIZE = 4096; // Increased buffer size for smoother audio
+// Resampling and PCM conversion run in an AudioWorklet, off the main thread (see utils/audioCaptureWorklet.js)
+const CAPTURE_WORKLET_URL = require('url').pathToFileURL(path.join(__dirname, 'utils', 'audioCaptureWorklet.js')).href;
 
 let hiddenVideo = null;
 let offscreenCanvas = null;
 let offscreenContext = null;
 let currentImageQuality = 'medium'; // Store current image quality for manual screenshots
 let microphoneEnabled = false; // Microphone toggle state - starts OFF by default
+let sessionMode = null; // 'interview' | 'coding' | 'captions' | 'practice' - set when a session is initialized
 
 const isLinux = process.platform === 'linux';
+
+// Profiles where the user's own voice matters for notes and suggestions capture the microphone by default
+const MICROPHONE_CAPTURE_PROFILES = ['sales', 'meeting', 'presentation', 'negotiation'];
 const isMacOS = process.platform === 'darwin';
 
+// Computer audio is captured as it is played - no processing meant for microphones
+const SYSTEM_AUDIO_CONSTRAINTS = {
+    sampleRate: SAMPLE_RATE,
+    channelCount: 1,
+    echoCancellation: false,
+    noiseSuppression: false,
+    autoGainControl: false,
+};
+
+// The user's microphone, cleaned up for speech
+const MICROPHONE_AUDIO_CONSTRAINTS = {
+    sampleRate: SAMPLE_RATE,
+    channelCount: 1,
+    echoCancellation: true, // Keep the other participants (played through speakers) out of the "You" channel
+    noiseSuppression: true,
+    autoGainControl: true,
+};
+
 // Token tracking system for rate limiting
 let tokenTracker = {
     tokens: [], // Array of {timestamp, count, type} objects
@@ -166,16 +211,146 @@ function arrayBufferToBase64(buffer) {
     return btoa(binary);
 }
 
+// Collect chat provider settings (API keys, OpenAI-compatible endpoint, fallback model) for the main process
+function getLLMProviderSettings() {
+    return {
+        groqApiKey: localStorage.getItem('groqApiKey') || '',
+        geminiApiKey: localStorage.getItem('apiKey') || '',
+        openAICompatible: {
+            baseUrl: localStorage.getItem('openaiCompatibleBaseUrl') || '',
+            apiKey: localStorage.getItem('openaiCompatibleApiKey') || '',
+            models: localStorage.getItem('openaiCompatibleModels') || '',
+        },
+        fallbackModel: localStorage.getItem('fallbackModel') || '',
+    };
+}
+
+// Collect speech-to-text backend settings (stored per backend as stt_<backend>_<field>)
+function getSttBackendSettings() {
+    const fields = ['baseUrl', 'apiKey', 'model', 'language', 'timeoutMs'];
+    const backends = {};
+    for (const backend of ['groq', 'openai-compatible']) {
+        backends[backend] = {};
+        for (const field of fields) {
+            backends[backend][field] = localStorage.getItem(`stt_${backend}_${field}`) || '';
+        }
+    }
+    return {
+        backend: localStorage.getItem('sttBackend') || 'groq',
+        backends,
+    };
+}
+
+// Speech segmentation settings tuned in AdvancedView (JSON in localStorage, defaults from utils/speechSegmenter.js)
+function getSegmentationSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem('segmentationSettings') || '{}');
+    } catch (error) {
+        console.warn('Ignoring invalid segmentation settings:', error);
+    }
+    return speechSegmenter.normalizeSegmentationSettings(stored);
+}
+
+// Decode an imported recording (MP3, Opus, WAV...) to the capture format: 24 kHz 16-bit mono PCM.
+// decodeAudioData resamples to the context's rate; the channels are mixed down here.
+async function decodeRecording(data) {
+    const context = new OfflineAudioContext(1, 1, SAMPLE_RATE);
+    const audioBuffer = await context.decodeAudioData(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    const mono = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const samples = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += samples[i] / audioBuffer.numberOfChannels;
+        }
+    }
+    return convertFloat32ToInt16(mono);
+}
+
+// Archive the session's transcript, prompts and responses to disk (browsable in the Sessions view)
+function startSessionArchive(meta) {
+    ipcRenderer
+        .invoke('start-session-archive', meta)
+        .then(result => result.success && startCallRecording())
+        .catch(error => {
+            console.warn('Could not start session archive:', error);
+        });
+}
+
+// Days recordings are kept; 0 keeps them until they are deleted by hand
+function getRecordingRetentionDays() {
+    const days = parseInt(localStorage.getItem('recordingRetentionDays') || '30', 10);
+    return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+// Opt-in (Settings → Audio): the session's audio is saved beside its transcript, mixed or one track per source
+async function startCallRecording() {
+    const mode = localStorage.getItem('callRecording') || 'off';
+    if (mode === 'off') return;
+    const result = await ipcRenderer.invoke('start-call-recording', { mode, retentionDays: getRecordingRetentionDays() });
+    callRecordingActive = result.success;
+    if (!result.success) {
+        console.warn('Could not start call recording:', result.error);
+    }
+}
+
+// Live talk/listen ratio, questions, objections and competitor mentions, saved with the session
+function startSalesScorecard() {
+    const competitors = (localStorage.getItem('salesCompetitors') || '').split(',');
+    ipcRenderer.invoke('start-sales-scorecard', { competitors }).catch(error => {
+        console.warn('Could not start sales scorecard:', error);
+    });
+}
+
+// Offers and counteroffers pulled from the transcript, compared with the target and walk-away entered on the start screen
+function startNegotiationTracker(model) {
+    const target = localStorage.getItem('negotiationTarget') || '';
+    const walkAway = localStorage.getItem('negotiationWalkAway') || '';
+    ipcRenderer.invoke('start-negotiation-tracker', { target, walkAway, model }).catch(error => {
+        console.warn('Could not start negotiation tracker:', error);
+    });
+}
+
 async function initializeGemini(profile = 'interview', language = 'en-US', mode = 'interview', model = 'llama-4-maverick') {
     // Get mode and model from localStorage if not provided
     const selectedMode = mode || localStorage.getItem('selectedMode') || 'interview';
     const selectedModel = model || localStorage.getItem('selectedModel') || 'llama-4-maverick';
 
-    if (selectedMode === 'interview') {
-        // ALL interview models use Groq Whisper for STT
-        const groqApiKey = localStorage.getItem('groqApiKey')?.trim();
-        if (groqApiKey) {
-            const result = await ipcRenderer.invoke('initialize-groq', groqApiKey, localStorage.getItem('customPrompt') || '', profile, language, selectedModel);
+    // Push provider settings first so chat requests can be routed to the right backend
+    await ipcRenderer.invoke('configure-llm-providers', getLLMProviderSettings());
+    const sttSettings = getSttBackendSettings();
+    await ipcRenderer.invoke('configure-stt-backend', sttSettings);
+    sessionMode = selectedMode;
+    // {{variables}} in the custom prompt are filled from the start screen form
+    const sessionPrompt = promptTemplates.getSessionPrompt(localStorage, profile);
+
+    if (selectedMode === 'captions') {
+        // Captions only need speech-to-text - no chat model, and no key with a local STT backend
+        const groqApiKey = localStorage.getItem('groqApiKey')?.trim() || '';
+        if (!groqApiKey && sttSettings.backend === 'groq') {
+            cheddar.setStatus('Error: No Groq API key');
+            return;
+        }
+        const result = await ipcRenderer.invoke('initialize-groq', groqApiKey, '', profile, language, selectedModel, {
+            captionsOnly: true,
+            segmentation: getSegmentationSettings(),
+        });
+        if (!result.success) {
+            cheddar.setStatus('Error: ' + result.error);
+            return;
+        }
+        startSessionArchive({ profile, mode: selectedMode, language });
+        cheddar.setStatus('Listening...');
+    } else if (selectedMode === 'interview') {
+        // The Groq pipeline handles audio for ALL interview models; the key is only required
+        // when Groq does the transcription or serves the chat model itself
+        const groqApiKey = localStorage.getItem('groqApiKey')?.trim() || '';
+        const chatProvider = modelRegistry.getModelProvider(selectedModel);
+        const needsGroqKey = sttSettings.backend === 'groq' || !(chatProvider === 'openai-compatible' || chatProvider === 'gemini');
+        if (groqApiKey || !needsGroqKey) {
+            const result = await ipcRenderer.invoke('initialize-groq', groqApiKey, sessionPrompt, profile, language, selectedModel, {
+                segmentation: getSegmentationSettings(),
+            });
             if (result.success) {
                 console.log('[RENDERER] Groq initialized for interview model:', selectedModel);
             } else {
@@ -188,10 +363,10 @@ async function initializeGemini(profile = 'interview', language = 'en-US', mode
         }
 
         // If Gemini model, also initialize Gemini for text generation + screenshots
-        if (selectedModel === 'gemini-2.5-flash-lite') {
+        if (modelRegistry.getModelProvider(selectedModel) === 'gemini') {
             const apiKey = localStorage.getItem('apiKey')?.trim();
             if (apiKey) {
-                const success = await ipcRenderer.invoke('initialize-gemini', apiKey, localStorage.getItem('customPrompt') || '', profile, language, selectedMode, selectedModel);
+                const success = await ipcRenderer.invoke('initialize-gemini', apiKey, sessionPrompt, profile, language, selectedMode, selectedModel);
                 if (success) {
                     console.log('[RENDERER] Gemini also initialized for hybrid mode');
                 } else {
@@ -204,13 +379,20 @@ async function initializeGemini(profile = 'interview', language = 'en-US', mode
             }
         }
 
+        startSessionArchive({ profile, mode: selectedMode, model: selectedModel, language });
+        if (profile === 'sales') {
+            startSalesScorecard();
+        } else if (profile === 'negotiation') {
+            startNegotiationTracker(selectedModel);
+        }
         cheddar.setStatus('Listening...');
     } else {
         // Coding/Exam mode — Gemini only
         const apiKey = localStorage.getItem('apiKey')?.trim();
         if (apiKey) {
-            const success = await ipcRenderer.invoke('initialize-gemini', apiKey, localStorage.getItem('customPrompt') || '', profile, language, selectedMode, selectedModel);
+            const success = await ipcRenderer.invoke('initialize-gemini', apiKey, sessionPrompt, profile, language, selectedMode, selectedModel);
             if (success) {
+                startSessionArchive({ profile, mode: selectedMode, model: selectedModel, language });
                 cheddar.setStatus('Ready');
             } else {
                 cheddar.setStatus('error');
@@ -224,9 +406,9 @@ ipcRenderer.on('update-status', (event, status) => {
     cheddar.setStatus(status);
 });
 
-// Listen for Groq transcription results
+// Listen for Groq transcription results ({ text, speaker, source })
 ipcRenderer.on('groq-transcription', (event, transcription) => {
-    console.log(`[GROQ STT] Transcription: ${transcription.length} chars`);
+    console.log(`[GROQ STT] ${transcription.speaker}: ${transcription.text.length} chars`);
 });
 
 // Listen for responses - REMOVED: This is handled in CheatingDaddyApp.js to avoid duplicates
@@ -254,10 +436,10 @@ async function startCapture(screenshotIntervalSeconds = 5, imageQuality = 'mediu
         console.log('🔧 Initialized vadMode to automatic (first run)');
     }
 
-    // Enable microphone if in automatic VAD mode
+    // Enable microphone if in automatic VAD mode (captions always listen)
     const vadEnabled = localStorage.getItem('vadEnabled') === 'true';
-    const vadMode = localStorage.getItem('vadMode') || 'automatic';
-    if (vadEnabled && vadMode === 'automatic') {
+    const vadMode = getVADMode();
+    if (sessionMode === 'captions' || (vadEnabled && vadMode === 'automatic')) {
         microphoneEnabled = true;
         console.log('🎤 [AUTOMATIC MODE] Microphone enabled at session start');
     } else if (vadEnabled && vadMode === 'manual') {
@@ -265,6 +447,9 @@ async function startCapture(screenshotIntervalSeconds = 5, imageQuality = 'mediu
         console.log('🔴 [MANUAL MODE] Microphone OFF - click button to enable');
     }
 
+    // A system-audio device chosen in the device picker replaces the platform's default loopback
+    const systemDeviceId = await resolveAudioDevice('system');
+
     try {
         if (isMacOS) {
             // On macOS, use SystemAudioDump for audio and getDisplayMedia for screen
@@ -272,12 +457,17 @@ async function startCapture(screenshotIntervalSeconds = 5, imageQuality = 'mediu
 
             // Get VAD settings from localStorage to pass to main process
             const vadEnabled = localStorage.getItem('vadEnabled') === 'true';
-            const vadMode = localStorage.getItem('vadMode') || 'automatic';
+            const vadMode = getVADMode();
 
-            // Start macOS audio capture with VAD settings
-            const audioResult = await ipcRenderer.invoke('start-macos-audio', vadEnabled, vadMode);
-            if (!audioResult.success) {
-                throw new Error('Failed to start macOS audio capture: ' + audioResult.error);
+            if (systemDeviceId) {
+                // e.g. BlackHole
+                await startSystemAudioDevice(systemDeviceId);
+            } else {
+                // Start macOS audio capture with VAD settings
+                const audioResult = await ipcRenderer.invoke('start-macos-audio', vadEnabled, vadMode);
+                if (!audioResult.success) {
+                    throw new Error('Failed to start macOS audio capture: ' + audioResult.error);
+                }
             }
 
             // Get screen capture for screenshots
@@ -290,7 +480,18 @@ async function startCapture(screenshotIntervalSeconds = 5, imageQuality = 'mediu
                 audio: false, // Don't use browser audio on macOS
             });
 
-            console.log('macOS screen capture started - audio handled by SystemAudioDump');
+            console.log(`macOS screen capture started - audio handled by ${systemDeviceId ? 'the chosen device' : 'SystemAudioDump'}`);
+        } else if (systemDeviceId) {
+            // Screen only - the audio comes from the chosen device (a PulseAudio/PipeWire monitor source, Stereo Mix, a virtual cable)
+            mediaStream = await navigator.mediaDevices.getDisplayMedia({
+                video: {
+                    frameRate: 1,
+                    width: { ideal: 1920 },
+                    height: { ideal: 1080 },
+                },
+                audio: false,
+            });
+            await startSystemAudioDevice(systemDeviceId);
         } else if (isLinux) {
             // Linux - use display media for screen capture and try to get system audio
             try {
@@ -301,19 +502,13 @@ async function startCapture(screenshotIntervalSeconds = 5, imageQuality = 'mediu
                         width: { ideal: 1920 },
                         height: { ideal: 1080 },
                     },
-                    audio: {
-                        sampleRate: SAMPLE_RATE,
-                        channelCount: 1,
-                        echoCancellation: false, // Don't cancel system audio
-                        noiseSuppression: false,
-                        autoGainControl: false,
-                    },
+                    audio: SYSTEM_AUDIO_CONSTRAINTS,
                 });
 
                 console.log('Linux system audio capture via getDisplayMedia succeeded');
 
                 // Setup audio processing for Linux system audio
-                setupLinuxSystemAudioProcessing();
+                await setupAudioChannel(mediaStream, 'system', 'Linux system audio');
             } catch (systemAudioError) {
                 console.warn('System audio via getDisplayMedia failed, trying screen-only capture:', systemAudioError);
 
@@ -349,8 +544,8 @@ async function startCapture(screenshotIntervalSeconds = 5, imageQuality = 'mediu
 
                 console.log('Windows capture started with loopback audio');
 
-                // Setup audio processing for Windows loopback audio only
-                setupWindowsLoopbackProcessing();
+                // Setup audio processing for Windows loopback audio
+                await setupAudioChannel(mediaStream, 'system', 'Windows loopback');
             } catch (audioErr) {
                 console.warn('Windows audio loopback failed, retrying video-only:', audioErr.message);
 
@@ -370,6 +565,12 @@ async function startCapture(screenshotIntervalSeconds = 5, imageQuality = 'mediu
             }
         }
 
+        activeAudioDevices.system = systemDeviceId;
+
+        if (shouldCaptureMicrophone()) {
+            await startMicrophoneCapture(await resolveAudioDevice('mic'));
+        }
+
         console.log('MediaStream obtained:', {
             hasVideo: mediaStream.getVideoTracks().length > 0,
             hasAudio: mediaStream.getAudioTracks().length > 0,
@@ -393,135 +594,243 @@ async function startCapture(screenshotIntervalSeconds = 5, imageQuality = 'mediu
     }
 }
 
-function setupLinuxSystemAudioProcessing() {
-    // Setup system audio processing for Linux (from getDisplayMedia)
-    audioContext = new AudioContext({ sampleRate: SAMPLE_RATE });
-    const source = audioContext.createMediaStreamSource(mediaStream);
-    audioProcessor = audioContext.createScriptProcessor(BUFFER_SIZE, 1, 1);
-
-    // All interview mode audio goes to Groq Whisper for STT
-    const selectedMode = localStorage.getItem('selectedMode') || 'interview';
-    const selectedModel = localStorage.getItem('selectedModel') || 'llama-4-maverick';
-    const useGroqForSTT = selectedMode === 'interview';
+// The Groq pipeline transcribes audio for interview, captions and practice sessions; coding/exam audio goes to Gemini Live
+function usesGroqForSTT() {
+    return sessionMode === 'interview' || sessionMode === 'captions' || sessionMode === 'practice';
+}
 
-    console.log(`[AUDIO] Mode: ${selectedMode}, Model: ${selectedModel}, Using Groq: ${useGroqForSTT}`);
+// Captions and practice answers must keep running without anyone holding push-to-talk
+function getVADMode() {
+    return sessionMode === 'captions' || sessionMode === 'practice' ? 'automatic' : localStorage.getItem('vadMode') || 'automatic';
+}
 
-    // Initialize VAD if enabled and available
-    let isVADEnabled = false;
-    if (VADProcessor) {
-        try {
-            const vadEnabled = localStorage.getItem('vadEnabled') === 'true';
-            if (vadEnabled) {
-                // Get VAD mode from localStorage (default: 'automatic')
-                const vadMode = localStorage.getItem('vadMode') || 'automatic';
-                console.log(`Initializing VAD in ${vadMode.toUpperCase()} mode`);
+// Whether the user's microphone is captured as its own "You" channel (Groq pipeline only - Gemini Live takes a single stream)
+function shouldCaptureMicrophone() {
+    if (!usesGroqForSTT()) {
+        return false;
+    }
+    const setting = localStorage.getItem('captureMicrophone');
+    if (setting !== null) {
+        return setting === 'true';
+    }
+    return MICROPHONE_CAPTURE_PROFILES.includes(localStorage.getItem('selectedProfile') || 'interview');
+}
 
-                // Create VAD processor with onCommit callback and mode
-                vadProcessor = new VADProcessor(
-                    async (audioSegment, metadata) => {
-                        try {
-                            // Convert Float32Array to Int16 PCM
-                            const pcmData16 = convertFloat32ToInt16(audioSegment);
-                            const base64Data = arrayBufferToBase64(pcmData16.buffer);
+// deviceId: the microphone chosen in the device picker, '' for the default one
+async function startMicrophoneCapture(deviceId = '') {
+    try {
+        microphoneStream = await navigator.mediaDevices.getUserMedia({
+            audio: audioDevices.buildAudioConstraints(deviceId, MICROPHONE_AUDIO_CONSTRAINTS),
+            video: false,
+        });
+        await setupAudioChannel(microphoneStream, 'mic', microphoneStream.getAudioTracks()[0]?.label || 'microphone');
+        activeAudioDevices.mic = deviceId;
+        console.log('Microphone capture started as a separate channel');
+    } catch (error) {
+        // Not fatal - transcripts just won't include the user's side
+        console.warn('Microphone capture failed, continuing with system audio only:', error);
+        microphoneStream = null;
+    }
+}
 
-                            if (useGroqForSTT) {
-                                // Send to Groq for Whisper transcription
-                                await ipcRenderer.invoke('groq-add-audio', { data: base64Data });
-                                // VAD segment sent to Groq
-                            } else {
-                                // Coding/exam mode: send audio to Gemini
-                                await ipcRenderer.invoke('send-audio-content', {
-                                    data: base64Data,
-                                    mimeType: 'audio/pcm;rate=24000',
-                                });
-                                console.log('VAD audio segment sent to Gemini:', metadata);
-                            }
-                        } catch (error) {
-                            console.error('Failed to send VAD audio segment:', error);
-                        }
-                    },
-                    null, // onStateChange callback
-                    vadMode // VAD mode
-                );
-                isVADEnabled = true;
-                console.log('VAD enabled for Linux system audio processing');
+async function startSystemAudioDevice(deviceId) {
+    try {
+        systemAudioStream = await navigator.mediaDevices.getUserMedia({
+            audio: audioDevices.buildAudioConstraints(deviceId, SYSTEM_AUDIO_CONSTRAINTS),
+            video: false,
+        });
+        await setupAudioChannel(systemAudioStream, 'system', systemAudioStream.getAudioTracks()[0]?.label || 'system audio device');
+    } catch (error) {
+        // Not fatal - screenshots and the microphone keep working
+        console.warn('System audio device could not be opened, continuing without system audio:', error);
+        systemAudioStream = null;
+    }
+}
 
-                // In AUTOMATIC mode: enable microphone by default
-                if (vadMode === 'automatic') {
-                    microphoneEnabled = true;
-                    console.log('🎤 Automatic mode - microphone enabled by default');
-                }
-            }
-        } catch (error) {
-            console.error('Failed to initialize VAD:', error);
+// The device chosen for 'mic' or 'system' in the current profile, '' for the default (see utils/audioDevices.js)
+async function resolveAudioDevice(kind) {
+    const choice = audioDevices.getDeviceChoices(localStorage, localStorage.getItem('selectedProfile') || 'interview')[kind];
+    if (!choice) {
+        return '';
+    }
+    try {
+        const deviceId = audioDevices.resolveDeviceId(choice, await navigator.mediaDevices.enumerateDevices());
+        if (!deviceId) {
+            console.warn(`[AUDIO] ${choice.label || kind} is not connected - using the default device`);
         }
+        return deviceId;
+    } catch (error) {
+        console.warn('[AUDIO] Could not list audio devices:', error);
+        return '';
     }
+}
 
-    let audioBuffer = [];
-    const samplesPerChunk = SAMPLE_RATE * AUDIO_CHUNK_DURATION;
-    let audioFrameCount = 0;
-
-    audioProcessor.onaudioprocess = async e => {
-        audioFrameCount++;
+// Inputs for the device pickers: { microphones, systemSources }
+async function listAudioDevices() {
+    try {
+        return audioDevices.listAudioSources(await navigator.mediaDevices.enumerateDevices());
+    } catch (error) {
+        console.warn('[AUDIO] Could not list audio devices:', error);
+        return { microphones: [], systemSources: [] };
+    }
+}
 
-        // Debug: Log first few frames
-        if (audioFrameCount <= 3) {
-            console.log(`🔊 [AUDIO] Frame ${audioFrameCount}: microphoneEnabled=${microphoneEnabled}, isVADEnabled=${isVADEnabled}`);
+/**
+ * Reopen one source ('mic' | 'system') on another device while the session keeps running ('' = default device)
+ */
+async function restartAudioSource(kind, deviceId) {
+    // Pausing sends the speech recorded so far before the old device is closed
+    audioChannels[kind]?.vadProcessor?.pause();
+    closeAudioChannel(kind);
+
+    if (kind === 'mic') {
+        stopStream(microphoneStream);
+        microphoneStream = null;
+        activeAudioDevices.mic = null;
+        await startMicrophoneCapture(deviceId);
+    } else {
+        if (systemAudioStream) {
+            stopStream(systemAudioStream);
+            systemAudioStream = null;
+        } else if (isMacOS) {
+            await ipcRenderer.invoke('stop-macos-audio');
+        } else if (mediaStream) {
+            // The default loopback came with the screen capture, which keeps running
+            mediaStream.getAudioTracks().forEach(track => {
+                track.stop();
+                mediaStream.removeTrack(track);
+            });
         }
 
-        // Skip audio processing if microphone is not enabled
-        if (!microphoneEnabled) {
-            if (audioFrameCount <= 3) {
-                console.log(`🚫 [AUDIO] Skipping frame - microphone is OFF`);
+        if (deviceId) {
+            await startSystemAudioDevice(deviceId);
+        } else if (isMacOS) {
+            const result = await ipcRenderer.invoke('start-macos-audio', localStorage.getItem('vadEnabled') === 'true', getVADMode());
+            if (!result.success) {
+                console.error('Failed to restart macOS audio capture:', result.error);
             }
-            return;
+        } else {
+            await startDefaultSystemAudio();
         }
+        activeAudioDevices.system = deviceId;
+    }
 
-        const inputData = e.inputBuffer.getChannelData(0);
-        audioBuffer.push(...inputData);
+    // A push-to-talk recording that was running continues on the new device
+    if (microphoneEnabled) {
+        audioChannels[kind]?.vadProcessor?.resume();
+    }
+    console.log(`[AUDIO] ${kind} switched to ${deviceId ? 'the chosen device' : 'the default device'}`);
+}
 
-        // Process audio in chunks
-        while (audioBuffer.length >= samplesPerChunk) {
-            const chunk = audioBuffer.splice(0, samplesPerChunk);
+// The screen-share loopback after a chosen device was used: a second capture request of which only the audio is kept
+async function startDefaultSystemAudio() {
+    try {
+        const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: SYSTEM_AUDIO_CONSTRAINTS });
+        stream.getVideoTracks().forEach(track => track.stop());
+        if (stream.getAudioTracks().length === 0) {
+            console.warn('Default system audio is not available');
+            return;
+        }
+        systemAudioStream = new MediaStream(stream.getAudioTracks());
+        await setupAudioChannel(systemAudioStream, 'system', 'default system audio');
+    } catch (error) {
+        console.warn('Default system audio could not be reopened:', error);
+        systemAudioStream = null;
+    }
+}
 
-            if (isVADEnabled && vadProcessor) {
-                // Process with VAD (VAD will check its own pause state)
-                await vadProcessor.processAudio(chunk);
-            } else {
-                // Process without VAD (original behavior)
-                const pcmData16 = convertFloat32ToInt16(chunk);
-                const base64Data = arrayBufferToBase64(pcmData16.buffer);
+/**
+ * Save the device for 'mic' or 'system' in the current profile (null = default) and switch to it if that source is running
+ */
+function switchAudioDevice(kind, device) {
+    audioDevices.saveDeviceChoice(localStorage, localStorage.getItem('selectedProfile') || 'interview', kind, device);
+    return followAudioDevices([kind]);
+}
 
-                if (useGroqForSTT) {
-                    // Send to Groq for Whisper transcription
-                    await ipcRenderer.invoke('groq-add-audio', { data: base64Data });
-                } else {
-                    // Coding/exam mode: send audio to Gemini
-                    await ipcRenderer.invoke('send-audio-content', {
-                        data: base64Data,
-                        mimeType: 'audio/pcm;rate=24000',
-                    });
-                }
+// Reopen running sources whose chosen device was plugged in or removed; switches run one at a time
+function followAudioDevices(kinds = audioDevices.DEVICE_KINDS) {
+    audioDeviceSwitch = audioDeviceSwitch.then(async () => {
+        for (const kind of kinds) {
+            if (activeAudioDevices[kind] === null) {
+                continue;
+            }
+            const deviceId = await resolveAudioDevice(kind);
+            if (deviceId !== activeAudioDevices[kind]) {
+                await restartAudioSource(kind, deviceId);
             }
         }
-    };
+    });
+    return audioDeviceSwitch.catch(error => {
+        console.error('[AUDIO] Could not switch audio device:', error);
+    });
+}
 
-    source.connect(audioProcessor);
-    audioProcessor.connect(audioContext.destination);
+// Docks and headsets come and go during a call
+if (navigator.mediaDevices) {
+    navigator.mediaDevices.addEventListener('devicechange', () => {
+        followAudioDevices();
+        window.dispatchEvent(new CustomEvent('audio-devices-changed'));
+    });
 }
 
-function setupWindowsLoopbackProcessing() {
-    // Setup audio processing for Windows loopback audio only
-    audioContext = new AudioContext({ sampleRate: SAMPLE_RATE });
-    const source = audioContext.createMediaStreamSource(mediaStream);
-    audioProcessor = audioContext.createScriptProcessor(BUFFER_SIZE, 1, 1);
+// Send a PCM segment of one source to Groq Whisper (interview mode) or Gemini
+async function sendAudioSegment(base64Data, source, useGroqForSTT) {
+    if (useGroqForSTT) {
+        await ipcRenderer.invoke('groq-add-audio', { data: base64Data, source });
+    } else {
+        // Coding/exam mode: send audio to Gemini
+        await ipcRenderer.invoke('send-audio-content', {
+            data: base64Data,
+            mimeType: 'audio/pcm;rate=24000',
+        });
+    }
+}
 
-    // All interview mode audio goes to Groq Whisper for STT
-    const selectedMode = localStorage.getItem('selectedMode') || 'interview';
+// Presentation rehearsals: VAD speech timing feeds the live speaking metrics and is archived for the rehearsal report
+function recordSpeechSegment(source, metadata) {
+    // Automatic mode streams frames without speech detection, so there is no timing to record
+    if (metadata.streaming || !metadata.duration) return;
+    const segment = { source, startedAt: metadata.timestamp - metadata.duration, endedAt: metadata.timestamp };
+    window.dispatchEvent(new CustomEvent('speech-segment', { detail: segment }));
+    ipcRenderer.invoke('record-speech-segment', segment).catch(error => {
+        console.warn('Could not record speech segment:', error);
+    });
+}
+
+async function setupAudioChannel(stream, source, label) {
+    // Each source gets its own context, capture worklet and VAD so speech from both sides is never mixed.
+    // The context runs at the device rate; the worklet resamples to SAMPLE_RATE.
+    const audioContext = new AudioContext();
+    let captureNode;
+    try {
+        await audioContext.audioWorklet.addModule(CAPTURE_WORKLET_URL);
+        captureNode = new AudioWorkletNode(audioContext, 'pcm-capture', {
+            numberOfInputs: 1,
+            // No output: the node is a sink, nothing is played back
+            numberOfOutputs: 0,
+            channelCount: 1,
+            channelCountMode: 'explicit',
+            processorOptions: { outputSampleRate: SAMPLE_RATE, chunkDuration: AUDIO_CHUNK_DURATION },
+        });
+    } catch (error) {
+        // Not fatal - the session continues without this source
+        console.error(`[AUDIO] Could not start audio capture for ${label}:`, error);
+        audioContext.close();
+        return;
+    }
+    const streamSource = audioContext.createMediaStreamSource(stream);
+    const channel = { audioContext, captureNode, vadProcessor: null };
+    audioChannels[source] = channel;
+
+    // All interview and captions audio goes to Groq Whisper for STT
     const selectedModel = localStorage.getItem('selectedModel') || 'llama-4-maverick';
-    const useGroqForSTT = selectedMode === 'interview';
+    const useGroqForSTT = usesGroqForSTT();
+    const tracksSpeech = localStorage.getItem('selectedProfile') === 'presentation' && sessionMode === 'interview';
+
+    console.log(`[AUDIO] ${label}: Mode: ${sessionMode}, Model: ${selectedModel}, Using Groq: ${useGroqForSTT}, Context rate: ${audioContext.sampleRate}`);
 
-    console.log(`[AUDIO] Mode: ${selectedMode}, Model: ${selectedModel}, Using Groq: ${useGroqForSTT}`);
+    // The chunk being handed to the VAD, whose PCM the worklet already converted
+    let currentChunk = null;
 
     // Initialize VAD if enabled and available
     let isVADEnabled = false;
@@ -529,28 +838,23 @@ function setupWindowsLoopbackProcessing() {
         try {
             const vadEnabled = localStorage.getItem('vadEnabled') === 'true';
             if (vadEnabled) {
-                // Get VAD mode from localStorage (default: 'automatic')
-                const vadMode = localStorage.getItem('vadMode') || 'automatic';
-                console.log(`Initializing VAD in ${vadMode.toUpperCase()} mode`);
+                const vadMode = getVADMode();
+                console.log(`Initializing VAD for ${label} in ${vadMode.toUpperCase()} mode`);
 
                 // Create VAD processor with onCommit callback and mode
-                vadProcessor = new VADProcessor(
+                channel.vadProcessor = new VADProcessor(
                     async (audioSegment, metadata) => {
+                        if (tracksSpeech) {
+                            recordSpeechSegment(source, metadata);
+                        }
                         try {
-                            // Convert Float32Array to Int16 PCM
-                            const pcmData16 = convertFloat32ToInt16(audioSegment);
+                            // Automatic mode streams the chunks through unchanged - reuse their PCM;
+                            // committed segments are converted here
+                            const pcmData16 =
+                                currentChunk && currentChunk.samples === audioSegment ? currentChunk.pcm : convertFloat32ToInt16(audioSegment);
                             const base64Data = arrayBufferToBase64(pcmData16.buffer);
-
-                            if (useGroqForSTT) {
-                                // Send to Groq for Whisper transcription
-                                await ipcRenderer.invoke('groq-add-audio', { data: base64Data });
-                                // VAD segment sent to Groq
-                            } else {
-                                // Coding/exam mode: send audio to Gemini
-                                await ipcRenderer.invoke('send-audio-content', {
-                                    data: base64Data,
-                                    mimeType: 'audio/pcm;rate=24000',
-                                });
+                            await sendAudioSegment(base64Data, source, useGroqForSTT);
+                            if (!useGroqForSTT) {
                                 console.log('VAD audio segment sent to Gemini:', metadata);
                             }
                         } catch (error) {
@@ -558,10 +862,11 @@ function setupWindowsLoopbackProcessing() {
                         }
                     },
                     null, // onStateChange callback
-                    vadMode // VAD mode
+                    vadMode, // VAD mode
+                    { maxRecordingMs: getSegmentationSettings().maxSegmentMs }
                 );
                 isVADEnabled = true;
-                console.log('VAD enabled for Windows loopback processing');
+                console.log(`VAD enabled for ${label} processing`);
 
                 // In AUTOMATIC mode: enable microphone by default
                 if (vadMode === 'automatic') {
@@ -574,57 +879,48 @@ function setupWindowsLoopbackProcessing() {
         }
     }
 
-    let audioBuffer = [];
-    const samplesPerChunk = SAMPLE_RATE * AUDIO_CHUNK_DURATION;
-    let audioFrameCount = 0;
+    let audioChunkCount = 0;
 
-    audioProcessor.onaudioprocess = async e => {
-        audioFrameCount++;
+    // One message per AUDIO_CHUNK_DURATION of audio: { samples: Float32Array, pcm: Int16Array }
+    captureNode.port.onmessage = async ({ data }) => {
+        audioChunkCount++;
+
+        // While the mic is toggled off its track gets silence, so it stays in step with the other track
+        if (callRecordingActive) {
+            const pcm = source === 'mic' && !microphoneEnabled ? new Int16Array(data.pcm.length) : data.pcm;
+            ipcRenderer.invoke('add-recording-audio', { source, pcm }).catch(error => {
+                console.warn('Could not record audio:', error);
+            });
+        }
 
-        // Debug: Log first few frames
-        if (audioFrameCount <= 3) {
-            console.log(`🔊 [AUDIO] Frame ${audioFrameCount}: microphoneEnabled=${microphoneEnabled}, isVADEnabled=${isVADEnabled}`);
+        // Debug: Log first few chunks
+        if (audioChunkCount <= 3) {
+            console.log(`🔊 [AUDIO] ${label} chunk ${audioChunkCount}: microphoneEnabled=${microphoneEnabled}, isVADEnabled=${isVADEnabled}`);
         }
 
         // Skip audio processing if microphone is not enabled
         if (!microphoneEnabled) {
-            if (audioFrameCount <= 3) {
-                console.log(`🚫 [AUDIO] Skipping frame - microphone is OFF`);
+            if (audioChunkCount <= 3) {
+                console.log(`🚫 [AUDIO] Skipping chunk - microphone is OFF`);
             }
             return;
         }
 
-        const inputData = e.inputBuffer.getChannelData(0);
-        audioBuffer.push(...inputData);
-
-        // Process audio in chunks
-        while (audioBuffer.length >= samplesPerChunk) {
-            const chunk = audioBuffer.splice(0, samplesPerChunk);
-
-            if (isVADEnabled && vadProcessor) {
+        try {
+            if (isVADEnabled && channel.vadProcessor) {
                 // Process with VAD (VAD will check its own pause state)
-                await vadProcessor.processAudio(chunk);
+                currentChunk = data;
+                await channel.vadProcessor.processAudio(data.samples);
             } else {
                 // Process without VAD (original behavior)
-                const pcmData16 = convertFloat32ToInt16(chunk);
-                const base64Data = arrayBufferToBase64(pcmData16.buffer);
-
-                if (useGroqForSTT) {
-                    // Send to Groq for Whisper transcription
-                    await ipcRenderer.invoke('groq-add-audio', { data: base64Data });
-                } else {
-                    // Coding/exam mode: send audio to Gemini
-                    await ipcRenderer.invoke('send-audio-content', {
-                        data: base64Data,
-                        mimeType: 'audio/pcm;rate=24000',
-                    });
-                }
+                await sendAudioSegment(arrayBufferToBase64(data.pcm.buffer), source, useGroqForSTT);
             }
+        } catch (error) {
+            console.error(`Failed to process ${label} audio:`, error);
         }
     };
 
-    source.connect(audioProcessor);
-    audioProcessor.connect(audioContext.destination);
+    streamSource.connect(captureNode);
 }
 
 async function captureScreenshot(imageQuality = 'medium', isManual = false) {
@@ -714,7 +1010,7 @@ async function captureScreenshot(imageQuality = 'medium', isManual = false) {
                 }
 
                 // All interview mode manual screenshots go through Groq handler
-                // (groq.js internally routes to Gemini for gemini-2.5-flash-lite)
+                // (groq.js internally routes to Gemini for Gemini models)
                 const selectedMode = localStorage.getItem('selectedMode') || 'interview';
                 const selectedModel = localStorage.getItem('selectedModel') || 'llama-4-maverick';
                 const selectedProfile = localStorage.getItem('selectedProfile') || 'interview';
@@ -729,7 +1025,9 @@ async function captureScreenshot(imageQuality = 'medium', isManual = false) {
                     negotiation: 'Look at this screenshot. If it contains a negotiation situation, suggest counter-offers, strategies, or responses. If it contains something unrelated (a dashboard, settings page, etc.), just briefly describe what you see in 1 sentence — do NOT invent negotiation scenarios about it.',
                     exam: 'Look at this screenshot and solve any problems or questions shown. Provide complete answers.',
                 };
-                const screenshotText = screenshotPrompts[selectedProfile] || screenshotPrompts.interview;
+                // User-created profiles describe their situation in their own system prompt
+                const userProfilePrompt = 'Look at this screenshot. If it relates to the situation you are helping with, respond to what it shows. If it contains something unrelated (a dashboard, settings page, etc.), just briefly describe what you see in 1 sentence — do NOT invent questions about it.';
+                const screenshotText = screenshotPrompts[selectedProfile] || userProfilePrompt;
 
                 let result;
                 if (useGroq) {
@@ -782,27 +1080,231 @@ async function captureManualScreenshot(imageQuality = null) {
 // Expose functions to global scope for external access
 window.captureManualScreenshot = captureManualScreenshot;
 
-function stopCapture() {
-    if (screenshotInterval) {
-        clearInterval(screenshotInterval);
-        screenshotInterval = null;
+// Audio diagnostics (AdvancedView): the sources are opened as in a session, but nothing is transcribed or sent.
+// Each source gets a level meter, a VAD in the configured mode and a segmenter with the tuned settings,
+// so the panel shows what a session would make of the audio.
+const TEST_CLIP_MS = 10000;
+let diagnostics = null; // { monitor, streams, channels: { source: { audioContext, captureNode, vadProcessor } }, clip, onUpdate }
+
+async function openDiagnosticsStreams() {
+    const streams = {};
+    const notes = [];
+    try {
+        streams.mic = await navigator.mediaDevices.getUserMedia({
+            audio: audioDevices.buildAudioConstraints(await resolveAudioDevice('mic'), MICROPHONE_AUDIO_CONSTRAINTS),
+            video: false,
+        });
+    } catch (error) {
+        notes.push(`The microphone could not be opened: ${error.message}`);
+    }
+
+    const systemDeviceId = await resolveAudioDevice('system');
+    try {
+        if (systemDeviceId) {
+            streams.system = await navigator.mediaDevices.getUserMedia({
+                audio: audioDevices.buildAudioConstraints(systemDeviceId, SYSTEM_AUDIO_CONSTRAINTS),
+                video: false,
+            });
+        } else if (isMacOS) {
+            // SystemAudioDump runs in the main process and feeds the session directly
+            notes.push('On macOS system audio is captured by SystemAudioDump during a session. Choose a loopback device such as BlackHole in Settings → Audio to test it here.');
+        } else {
+            const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: SYSTEM_AUDIO_CONSTRAINTS });
+            stream.getVideoTracks().forEach(track => track.stop());
+            if (stream.getAudioTracks().length > 0) {
+                streams.system = new MediaStream(stream.getAudioTracks());
+            } else {
+                notes.push('The screen capture came without system audio.');
+            }
+        }
+    } catch (error) {
+        notes.push(`System audio could not be opened: ${error.message}`);
     }
+    return { streams, notes };
+}
 
-    if (audioProcessor) {
-        audioProcessor.disconnect();
-        audioProcessor = null;
+async function openDiagnosticsChannel(stream, source) {
+    const audioContext = new AudioContext();
+    await audioContext.audioWorklet.addModule(CAPTURE_WORKLET_URL);
+    const captureNode = new AudioWorkletNode(audioContext, 'pcm-capture', {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 1,
+        channelCountMode: 'explicit',
+        processorOptions: { outputSampleRate: SAMPLE_RATE, chunkDuration: AUDIO_CHUNK_DURATION },
+    });
+    const { monitor } = diagnostics;
+    const vadMode = localStorage.getItem('vadMode') || 'automatic';
+    const segmentationSettings = getSegmentationSettings();
+    // Automatic mode streams everything and the segmentation engine cuts the utterances, as in the Groq pipeline
+    const segmenter = new speechSegmenter.SpeechSegmenter(segmentationSettings, { sampleRate: SAMPLE_RATE });
+    const vadProcessor = VADProcessor
+        ? new VADProcessor(
+              (segment, metadata) => {
+                  if (!metadata.streaming) {
+                      monitor.addSegment(source, metadata.duration);
+                  }
+              },
+              state => {
+                  monitor.setVadState(source, state);
+                  notifyDiagnostics();
+              },
+              vadMode,
+              { maxRecordingMs: segmentationSettings.maxSegmentMs }
+          )
+        : null;
+    monitor.setVadState(source, vadProcessor ? vadProcessor.getState() : null);
+    diagnostics.channels[source] = { audioContext, captureNode, vadProcessor };
+
+    captureNode.port.onmessage = ({ data }) => {
+        monitor.addLevels(source, audioDiagnostics.measureAudioLevels(data.pcm));
+        if (diagnostics.clip) {
+            diagnostics.clip.chunks[source].push(data.pcm);
+        }
+        vadProcessor?.processAudio(data.samples);
+        if (vadMode === 'automatic') {
+            const pcm = new Uint8Array(data.pcm.buffer, data.pcm.byteOffset, data.pcm.byteLength);
+            segmenter.push(pcm).segments.forEach(segment => monitor.addSegment(source, segment.durationMs));
+        }
+        notifyDiagnostics();
+    };
+    audioContext.createMediaStreamSource(stream).connect(captureNode);
+}
+
+function notifyDiagnostics() {
+    if (diagnostics && diagnostics.onUpdate) {
+        diagnostics.onUpdate(diagnostics.monitor.getSnapshot());
+    }
+}
+
+/**
+ * Start metering the microphone and system audio outside a session; onUpdate(snapshot) is called for every chunk
+ * (see utils/audioDiagnostics.js). Returns { success, sources, notes } - notes explain sources that could not be opened.
+ */
+async function startAudioDiagnostics(onUpdate) {
+    if (Object.keys(audioChannels).length > 0) {
+        return { success: false, error: 'A session is capturing audio - end it first' };
+    }
+    stopAudioDiagnostics();
+    diagnostics = {
+        monitor: new audioDiagnostics.DiagnosticsMonitor({ speechThreshold: getSegmentationSettings().speechThreshold }),
+        streams: [],
+        channels: {},
+        clip: null,
+        onUpdate,
+    };
+    const run = diagnostics;
+    const { streams, notes } = await openDiagnosticsStreams();
+    run.streams = Object.values(streams);
+    if (diagnostics !== run) {
+        // Stopped while the devices were opening
+        run.streams.forEach(stopStream);
+        return { success: false, error: 'Diagnostics stopped' };
+    }
+    for (const [source, stream] of Object.entries(streams)) {
+        try {
+            await openDiagnosticsChannel(stream, source);
+        } catch (error) {
+            notes.push(`Could not meter ${source === 'mic' ? 'the microphone' : 'system audio'}: ${error.message}`);
+        }
     }
+    console.log(`[DIAGNOSTICS] Metering ${Object.keys(run.channels).join(', ') || 'no sources'}`);
+    notifyDiagnostics();
+    return { success: Object.keys(run.channels).length > 0, sources: Object.keys(run.channels), notes };
+}
 
-    if (audioContext) {
+function stopAudioDiagnostics() {
+    if (!diagnostics) return;
+    const { channels, streams, clip } = diagnostics;
+    Object.values(channels).forEach(({ audioContext, captureNode, vadProcessor }) => {
+        captureNode.port.onmessage = null;
+        captureNode.disconnect();
         audioContext.close();
-        audioContext = null;
+        vadProcessor?.destroy();
+    });
+    streams.forEach(stopStream);
+    if (clip) {
+        clip.finish();
+    }
+    diagnostics = null;
+    console.log('[DIAGNOSTICS] Stopped');
+}
+
+// Manual VAD mode: the push-to-talk toggle of the diagnostics panel
+function toggleDiagnosticsMicrophone(enabled) {
+    if (!diagnostics) return;
+    Object.values(diagnostics.channels).forEach(({ vadProcessor }) => vadProcessor && toggleVADProcessor(vadProcessor, enabled));
+}
+
+/**
+ * Record TEST_CLIP_MS of every metered source for local playback. Resolves to [{ source, url, durationMs }] with
+ * blob: URLs of WAV files (revoke them with URL.revokeObjectURL); the audio never leaves the renderer.
+ */
+function recordTestClip(durationMs = TEST_CLIP_MS) {
+    if (!diagnostics || diagnostics.clip) {
+        return Promise.resolve([]);
     }
+    const { createWavHeader } = require(path.join(__dirname, 'audioUtils.js'));
+    const run = diagnostics;
+    return new Promise(resolve => {
+        const chunks = {};
+        Object.keys(run.channels).forEach(source => (chunks[source] = []));
+        const timer = setTimeout(() => clip.finish(), durationMs);
+        const clip = {
+            chunks,
+            finish: () => {
+                clearTimeout(timer);
+                if (run.clip === clip) run.clip = null;
+                const clips = Object.entries(chunks)
+                    .filter(([, pcm]) => pcm.length > 0)
+                    .map(([source, pcm]) => {
+                        const byteLength = pcm.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+                        const blob = new Blob([createWavHeader(byteLength, SAMPLE_RATE), ...pcm], { type: 'audio/wav' });
+                        return { source, url: URL.createObjectURL(blob), durationMs: (byteLength / 2 / SAMPLE_RATE) * 1000 };
+                    });
+                resolve(clips);
+            },
+        };
+        run.clip = clip;
+        console.log(`[DIAGNOSTICS] Recording a ${durationMs / 1000} s test clip`);
+    });
+}
+
+function stopStream(stream) {
+    if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+    }
+}
+
+function closeAudioChannel(source) {
+    const channel = audioChannels[source];
+    if (!channel) return;
+    channel.captureNode.port.onmessage = null;
+    channel.captureNode.disconnect();
+    channel.audioContext.close();
 
     // Destroy VAD processor if active
-    if (vadProcessor) {
-        vadProcessor.destroy();
-        vadProcessor = null;
-        console.log('VAD processor destroyed');
+    if (channel.vadProcessor) {
+        channel.vadProcessor.destroy();
+        console.log(`VAD processor destroyed (${source})`);
+    }
+    delete audioChannels[source];
+}
+
+function stopCapture() {
+    if (screenshotInterval) {
+        clearInterval(screenshotInterval);
+        screenshotInterval = null;
+    }
+
+    Object.keys(audioChannels).forEach(closeAudioChannel);
+    activeAudioDevices = { mic: null, system: null };
+
+    if (callRecordingActive) {
+        callRecordingActive = false;
+        ipcRenderer.invoke('stop-call-recording').catch(error => {
+            console.error('Error stopping call recording:', error);
+        });
     }
 
     // Reset microphone state
@@ -813,6 +1315,11 @@ function stopCapture() {
         mediaStream = null;
     }
 
+    stopStream(microphoneStream);
+    microphoneStream = null;
+    stopStream(systemAudioStream);
+    systemAudioStream = null;
+
     // Stop macOS audio capture if running
     if (isMacOS) {
         ipcRenderer.invoke('stop-macos-audio').catch(err => {
@@ -830,6 +1337,45 @@ function stopCapture() {
     offscreenContext = null;
 }
 
+/**
+ * Practice mode: record the user's spoken answer from the microphone only (no screen, no computer audio).
+ * The words come back as groq-transcription events; nothing is sent to a chat model until the answer is scored.
+ */
+async function startPracticeRecording(language = 'en-US') {
+    const sttSettings = getSttBackendSettings();
+    await ipcRenderer.invoke('configure-stt-backend', sttSettings);
+    const groqApiKey = localStorage.getItem('groqApiKey')?.trim() || '';
+    if (!groqApiKey && sttSettings.backend === 'groq') {
+        return { success: false, error: 'Recording answers needs a Groq API key (or a local speech-to-text backend in Settings)' };
+    }
+    const selectedModel = localStorage.getItem('selectedModel') || 'llama-4-maverick';
+    // Same transcription-only pipeline as captions
+    const result = await ipcRenderer.invoke('initialize-groq', groqApiKey, '', 'interview', language, selectedModel, {
+        captionsOnly: true,
+        segmentation: getSegmentationSettings(),
+    });
+    if (!result.success) {
+        return result;
+    }
+
+    sessionMode = 'practice';
+    microphoneEnabled = true;
+    await startMicrophoneCapture(await resolveAudioDevice('mic'));
+    if (!microphoneStream) {
+        stopCapture();
+        return { success: false, error: 'Could not open the microphone' };
+    }
+    return { success: true };
+}
+
+// Stops the microphone and transcribes the speech that has not been sent yet
+async function stopPracticeRecording() {
+    // Pausing commits the segment the VAD is still recording
+    Object.values(audioChannels).forEach(channel => channel.vadProcessor?.pause());
+    stopCapture();
+    await ipcRenderer.invoke('groq-flush-audio', localStorage.getItem('selectedModel') || 'llama-4-maverick', 'mic');
+}
+
 // Send text message to Gemini with automatic screenshot (combined in one request)
 async function sendTextMessage(text) {
     if (!text || text.trim().length === 0) {
@@ -907,7 +1453,7 @@ async function sendTextMessage(text) {
         });
 
         // All interview mode screenshots go through Groq handler
-        // (groq.js internally routes to Gemini for gemini-2.5-flash-lite)
+        // (groq.js internally routes to Gemini for Gemini models)
         const selectedMode = localStorage.getItem('selectedMode') || 'interview';
         const selectedModel = localStorage.getItem('selectedModel') || 'llama-4-maverick';
         const useGroq = selectedMode === 'interview';
@@ -919,7 +1465,8 @@ async function sendTextMessage(text) {
             result = await ipcRenderer.invoke('groq-analyze-image', {
                 text: text.trim(),
                 imageData: base64data,
-                model: selectedModel
+                model: selectedModel,
+                useKnowledgeBase: true
             });
         } else {
             // Send both screenshot and text together in one request to Gemini
@@ -959,17 +1506,63 @@ function handleShortcut(shortcutKey) {
     if (shortcutKey === 'ctrl+enter' || shortcutKey === 'cmd+enter') {
         if (currentView === 'main') {
             cheddar.element().handleStart();
-        } else {
+        } else if (currentView !== 'captions' && currentView !== 'practice') {
+            // Captions and practice never ask the AI about the screen
             captureManualScreenshot();
         }
     }
 }
 
+// Pause/resume (or commit, in manual mode) one renderer-side VAD processor; returns true when it committed audio
+function toggleVADProcessor(vadProcessor, enabled) {
+    if (enabled) {
+        // Resume VAD processor
+        vadProcessor.resume();
+        console.log('✅ Microphone enabled - VAD resumed');
+    } else {
+        // In MANUAL mode: commit audio when mic is toggled OFF
+        // In AUTOMATIC mode: just pause normally
+        if (vadProcessor.mode === 'manual') {
+            // Check if we have recorded audio to commit
+            if (vadProcessor.audioBuffer && vadProcessor.audioBuffer.length > 0) {
+                console.log('🎤 [MANUAL MODE] Mic toggled OFF - committing recorded audio');
+                vadProcessor.commit();
+                return true;
+            } else {
+                vadProcessor.pause();
+                console.log('❌ Microphone disabled - no audio to commit');
+            }
+        } else {
+            vadProcessor.pause();
+            console.log('❌ Microphone disabled - VAD paused');
+        }
+    }
+    return false;
+}
+
 // Microphone toggle function
 async function toggleMicrophone(enabled) {
     microphoneEnabled = enabled;
 
-    // Handle macOS separately (VAD runs in main process)
+    // Renderer-side channels: system audio on Windows/Linux, the microphone channel on every platform
+    const vadProcessors = Object.values(audioChannels)
+        .map(channel => channel.vadProcessor)
+        .filter(Boolean);
+    const committedSources = Object.keys(audioChannels).filter(
+        source => audioChannels[source].vadProcessor && toggleVADProcessor(audioChannels[source].vadProcessor, enabled)
+    );
+
+    // The committed audio is transcribed now instead of after the silence timeout, short recordings included
+    if (committedSources.length > 0 && usesGroqForSTT()) {
+        const model = localStorage.getItem('selectedModel') || 'llama-4-maverick';
+        committedSources.forEach(source => {
+            ipcRenderer.invoke('groq-flush-audio', model, source).catch(error => {
+                console.error('Error flushing committed audio:', error);
+            });
+        });
+    }
+
+    // Handle macOS separately (system audio VAD runs in main process)
     if (isMacOS) {
         try {
             const result = await ipcRenderer.invoke('toggle-macos-microphone', enabled);
@@ -981,30 +1574,7 @@ async function toggleMicrophone(enabled) {
         }
     }
 
-    // Handle Windows/Linux (VAD runs in renderer process)
-    if (vadProcessor) {
-        if (enabled) {
-            // Resume VAD processor
-            vadProcessor.resume();
-            console.log('✅ Microphone enabled - VAD resumed');
-        } else {
-            // In MANUAL mode: commit audio when mic is toggled OFF
-            // In AUTOMATIC mode: just pause normally
-            if (vadProcessor.mode === 'manual') {
-                // Check if we have recorded audio to commit
-                if (vadProcessor.audioBuffer && vadProcessor.audioBuffer.length > 0) {
-                    console.log('🎤 [MANUAL MODE] Mic toggled OFF - committing recorded audio');
-                    vadProcessor.commit();
-                } else {
-                    vadProcessor.pause();
-                    console.log('❌ Microphone disabled - no audio to commit');
-                }
-            } else {
-                vadProcessor.pause();
-                console.log('❌ Microphone disabled - VAD paused');
-            }
-        }
-    } else {
+    if (vadProcessors.length === 0) {
         console.log(`Microphone ${enabled ? 'enabled' : 'disabled'} (no VAD processor active)`);
     }
 
@@ -1033,8 +1603,20 @@ const cheddar = {
 
     // Core functionality
     initializeGemini,
+    getLLMProviderSettings,
+    getSttBackendSettings,
+    getSegmentationSettings,
+    decodeRecording,
+    listAudioDevices,
+    switchAudioDevice,
+    startAudioDiagnostics,
+    stopAudioDiagnostics,
+    toggleDiagnosticsMicrophone,
+    recordTestClip,
     startCapture,
     stopCapture,
+    startPracticeRecording,
+    stopPracticeRecording,
     sendTextMessage,
     handleShortcut,
     toggleMicrophone,
@@ -1048,6 +1630,13 @@ const cheddar = {
     // Platform detection
     isLinux: isLinux,
     isMacOS: isMacOS,
+
+    // Shared modules used by the components
+    modelRegistry,
+    promptTemplates,
+    speakingMetrics,
+    speechSegmenter,
+    audioDevices,
 };
 
 // Make it globally available
@@ -1076,4 +1665,9 @@ document.addEventListener('DOMContentLoaded', () => {
             console.error('[Renderer] Failed to sync content protection:', error);
         }
     }, 200);
+
+    // Recordings past the retention period are deleted at startup (and whenever a recording starts)
+    ipcRenderer.invoke('delete-expired-recordings', getRecordingRetentionDays()).catch(error => {
+        console.warn('Could not delete expired recordings:', error);
+    });
 });
@@ -0,0 +1,302 @@
+// requestExecutor.js - Shared request policy for every provider call
+// Queues requests per provider, retries with jittered exponential backoff (honoring retry-after),
+// trips a per-provider circuit breaker on repeated failures, and fails over to a fallback model
+const { BrowserWindow } = require('electron');
+
+const DEFAULT_POLICY = {
+    maxConcurrent: 2, // Parallel requests per provider; the rest wait in FIFO order
+    maxRetries: 2,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    maxRetryAfterMs: 10000, // Longer server-requested waits are shown as a countdown instead of blocking the answer
+    breakerThreshold: 3, // Consecutive requests that failed after their retries before the breaker opens
+    breakerCooldownMs: 30000,
+    taskTimeoutMs: 180000, // A call still running after this is aborted and fails
+};
+
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+let policy = { ...DEFAULT_POLICY };
+const queues = new Map(); // key -> { active, waiting: [{ run, reject }] }
+const breakers = new Map(); // key -> { state: 'closed' | 'open' | 'half-open', failures, openedAt }
+
+// Single header countdown shared by all providers (a newer countdown replaces the older one)
+let recoveryCountdownInterval = null;
+
+function sendToRenderer(channel, data) {
+    const windows = BrowserWindow.getAllWindows();
+    if (windows.length > 0) {
+        windows[0].webContents.send(channel, data);
+    }
+}
+
+/**
+ * Build an Error that carries what the executor needs to decide on a retry
+ * info: { status, code, retryAfterMs, retryable, statusShown }
+ */
+function createProviderError(message, info = {}) {
+    const error = new Error(message);
+    Object.assign(error, info);
+    return error;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds, or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, Math.ceil(seconds * 1000));
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function isRateLimitError(error) {
+    return error?.status === 429;
+}
+
+function isRetryableError(error) {
+    if (!error) return false;
+    if (typeof error.retryable === 'boolean') return error.retryable;
+    if (error.status === 429 || error.status >= 500) return true;
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): the server's retry-after when given,
+ * otherwise exponential backoff with "equal jitter" so parallel clients don't retry in lockstep
+ */
+function computeBackoffDelay(attempt, error = null, random = Math.random) {
+    if (error && Number.isFinite(error.retryAfterMs)) {
+        return Math.round(error.retryAfterMs + random() * 250);
+    }
+    const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+    return Math.round(exponential / 2 + (random() * exponential) / 2);
+}
+
+function getBreaker(key) {
+    if (!breakers.has(key)) {
+        breakers.set(key, { state: 'closed', failures: 0, openedAt: 0 });
+    }
+    return breakers.get(key);
+}
+
+/**
+ * Current breaker state for a provider; an open breaker turns half-open once its cooldown has passed
+ */
+function getCircuitState(key) {
+    const breaker = getBreaker(key);
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= policy.breakerCooldownMs) {
+        breaker.state = 'half-open';
+        console.log(`[RETRY] Circuit half-open for ${key} - allowing a trial request`);
+    }
+    return breaker.state;
+}
+
+function recordSuccess(key) {
+    const breaker = getBreaker(key);
+    if (breaker.state !== 'closed') {
+        console.log(`[RETRY] Circuit closed for ${key}`);
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+}
+
+function recordFailure(key) {
+    const breaker = getBreaker(key);
+    breaker.failures++;
+    if (breaker.state === 'half-open' || breaker.failures >= policy.breakerThreshold) {
+        breaker.state = 'open';
+        breaker.openedAt = Date.now();
+        console.warn(`[RETRY] Circuit open for ${key} after ${breaker.failures} failures (cooldown ${policy.breakerCooldownMs}ms)`);
+    }
+}
+
+/**
+ * Run a task once a slot is free for this key (FIFO, at most policy.maxConcurrent at a time).
+ * The task gets an AbortSignal that fires when it outlives policy.taskTimeoutMs; its slot is freed once it has stopped.
+ */
+function enqueue(key, task) {
+    if (!queues.has(key)) {
+        queues.set(key, { active: 0, waiting: [] });
+    }
+    const queue = queues.get(key);
+
+    return new Promise((resolve, reject) => {
+        const run = async () => {
+            queue.active++;
+            const controller = new AbortController();
+            // Not retried: a stream that stalled after showing part of the answer would start over as a second response
+            const deadline = setTimeout(() => {
+                console.warn(`[RETRY] ${key} request still running after ${policy.taskTimeoutMs}ms - aborting it`);
+                reject(createProviderError('Request timeout', { code: 'ETIMEDOUT', retryable: false }));
+                controller.abort();
+            }, policy.taskTimeoutMs);
+            try {
+                resolve(await task(controller.signal));
+            } catch (error) {
+                reject(error);
+            } finally {
+                clearTimeout(deadline);
+                queue.active--;
+                const next = queue.waiting.shift();
+                if (next) next.run();
+            }
+        };
+
+        if (queue.active < policy.maxConcurrent) {
+            run();
+        } else {
+            queue.waiting.push({ run, reject });
+        }
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Execute a provider request with queueing, retries and the circuit breaker
+ * options.failFastOnRateLimit: give up on 429 right away (a fallback is waiting)
+ */
+async function executeWithRetry(key, task, options = {}) {
+    const label = options.label || key;
+
+    for (let attempt = 0; ; attempt++) {
+        if (getCircuitState(key) === 'open') {
+            throw createProviderError(`${label} temporarily unavailable`, { code: 'CIRCUIT_OPEN', retryable: false });
+        }
+
+        try {
+            const result = await enqueue(key, task);
+            recordSuccess(key);
+            return result;
+        } catch (error) {
+            if (!isRetryableError(error)) {
+                throw error;
+            }
+
+            const tooLongToWait = Number.isFinite(error.retryAfterMs) && error.retryAfterMs > policy.maxRetryAfterMs;
+            const giveUp =
+                attempt >= policy.maxRetries ||
+                // The trial request after a cooldown gets one attempt
+                getCircuitState(key) !== 'closed' ||
+                tooLongToWait ||
+                (options.failFastOnRateLimit && isRateLimitError(error));
+            if (giveUp) {
+                // The breaker counts failed requests, not attempts - one request using up its retries
+                // must not lock out the next one (or a fallback model on the same provider)
+                recordFailure(key);
+                throw error;
+            }
+
+            const delay = computeBackoffDelay(attempt, error);
+            console.log(`[RETRY] ${label} failed (${error.status || error.code || error.message}) - retry ${attempt + 1}/${policy.maxRetries} in ${delay}ms`);
+            await sleep(delay);
+            clearRecoveryCountdown();
+            sendToRenderer('update-status', `Retrying (${attempt + 1}/${policy.maxRetries})...`);
+        }
+    }
+}
+
+/**
+ * Try each candidate in order ({ key, label, task }), moving on when one is rate-limited,
+ * keeps failing after retries, or has its circuit open
+ */
+async function executeWithFailover(candidates) {
+    let lastError = null;
+
+    for (let i = 0; i < candidates.length; i++) {
+        const { key, label, task } = candidates[i];
+        const hasFallback = i < candidates.length - 1;
+
+        if (i > 0) {
+            console.log(`[RETRY] Failing over to ${label}`);
+            clearRecoveryCountdown();
+            sendToRenderer('update-status', `Switching to ${label}...`);
+        }
+
+        try {
+            return await executeWithRetry(key, task, { label, failFastOnRateLimit: hasFallback });
+        } catch (error) {
+            lastError = error;
+            const canFailOver = isRetryableError(error) || error.code === 'CIRCUIT_OPEN';
+            if (!hasFallback || !canFailOver) {
+                break;
+            }
+        }
+    }
+
+    if (lastError?.code === 'CIRCUIT_OPEN' && !lastError.statusShown) {
+        sendToRenderer('update-status', lastError.message);
+        lastError.statusShown = true;
+    }
+    throw lastError;
+}
+
+/**
+ * Live countdown in the header after a rate limit: "Rate Limit: ... (15s)" → (14s) → ... → readyStatus
+ */
+function startRecoveryCountdown(statusMessage, recoveryMs, readyStatus = 'Listening...') {
+    clearRecoveryCountdown();
+
+    let remainingSec = Math.ceil(recoveryMs / 1000);
+    console.log(`[RETRY] Recovery countdown ${remainingSec}s: ${statusMessage}`);
+    sendToRenderer('update-status', `${statusMessage} (${remainingSec}s)`);
+
+    recoveryCountdownInterval = setInterval(() => {
+        remainingSec--;
+        if (remainingSec <= 0) {
+            clearRecoveryCountdown();
+            sendToRenderer('update-status', readyStatus);
+        } else {
+            sendToRenderer('update-status', `${statusMessage} (${remainingSec}s)`);
+        }
+    }, 1000);
+}
+
+function clearRecoveryCountdown() {
+    if (recoveryCountdownInterval) {
+        clearInterval(recoveryCountdownInterval);
+        recoveryCountdownInterval = null;
+    }
+}
+
+function configureRequestPolicy(overrides = {}) {
+    policy = { ...DEFAULT_POLICY, ...overrides };
+    return policy;
+}
+
+/**
+ * Forget breaker state and restore the default policy (new session). Requests still waiting for a slot are rejected.
+ */
+function resetRequestExecutor() {
+    policy = { ...DEFAULT_POLICY };
+    breakers.clear();
+    queues.forEach(queue => {
+        queue.waiting.splice(0).forEach(({ reject }) => reject(createProviderError('Request cancelled', { code: 'CANCELLED', retryable: false })));
+    });
+    queues.clear();
+    clearRecoveryCountdown();
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    createProviderError,
+    parseRetryAfter,
+    isRateLimitError,
+    isRetryableError,
+    computeBackoffDelay,
+    getCircuitState,
+    executeWithRetry,
+    executeWithFailover,
+    startRecoveryCountdown,
+    clearRecoveryCountdown,
+    configureRequestPolicy,
+    resetRequestExecutor,
+};
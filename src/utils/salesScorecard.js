@@ -0,0 +1,219 @@
+// salesScorecard.js - Live call analytics for the Sales profile, saved as a scorecard with the session
+// Stored next to the session as <config dir>/sessions/<id>.scorecard.json:
+//   { "sessionId": "...", "updatedAt": "...", "talkMs": 312000, "listenMs": 401000, "talkRatio": 44,
+//     "questionsAsked": 12, "prospectQuestions": 4,
+//     "objections": [{ "ts": "...", "category": "price", "text": "..." }],
+//     "competitors": ["Acme"], "competitorMentions": [{ "ts": "...", "competitor": "Acme", "speaker": "Other participants", "text": "..." }] }
+// Talk and listen time come from the audio energy of the "mic" (you) and "system" (the prospect) channels,
+// questions from your transcribed lines, objections from the prospect's.
+const fs = require('fs');
+const path = require('path');
+const { BrowserWindow, ipcMain } = require('electron');
+const { getSessionsDir, getActiveSessionId, readSession, resolveSessionId } = require('./sessionArchive');
+
+// Live updates from audio energy are sent at most this often
+const UPDATE_INTERVAL_MS = 1000;
+
+// English phrasings of the common objections, checked against the prospect's lines
+const OBJECTION_PATTERNS = {
+    price: /\b(?:too expensive|too pricey|(?:over|out of) (?:our|the) budget|can't afford|costs? too much|cheaper)\b/i,
+    timing: /\b(?:not the right time|not a priority|next (?:quarter|year)|maybe later|think (?:it|this) over|get back to you)\b/i,
+    authority: /\b(?:check with|run (?:it|this) by|talk to my (?:boss|manager|team)|not my (?:call|decision)|decision ?maker|need approval|sign[- ]off)\b/i,
+    need: /\b(?:(?:don't|do not) (?:really )?need|not interested|no need for|already have|happy with (?:our|what we))\b/i,
+    trust: /\b(?:never heard of|too risky|sounds too good|not sure (?:it|this) (?:works|would work|will work))\b/i,
+};
+
+const QUESTION_START_PATTERN = /^(?:what|why|how|when|where|who|which|whom)\b/i;
+
+let activeCall = null; // { sessionId, scorecard, lastSentAt }
+
+function getScorecardFilePath(sessionId) {
+    return path.join(getSessionsDir(), `${sessionId}.scorecard.json`);
+}
+
+function sendToRenderer(channel, data) {
+    const windows = BrowserWindow.getAllWindows();
+    if (windows.length > 0) {
+        windows[0].webContents.send(channel, data);
+    }
+}
+
+/**
+ * Questions in a transcribed line: sentences ending in "?" or opening with a question word
+ */
+function countQuestions(text) {
+    return String(text || '')
+        .split(/(?<=[.!?])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence && (sentence.endsWith('?') || QUESTION_START_PATTERN.test(sentence))).length;
+}
+
+/**
+ * Objection categories raised in a line, e.g. ['price', 'authority']
+ */
+function detectObjections(text) {
+    return Object.entries(OBJECTION_PATTERNS)
+        .filter(([, pattern]) => pattern.test(String(text || '')))
+        .map(([category]) => category);
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Competitors named in a line (whole words, case-insensitive)
+ */
+function findCompetitorMentions(text, competitors = []) {
+    return competitors.filter(competitor => new RegExp(`(?:^|\\W)${escapeRegExp(competitor)}(?=\\W|$)`, 'i').test(String(text || '')));
+}
+
+function normalizeCompetitors(competitors) {
+    const list = Array.isArray(competitors) ? competitors : String(competitors || '').split(',');
+    return [...new Set(list.map(name => String(name).trim()).filter(Boolean))];
+}
+
+function createScorecard(sessionId, competitors) {
+    return {
+        sessionId,
+        updatedAt: new Date().toISOString(),
+        talkMs: 0,
+        listenMs: 0,
+        talkRatio: null,
+        questionsAsked: 0,
+        prospectQuestions: 0,
+        objections: [],
+        competitors,
+        competitorMentions: [],
+    };
+}
+
+function saveScorecard(scorecard) {
+    if (!scorecard.sessionId) return;
+    try {
+        fs.mkdirSync(getSessionsDir(), { recursive: true });
+        fs.writeFileSync(getScorecardFilePath(scorecard.sessionId), JSON.stringify(scorecard, null, 2), 'utf8');
+    } catch (error) {
+        console.error('[SCORECARD] Could not save scorecard:', error.message);
+    }
+}
+
+function publish(force = false) {
+    const now = Date.now();
+    if (!force && now - activeCall.lastSentAt < UPDATE_INTERVAL_MS) return;
+    activeCall.lastSentAt = now;
+    activeCall.scorecard.updatedAt = new Date(now).toISOString();
+    sendToRenderer('sales-scorecard-update', activeCall.scorecard);
+}
+
+/**
+ * Start tracking a sales call. Call after the session archive started so the scorecard is saved with that session.
+ */
+function startSalesCall({ competitors } = {}) {
+    const sessionId = getActiveSessionId();
+    activeCall = { sessionId, scorecard: createScorecard(sessionId, normalizeCompetitors(competitors)), lastSentAt: 0 };
+    console.log(`[SCORECARD] Tracking sales call${sessionId ? ` for session ${sessionId}` : ''}`);
+    return activeCall.scorecard;
+}
+
+/**
+ * Speech energy detected on a channel (from the Groq audio pipeline)
+ */
+function recordAudioActivity(source, durationMs) {
+    if (!activeCall || !(durationMs > 0)) return;
+    const scorecard = activeCall.scorecard;
+    if (source === 'mic') {
+        scorecard.talkMs += durationMs;
+    } else {
+        scorecard.listenMs += durationMs;
+    }
+    scorecard.talkRatio = Math.round((100 * scorecard.talkMs) / (scorecard.talkMs + scorecard.listenMs));
+    publish();
+}
+
+/**
+ * A transcribed line of the call: { source, speaker, text, ts }
+ */
+function recordCallUtterance({ source, speaker, text, ts = Date.now() }) {
+    if (!activeCall || !String(text || '').trim()) return;
+    const scorecard = activeCall.scorecard;
+    const time = new Date(ts).toISOString();
+    const line = String(text).trim();
+
+    if (source === 'mic') {
+        scorecard.questionsAsked += countQuestions(line);
+    } else {
+        scorecard.prospectQuestions += countQuestions(line);
+        detectObjections(line).forEach(category => scorecard.objections.push({ ts: time, category, text: line }));
+    }
+    findCompetitorMentions(line, scorecard.competitors).forEach(competitor => {
+        scorecard.competitorMentions.push({ ts: time, competitor, speaker, text: line });
+    });
+    publish(true);
+    saveScorecard(scorecard);
+}
+
+/**
+ * Save the final scorecard and stop tracking (called when the session closes)
+ */
+function finishSalesCall() {
+    if (!activeCall) return null;
+    const { scorecard } = activeCall;
+    scorecard.updatedAt = new Date().toISOString();
+    saveScorecard(scorecard);
+    activeCall = null;
+    return scorecard;
+}
+
+function readScorecard(sessionId) {
+    if (activeCall && activeCall.sessionId === sessionId) {
+        return activeCall.scorecard;
+    }
+    const filePath = getScorecardFilePath(sessionId);
+    if (!fs.existsSync(filePath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error('[SCORECARD] Could not read scorecard:', error.message);
+        return null;
+    }
+}
+
+function setupSalesScorecardIpcHandlers() {
+    ipcMain.handle('start-sales-scorecard', async (event, options = {}) => {
+        try {
+            return { success: true, scorecard: startSalesCall(options) };
+        } catch (error) {
+            console.error('[SCORECARD] Start error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // No id: the running or most recent session
+    ipcMain.handle('get-sales-scorecard', async (event, id) => {
+        try {
+            const sessionId = resolveSessionId(id);
+            if (!sessionId || !readSession(sessionId)) {
+                return { success: false, error: 'Session not found' };
+            }
+            return { success: true, sessionId, scorecard: readScorecard(sessionId) };
+        } catch (error) {
+            console.error('[SCORECARD] Get scorecard error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    console.log('[SCORECARD] IPC handlers registered');
+}
+
+module.exports = {
+    countQuestions,
+    detectObjections,
+    findCompetitorMentions,
+    startSalesCall,
+    recordAudioActivity,
+    recordCallUtterance,
+    finishSalesCall,
+    readScorecard,
+    setupSalesScorecardIpcHandlers,
+};
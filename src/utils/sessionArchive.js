@@ -0,0 +1,241 @@
+// sessionArchive.js - Persist every session to disk so past calls can be reviewed later
+// One JSONL file per session under <config dir>/sessions, one timestamped event per line:
+//   { "type": "session-start", "ts": "...", "profile": "interview", "mode": "interview", "model": "llama-4-maverick", "language": "en-US" }
+//   { "type": "transcript" | "prompt" | "response", "ts": "...", "text": "..." }
+//   (transcripts also carry "speaker": "You" | "Other participants" and "source": "mic" | "system")
+//   { "type": "speech", "ts": "...", "source": "mic", "startedAt": "...", "endedAt": "..." } - VAD speech timing, presentation rehearsals only
+//   { "type": "summary", "ts": "...", "text": "...", "model": "..." } - imported recordings only (see recordingImport.js)
+//   { "type": "session-end", "ts": "..." }
+// Sessions of imported recordings have mode "import" and the file name as "fileName" in session-start.
+const fs = require('fs');
+const path = require('path');
+const { ipcMain } = require('electron');
+const { getConfigDir } = require('../config');
+
+const SESSIONS_DIR_NAME = 'sessions';
+const PREVIEW_LENGTH = 120;
+const SESSION_ID_PATTERN = /^[\w-]+$/;
+
+let activeSession = null; // { id, filePath }
+
+function getSessionsDir() {
+    return path.join(getConfigDir(), SESSIONS_DIR_NAME);
+}
+
+function getSessionFilePath(id) {
+    return path.join(getSessionsDir(), `${id}.jsonl`);
+}
+
+// Sortable, filename-safe id: 2026-10-19T14-03-22-123Z
+function createSessionId(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function appendEvent(filePath, type, data = {}, timestamp = Date.now()) {
+    const event = { type, ts: new Date(timestamp).toISOString(), ...data };
+    fs.appendFileSync(filePath, JSON.stringify(event) + '\n', 'utf8');
+    return event;
+}
+
+function createSessionFile() {
+    fs.mkdirSync(getSessionsDir(), { recursive: true });
+    let id = createSessionId();
+    // Two sessions started within the same millisecond must not share a file
+    while (fs.existsSync(getSessionFilePath(id))) {
+        id = `${id}-1`;
+    }
+    return { id, filePath: getSessionFilePath(id) };
+}
+
+/**
+ * Start archiving a new session (ends the previous one if it is still open)
+ * meta: { profile, mode, model, language }
+ */
+function startSession(meta = {}) {
+    endSession();
+    try {
+        const { id, filePath } = createSessionFile();
+        appendEvent(filePath, 'session-start', meta);
+        activeSession = { id, filePath };
+        console.log(`[SESSIONS] Archiving session to ${filePath}`);
+        return id;
+    } catch (error) {
+        console.error('[SESSIONS] Could not start session archive:', error.message);
+        activeSession = null;
+        return null;
+    }
+}
+
+/**
+ * Append an event to the active session. Never throws - archiving must not break a live answer.
+ */
+function recordSessionEvent(type, data = {}, timestamp = Date.now()) {
+    if (!activeSession) return false;
+    try {
+        appendEvent(activeSession.filePath, type, data, timestamp);
+        return true;
+    } catch (error) {
+        console.error(`[SESSIONS] Could not record ${type}:`, error.message);
+        return false;
+    }
+}
+
+function endSession() {
+    if (!activeSession) return;
+    recordSessionEvent('session-end');
+    console.log(`[SESSIONS] Session ${activeSession.id} closed`);
+    activeSession = null;
+}
+
+/**
+ * Archive a finished session in one go, leaving the live session alone (imported recordings).
+ * events: [{ type, ts, ...data }] with ts in ms. Returns the new session id.
+ */
+function writeSession(meta = {}, events = [], { startedAt = Date.now(), endedAt = startedAt } = {}) {
+    const { id, filePath } = createSessionFile();
+    appendEvent(filePath, 'session-start', meta, startedAt);
+    events.forEach(({ type, ts, ...data }) => appendEvent(filePath, type, data, ts));
+    appendEvent(filePath, 'session-end', {}, endedAt);
+    console.log(`[SESSIONS] Archived ${meta.mode || 'session'} ${id} (${events.length} events)`);
+    return id;
+}
+
+function getActiveSessionId() {
+    return activeSession ? activeSession.id : null;
+}
+
+/**
+ * Parse a session file, skipping lines that can't be read (e.g. a crash mid-write)
+ */
+function readEvents(filePath) {
+    return fs
+        .readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+function summarizeSession(id, events) {
+    const start = events.find(event => event.type === 'session-start') || {};
+    const firstText = events.find(event => event.type === 'transcript' || event.type === 'prompt');
+    const preview = firstText ? String(firstText.text || '').trim() : '';
+    return {
+        id,
+        startedAt: start.ts || (events[0] && events[0].ts) || null,
+        // Sessions cut short by a crash have no session-end; the last event is the best guess
+        endedAt: events.length > 0 ? events[events.length - 1].ts : null,
+        profile: start.profile || '',
+        mode: start.mode || '',
+        model: start.model || '',
+        language: start.language || '',
+        fileName: start.fileName || '',
+        transcriptCount: events.filter(event => event.type === 'transcript').length,
+        responseCount: events.filter(event => event.type === 'response').length,
+        preview: preview.length > PREVIEW_LENGTH ? `${preview.slice(0, PREVIEW_LENGTH)}…` : preview,
+        active: activeSession !== null && activeSession.id === id,
+    };
+}
+
+/**
+ * Summaries of all archived sessions, newest first
+ */
+function listSessions() {
+    const dir = getSessionsDir();
+    if (!fs.existsSync(dir)) return [];
+
+    return fs
+        .readdirSync(dir)
+        .filter(file => file.endsWith('.jsonl'))
+        .map(file => {
+            const id = file.slice(0, -'.jsonl'.length);
+            try {
+                return summarizeSession(id, readEvents(path.join(dir, file)));
+            } catch (error) {
+                console.warn(`[SESSIONS] Could not read ${file}:`, error.message);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+/**
+ * Full session: summary plus every event, or null when it doesn't exist
+ */
+function readSession(id) {
+    if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) return null;
+    const filePath = getSessionFilePath(id);
+    if (!fs.existsSync(filePath)) return null;
+    const events = readEvents(filePath);
+    return { ...summarizeSession(id, events), events };
+}
+
+/**
+ * The session a request without an id refers to: the running one, else the most recent
+ */
+function resolveSessionId(id) {
+    if (id) return id;
+    if (activeSession) return activeSession.id;
+    const [latest] = listSessions();
+    return latest ? latest.id : null;
+}
+
+function setupSessionArchiveIpcHandlers() {
+    ipcMain.handle('start-session-archive', async (event, meta) => {
+        const id = startSession(meta);
+        return id ? { success: true, id } : { success: false, error: 'Could not create session archive' };
+    });
+
+    ipcMain.handle('record-speech-segment', async (event, { source, startedAt, endedAt } = {}) => {
+        if (!Number.isFinite(startedAt) || !Number.isFinite(endedAt)) {
+            return { success: false, error: 'Invalid speech segment' };
+        }
+        const recorded = recordSessionEvent('speech', {
+            source: source === 'mic' ? 'mic' : 'system',
+            startedAt: new Date(startedAt).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+        });
+        return recorded ? { success: true } : { success: false, error: 'No session is being archived' };
+    });
+
+    ipcMain.handle('list-sessions', async () => {
+        try {
+            return { success: true, sessions: listSessions() };
+        } catch (error) {
+            console.error('[SESSIONS] List sessions error:', error);
+            return { success: false, error: error.message, sessions: [] };
+        }
+    });
+
+    ipcMain.handle('get-session', async (event, id) => {
+        try {
+            const session = readSession(id);
+            return session ? { success: true, session } : { success: false, error: 'Session not found' };
+        } catch (error) {
+            console.error('[SESSIONS] Get session error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    console.log('[SESSIONS] IPC handlers registered');
+}
+
+module.exports = {
+    getSessionsDir,
+    startSession,
+    recordSessionEvent,
+    endSession,
+    writeSession,
+    getActiveSessionId,
+    listSessions,
+    readSession,
+    resolveSessionId,
+    setupSessionArchiveIpcHandlers,
+};
@@ -0,0 +1,323 @@
+// sessionExport.js - Turn an archived session into a shareable document
+// Markdown and standalone HTML for reading (transcript by speaker, questions, responses with timestamps), JSON with every event for tooling,
+// SRT and WebVTT subtitles of the transcript (captions mode).
+// Files are written to <config dir>/exports/<session id>.<ext>
+const fs = require('fs');
+const path = require('path');
+const { ipcMain } = require('electron');
+const { getConfigDir } = require('../config');
+const { readSession, resolveSessionId } = require('./sessionArchive');
+const { getModelDisplayName } = require('./modelRegistry');
+
+const EXPORTS_DIR_NAME = 'exports';
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', build: buildMarkdownExport },
+    html: { extension: 'html', build: buildHtmlExport },
+    json: { extension: 'json', build: buildJsonExport },
+    srt: { extension: 'srt', build: buildSrtExport },
+    vtt: { extension: 'vtt', build: buildVttExport },
+};
+
+// Transcripts archived before caption timing was recorded only have the time they were transcribed
+const FALLBACK_CUE_MS = 3000;
+const MIN_CUE_MS = 500;
+
+const ASSETS_DIR = path.join(__dirname, '..', 'assets');
+
+let markdownRenderer = null;
+
+function getExportsDir() {
+    return path.join(getConfigDir(), EXPORTS_DIR_NAME);
+}
+
+/**
+ * The bundled marked + highlight.js, configured exactly like AssistantView so exported responses look the same
+ */
+function getMarkdownRenderer() {
+    if (markdownRenderer) return markdownRenderer;
+    const { marked } = require('../assets/marked-4.3.0.min.js');
+    const hljs = require('../assets/highlight-11.9.0.min.js');
+    marked.setOptions({
+        breaks: true,
+        gfm: true,
+        sanitize: false,
+        highlight: function (code, language) {
+            if (language && hljs.getLanguage(language)) {
+                try {
+                    return hljs.highlight(code, { language: language }).value;
+                } catch (err) {
+                    console.warn('[EXPORT] Error highlighting code:', err.message);
+                }
+            }
+            try {
+                return hljs.highlightAuto(code).value;
+            } catch (err) {
+                console.warn('[EXPORT] Error auto-highlighting code:', err.message);
+            }
+            return code;
+        },
+    });
+    markdownRenderer = marked;
+    return markdownRenderer;
+}
+
+function formatTime(ts) {
+    // HH:MM:SS in UTC, like the archive timestamps (the header notes the timezone)
+    return ts ? new Date(ts).toISOString().slice(11, 19) : '';
+}
+
+function formatDateTime(ts) {
+    return ts ? new Date(ts).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '';
+}
+
+function capitalize(text) {
+    return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+}
+
+function getSessionTitle(session) {
+    const profile = capitalize(session.profile) || 'Session';
+    return `${profile} session — ${formatDateTime(session.startedAt)}`;
+}
+
+function getSessionDetails(session) {
+    return [
+        ['Started', formatDateTime(session.startedAt)],
+        ['Ended', formatDateTime(session.endedAt)],
+        ['Profile', session.profile],
+        ['Model', session.model ? getModelDisplayName(session.model) : ''],
+        ['Language', session.language],
+        ['Recording', session.fileName],
+    ].filter(([, value]) => value);
+}
+
+/**
+ * Readable entries for Markdown/HTML. Prompts built from a transcript repeat what was heard,
+ * so only typed or screenshot questions are kept. The summary of an imported recording comes first.
+ */
+function getExportEntries(session) {
+    const entries = [];
+    let pendingTranscript = false;
+    session.events.forEach(event => {
+        if (event.type === 'transcript') {
+            entries.push({ kind: 'transcript', label: event.speaker || 'Heard', ts: event.ts, text: String(event.text || '') });
+            pendingTranscript = true;
+        } else if (event.type === 'prompt') {
+            if (!pendingTranscript || event.image) {
+                entries.push({ kind: 'question', label: event.image ? 'Question + screenshot' : 'Question', ts: event.ts, text: String(event.text || '') });
+            }
+        } else if (event.type === 'response') {
+            entries.push({ kind: 'response', label: event.cancelled ? 'Response (cancelled)' : 'Response', ts: event.ts, text: String(event.text || '') });
+            pendingTranscript = false;
+        } else if (event.type === 'summary') {
+            entries.unshift({ kind: 'summary', label: 'Summary', ts: event.ts, text: String(event.text || '') });
+        }
+    });
+    return entries;
+}
+
+function buildMarkdownExport(session) {
+    const lines = [`# ${getSessionTitle(session)}`, ''];
+    getSessionDetails(session).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+    lines.push('');
+
+    const entries = getExportEntries(session);
+    if (entries.length === 0) {
+        lines.push('_Nothing was recorded in this session._', '');
+    }
+    entries.forEach(entry => {
+        lines.push(`## ${formatTime(entry.ts)} · ${entry.label}`, '');
+        // Responses and summaries are already markdown; heard text and questions are quoted so they stand apart
+        if (entry.kind === 'response' || entry.kind === 'summary') {
+            lines.push(entry.text.trim(), '');
+        } else {
+            lines.push(...entry.text.trim().split('\n').map(line => `> ${line}`), '');
+        }
+    });
+    return lines.join('\n');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function readAsset(fileName) {
+    try {
+        return fs.readFileSync(path.join(ASSETS_DIR, fileName), 'utf8');
+    } catch (error) {
+        console.warn(`[EXPORT] Could not read ${fileName}:`, error.message);
+        return '';
+    }
+}
+
+// Mirrors the response styling in AssistantView
+const HTML_EXPORT_STYLES = `
+    body { margin: 0; background: #1e1e1e; color: #e5e5e7; font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif; line-height: 1.6; }
+    main { max-width: 860px; margin: 0 auto; padding: 32px 24px 64px; }
+    h1 { font-size: 1.6em; margin-bottom: 8px; }
+    .details { color: rgba(255, 255, 255, 0.6); font-size: 13px; margin: 0 0 24px; padding: 0; list-style: none; }
+    .entry { border-left: 2px solid rgba(255, 255, 255, 0.2); padding-left: 14px; margin: 18px 0; }
+    .entry.transcript { border-left-color: #34d399; }
+    .entry.response { border-left-color: #007aff; }
+    .entry.summary { border-left-color: #f59e0b; }
+    .entry-label { font-size: 11px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px; color: rgba(255, 255, 255, 0.6); }
+    .entry-text { white-space: pre-wrap; word-break: break-word; }
+    .entry.question .entry-text { color: rgba(255, 255, 255, 0.75); }
+    code { background: rgba(255, 255, 255, 0.1); padding: 0.2em 0.4em; border-radius: 3px; font-family: 'Consolas', 'Monaco', 'Menlo', 'Ubuntu Mono', monospace; font-size: 0.85em; }
+    pre { background: rgba(0, 0, 0, 0.2); border: 1px solid #404040; border-radius: 6px; padding: 1em; overflow-x: auto; }
+    pre code { background: none; padding: 0; font-size: 0.9em; line-height: 1.5; color: #d4d4d4; white-space: pre-wrap; word-break: break-word; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid rgba(255, 255, 255, 0.2); padding: 4px 8px; }
+    a { color: #58a6ff; }
+`;
+
+function buildHtmlExport(session) {
+    const marked = getMarkdownRenderer();
+    const details = getSessionDetails(session)
+        .map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`)
+        .join('\n');
+
+    const entries = getExportEntries(session);
+    const body =
+        entries.length === 0
+            ? '<p class="details">Nothing was recorded in this session.</p>'
+            : entries
+                  .map(entry => {
+                      const content =
+                          entry.kind === 'response' || entry.kind === 'summary'
+                              ? marked.parse(entry.text)
+                              : `<div class="entry-text">${escapeHtml(entry.text.trim())}</div>`;
+                      return [
+                          `<section class="entry ${entry.kind}">`,
+                          `<div class="entry-label">${escapeHtml(`${formatTime(entry.ts)} · ${entry.label}`)}</div>`,
+                          content,
+                          '</section>',
+                      ].join('\n');
+                  })
+                  .join('\n');
+
+    // Everything is inlined so the file opens the same offline, without the app
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(getSessionTitle(session))}</title>
+<style>${readAsset('highlight-vscode-dark.min.css')}</style>
+<style>${HTML_EXPORT_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(getSessionTitle(session))}</h1>
+<ul class="details">
+${details}
+</ul>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+function buildJsonExport(session) {
+    const { events, ...summary } = session;
+    return JSON.stringify({ session: summary, events }, null, 2) + '\n';
+}
+
+/**
+ * Timed caption cues ({ start, end } in ms from the session start) for every transcript line
+ */
+function getCaptionCues(session) {
+    const transcripts = session.events.filter(event => event.type === 'transcript' && String(event.text || '').trim());
+    const origin = Date.parse(session.startedAt) || (transcripts.length > 0 ? Date.parse(transcripts[0].ts) : 0);
+    let previousEnd = 0;
+    return transcripts
+        .map(event => {
+            const end = (Date.parse(event.endedAt) || Date.parse(event.ts)) - origin;
+            const start = Date.parse(event.startedAt) ? Date.parse(event.startedAt) - origin : Math.max(previousEnd, end - FALLBACK_CUE_MS);
+            previousEnd = end;
+            return {
+                start: Math.max(0, start),
+                end: Math.max(Math.max(0, start) + MIN_CUE_MS, end),
+                speaker: event.speaker || '',
+                text: String(event.text).trim(),
+            };
+        })
+        .sort((a, b) => a.start - b.start);
+}
+
+function formatCueTime(ms, separator) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(Math.round(ms % 1000), 3)}`;
+}
+
+function buildSrtExport(session) {
+    return getCaptionCues(session)
+        .map((cue, index) =>
+            [
+                index + 1,
+                `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+                cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text,
+                '',
+            ].join('\n')
+        )
+        .join('\n');
+}
+
+function buildVttExport(session) {
+    const cues = getCaptionCues(session).map(cue => {
+        // WebVTT cue text is markup: escape it, and name the speaker with a voice span
+        const text = String(cue.text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return [`${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`, cue.speaker ? `<v ${cue.speaker}>${text}` : text, ''].join('\n');
+    });
+    return ['WEBVTT', '', ...cues].join('\n');
+}
+
+/**
+ * Write a session export to disk. Returns { filePath, sessionId, format }; throws when there is nothing to export.
+ */
+function exportSession({ id, format = 'markdown', outputDir = getExportsDir() } = {}) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    const sessionId = resolveSessionId(id);
+    const session = sessionId ? readSession(sessionId) : null;
+    if (!session) {
+        throw new Error(id ? 'Session not found' : 'No session to export yet');
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const filePath = path.join(outputDir, `${session.id}.${exporter.extension}`);
+    fs.writeFileSync(filePath, exporter.build(session), 'utf8');
+    console.log(`[EXPORT] Exported session ${session.id} to ${filePath}`);
+    return { filePath, sessionId: session.id, format };
+}
+
+function setupSessionExportIpcHandlers() {
+    ipcMain.handle('export-session', async (event, options = {}) => {
+        try {
+            return { success: true, ...exportSession({ id: options.id, format: options.format }) };
+        } catch (error) {
+            console.error('[EXPORT] Export session error:', error.message);
+            return { success: false, error: error.message };
+        }
+    });
+
+    console.log('[EXPORT] IPC handlers registered');
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    getExportsDir,
+    getExportEntries,
+    buildMarkdownExport,
+    buildHtmlExport,
+    buildJsonExport,
+    getCaptionCues,
+    buildSrtExport,
+    buildVttExport,
+    exportSession,
+    setupSessionExportIpcHandlers,
+};
@@ -0,0 +1,156 @@
+// speakingMetrics.js - Delivery metrics for rehearsals: pace, filler words, long pauses and the longest monologue
+// Input is what a session records:
+//   transcripts: [{ text, source, startedAt, endedAt }] - Whisper lines (times in ms since epoch)
+//   speech:      [{ source, startedAt, endedAt }]       - VAD speech segments, more precise than transcript timing
+// When the microphone was captured as its own channel, only the user's ("mic") speech is measured
+// and the other participants only interrupt monologues.
+
+// Silence longer than this counts as a long pause and ends a monologue
+const LONG_PAUSE_MS = 3000;
+const MINUTE_MS = 60 * 1000;
+// Comfortable speaking pace for an audience
+const IDEAL_WORDS_PER_MINUTE = { min: 110, max: 170 };
+
+// "like" only counts when set off by commas - "I like Go" is not a filler
+const FILLER_PATTERNS = {
+    um: /\b(?:um+|uhm+|erm+)\b/gi,
+    uh: /\b(?:uh+|er+)\b/gi,
+    like: /(?:^|,)\s*like\s*(?=,)/gi,
+    'you know': /\byou know\b/gi,
+    'I mean': /\bi mean\b/gi,
+    basically: /\bbasically\b/gi,
+    actually: /\bactually\b/gi,
+    literally: /\bliterally\b/gi,
+};
+
+function countWords(text) {
+    const trimmed = String(text || '').trim();
+    return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * { fillerCount: 3, fillerWords: { um: 2, like: 1 } }
+ */
+function countFillerWords(text) {
+    const fillerWords = {};
+    for (const [filler, pattern] of Object.entries(FILLER_PATTERNS)) {
+        const count = (String(text || '').match(pattern) || []).length;
+        if (count > 0) {
+            fillerWords[filler] = count;
+        }
+    }
+    return { fillerCount: Object.values(fillerWords).reduce((sum, count) => sum + count, 0), fillerWords };
+}
+
+// 84000 -> "1:24"
+function formatDuration(ms) {
+    const totalSeconds = Math.round(Math.max(0, ms) / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+function hasTiming(item) {
+    return Number.isFinite(item.startedAt) && Number.isFinite(item.endedAt) && item.endedAt >= item.startedAt;
+}
+
+// Sorted, with overlapping intervals joined
+function mergeIntervals(items) {
+    const merged = [];
+    [...items]
+        .sort((a, b) => a.startedAt - b.startedAt)
+        .forEach(({ startedAt, endedAt }) => {
+            const last = merged[merged.length - 1];
+            if (last && startedAt <= last.endedAt) {
+                last.endedAt = Math.max(last.endedAt, endedAt);
+            } else {
+                merged.push({ startedAt, endedAt });
+            }
+        });
+    return merged;
+}
+
+// Words go to the minutes a line was spoken in (in proportion), fillers to the minute of its midpoint
+function buildPerMinute(transcripts, origin) {
+    const perMinute = [];
+    const bucket = minute => {
+        while (perMinute.length <= minute) {
+            perMinute.push({ minute: perMinute.length, words: 0, fillers: 0 });
+        }
+        return perMinute[minute];
+    };
+    transcripts.forEach(line => {
+        const words = countWords(line.text);
+        const start = Math.max(0, line.startedAt - origin);
+        const end = Math.max(start, line.endedAt - origin);
+        const firstMinute = Math.floor(start / MINUTE_MS);
+        const lastMinute = Math.floor(Math.max(start, end - 1) / MINUTE_MS);
+        for (let minute = firstMinute; minute <= lastMinute; minute++) {
+            const overlap = Math.min(end, (minute + 1) * MINUTE_MS) - Math.max(start, minute * MINUTE_MS);
+            bucket(minute).words += end > start ? (words * overlap) / (end - start) : words;
+        }
+        bucket(Math.floor((start + end) / 2 / MINUTE_MS)).fillers += countFillerWords(line.text).fillerCount;
+    });
+    return perMinute.map(entry => ({ ...entry, words: Math.round(entry.words) }));
+}
+
+/**
+ * Metrics for a (live or finished) session. startedAt is the session start, the origin of the per-minute chart.
+ */
+function computeSpeakingMetrics({ transcripts = [], speech = [], startedAt = null } = {}) {
+    const timedTranscripts = transcripts.filter(hasTiming);
+    const timedSpeech = speech.filter(hasTiming);
+    const hasMicChannel = [...timedTranscripts, ...timedSpeech].some(item => item.source === 'mic');
+    const isPresenter = item => !hasMicChannel || item.source === 'mic';
+
+    const presenterLines = timedTranscripts.filter(isPresenter);
+    const presenterSpeech = timedSpeech.filter(isPresenter);
+    // VAD segments when the session has them, otherwise the timing of the transcribed lines
+    const segments = mergeIntervals(presenterSpeech.length > 0 ? presenterSpeech : presenterLines);
+    const others = mergeIntervals([...timedSpeech, ...timedTranscripts].filter(item => !isPresenter(item)));
+
+    const text = presenterLines.map(line => line.text).join('\n');
+    const wordCount = countWords(text);
+    const { fillerCount, fillerWords } = countFillerWords(text);
+
+    // Monologues: runs of the presenter's speech without a long pause and without anyone else speaking in between
+    const monologues = [];
+    const longPauses = [];
+    segments.forEach((segment, index) => {
+        const previous = segments[index - 1];
+        const gap = previous ? segment.startedAt - previous.endedAt : 0;
+        const interrupted = previous && others.some(other => other.startedAt < segment.startedAt && other.endedAt > previous.endedAt);
+        if (!previous || interrupted || gap >= LONG_PAUSE_MS) {
+            if (previous && !interrupted) {
+                longPauses.push({ startedAt: previous.endedAt, durationMs: gap });
+            }
+            monologues.push({ startedAt: segment.startedAt, endedAt: segment.endedAt });
+        } else {
+            monologues[monologues.length - 1].endedAt = segment.endedAt;
+        }
+    });
+
+    // Pace over the time spent presenting - long pauses and other speakers are left out
+    const presentingMs = monologues.reduce((sum, run) => sum + (run.endedAt - run.startedAt), 0);
+    const longest = monologues.reduce((best, run) => (!best || run.endedAt - run.startedAt > best.endedAt - best.startedAt ? run : best), null);
+    const origin = Number.isFinite(startedAt) ? startedAt : segments.length > 0 ? segments[0].startedAt : 0;
+
+    return {
+        wordCount,
+        wordsPerMinute: presentingMs > 0 && wordCount > 0 ? Math.round(wordCount / (presentingMs / MINUTE_MS)) : null,
+        fillerCount,
+        fillerWords,
+        speakingMs: segments.reduce((sum, segment) => sum + (segment.endedAt - segment.startedAt), 0),
+        longPauses,
+        longestPauseMs: longPauses.reduce((max, pause) => Math.max(max, pause.durationMs), 0),
+        longestMonologue: longest ? { startedAt: longest.startedAt, durationMs: longest.endedAt - longest.startedAt } : null,
+        perMinute: buildPerMinute(presenterLines, origin),
+    };
+}
+
+module.exports = {
+    LONG_PAUSE_MS,
+    IDEAL_WORDS_PER_MINUTE,
+    countWords,
+    formatDuration,
+    countFillerWords,
+    computeSpeakingMetrics,
+};
@@ -0,0 +1,224 @@
+// speechSegmenter.js - The speech segmentation engine: cuts a live PCM stream into utterances for transcription
+// Input is 16-bit little-endian mono PCM in chunks (0.1s in the app). Each chunk is speech when its RMS reaches
+// speechThreshold. A segment starts with up to preSpeechMs of the audio before the speech, keeps up to postSpeechMs
+// of silence after it, and ends after silenceAfterSpeechMs of silence. Time is measured in audio, not wall-clock,
+// so a recording run through the engine offline (scripts/evaluate-segmentation.js) segments exactly like a live session.
+
+const DEFAULT_SEGMENTATION_SETTINGS = {
+    speechThreshold: 500, // Chunk RMS at or above this is speech
+    silenceThreshold: 300, // Segments quieter than this overall are dropped as noise
+    silenceAfterSpeechMs: 900, // Silence that ends a segment
+    postSpeechMs: 300, // Silence kept after the last speech
+    preSpeechMs: 1000, // Audio kept from before the speech started
+    minSegmentMs: 1000, // Shorter segments wait for more speech
+    maxSegmentMs: 20000, // Longer segments are cut
+};
+
+// Ranges offered in AdvancedView; out-of-range values are clamped
+const SEGMENTATION_SETTING_LIMITS = {
+    speechThreshold: { min: 50, max: 5000, step: 50 },
+    silenceThreshold: { min: 0, max: 5000, step: 50 },
+    silenceAfterSpeechMs: { min: 200, max: 5000, step: 100 },
+    postSpeechMs: { min: 0, max: 2000, step: 100 },
+    preSpeechMs: { min: 0, max: 3000, step: 100 },
+    minSegmentMs: { min: 200, max: 5000, step: 100 },
+    maxSegmentMs: { min: 5000, max: 60000, step: 1000 },
+};
+
+// A forced flush (push-to-talk released, practice answer stopped) still needs this much audio
+const MIN_FLUSH_MS = 500;
+
+/**
+ * Fill in defaults and clamp every value to its range (unknown keys are dropped)
+ */
+function normalizeSegmentationSettings(settings = {}) {
+    const normalized = {};
+    Object.entries(DEFAULT_SEGMENTATION_SETTINGS).forEach(([key, fallback]) => {
+        const raw = settings ? settings[key] : undefined;
+        const value = Number(raw);
+        const { min, max } = SEGMENTATION_SETTING_LIMITS[key];
+        normalized[key] = raw !== undefined && raw !== null && raw !== '' && Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+    });
+    return normalized;
+}
+
+/**
+ * RMS energy of 16-bit little-endian PCM (a Buffer or Uint8Array of bytes)
+ */
+function calculateRMS(pcm) {
+    const samples = Math.floor(pcm.length / 2);
+    if (samples === 0) return 0;
+    const view = new DataView(pcm.buffer, pcm.byteOffset, samples * 2);
+    let sumSquares = 0;
+    for (let i = 0; i < samples; i++) {
+        const sample = view.getInt16(i * 2, true);
+        sumSquares += sample * sample;
+    }
+    return Math.sqrt(sumSquares / samples);
+}
+
+function concatBytes(chunks) {
+    if (typeof Buffer !== 'undefined') return Buffer.concat(chunks);
+    const combined = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        combined.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return combined;
+}
+
+/**
+ * One audio stream's segmenter. push() chunks in order; finished segments come back as
+ *   { pcm, rms, startMs, endMs, speechStartMs, speechEndMs, durationMs }
+ * with times in ms of audio since the stream started (speechStartMs/speechEndMs exclude the padding).
+ */
+class SpeechSegmenter {
+    constructor(settings = {}, { sampleRate = 24000 } = {}) {
+        this.sampleRate = sampleRate;
+        this.settings = normalizeSegmentationSettings(settings);
+        this.reset();
+    }
+
+    updateSettings(settings) {
+        this.settings = normalizeSegmentationSettings(settings);
+    }
+
+    reset() {
+        this.position = 0; // ms of audio pushed so far
+        this.context = []; // { pcm, ms } - rolling pre-speech audio
+        this.contextMs = 0;
+        this.segment = null; // { chunks, ms, startMs, endMs, speechStartMs, speechEndMs }
+        this.speaking = false;
+    }
+
+    /**
+     * Duration of the audio buffered for the next segment, in ms
+     */
+    getBufferedMs() {
+        return this.segment ? this.segment.ms : 0;
+    }
+
+    hasSegment() {
+        return this.segment !== null;
+    }
+
+    /**
+     * Add one chunk of PCM. Returns { isSpeech, segments } - the segments this chunk completed.
+     */
+    push(pcm) {
+        const settings = this.settings;
+        const chunkMs = (Math.floor(pcm.length / 2) / this.sampleRate) * 1000;
+        const start = this.position;
+        this.position += chunkMs;
+        const isSpeech = calculateRMS(pcm) >= settings.speechThreshold;
+        const segments = [];
+
+        if (isSpeech) {
+            if (!this.speaking) {
+                // A held short segment continues; otherwise a new one starts with the pre-speech audio
+                if (!this.segment) {
+                    this.segment = { chunks: [], ms: 0, startMs: start - this.contextMs, endMs: start, speechStartMs: start, speechEndMs: start };
+                }
+                this.context.forEach(item => this.append(item.pcm, item.ms, start));
+                this.clearContext();
+                this.speaking = true;
+            }
+            this.append(pcm, chunkMs, this.position);
+            this.segment.speechEndMs = this.position;
+        } else if (this.speaking && start - this.segment.speechEndMs < settings.postSpeechMs) {
+            // Short tail of silence after the speech
+            this.append(pcm, chunkMs, this.position);
+        } else {
+            this.speaking = false;
+            this.context.push({ pcm, ms: chunkMs });
+            this.contextMs += chunkMs;
+            while (this.context.length > 0 && this.contextMs > settings.preSpeechMs) {
+                this.contextMs -= this.context.shift().ms;
+            }
+        }
+
+        if (this.segment) {
+            if (this.segment.ms >= settings.maxSegmentMs) {
+                segments.push(this.close());
+            } else if (this.position - this.segment.speechEndMs >= settings.silenceAfterSpeechMs) {
+                this.speaking = false;
+                if (this.segment.ms >= settings.minSegmentMs) {
+                    segments.push(this.close());
+                }
+            }
+        }
+        return { isSpeech, segments: segments.filter(Boolean) };
+    }
+
+    /**
+     * End the speech now, as if the silence had lasted (the stream paused or stopped).
+     * Segments shorter than minSegmentMs are kept for the next speech.
+     */
+    finish() {
+        if (!this.segment) return null;
+        this.speaking = false;
+        return this.segment.ms >= this.settings.minSegmentMs ? this.close() : null;
+    }
+
+    /**
+     * Hand over whatever speech is buffered, skipping the length and loudness checks (very short audio is discarded)
+     */
+    flush() {
+        if (!this.segment) return null;
+        const segment = this.segment.ms >= MIN_FLUSH_MS ? this.close({ force: true }) : null;
+        this.segment = null;
+        this.speaking = false;
+        this.clearContext();
+        return segment;
+    }
+
+    append(pcm, ms, endMs) {
+        this.segment.chunks.push(pcm);
+        this.segment.ms += ms;
+        this.segment.endMs = endMs;
+    }
+
+    clearContext() {
+        this.context = [];
+        this.contextMs = 0;
+    }
+
+    close({ force = false } = {}) {
+        const { chunks, ms, startMs, endMs, speechStartMs, speechEndMs } = this.segment;
+        this.segment = null;
+        this.speaking = false;
+        const pcm = concatBytes(chunks);
+        const rms = calculateRMS(pcm);
+        if (!force && rms < this.settings.silenceThreshold) {
+            return null;
+        }
+        return { pcm, rms, startMs, endMs, speechStartMs, speechEndMs, durationMs: ms };
+    }
+}
+
+/**
+ * Segment a whole recording, fed in chunks as in a live session. The end of the recording ends the last speech,
+ * and a short last utterance is handed over instead of waiting for more.
+ */
+function segmentPcm(pcm, settings = {}, { sampleRate = 24000, chunkMs = 100 } = {}) {
+    const segmenter = new SpeechSegmenter(settings, { sampleRate });
+    const chunkBytes = Math.round((sampleRate * chunkMs) / 1000) * 2;
+    const segments = [];
+    for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+        segments.push(...segmenter.push(pcm.subarray(offset, offset + chunkBytes)).segments);
+    }
+    const last = segmenter.finish() || segmenter.flush();
+    if (last) segments.push(last);
+    return segments;
+}
+
+module.exports = {
+    DEFAULT_SEGMENTATION_SETTINGS,
+    SEGMENTATION_SETTING_LIMITS,
+    MIN_FLUSH_MS,
+    normalizeSegmentationSettings,
+    calculateRMS,
+    SpeechSegmenter,
+    segmentPcm,
+};
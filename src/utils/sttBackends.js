@@ -0,0 +1,135 @@
+// sttBackends.js - Speech-to-text backend selection for the interview audio pipeline
+// Each backend exposes the same shape: { id, name, transcribe(wavBuffer, options) } and keeps its own settings
+const { ipcMain } = require('electron');
+const { executeWithRetry } = require('./requestExecutor');
+
+// Lazy-load groq to avoid circular dependency (groq.js routes transcription through this module)
+let _groq = null;
+function getGroq() {
+    if (!_groq) _groq = require('./groq');
+    return _groq;
+}
+
+const DEFAULT_BACKEND = 'groq';
+
+// Defaults per backend - every field can be overridden from Settings → Speech-to-Text
+const DEFAULT_STT_SETTINGS = {
+    groq: {
+        baseUrl: process.env.GROQ_API_BASE || 'https://api.groq.com/openai/v1',
+        model: 'whisper-large-v3-turbo',
+        language: '', // Empty = let Whisper auto-detect
+        timeoutMs: 30000,
+    },
+    'openai-compatible': {
+        baseUrl: 'http://localhost:8000/v1', // e.g. faster-whisper-server, whisper.cpp server, LocalAI
+        apiKey: '',
+        model: 'whisper-1',
+        language: '',
+        timeoutMs: 60000,
+    },
+};
+
+let activeBackend = DEFAULT_BACKEND;
+let sttSettings = JSON.parse(JSON.stringify(DEFAULT_STT_SETTINGS));
+
+/**
+ * Whisper expects ISO-639-1 codes ("en"), while the app uses BCP-47 tags ("en-US", "cmn-CN")
+ */
+function normalizeLanguageHint(language) {
+    const value = String(language || '')
+        .trim()
+        .toLowerCase();
+    if (!value || value === 'auto') {
+        return '';
+    }
+    const primary = value.split(/[-_]/)[0];
+    return primary === 'cmn' ? 'zh' : primary;
+}
+
+function normalizeTimeout(timeoutMs, fallback) {
+    const parsed = Number(timeoutMs);
+    return Number.isFinite(parsed) && parsed >= 1000 ? Math.floor(parsed) : fallback;
+}
+
+/**
+ * Update the active backend and its settings (called from the renderer before a session starts)
+ * settings: { backend, backends: { groq: {...}, 'openai-compatible': {...} } }
+ */
+function configureSttBackend(settings = {}) {
+    const backends = settings.backends || {};
+    const next = {};
+
+    for (const id of Object.keys(DEFAULT_STT_SETTINGS)) {
+        const defaults = DEFAULT_STT_SETTINGS[id];
+        const overrides = backends[id] || {};
+        next[id] = {
+            ...defaults,
+            ...Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null && value !== '')),
+        };
+        next[id].baseUrl = String(next[id].baseUrl).trim().replace(/\/+$/, '');
+        next[id].language = normalizeLanguageHint(next[id].language);
+        next[id].timeoutMs = normalizeTimeout(next[id].timeoutMs, defaults.timeoutMs);
+    }
+
+    sttSettings = next;
+    activeBackend = settings.backend && sttBackends[settings.backend] ? settings.backend : DEFAULT_BACKEND;
+    console.log(`[STT] Backend: ${activeBackend} (${sttSettings[activeBackend].model} @ ${sttSettings[activeBackend].baseUrl})`);
+    return { backend: activeBackend, settings: sttSettings[activeBackend] };
+}
+
+function getSttSettings(id = activeBackend) {
+    return sttSettings[id];
+}
+
+function getActiveSttBackendId() {
+    return activeBackend;
+}
+
+const sttBackends = {
+    groq: {
+        id: 'groq',
+        name: 'Groq Whisper',
+        transcribe: (wavBuffer, options) => getGroq().transcribeWithGroq(wavBuffer, options),
+    },
+    'openai-compatible': {
+        id: 'openai-compatible',
+        name: 'OpenAI-compatible',
+        transcribe: (wavBuffer, options) => getGroq().transcribeWithOpenAICompatible(wavBuffer, options),
+    },
+};
+
+/**
+ * Transcribe a WAV buffer with the active backend (retried and circuit-broken like chat requests)
+ * options.apiKey: Groq key for transcriptions outside a live session (imported recordings)
+ */
+async function transcribeAudio(wavBuffer, options = {}) {
+    const backend = sttBackends[activeBackend];
+    return await executeWithRetry(`stt:${backend.id}`, signal => backend.transcribe(wavBuffer, { ...options, signal }), { label: backend.name });
+}
+
+/**
+ * Setup IPC handlers for speech-to-text configuration
+ */
+function setupSttIpcHandlers() {
+    ipcMain.handle('configure-stt-backend', async (event, settings) => {
+        try {
+            const result = configureSttBackend(settings);
+            return { success: true, backend: result.backend };
+        } catch (error) {
+            console.error('[STT] Configure backend error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    console.log('[STT] IPC handlers registered');
+}
+
+module.exports = {
+    DEFAULT_STT_SETTINGS,
+    normalizeLanguageHint,
+    configureSttBackend,
+    getSttSettings,
+    getActiveSttBackendId,
+    transcribeAudio,
+    setupSttIpcHandlers,
+};
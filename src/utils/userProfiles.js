@@ -0,0 +1,275 @@
+// userProfiles.js - Profiles created by the user next to the built-in ones in prompts.js
+// One JSON file per profile under <config dir>/profiles/<id>.json:
+//   { "id": "customer-support", "name": "Customer Support", "description": "...",
+//     "intro": "...", "formatRequirements": "...", "searchUsage": "...", "content": "...", "outputInstructions": "...",
+//     "messageHints": { "text": "...", "image": "..." }, "createdAt": "...", "updatedAt": "..." }
+// Shared files carry the same fields without the id, wrapped as { "cheatingDaddyProfile": 1, "profile": { ... } }
+const fs = require('fs');
+const path = require('path');
+const { ipcMain, dialog, BrowserWindow } = require('electron');
+const { getConfigDir } = require('../config');
+const { profilePrompts, getGeminiMessageHint } = require('./prompts');
+const { getExportsDir } = require('./sessionExport');
+const { deleteKnowledgeBase } = require('./knowledgeBase');
+
+const PROFILES_DIR_NAME = 'profiles';
+const PROFILE_FILE_VERSION = 1;
+const PROFILE_ID_PATTERN = /^[\w-]+$/;
+const PROFILE_SECTIONS = ['intro', 'formatRequirements', 'searchUsage', 'content', 'outputInstructions'];
+const MAX_NAME_LENGTH = 60;
+const MAX_SECTION_CHARS = 50000;
+
+function getProfilesDir() {
+    return path.join(getConfigDir(), PROFILES_DIR_NAME);
+}
+
+function getProfileFilePath(id) {
+    if (!PROFILE_ID_PATTERN.test(String(id))) {
+        throw new Error(`Invalid profile id: ${id}`);
+    }
+    return path.join(getProfilesDir(), `${id}.json`);
+}
+
+function isBuiltInProfile(id) {
+    return Object.prototype.hasOwnProperty.call(profilePrompts, id);
+}
+
+function readText(value, field) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string') {
+        throw new Error(`${field} must be text`);
+    }
+    if (value.length > MAX_SECTION_CHARS) {
+        throw new Error(`${field} is longer than ${MAX_SECTION_CHARS} characters`);
+    }
+    return value;
+}
+
+/**
+ * Validate an edited or imported profile and keep only the known fields
+ */
+function normalizeProfile(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Not a profile');
+    }
+    const name = readText(input.name, 'Name').trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) {
+        throw new Error('A profile needs a name');
+    }
+    const profile = { name, description: readText(input.description, 'Description').trim() };
+    PROFILE_SECTIONS.forEach(section => {
+        profile[section] = readText(input[section], section);
+    });
+    if (!profile.intro.trim() && !profile.content.trim()) {
+        throw new Error('A profile needs an intro or content section');
+    }
+    const hints = input.messageHints || {};
+    profile.messageHints = { text: readText(hints.text, 'Text message hint'), image: readText(hints.image, 'Screenshot message hint') };
+    return profile;
+}
+
+// "Customer Support" -> "customer-support", never the id of a built-in or another saved profile
+function createProfileId(name) {
+    const base =
+        name
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[^\w\s-]/g, '')
+            .trim()
+            .replace(/[\s_]+/g, '-')
+            .slice(0, 40) || 'profile';
+    let id = base;
+    for (let suffix = 2; isBuiltInProfile(id) || fs.existsSync(getProfileFilePath(id)); suffix++) {
+        id = `${base}-${suffix}`;
+    }
+    return id;
+}
+
+function readUserProfile(id) {
+    if (!PROFILE_ID_PATTERN.test(String(id)) || isBuiltInProfile(id)) return null;
+    const filePath = getProfileFilePath(id);
+    if (!fs.existsSync(filePath)) return null;
+    try {
+        return { ...JSON.parse(fs.readFileSync(filePath, 'utf8')), id };
+    } catch (error) {
+        console.error(`[PROFILES] Could not read profile ${id}:`, error.message);
+        return null;
+    }
+}
+
+function listUserProfiles() {
+    if (!fs.existsSync(getProfilesDir())) return [];
+    return fs
+        .readdirSync(getProfilesDir())
+        .filter(file => file.endsWith('.json'))
+        .map(file => readUserProfile(path.basename(file, '.json')))
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create a profile, or update it when it has the id of an existing user profile
+ */
+function saveUserProfile(input) {
+    const profile = normalizeProfile(input);
+    const existing = input.id ? readUserProfile(input.id) : null;
+    const now = new Date().toISOString();
+    const saved = {
+        id: existing ? existing.id : createProfileId(profile.name),
+        ...profile,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+    };
+    fs.mkdirSync(getProfilesDir(), { recursive: true });
+    fs.writeFileSync(getProfileFilePath(saved.id), JSON.stringify(saved, null, 2) + '\n', 'utf8');
+    console.log(`[PROFILES] ${existing ? 'Updated' : 'Created'} profile ${saved.id}`);
+    return saved;
+}
+
+function deleteUserProfile(id) {
+    if (!readUserProfile(id)) {
+        throw new Error('Profile not found');
+    }
+    fs.unlinkSync(getProfileFilePath(id));
+    // A profile created later with the same name must not inherit these documents
+    deleteKnowledgeBase(id);
+    console.log(`[PROFILES] Deleted profile ${id}`);
+}
+
+/**
+ * Sections and message hints of any profile, to start a new profile from (clone)
+ */
+function getProfileTemplate(id) {
+    if (isBuiltInProfile(id)) {
+        const parts = profilePrompts[id];
+        return {
+            ...Object.fromEntries(PROFILE_SECTIONS.map(section => [section, parts[section] || ''])),
+            messageHints: { text: getGeminiMessageHint(false, id).trim(), image: getGeminiMessageHint(true, id).trim() },
+        };
+    }
+    const profile = readUserProfile(id);
+    if (!profile) {
+        throw new Error('Profile not found');
+    }
+    return profile;
+}
+
+function exportUserProfile(id, outputDir = getExportsDir()) {
+    const profile = readUserProfile(id);
+    if (!profile) {
+        throw new Error('Profile not found');
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+    const filePath = path.join(outputDir, `profile-${id}.json`);
+    const { id: _id, createdAt, updatedAt, ...shared } = profile;
+    fs.writeFileSync(filePath, JSON.stringify({ cheatingDaddyProfile: PROFILE_FILE_VERSION, profile: shared }, null, 2) + '\n', 'utf8');
+    console.log(`[PROFILES] Exported ${id} to ${filePath}`);
+    return { filePath };
+}
+
+/**
+ * Add a shared profile file as a new profile (never overwrites one that is already there)
+ */
+function importUserProfile(filePath) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${path.basename(filePath)} is not a profile file: ${error.message}`);
+    }
+    if (data.cheatingDaddyProfile > PROFILE_FILE_VERSION) {
+        throw new Error(`${path.basename(filePath)} was made by a newer version of the app`);
+    }
+    const { id, ...profile } = data.cheatingDaddyProfile ? data.profile : data;
+    return saveUserProfile(profile);
+}
+
+function setupUserProfileIpcHandlers() {
+    ipcMain.handle('list-user-profiles', async () => {
+        try {
+            return { success: true, profiles: listUserProfiles() };
+        } catch (error) {
+            console.error('[PROFILES] List profiles error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('get-profile-template', async (event, id) => {
+        try {
+            return { success: true, template: getProfileTemplate(id) };
+        } catch (error) {
+            console.error('[PROFILES] Get template error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('save-user-profile', async (event, profile) => {
+        try {
+            return { success: true, profile: saveUserProfile(profile) };
+        } catch (error) {
+            console.error('[PROFILES] Save profile error:', error.message);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('delete-user-profile', async (event, id) => {
+        try {
+            deleteUserProfile(id);
+            return { success: true };
+        } catch (error) {
+            console.error('[PROFILES] Delete profile error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('export-user-profile', async (event, id) => {
+        try {
+            return { success: true, ...exportUserProfile(id) };
+        } catch (error) {
+            console.error('[PROFILES] Export profile error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Opens the file picker in the main process; failed files are reported without stopping the others
+    ipcMain.handle('import-user-profiles', async event => {
+        try {
+            const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+                title: 'Import profiles',
+                properties: ['openFile', 'multiSelections'],
+                filters: [{ name: 'Profiles', extensions: ['json'] }],
+            });
+            const imported = [];
+            const errors = [];
+            for (const filePath of canceled ? [] : filePaths) {
+                try {
+                    imported.push(importUserProfile(filePath));
+                } catch (error) {
+                    console.error(`[PROFILES] Could not import ${filePath}:`, error.message);
+                    errors.push(error.message);
+                }
+            }
+            return { success: true, imported, errors };
+        } catch (error) {
+            console.error('[PROFILES] Import profiles error:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    console.log('[PROFILES] IPC handlers registered');
+}
+
+module.exports = {
+    PROFILE_SECTIONS,
+    getProfilesDir,
+    isBuiltInProfile,
+    normalizeProfile,
+    readUserProfile,
+    listUserProfiles,
+    saveUserProfile,
+    deleteUserProfile,
+    getProfileTemplate,
+    exportUserProfile,
+    importUserProfile,
+    setupUserProfileIpcHandlers,
+};
@@ -0,0 +1,88 @@
+// wavFile.js - WAV decoding for recordings processed outside live capture (imported files, the segmentation harness)
+// Reads 16-bit PCM and 32-bit float files at any sample rate, mono or stereo, and converts them to the app's capture
+// format: 16-bit little-endian mono PCM at 24 kHz, resampled and converted exactly like the AudioWorklet does.
+const { PcmChunker, floatToInt16 } = require('./audioCaptureWorklet');
+
+const CAPTURE_SAMPLE_RATE = 24000;
+
+/**
+ * Decode a WAV file to mono float samples: { sampleRate, samples }
+ */
+function parseWav(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+    let format = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= buffer.length; ) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = buffer.subarray(offset + 8, Math.min(buffer.length, offset + 8 + size));
+        if (id === 'fmt ') {
+            let audioFormat = body.readUInt16LE(0);
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+            if (audioFormat === 0xfffe && body.length >= 26) {
+                audioFormat = body.readUInt16LE(24);
+            }
+            format = { audioFormat, channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bitsPerSample: body.readUInt16LE(14) };
+        } else if (id === 'data') {
+            data = body;
+        }
+        // Chunks are padded to an even size
+        offset += 8 + size + (size % 2);
+    }
+    if (!format || !data) {
+        throw new Error('WAV file has no fmt or data chunk');
+    }
+
+    const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+    let read;
+    if (audioFormat === 1 && bitsPerSample === 16) {
+        read = offset => data.readInt16LE(offset) / 0x8000;
+    } else if (audioFormat === 3 && bitsPerSample === 32) {
+        read = offset => data.readFloatLE(offset);
+    } else {
+        throw new Error(`Unsupported WAV format (format ${audioFormat}, ${bitsPerSample} bits) - use 16-bit PCM or 32-bit float`);
+    }
+    const bytesPerFrame = (bitsPerSample / 8) * channels;
+    const samples = new Float32Array(Math.floor(data.length / bytesPerFrame));
+    for (let i = 0; i < samples.length; i++) {
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) {
+            sum += read(i * bytesPerFrame + channel * (bitsPerSample / 8));
+        }
+        samples[i] = sum / channels;
+    }
+    return { sampleRate, samples };
+}
+
+/**
+ * Float samples at any rate to 24 kHz 16-bit PCM bytes (a Buffer)
+ */
+function toCapturePcm(samples, sampleRate) {
+    const chunker = new PcmChunker({ inputSampleRate: sampleRate, outputSampleRate: CAPTURE_SAMPLE_RATE, chunkSize: CAPTURE_SAMPLE_RATE });
+    const chunks = chunker.push(samples);
+    // The last, partial second is still in the chunker
+    chunks.push(chunker.chunk.subarray(0, chunker.filled));
+    return Buffer.concat(
+        chunks.map(chunk => {
+            const pcm = floatToInt16(chunk);
+            return Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength);
+        })
+    );
+}
+
+/**
+ * A WAV file's audio in the capture format
+ */
+function decodeWavToPcm(buffer) {
+    const { sampleRate, samples } = parseWav(buffer);
+    return toCapturePcm(samples, sampleRate);
+}
+
+module.exports = {
+    CAPTURE_SAMPLE_RATE,
+    parseWav,
+    toCapturePcm,
+    decodeWavToPcm,
+};
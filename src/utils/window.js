@@ -3,6 +3,7 @@ const path = require('node:path');
 const fs = require('node:fs');
 const os = require('os');
 const { applyStealthMeasures, startTitleRandomization } = require('./stealthFeatures');
+const { createHoldToTalk } = require('./holdToTalk');
 
 let mouseEventsIgnored = false;
 let windowResizing = false;
@@ -12,6 +13,7 @@ let lastMoveTime = 0; // Track last time window was moved
 let intendedWindowSize = { width: 800, height: 450 }; // Track intended size to prevent drift
 const RESIZE_ANIMATION_DURATION = 500; // milliseconds
 const MOVE_COOLDOWN = 300; // milliseconds to wait after movement before allowing resize
+let holdToTalk = null; // Press/release tracking of the hold-to-talk shortcut
 
 function ensureDataDirectories() {
     const homeDir = os.homedir();
@@ -230,12 +232,15 @@ function getDefaultKeybinds() {
         toggleVisibility: isMac ? 'Cmd+\\' : 'Ctrl+\\',
         toggleClickThrough: isMac ? 'Cmd+M' : 'Ctrl+M',
         toggleMicrophone: isMac ? 'Cmd+Shift+M' : 'Ctrl+Shift+M',
+        holdToTalk: isMac ? 'Cmd+Shift+Space' : 'Ctrl+Shift+Space',
         nextStep: isMac ? 'Cmd+Enter' : 'Ctrl+Enter',
         previousResponse: isMac ? 'Cmd+[' : 'Ctrl+[',
         nextResponse: isMac ? 'Cmd+]' : 'Ctrl+]',
         scrollUp: isMac ? 'Cmd+Shift+Up' : 'Ctrl+Shift+Up',
         scrollDown: isMac ? 'Cmd+Shift+Down' : 'Ctrl+Shift+Down',
         copyCodeBlocks: isMac ? 'Cmd+Shift+C' : 'Ctrl+Shift+C',
+        cancelResponse: isMac ? 'Cmd+Shift+X' : 'Ctrl+Shift+X',
+        exportSession: isMac ? 'Cmd+Shift+S' : 'Ctrl+Shift+S',
         emergencyErase: isMac ? 'Cmd+Shift+E' : 'Ctrl+Shift+E',
     };
 }
@@ -243,7 +248,11 @@ function getDefaultKeybinds() {
 function updateGlobalShortcuts(keybinds, mainWindow, sendToRenderer, geminiSessionRef) {
     console.log('Updating global shortcuts with:', keybinds);
 
-    // Unregister all existing shortcuts
+    // Unregister all existing shortcuts - a held hold-to-talk key would never be released otherwise
+    if (holdToTalk) {
+        holdToTalk.release();
+        holdToTalk = null;
+    }
     globalShortcut.unregisterAll();
 
     const primaryDisplay = screen.getPrimaryDisplay();
@@ -449,6 +458,35 @@ function updateGlobalShortcuts(keybinds, mainWindow, sendToRenderer, geminiSessi
         }
     }
 
+    // Register cancel response shortcut (aborts the in-flight streamed generation)
+    if (keybinds.cancelResponse) {
+        try {
+            globalShortcut.register(keybinds.cancelResponse, () => {
+                console.log('Cancel response shortcut triggered');
+                const { cancelActiveGeneration } = require('./groq');
+                if (!cancelActiveGeneration()) {
+                    console.log('No response is being generated');
+                }
+            });
+            console.log(`Registered cancelResponse: ${keybinds.cancelResponse}`);
+        } catch (error) {
+            console.error(`Failed to register cancelResponse (${keybinds.cancelResponse}):`, error);
+        }
+    }
+
+    // Register export session shortcut (the assistant view exports in the last format used)
+    if (keybinds.exportSession) {
+        try {
+            globalShortcut.register(keybinds.exportSession, () => {
+                console.log('Export session shortcut triggered');
+                sendToRenderer('export-current-session');
+            });
+            console.log(`Registered exportSession: ${keybinds.exportSession}`);
+        } catch (error) {
+            console.error(`Failed to register exportSession (${keybinds.exportSession}):`, error);
+        }
+    }
+
     // Register emergency erase shortcut
     if (keybinds.emergencyErase) {
         try {
@@ -551,6 +589,21 @@ function updateGlobalShortcuts(keybinds, mainWindow, sendToRenderer, geminiSessi
         }
     }
 
+    // Register hold-to-talk shortcut: the microphone records while the keys are held (manual VAD mode only)
+    if (keybinds.holdToTalk) {
+        try {
+            holdToTalk = createHoldToTalk({
+                onPress: () => sendToRenderer('hold-to-talk', { pressed: true }),
+                onRelease: () => sendToRenderer('hold-to-talk', { pressed: false }),
+            });
+            globalShortcut.register(keybinds.holdToTalk, () => holdToTalk.trigger());
+            console.log(`Registered holdToTalk: ${keybinds.holdToTalk}`);
+        } catch (error) {
+            holdToTalk = null;
+            console.error(`Failed to register holdToTalk (${keybinds.holdToTalk}):`, error);
+        }
+    }
+
     // Register restart session shortcut (Ctrl+Alt+R / Cmd+Option+R)
     const isMac = process.platform === 'darwin';
     const restartShortcut = isMac ? 'Cmd+Alt+R' : 'Ctrl+Alt+R';
@@ -574,7 +627,7 @@ function updateGlobalShortcuts(keybinds, mainWindow, sendToRenderer, geminiSessi
 
 function setupWindowIpcHandlers(mainWindow, sendToRenderer, geminiSessionRef) {
     ipcMain.on('view-changed', (event, view) => {
-        if (view !== 'assistant' && !mainWindow.isDestroyed()) {
+        if (view !== 'assistant' && view !== 'captions' && !mainWindow.isDestroyed()) {
             mainWindow.setIgnoreMouseEvents(false);
         }
     });
@@ -749,6 +802,7 @@ function setupWindowIpcHandlers(mainWindow, sendToRenderer, geminiSessionRef) {
             switch (viewName) {
                 case 'customize':
                 case 'settings':
+                case 'profiles':
                     targetWidth = baseWidth;
                     targetHeight = layoutMode === 'compact' ? 480 : 580;
                     break;
@@ -757,6 +811,12 @@ function setupWindowIpcHandlers(mainWindow, sendToRenderer, geminiSessionRef) {
                     targetHeight = layoutMode === 'compact' ? 450 : 550;
                     break;
                 case 'history':
+                case 'sessions':
+                case 'minutes':
+                case 'rehearsal':
+                case 'scorecard':
+                case 'negotiation':
+                case 'practice':
                     targetWidth = baseWidth;
                     targetHeight = layoutMode === 'compact' ? 450 : 550;
                     break;
@@ -6,6 +6,7 @@ module.exports = defineConfig({
         environment: 'node',
         include: ['src/__tests__/**/*.test.js'],
         globals: true,
+        setupFiles: ['src/__mocks__/setup.js'],
         coverage: {
             reporter: ['text'],
         },